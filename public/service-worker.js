@@ -0,0 +1,107 @@
+/* eslint-disable no-restricted-globals */
+// Service worker - keeps the app shell and pose model files available offline
+// The build's files (asset-manifest.json) and the pose model files are precached on install; the pose
+// file URLs come from src/config/poseAssets.js through the registration URL (see serviceWorkerRegistration.js).
+// poseAssetLoader.js writes into the same POSE_ASSET_CACHE.
+
+const APP_SHELL_CACHE = 'app-shell-v1';
+const POSE_ASSET_CACHE = 'pose-assets-v1';
+const KNOWN_CACHES = [APP_SHELL_CACHE, POSE_ASSET_CACHE];
+
+const scopeUrl = (path) => new URL(path, self.registration.scope).toString();
+
+// Source maps and license notes in the asset manifest aren't needed to run the app
+const SKIPPED_BUILD_FILES = /\.(map|txt)$/;
+
+/**
+ * Every file the build emitted, from CRA's asset-manifest.json
+ */
+const getBuildFiles = async () => {
+  const response = await fetch(scopeUrl('asset-manifest.json'), { cache: 'no-cache' });
+  if (!response.ok) throw new Error(`asset-manifest.json: HTTP ${response.status}`);
+  const { files } = await response.json();
+  return Object.values(files)
+    .filter(path => !SKIPPED_BUILD_FILES.test(path))
+    .map(path => scopeUrl(path));
+};
+
+const getPoseAssetUrls = () =>
+  new URL(self.location.href).searchParams.getAll('poseAsset').map(url => new URL(url, self.location.href).toString());
+
+const precacheAppShell = async () => {
+  const cache = await caches.open(APP_SHELL_CACHE);
+  const buildFiles = await getBuildFiles();
+  await cache.addAll([...new Set([scopeUrl('./'), scopeUrl('index.html'), scopeUrl('manifest.json'), ...buildFiles])]);
+};
+
+// Files already cached (e.g. by poseAssetLoader on an earlier visit) aren't downloaded again
+const precachePoseAssets = async () => {
+  const cache = await caches.open(POSE_ASSET_CACHE);
+  const urls = getPoseAssetUrls();
+  const cached = await Promise.all(urls.map(url => cache.match(url)));
+  await cache.addAll(urls.filter((url, i) => !cached[i]));
+};
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    Promise.all([precacheAppShell(), precachePoseAssets()])
+      .then(() => self.skipWaiting())
+  );
+});
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(
+        keys.filter(key => !KNOWN_CACHES.includes(key)).map(key => caches.delete(key))
+      ))
+      .then(() => self.clients.claim())
+  );
+});
+
+const cacheFirst = async (request, cacheName) => {
+  const cached = await caches.match(request);
+  if (cached) return cached;
+
+  const response = await fetch(request);
+  if (response.ok) {
+    const cache = await caches.open(cacheName);
+    cache.put(request, response.clone());
+  }
+  return response;
+};
+
+const networkFirst = async (request) => {
+  try {
+    const response = await fetch(request);
+    const cache = await caches.open(APP_SHELL_CACHE);
+    cache.put(scopeUrl('index.html'), response.clone());
+    return response;
+  } catch (error) {
+    return (await caches.match(scopeUrl('index.html'))) || Response.error();
+  }
+};
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event;
+  if (request.method !== 'GET') return;
+
+  const url = new URL(request.url);
+  if (url.origin !== self.location.origin) return;
+
+  // SPA navigation: fresh index.html when online, cached shell when offline
+  if (request.mode === 'navigate') {
+    event.respondWith(networkFirst(request));
+    return;
+  }
+
+  if (url.pathname.includes('/mediapipe/')) {
+    event.respondWith(cacheFirst(request, POSE_ASSET_CACHE));
+    return;
+  }
+
+  // Hashed build output never changes under the same URL
+  if (url.pathname.includes('/static/') || url.pathname.endsWith('manifest.json') || url.pathname.endsWith('.svg')) {
+    event.respondWith(cacheFirst(request, APP_SHELL_CACHE));
+  }
+});
@@ -0,0 +1,50 @@
+// Copies the MediaPipe Pose runtime and model files into public/ so the app can
+// serve them from its own origin (required for offline use / PWA install)
+// Nothing is downloaded here - the worker model comes from `npm run fetch-pose-model`
+
+const fs = require('fs');
+const path = require('path');
+
+const NODE_MODULES = path.join(__dirname, '..', 'node_modules', '@mediapipe');
+const PUBLIC_DIR = path.join(__dirname, '..', 'public', 'mediapipe');
+
+// Only copy what the browser runtime loads (skip typings, README, package.json)
+const ASSET_PATTERN = /\.(js|wasm|data|tflite|binarypb)$/;
+
+// The Tasks pose model is not published to npm (see scripts/fetch-pose-model.js)
+const POSE_LANDMARKER_MODEL = 'pose_landmarker_full.task';
+
+const copyAssets = (sourceDir, targetDir, label) => {
+  if (!fs.existsSync(sourceDir)) {
+    console.warn(`[copy-pose-assets] ${label} is not installed - skipping`);
+    return;
+  }
+
+  fs.mkdirSync(targetDir, { recursive: true });
+
+  const files = fs.readdirSync(sourceDir).filter(file => ASSET_PATTERN.test(file));
+  files.forEach(file => {
+    fs.copyFileSync(path.join(sourceDir, file), path.join(targetDir, file));
+  });
+
+  console.log(`[copy-pose-assets] Copied ${files.length} ${label} files to ${path.relative(process.cwd(), targetDir)}`);
+};
+
+const main = () => {
+  copyAssets(path.join(NODE_MODULES, 'pose'), path.join(PUBLIC_DIR, 'pose'), '@mediapipe/pose');
+  copyAssets(
+    path.join(NODE_MODULES, 'tasks-vision', 'wasm'),
+    path.join(PUBLIC_DIR, 'tasks', 'wasm'),
+    '@mediapipe/tasks-vision'
+  );
+
+  // Worker inference is optional - analysis falls back to the main thread without the model
+  if (!fs.existsSync(path.join(PUBLIC_DIR, 'tasks', POSE_LANDMARKER_MODEL))) {
+    console.warn(
+      `[copy-pose-assets] ${POSE_LANDMARKER_MODEL} is missing - run \`npm run fetch-pose-model\` ` +
+      'or place it in public/mediapipe/tasks/ for worker analysis'
+    );
+  }
+};
+
+main();
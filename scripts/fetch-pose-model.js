@@ -0,0 +1,55 @@
+// Downloads the MediaPipe Tasks pose model into public/ for worker inference (npm run fetch-pose-model)
+// The model is not published to npm, so this is the one asset fetched from the network, and only on request
+
+const fs = require('fs');
+const https = require('https');
+const path = require('path');
+
+const TASKS_DIR = path.join(__dirname, '..', 'public', 'mediapipe', 'tasks');
+
+const POSE_LANDMARKER_MODEL = 'pose_landmarker_full.task';
+const POSE_LANDMARKER_MODEL_URL =
+  'https://storage.googleapis.com/mediapipe-models/pose_landmarker/pose_landmarker_full/float16/latest/pose_landmarker_full.task';
+
+const download = (url, target, redirects = 5) => new Promise((resolve, reject) => {
+  https.get(url, (response) => {
+    if (response.statusCode >= 300 && response.statusCode < 400 && response.headers.location && redirects > 0) {
+      response.resume();
+      resolve(download(response.headers.location, target, redirects - 1));
+      return;
+    }
+    if (response.statusCode !== 200) {
+      response.resume();
+      reject(new Error(`HTTP ${response.statusCode}`));
+      return;
+    }
+
+    const partial = `${target}.part`;
+    const file = fs.createWriteStream(partial);
+    response.pipe(file);
+    file.on('finish', () => file.close(() => {
+      fs.renameSync(partial, target);
+      resolve();
+    }));
+    file.on('error', reject);
+  }).on('error', reject);
+});
+
+const main = async () => {
+  const modelPath = path.join(TASKS_DIR, POSE_LANDMARKER_MODEL);
+  if (fs.existsSync(modelPath)) {
+    console.log(`[fetch-pose-model] ${POSE_LANDMARKER_MODEL} is already in ${path.relative(process.cwd(), TASKS_DIR)}`);
+    return;
+  }
+
+  try {
+    fs.mkdirSync(TASKS_DIR, { recursive: true });
+    await download(POSE_LANDMARKER_MODEL_URL, modelPath);
+    console.log(`[fetch-pose-model] Downloaded ${POSE_LANDMARKER_MODEL}`);
+  } catch (error) {
+    console.error(`[fetch-pose-model] Could not download ${POSE_LANDMARKER_MODEL}: ${error.message}`);
+    process.exitCode = 1;
+  }
+};
+
+main();
@@ -6,6 +6,18 @@ import RecordPage from './pages/RecordPage';
 import ResultsPage from './pages/ResultsPage';
 import HistoryPage from './pages/HistoryPage';
 import WorkoutPlaybackPage from './pages/WorkoutPlaybackPage';
+import ExerciseEditorPage from './pages/ExerciseEditorPage';
+import CalibrationPage from './pages/CalibrationPage';
+import ProgramPage from './pages/ProgramPage';
+import { registerCustomExercises } from './config/exercises';
+import storageService from './services/storage';
+import calibrationService from './services/calibration';
+
+// Make user-defined exercises resolvable before any route renders
+registerCustomExercises(storageService.getCustomExercises());
+
+// Segment-relative thresholds use the lifter's calibrated proportions when there are any
+calibrationService.setCalibration(storageService.getUserProfile().bodyCalibration);
 
 // Dark theme configuration
 const theme = extendTheme({
@@ -58,9 +70,14 @@ function App() {
           <Routes>
             <Route path="/" element={<HomePage />} />
             <Route path="/record/:exerciseId" element={<RecordPage />} />
+            <Route path="/session/:exerciseId" element={<RecordPage sessionMode />} />
             <Route path="/results" element={<ResultsPage />} />
             <Route path="/history" element={<HistoryPage />} />
             <Route path="/playback/:workoutId" element={<WorkoutPlaybackPage />} />
+            <Route path="/exercises/new" element={<ExerciseEditorPage />} />
+            <Route path="/exercises/:exerciseId/edit" element={<ExerciseEditorPage />} />
+            <Route path="/calibrate" element={<CalibrationPage />} />
+            <Route path="/program" element={<ProgramPage />} />
           </Routes>
         </Box>
       </Router>
@@ -43,98 +43,126 @@ export const EXERCISES = {
         id: 'knee_valgus',
         name: 'Knee Valgus',
         severity: 'high',
+        view: 'front',
         description: 'Knees caving inward - increases ACL/MCL injury risk',
         correction: 'Push knees outward over toes. Cue: "Spread the floor" with feet. Strengthen glute medius.',
         affectedJoints: [25, 26], // left and right knee
-        validate: (landmarks) => {
-          const kneeWidth = Math.abs(landmarks.leftKnee.x - landmarks.rightKnee.x);
-          const ankleWidth = Math.abs(landmarks.leftAnkle.x - landmarks.rightAnkle.x);
-          return kneeWidth < ankleWidth * 0.85;
+        // Knee width under 85% of ankle width
+        rule: {
+          left: {
+            ratio: [
+              { distance: ['leftKnee', 'rightKnee'], axis: 'x' },
+              { distance: ['leftAnkle', 'rightAnkle'], axis: 'x' }
+            ]
+          },
+          op: '<',
+          right: 0.85
         }
       },
       {
         id: 'shallow_depth',
         name: 'Insufficient Depth',
         severity: 'medium',
+        view: 'side',
+        dimensions: ['2d', '3d'],
         description: 'Not squatting deep enough - reduces muscle activation',
         correction: 'Lower until hip crease is below knee level (parallel or below). Full depth maximizes glute/hamstring recruitment.',
         affectedJoints: [23, 24, 25, 26], // hips and knees
-        validate: (landmarks, angles) => {
-          return angles.kneeAngle > 100;
-        }
+        // Judge depth only at the bottom of each rep - standing frames are never "shallow"
+        temporal: { phase: 'bottom', coverage: 1 },
+        rule: { left: { metric: 'kneeAngle' }, op: '>', right: 100 }
       },
       {
         id: 'excessive_lean',
         name: 'Excessive Forward Lean',
         severity: 'medium',
+        view: 'side',
         description: 'Leaning too far forward - shifts stress to lower back',
         correction: 'Keep chest up, core tight. May indicate weak quads or limited ankle mobility. Try heel wedges or squat shoes.',
         affectedJoints: [11, 12, 23, 24], // shoulders and hips
-        validate: (landmarks, angles) => {
-          return angles.hipAngle < 70;
-        }
+        // More than 15 degrees more closed than the lean this lifter's femur/torso proportions need at
+        // this depth (expectedHipAngle, see anthropometry.js). The expected angle comes from image-space
+        // geometry, so the check stays 2D and never compares it against a world-landmark hipAngle.
+        rule: { left: { metric: 'hipAngle' }, op: '<', right: { metric: 'expectedHipAngle', offset: -15 } }
       },
       {
         id: 'heel_lift',
         name: 'Heel Elevation',
         severity: 'high',
+        view: 'side',
         description: 'Heels lifting off ground - compromises balance and power',
         correction: 'Keep weight on whole foot. Work on ankle dorsiflexion mobility. Consider squat shoes with elevated heel.',
         affectedJoints: [27, 28], // ankles
-        validate: (landmarks) => {
-          const ankleY = (landmarks.leftAnkle.y + landmarks.rightAnkle.y) / 2;
-          const kneeY = (landmarks.leftKnee.y + landmarks.rightKnee.y) / 2;
-          return ankleY < kneeY - 0.15;
+        // Brief landmark jitter at the ankles isn't a heel lift
+        temporal: { minDurationMs: 300 },
+        rule: {
+          left: { landmark: ['leftAnkle', 'rightAnkle'], axis: 'y' },
+          op: '<',
+          right: { landmark: ['leftKnee', 'rightKnee'], axis: 'y', offset: { segment: 'shin', scale: -0.75 } }
         }
       },
       {
         id: 'knee_forward_travel',
         name: 'Excessive Knee Forward Travel',
         severity: 'low',
+        view: 'side',
         description: 'Knees traveling excessively past toes',
         correction: 'Some forward travel is normal, but excessive indicates weight on toes. Sit back more into hips.',
         affectedJoints: [25, 26, 27, 28], // knees and ankles
-        validate: (landmarks) => {
-          const kneeX = (landmarks.leftKnee.x + landmarks.rightKnee.x) / 2;
-          const ankleX = (landmarks.leftAnkle.x + landmarks.rightAnkle.x) / 2;
-          return Math.abs(kneeX - ankleX) > 0.15;
+        rule: {
+          left: { distance: [['leftKnee', 'rightKnee'], ['leftAnkle', 'rightAnkle']], axis: 'x' },
+          op: '>',
+          right: { segment: 'shin', scale: 0.75 }
         }
       },
       {
         id: 'asymmetric_descent',
         name: 'Asymmetric Squat Pattern',
         severity: 'medium',
+        view: 'front',
         description: 'Uneven weight distribution or hip shift',
         correction: 'Address mobility/strength imbalances. May indicate hip or ankle tightness on one side.',
         affectedJoints: [23, 24, 25, 26], // hips and knees
-        validate: (landmarks) => {
-          const leftKneeY = landmarks.leftKnee.y;
-          const rightKneeY = landmarks.rightKnee.y;
-          return Math.abs(leftKneeY - rightKneeY) > 0.08;
+        rule: {
+          left: { distance: ['leftKnee', 'rightKnee'], axis: 'y' },
+          op: '>',
+          right: { segment: 'femur', scale: 0.4 }
         }
       },
       {
         id: 'back_rounding_squat',
         name: 'Excessive Back Rounding',
         severity: 'critical',
+        view: 'side',
         description: 'Thoracic/lumbar spine flexing excessively - HIGH INJURY RISK',
         correction: 'Keep chest up, engage lats. "Proud chest" cue. May indicate weak spinal erectors or poor mobility. Lower weight if needed.',
         affectedJoints: [11, 12, 23, 24], // shoulders and hips (representing spine)
-        validate: (landmarks, angles) => {
-          if (!angles.backRounding) return false;
-          return angles.backRounding.isRounded;
-        }
+        rule: { is: { metric: 'backRounding.isRounded' } }
       },
       {
         id: 'hips_too_far_back',
         name: 'Hips Too Far Back',
         severity: 'medium',
+        view: 'side',
         description: 'Hips shifting excessively behind knees - creates inefficient squat pattern',
         correction: 'Keep hips more centered over midfoot. May need to work on ankle mobility or try squat shoes to allow more upright torso.',
         affectedJoints: [23, 24, 25, 26], // hips and knees
-        validate: (landmarks, angles) => {
-          if (!angles.hipPosition) return false;
-          return angles.hipPosition.hipsTooFarBack;
+        rule: { is: { metric: 'hipPosition.hipsTooFarBack' } }
+      },
+      {
+        id: 'bar_off_midfoot',
+        name: 'Bar Not Over Midfoot',
+        severity: 'medium',
+        view: 'side',
+        description: 'Bar drifting in front of or behind the midfoot out of the hole - shifts the load off balance',
+        correction: 'Keep the bar stacked over the middle of the foot. Brace and drive up and back into the bar rather than letting the chest fall.',
+        affectedJoints: [11, 12, 27, 28], // shoulders (bar) and ankles
+        // Reads the tracked end cap when one was marked, else the shoulders the bar sits on
+        temporal: { phase: ['bottom', 'ascent'] },
+        rule: {
+          left: { distance: ['bar', ['leftAnkle', 'rightAnkle']], axis: 'x' },
+          op: '>',
+          right: { segment: 'shin', scale: 0.5 }
         }
       }
     ]
@@ -181,6 +209,8 @@ export const EXERCISES = {
         id: 'rounded_back',
         name: 'Spinal Flexion',
         severity: 'critical',
+        view: 'side',
+        dimensions: ['2d', '3d'],
         description: 'Back rounding detected - HIGH INJURY RISK to spinal discs',
         correction: 'Maintain neutral spine at ALL times. Engage lats, chest up. Lower weight immediately if you cannot maintain position.',
         affectedJoints: [11, 12, 23, 24], // shoulders and hips
@@ -192,6 +222,7 @@ export const EXERCISES = {
         id: 'mid_back_rounding',
         name: 'Mid-Back Rounding',
         severity: 'critical',
+        view: 'side',
         description: 'Thoracic spine rounding detected - indicates loss of lat engagement and spinal stability',
         correction: '"Bend the bar" cue to engage lats. Keep chest proud, shoulders back. May need to reduce weight.',
         affectedJoints: [11, 12, 23, 24], // shoulders and hips (representing spine)
@@ -204,34 +235,42 @@ export const EXERCISES = {
         id: 'hips_too_low',
         name: 'Low Hip Position',
         severity: 'medium',
+        view: 'side',
         description: 'Hips starting too low - turning deadlift into a squat',
         correction: 'Raise hips until shoulders are slightly in front of bar. This is a hip hinge movement.',
         affectedJoints: [23, 24], // hips
-        validate: (landmarks) => {
-          const shoulderHipDist = Math.abs(landmarks.leftShoulder.y - landmarks.leftHip.y);
-          const hipKneeDist = Math.abs(landmarks.leftHip.y - landmarks.leftKnee.y);
-          return shoulderHipDist < hipKneeDist * 0.7;
-        }
+        // Judged at the floor: hips well below where this lifter's arm, femur and torso lengths put them
+        temporal: { phase: 'bottom' },
+        rule: { is: { metric: 'hipPosition.hipsTooLow' } }
       },
       {
         id: 'hips_rising_first',
         name: 'Hips Rising First',
         severity: 'high',
+        view: 'side',
+        dimensions: ['2d', '3d'],
         description: 'Hips shooting up faster than shoulders - stiff-leg deadlift pattern',
         correction: 'Push through floor while maintaining hip-shoulder angle. Cue: "Leg press the floor away".',
         affectedJoints: [11, 12, 23, 24], // shoulders and hips
-        validate: (landmarks, angles) => {
-          // Check if hip angle is opening much faster than shoulder position is rising
-          return angles.backAngle < 140 && landmarks.leftHip.y < landmarks.leftShoulder.y;
+        temporal: { phase: 'ascent' },
+        // Hip angle opening much faster than the shoulders are rising
+        rule: {
+          all: [
+            { left: { metric: 'backAngle' }, op: '<', right: 140 },
+            { left: { landmark: 'leftHip', axis: 'y' }, op: '<', right: { landmark: 'leftShoulder', axis: 'y' } }
+          ]
         }
       },
       {
         id: 'hyperextension',
         name: 'Lumbar Hyperextension',
         severity: 'medium',
+        view: 'side',
+        dimensions: ['2d', '3d'],
         description: 'Over-arching at lockout - compresses lumbar spine',
         correction: 'Finish by squeezing glutes and standing tall. Dont lean back or push hips forward excessively.',
         affectedJoints: [23, 24], // hips
+        temporal: { phase: 'top', minDurationMs: 200 },
         validate: (landmarks, angles) => {
           // At lockout, back angle should be nearly 180, not arched past it
           return angles.backAngle > 185;
@@ -241,14 +280,31 @@ export const EXERCISES = {
         id: 'shoulders_behind_bar',
         name: 'Shoulders Behind Bar',
         severity: 'medium',
+        view: 'side',
         description: 'Starting with shoulders behind the bar',
         correction: 'Shoulders should be slightly in front of or directly over the bar at start. This optimizes leverage.',
         affectedJoints: [11, 12], // shoulders
-        validate: (landmarks) => {
-          const shoulderX = (landmarks.leftShoulder.x + landmarks.rightShoulder.x) / 2;
-          const hipX = (landmarks.leftHip.x + landmarks.rightHip.x) / 2;
-          // In side view, shoulders significantly behind hips indicates too far back
-          return shoulderX > hipX + 0.1;
+        // In side view, shoulders more than ~half a torso behind the hips indicates too far back
+        rule: {
+          left: { landmark: ['leftShoulder', 'rightShoulder'], axis: 'x' },
+          op: '>',
+          right: { landmark: ['leftHip', 'rightHip'], axis: 'x', offset: { segment: 'torso', scale: 0.45 } }
+        }
+      },
+      {
+        id: 'bar_drift_deadlift',
+        name: 'Bar Drifting Away',
+        severity: 'high',
+        view: 'side',
+        description: 'Bar swinging away from the legs during the pull - loads the lower back',
+        correction: 'Drag the bar up the shins and thighs. Engage lats ("protect your armpits") to keep it over midfoot.',
+        affectedJoints: [15, 16], // wrists (bar position)
+        // Reads the tracked end cap when one was marked, else the wrists holding the bar
+        temporal: { phase: 'ascent' },
+        rule: {
+          left: { distance: ['bar', ['leftAnkle', 'rightAnkle']], axis: 'x' },
+          op: '>',
+          right: { segment: 'shin', scale: 0.5 }
         }
       }
     ]
@@ -290,11 +346,14 @@ export const EXERCISES = {
       leftHip: 23,
       rightHip: 24
     },
+    analyzers: ['asymmetry'],
     validationChecks: [
       {
         id: 'back_arch',
         name: 'Excessive Lumbar Extension',
         severity: 'high',
+        view: 'side',
+        dimensions: ['2d', '3d'],
         description: 'Excessive back arching - compresses lumbar spine under load',
         correction: 'Squeeze glutes hard, tuck hips under, keep ribs down. If arching persists, lower the weight.',
         affectedJoints: [23, 24], // hips
@@ -306,6 +365,7 @@ export const EXERCISES = {
         id: 'mid_back_rounding_press',
         name: 'Thoracic Rounding',
         severity: 'medium',
+        view: 'side',
         description: 'Upper back rounding during press - reduces pressing power and stability',
         correction: 'Keep chest proud, squeeze shoulder blades together. Think "tall spine" throughout movement.',
         affectedJoints: [11, 12, 23, 24], // shoulders and hips
@@ -318,9 +378,12 @@ export const EXERCISES = {
         id: 'incomplete_lockout',
         name: 'Incomplete Lockout',
         severity: 'medium',
+        dimensions: ['2d', '3d'],
         description: 'Not fully locking out overhead - reduces ROM and tricep activation',
         correction: 'Press until arms are fully extended and ears are in front of arms. Shrug slightly at top.',
         affectedJoints: [13, 14, 15, 16], // elbows and wrists
+        // Only the lockout counts - mid-press elbows are always bent
+        temporal: { phase: 'top', coverage: 1 },
         validate: (landmarks, angles) => {
           return angles.elbowAngle < 165;
         }
@@ -329,26 +392,29 @@ export const EXERCISES = {
         id: 'elbow_flare_press',
         name: 'Elbow Flare',
         severity: 'medium',
+        view: 'front',
         description: 'Elbows flaring out at start - reduces power and stresses shoulder',
         correction: 'Start with elbows at 45° in front of body, pointing slightly forward. Stack wrists over elbows.',
         affectedJoints: [13, 14], // elbows
-        validate: (landmarks) => {
-          const elbowWidth = Math.abs(landmarks.leftElbow.x - landmarks.rightElbow.x);
-          const shoulderWidth = Math.abs(landmarks.leftShoulder.x - landmarks.rightShoulder.x);
-          return elbowWidth > shoulderWidth * 1.3;
+        rule: {
+          left: { distance: ['leftElbow', 'rightElbow'], axis: 'x' },
+          op: '>',
+          right: { distance: ['leftShoulder', 'rightShoulder'], axis: 'x', scale: 1.3 }
         }
       },
       {
         id: 'forward_press_path',
         name: 'Forward Press Path',
         severity: 'medium',
+        view: 'side',
         description: 'Pressing the bar forward instead of straight up',
         correction: 'Move head back at start, press straight up, then move head forward under bar.',
         affectedJoints: [15, 16], // wrists
-        validate: (landmarks) => {
-          const wristX = (landmarks.leftWrist.x + landmarks.rightWrist.x) / 2;
-          const shoulderX = (landmarks.leftShoulder.x + landmarks.rightShoulder.x) / 2;
-          return wristX > shoulderX + 0.12;
+        // The tracked end cap when one was marked, else the wrists
+        rule: {
+          left: { landmark: 'bar', axis: 'x' },
+          op: '>',
+          right: { landmark: ['leftShoulder', 'rightShoulder'], axis: 'x', offset: { segment: 'upperArm', scale: 0.8 } }
         }
       },
       {
@@ -358,11 +424,11 @@ export const EXERCISES = {
         description: 'Using legs to initiate the press (turning into push press)',
         correction: 'Keep legs completely locked and still. If you need leg drive, the weight may be too heavy.',
         affectedJoints: [25, 26], // knees
-        validate: (landmarks) => {
-          // Check if knees are bending during press
-          const kneeY = (landmarks.leftKnee?.y + landmarks.rightKnee?.y) / 2;
-          const hipY = (landmarks.leftHip.y + landmarks.rightHip.y) / 2;
-          return kneeY && Math.abs(kneeY - hipY) > 0.2;
+        // Knees bending: the hip-to-knee height drops well below the standing femur length
+        rule: {
+          left: { distance: [['leftHip', 'rightHip'], ['leftKnee', 'rightKnee']], axis: 'y' },
+          op: '<',
+          right: { segment: 'femur', scale: 0.9 }
         }
       }
     ]
@@ -402,28 +468,32 @@ export const EXERCISES = {
       leftWrist: 15,
       rightWrist: 16
     },
+    analyzers: ['asymmetry'],
     validationChecks: [
       {
         id: 'elbow_flare',
         name: 'Excessive Elbow Flare',
         severity: 'high',
+        view: 'front',
         description: 'Elbows flared too wide (90°) - high shoulder injury risk',
         correction: 'Keep elbows at 45-75° from torso. Protects shoulder joint and improves power transfer.',
         affectedJoints: [13, 14], // elbows
-        validate: (landmarks, angles) => {
-          // Check elbow position relative to shoulders
-          const elbowWidth = Math.abs(landmarks.leftElbow.x - landmarks.rightElbow.x);
-          const shoulderWidth = Math.abs(landmarks.leftShoulder.x - landmarks.rightShoulder.x);
-          return elbowWidth > shoulderWidth * 1.4;
+        // Elbow width relative to the shoulders
+        rule: {
+          left: { distance: ['leftElbow', 'rightElbow'], axis: 'x' },
+          op: '>',
+          right: { distance: ['leftShoulder', 'rightShoulder'], axis: 'x', scale: 1.4 }
         }
       },
       {
         id: 'bar_bounce',
         name: 'No Pause at Bottom',
         severity: 'medium',
+        dimensions: ['2d', '3d'],
         description: 'Bouncing bar off chest - reduces muscle tension and risks sternum injury',
         correction: 'Touch chest lightly, pause briefly (1 second), then press. Control the weight.',
         affectedJoints: [15, 16], // wrists (bar position)
+        temporal: { phase: 'bottom' },
         validate: (landmarks, angles) => {
           // Hard to detect from landmarks alone - checking elbow depth
           return angles.elbowAngle < 60;
@@ -433,36 +503,40 @@ export const EXERCISES = {
         id: 'uneven_press',
         name: 'Uneven Bar Path',
         severity: 'medium',
+        view: 'front',
         description: 'One arm extending faster than the other',
         correction: 'Focus on pressing evenly. May indicate strength imbalance - add unilateral work.',
         affectedJoints: [13, 14, 15, 16], // both elbows and wrists
-        validate: (landmarks) => {
-          const leftElbowY = landmarks.leftElbow.y;
-          const rightElbowY = landmarks.rightElbow.y;
-          return Math.abs(leftElbowY - rightElbowY) > 0.08;
+        rule: {
+          left: { distance: ['leftElbow', 'rightElbow'], axis: 'y' },
+          op: '>',
+          right: { segment: 'upperArm', scale: 0.55 }
         }
       },
       {
         id: 'wrist_extension',
         name: 'Wrist Bent Back',
         severity: 'medium',
+        view: 'side',
         description: 'Wrists bent backward - strains wrist joint',
         correction: 'Keep wrists straight and stacked over forearms. Bar should sit in heel of palm.',
         affectedJoints: [15, 16], // wrists
-        validate: (landmarks) => {
-          // Check if wrists are behind elbows in horizontal plane
-          const wristX = (landmarks.leftWrist.x + landmarks.rightWrist.x) / 2;
-          const elbowX = (landmarks.leftElbow.x + landmarks.rightElbow.x) / 2;
-          return Math.abs(wristX - elbowX) > 0.1;
+        // Wrists drifting off the elbows in the horizontal plane
+        rule: {
+          left: { distance: [['leftWrist', 'rightWrist'], ['leftElbow', 'rightElbow']], axis: 'x' },
+          op: '>',
+          right: { segment: 'forearm', scale: 0.85 }
         }
       },
       {
         id: 'incomplete_lockout_bench',
         name: 'Incomplete Lockout',
         severity: 'low',
+        dimensions: ['2d', '3d'],
         description: 'Not fully extending arms at top',
         correction: 'Lock out elbows at top of each rep for full tricep activation. Dont hyperextend.',
         affectedJoints: [13, 14], // elbows
+        temporal: { phase: 'top', coverage: 1 },
         validate: (landmarks, angles) => {
           return angles.elbowAngle < 160 && angles.elbowAngle > 120;
         }
@@ -511,9 +585,11 @@ export const EXERCISES = {
         id: 'partial_rep',
         name: 'Partial Range of Motion',
         severity: 'medium',
+        dimensions: ['2d', '3d'],
         description: 'Not completing full range - chin not over bar or arms not extending',
         correction: 'Chin must clearly pass bar at top. Arms fully extended at bottom (dead hang).',
         affectedJoints: [13, 14], // elbows
+        temporal: { phase: 'bottom', coverage: 1 },
         validate: (landmarks, angles) => {
           return angles.elbowAngle > 140 && angles.elbowAngle < 170;
         }
@@ -522,50 +598,55 @@ export const EXERCISES = {
         id: 'shoulder_shrug',
         name: 'Shoulders Shrugged',
         severity: 'medium',
+        view: 'front',
         description: 'Shoulders elevated at bottom - not engaging lats properly',
         correction: 'At dead hang, actively depress shoulders (pull them down). Initiate pull with scapular depression.',
         affectedJoints: [11, 12], // shoulders
-        validate: (landmarks) => {
-          // Check if shoulders are elevated relative to ears
-          const shoulderY = (landmarks.leftShoulder.y + landmarks.rightShoulder.y) / 2;
-          const hipY = (landmarks.leftHip.y + landmarks.rightHip.y) / 2;
-          return (hipY - shoulderY) > 0.4; // Arms extended but shoulders shrugged up
+        // Arms extended but shoulders shrugged up: shoulders sit higher above the hips than the torso is long
+        rule: {
+          left: { distance: [['leftShoulder', 'rightShoulder'], ['leftHip', 'rightHip']], axis: 'y' },
+          op: '>',
+          right: { segment: 'torso', scale: 1.1 }
         }
       },
       {
         id: 'excessive_kip',
         name: 'Excessive Kipping',
         severity: 'low',
+        view: 'side',
         description: 'Using body swing/momentum instead of strict pulling',
         correction: 'Keep body still. Engage core with slight hollow position. Pull with lats, not momentum.',
         affectedJoints: [23, 24], // hips
-        validate: (landmarks) => {
-          // Check for excessive hip movement
-          const hipX = (landmarks.leftHip.x + landmarks.rightHip.x) / 2;
-          const shoulderX = (landmarks.leftShoulder.x + landmarks.rightShoulder.x) / 2;
-          return Math.abs(hipX - shoulderX) > 0.15;
+        // Hips swinging out from under the shoulders
+        rule: {
+          left: { distance: [['leftHip', 'rightHip'], ['leftShoulder', 'rightShoulder']], axis: 'x' },
+          op: '>',
+          right: { segment: 'torso', scale: 0.65 }
         }
       },
       {
         id: 'elbows_forward',
         name: 'Elbows Coming Forward',
         severity: 'medium',
+        view: 'side',
         description: 'Elbows drifting forward during pull - reduces lat activation',
         correction: 'Drive elbows DOWN and BACK, not forward. Think about putting elbows in back pockets.',
         affectedJoints: [13, 14], // elbows
-        validate: (landmarks) => {
-          const elbowX = (landmarks.leftElbow.x + landmarks.rightElbow.x) / 2;
-          const shoulderX = (landmarks.leftShoulder.x + landmarks.rightShoulder.x) / 2;
-          return elbowX > shoulderX + 0.1;
+        rule: {
+          left: { landmark: ['leftElbow', 'rightElbow'], axis: 'x' },
+          op: '>',
+          right: { landmark: ['leftShoulder', 'rightShoulder'], axis: 'x', offset: { segment: 'upperArm', scale: 0.65 } }
         }
       },
       {
         id: 'chin_not_over',
         name: 'Chin Not Over Bar',
         severity: 'medium',
+        dimensions: ['2d', '3d'],
         description: 'Not pulling high enough - chin below bar level',
         correction: 'Pull until chin clearly passes bar height. Squeeze at top for 1 second.',
         affectedJoints: [11, 12, 13, 14], // shoulders and elbows
+        temporal: { phase: 'top', coverage: 1 },
         validate: (landmarks, angles) => {
           // At peak contraction, elbows should be very bent
           return angles.elbowAngle > 90 && angles.elbowAngle < 120;
@@ -588,6 +669,99 @@ export const EXERCISE_CATEGORIES = {
   }
 };
 
+// User-defined exercises, registered at runtime from storage (see registerCustomExercises)
+let customExercises = [];
+
+/**
+ * Landmarks a custom exercise can require, by name -> MediaPipe index
+ */
+export const CUSTOM_EXERCISE_LANDMARKS = {
+  nose: 0,
+  leftShoulder: 11,
+  rightShoulder: 12,
+  leftElbow: 13,
+  rightElbow: 14,
+  leftWrist: 15,
+  rightWrist: 16,
+  leftHip: 23,
+  rightHip: 24,
+  leftKnee: 25,
+  rightKnee: 26,
+  leftAnkle: 27,
+  rightAnkle: 28
+};
+
+/**
+ * Signals RepCountingService.extractMetric can count reps from
+ */
+export const REP_COUNTING_METRICS = [
+  { id: 'hipHeight', label: 'Hip height' },
+  { id: 'shoulderHeight', label: 'Shoulder height' },
+  { id: 'wristHeight', label: 'Wrist height' },
+  { id: 'elbowHeight', label: 'Elbow height' },
+  { id: 'chinHeight', label: 'Head height' },
+  { id: 'kneeAngle', label: 'Knee angle' }
+];
+
+/**
+ * Metrics PoseAnalysisService.analyzeGeneric provides to custom exercise rules
+ * type 'angle' values are degrees, 'flag' values are booleans
+ */
+export const CUSTOM_EXERCISE_METRICS = [
+  { id: 'kneeAngle', label: 'Knee angle (avg)', type: 'angle' },
+  { id: 'leftKneeAngle', label: 'Left knee angle', type: 'angle' },
+  { id: 'rightKneeAngle', label: 'Right knee angle', type: 'angle' },
+  { id: 'hipAngle', label: 'Hip angle (shoulder-hip-knee)', type: 'angle' },
+  { id: 'asymmetry', label: 'Left/right knee difference', type: 'angle' },
+  { id: 'elbowAngle', label: 'Elbow angle (avg)', type: 'angle' },
+  { id: 'leftElbowAngle', label: 'Left elbow angle', type: 'angle' },
+  { id: 'rightElbowAngle', label: 'Right elbow angle', type: 'angle' },
+  { id: 'shoulderAngle', label: 'Shoulder angle (hip-shoulder-elbow)', type: 'angle' },
+  { id: 'bodyAngle', label: 'Torso angle from vertical', type: 'angle' },
+  { id: 'backRounding.isRounded', label: 'Back rounded', type: 'flag' },
+  { id: 'hipPosition.hipsTooFarBack', label: 'Hips too far back', type: 'flag' }
+];
+
+const CATEGORY_META = {
+  lower_body: { name: 'Lower Body', color: 'red' },
+  upper_body: { name: 'Upper Body', color: 'orange' },
+  full_body: { name: 'Full Body', color: 'purple' }
+};
+
+export const EXERCISE_CATEGORY_OPTIONS = Object.entries(CATEGORY_META).map(([id, meta]) => ({
+  id,
+  name: meta.name
+}));
+
+/**
+ * Replace the set of custom exercises (called at startup and after edits)
+ */
+export const registerCustomExercises = (exercises = []) => {
+  customExercises = exercises.filter(ex => ex && ex.id);
+};
+
+export const getCustomExercises = () => customExercises;
+
+/**
+ * Built-in and custom exercises together
+ */
+export const getAllExercises = () => [...Object.values(EXERCISES), ...customExercises];
+
+/**
+ * Categories with their exercises, including custom ones; empty categories are omitted
+ */
+export const getExerciseCategories = () => {
+  const all = getAllExercises();
+  const categories = {};
+  Object.entries(CATEGORY_META).forEach(([key, meta]) => {
+    const exercises = all.filter(e => e.category === key);
+    if (exercises.length > 0) {
+      categories[key] = { ...meta, exercises };
+    }
+  });
+  return categories;
+};
+
 export const getExerciseById = (id) => {
-  return Object.values(EXERCISES).find(ex => ex.id === id);
+  return getAllExercises().find(ex => ex.id === id);
 };
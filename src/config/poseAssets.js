@@ -0,0 +1,40 @@
+// Pose model asset configuration - where the MediaPipe runtime and model files are served from
+// Defaults to the app's own origin (copied into public/ by scripts/copy-pose-assets.js)
+
+export const POSE_CDN_BASE_URL = 'https://cdn.jsdelivr.net/npm/@mediapipe/pose/';
+
+export const POSE_LOCAL_BASE_URL = `${process.env.PUBLIC_URL || ''}/mediapipe/pose/`;
+
+// 'local' (default) serves from this origin; 'cdn' restores the old jsDelivr behaviour
+export const POSE_ASSET_SOURCE = process.env.REACT_APP_POSE_ASSET_SOURCE || 'local';
+
+export const POSE_ASSET_BASE_URL =
+  process.env.REACT_APP_POSE_ASSET_BASE_URL ||
+  (POSE_ASSET_SOURCE === 'cdn' ? POSE_CDN_BASE_URL : POSE_LOCAL_BASE_URL);
+
+// Cache Storage bucket shared with public/service-worker.js
+export const POSE_ASSET_CACHE = 'pose-assets-v1';
+
+// Files MediaPipe fetches for modelComplexity 1 (full landmark model), plus the runtime script and
+// the non-SIMD wasm build pose.js falls back to on browsers without wasm SIMD
+export const POSE_MODEL_FILES = [
+  'pose.js',
+  'pose_solution_packed_assets_loader.js',
+  'pose_solution_simd_wasm_bin.js',
+  'pose_solution_simd_wasm_bin.wasm',
+  'pose_solution_wasm_bin.js',
+  'pose_solution_wasm_bin.wasm',
+  'pose_solution_packed_assets.data',
+  'pose_web.binarypb',
+  'pose_landmark_full.tflite'
+];
+
+export const resolvePoseAsset = (file) => `${POSE_ASSET_BASE_URL}${file}`;
+
+// MediaPipe Tasks (PoseLandmarker) assets - used by the worker-compatible backend
+export const POSE_TASKS_BASE_URL =
+  process.env.REACT_APP_POSE_TASKS_BASE_URL || `${process.env.PUBLIC_URL || ''}/mediapipe/tasks/`;
+
+export const POSE_TASKS_WASM_URL = `${POSE_TASKS_BASE_URL}wasm`;
+
+export const POSE_LANDMARKER_MODEL_URL = `${POSE_TASKS_BASE_URL}pose_landmarker_full.task`;
@@ -0,0 +1,343 @@
+import React, { useState, useRef, useEffect } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Heading,
+  Button,
+  VStack,
+  HStack,
+  Text,
+  Card,
+  CardBody,
+  CardHeader,
+  Badge,
+  Progress,
+  AspectRatio,
+  SimpleGrid,
+  Stat,
+  StatLabel,
+  StatNumber,
+  StatHelpText,
+  NumberInput,
+  NumberInputField,
+  useToast
+} from '@chakra-ui/react';
+import { FaArrowLeft, FaCamera, FaRulerVertical, FaUndo } from 'react-icons/fa';
+import poseAnalysisService from '../services/poseAnalysis';
+import calibrationService, { DEFAULT_PROPORTIONS } from '../services/calibration';
+import storageService from '../services/storage';
+
+// Standing capture length and sampling interval
+const CAPTURE_MS = 3000;
+const SAMPLE_INTERVAL_MS = 100;
+
+const SEGMENT_LABELS = {
+  torso: 'Torso',
+  femur: 'Femur',
+  shin: 'Shin',
+  upperArm: 'Upper Arm',
+  forearm: 'Forearm'
+};
+
+const CalibrationPage = () => {
+  const navigate = useNavigate();
+  const toast = useToast();
+
+  const [calibration, setCalibration] = useState(() => storageService.getUserProfile().bodyCalibration || null);
+  const [measurement, setMeasurement] = useState(null);
+  const [cameraOn, setCameraOn] = useState(false);
+  const [capturing, setCapturing] = useState(false);
+  const [captureProgress, setCaptureProgress] = useState(0);
+  const [heightCm, setHeightCm] = useState(() => storageService.getUserProfile().heightCm?.toString() || '');
+
+  const videoRef = useRef(null);
+  const canvasRef = useRef(null);
+  const streamRef = useRef(null);
+
+  // Release the camera when leaving the page
+  useEffect(() => {
+    return () => {
+      if (streamRef.current) {
+        streamRef.current.getTracks().forEach(track => track.stop());
+      }
+    };
+  }, []);
+
+  const startCamera = async () => {
+    try {
+      const stream = await navigator.mediaDevices.getUserMedia({
+        video: { facingMode: 'user', width: { ideal: 1280 }, height: { ideal: 720 } },
+        audio: false
+      });
+      streamRef.current = stream;
+      setCameraOn(true);
+
+      requestAnimationFrame(() => {
+        if (videoRef.current) {
+          videoRef.current.srcObject = stream;
+          videoRef.current.onloadedmetadata = () => {
+            videoRef.current.play().catch(err => console.error('Error playing video:', err));
+          };
+        }
+      });
+    } catch (err) {
+      console.error('Camera error:', err);
+      toast({
+        title: 'Camera Access Denied',
+        description: 'Please enable camera permissions to calibrate.',
+        status: 'error',
+        duration: 5000
+      });
+    }
+  };
+
+  const grabFrame = async () => {
+    const video = videoRef.current;
+    const canvas = document.createElement('canvas');
+    canvas.width = video.videoWidth || 640;
+    canvas.height = video.videoHeight || 480;
+    const ctx = canvas.getContext('2d');
+    ctx.drawImage(video, 0, 0, canvas.width, canvas.height);
+    const results = await poseAnalysisService.analyzeFrame(ctx.getImageData(0, 0, canvas.width, canvas.height));
+
+    // Show what the model sees so the lifter can step back until everything is tracked
+    if (canvasRef.current) {
+      canvasRef.current.width = canvas.width;
+      canvasRef.current.height = canvas.height;
+      canvasRef.current.getContext('2d').clearRect(0, 0, canvas.width, canvas.height);
+      if (results?.poseLandmarks) {
+        poseAnalysisService.drawSkeleton(canvasRef.current, results.poseLandmarks, []);
+      }
+    }
+    return results;
+  };
+
+  const captureStanding = async () => {
+    if (!videoRef.current) return;
+    setCapturing(true);
+    setMeasurement(null);
+    setCaptureProgress(0);
+
+    const frames = [];
+    const start = performance.now();
+    try {
+      while (performance.now() - start < CAPTURE_MS) {
+        const results = await grabFrame();
+        if (results?.poseLandmarks) {
+          frames.push({
+            landmarks: results.poseLandmarks,
+            worldLandmarks: results.poseWorldLandmarks,
+            aspectRatio: (videoRef.current.videoWidth || 640) / (videoRef.current.videoHeight || 480)
+          });
+        }
+        setCaptureProgress(Math.min(100, ((performance.now() - start) / CAPTURE_MS) * 100));
+        await new Promise(resolve => setTimeout(resolve, SAMPLE_INTERVAL_MS));
+      }
+
+      setMeasurement(calibrationService.measureSegments(frames));
+    } catch (err) {
+      console.error('Calibration failed:', err);
+      toast({
+        title: 'Calibration Failed',
+        description: err.message,
+        status: 'warning',
+        duration: 5000
+      });
+    } finally {
+      setCapturing(false);
+      setCaptureProgress(100);
+    }
+  };
+
+  const saveCalibration = () => {
+    const profile = storageService.getUserProfile();
+    storageService.updateUserProfile({ ...profile, bodyCalibration: measurement });
+    calibrationService.setCalibration(measurement);
+    setCalibration(measurement);
+    setMeasurement(null);
+    toast({
+      title: 'Calibration Saved',
+      description: 'Form checks now scale to your body proportions.',
+      status: 'success',
+      duration: 3000
+    });
+  };
+
+  const resetCalibration = () => {
+    const { bodyCalibration, ...profile } = storageService.getUserProfile();
+    storageService.updateUserProfile(profile);
+    calibrationService.setCalibration(null);
+    setCalibration(null);
+    toast({
+      title: 'Calibration Reset',
+      description: 'Using average body proportions.',
+      status: 'info',
+      duration: 3000
+    });
+  };
+
+  // Height turns bar speeds into m/s (velocityService); proportions alone are unitless
+  const saveHeight = () => {
+    const height = parseFloat(heightCm);
+    const profile = storageService.getUserProfile();
+    if (height > 0) {
+      storageService.updateUserProfile({ ...profile, heightCm: height });
+    } else {
+      const { heightCm: removed, ...rest } = profile;
+      storageService.updateUserProfile(rest);
+    }
+    toast({
+      title: height > 0 ? 'Height Saved' : 'Height Cleared',
+      description: height > 0 ? 'Bar speeds will be reported in m/s.' : 'Bar speeds will be reported in body lengths per second.',
+      status: 'success',
+      duration: 3000
+    });
+  };
+
+  const renderProportions = (proportions, lengths, units) => (
+    <SimpleGrid columns={{ base: 2, md: 5 }} spacing={4}>
+      {Object.entries(SEGMENT_LABELS).map(([segment, label]) => (
+        <Stat key={segment}>
+          <StatLabel color="gray.400">{label}</StatLabel>
+          <StatNumber color="white" fontSize="xl">
+            {proportions?.[segment] !== undefined ? `${Math.round(proportions[segment] * 100)}%` : '-'}
+          </StatNumber>
+          <StatHelpText color="gray.500" mb={0}>
+            {units === 'm' && lengths?.[segment] !== undefined
+              ? `${Math.round(lengths[segment] * 100)} cm`
+              : `avg ${Math.round(DEFAULT_PROPORTIONS[segment] * 100)}%`}
+          </StatHelpText>
+        </Stat>
+      ))}
+    </SimpleGrid>
+  );
+
+  return (
+    <Container maxW="container.lg" py={8}>
+      <VStack spacing={6} align="stretch">
+        <HStack justify="space-between">
+          <Button leftIcon={<FaArrowLeft />} variant="ghost" colorScheme="gray" onClick={() => navigate('/')}>
+            Back
+          </Button>
+          <Badge colorScheme={calibration ? 'green' : 'gray'} px={3} py={1}>
+            {calibration ? 'Calibrated' : 'Not calibrated'}
+          </Badge>
+        </HStack>
+
+        <Box>
+          <Heading size="xl" color="white" mb={2}>
+            Body Calibration
+          </Heading>
+          <Text color="gray.400">
+            Form checks compare distances against your own segment lengths. Stand upright, facing the
+            camera with your whole body in view, and hold still for {CAPTURE_MS / 1000} seconds.
+          </Text>
+        </Box>
+
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader pb={0}>
+            <Heading size="md" color="white">
+              Current Proportions
+            </Heading>
+            <Text fontSize="sm" color="gray.500">
+              {calibration
+                ? `Share of shoulder-to-ankle length · measured ${new Date(calibration.calibratedAt).toLocaleDateString()}`
+                : 'Average proportions - calibrate to use your own'}
+            </Text>
+          </CardHeader>
+          <CardBody>
+            {renderProportions(calibration?.proportions || DEFAULT_PROPORTIONS, calibration?.lengths, calibration?.units)}
+            {calibration && (
+              <Button mt={4} size="sm" variant="outline" colorScheme="gray" leftIcon={<FaUndo />} onClick={resetCalibration}>
+                Reset to Average
+              </Button>
+            )}
+          </CardBody>
+        </Card>
+
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader pb={0}>
+            <Heading size="md" color="white">
+              Your Height
+            </Heading>
+            <Text fontSize="sm" color="gray.500">
+              Used to report bar speed in m/s for velocity-based training
+            </Text>
+          </CardHeader>
+          <CardBody>
+            <HStack>
+              <NumberInput value={heightCm} onChange={setHeightCm} min={0} max={250} maxW="160px">
+                <NumberInputField bg="gray.900" placeholder="Height (cm)" />
+              </NumberInput>
+              <Text color="gray.400">cm</Text>
+              <Button size="sm" onClick={saveHeight}>
+                Save
+              </Button>
+            </HStack>
+          </CardBody>
+        </Card>
+
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardBody>
+            <VStack spacing={4} align="stretch">
+              {cameraOn ? (
+                <AspectRatio ratio={16 / 9} bg="black" borderRadius="md" overflow="hidden">
+                  <Box position="relative">
+                    <video
+                      ref={videoRef}
+                      playsInline
+                      muted
+                      style={{ width: '100%', height: '100%', objectFit: 'contain' }}
+                    />
+                    <canvas
+                      ref={canvasRef}
+                      style={{ position: 'absolute', top: 0, left: 0, width: '100%', height: '100%', objectFit: 'contain' }}
+                    />
+                  </Box>
+                </AspectRatio>
+              ) : (
+                <Button leftIcon={<FaCamera />} size="lg" onClick={startCamera}>
+                  Start Camera
+                </Button>
+              )}
+
+              {cameraOn && (
+                <Button
+                  leftIcon={<FaRulerVertical />}
+                  size="lg"
+                  onClick={captureStanding}
+                  isLoading={capturing}
+                  loadingText="Hold still..."
+                >
+                  Capture Standing Pose
+                </Button>
+              )}
+
+              {capturing && <Progress value={captureProgress} size="sm" colorScheme="red" borderRadius="md" />}
+
+              {measurement && (
+                <Box>
+                  <Text color="gray.400" fontSize="sm" mb={3}>
+                    Measured from {measurement.frameCount} standing frames
+                  </Text>
+                  {renderProportions(measurement.proportions, measurement.lengths, measurement.units)}
+                  <HStack mt={4}>
+                    <Button colorScheme="green" onClick={saveCalibration}>
+                      Save Calibration
+                    </Button>
+                    <Button variant="ghost" colorScheme="gray" onClick={() => setMeasurement(null)}>
+                      Discard
+                    </Button>
+                  </HStack>
+                </Box>
+              )}
+            </VStack>
+          </CardBody>
+        </Card>
+      </VStack>
+    </Container>
+  );
+};
+
+export default CalibrationPage;
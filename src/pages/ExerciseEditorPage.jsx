@@ -0,0 +1,650 @@
+import React, { useState, useEffect } from 'react';
+import { useParams, useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Heading,
+  Button,
+  VStack,
+  HStack,
+  Text,
+  Card,
+  CardBody,
+  CardHeader,
+  Input,
+  Textarea,
+  Select,
+  Checkbox,
+  SimpleGrid,
+  FormControl,
+  FormLabel,
+  FormHelperText,
+  NumberInput,
+  NumberInputField,
+  RadioGroup,
+  Radio,
+  IconButton,
+  Switch,
+  Flex,
+  useToast
+} from '@chakra-ui/react';
+import { FaTimes, FaPlus, FaTrash, FaSave } from 'react-icons/fa';
+import {
+  CUSTOM_EXERCISE_LANDMARKS,
+  CUSTOM_EXERCISE_METRICS,
+  REP_COUNTING_METRICS,
+  EXERCISE_CATEGORY_OPTIONS,
+  getAllExercises,
+  getExerciseById,
+  registerCustomExercises
+} from '../config/exercises';
+import ruleEngineService from '../services/ruleEngine';
+import storageService from '../services/storage';
+
+const OPERATORS = ['<', '<=', '>', '>='];
+const SEVERITIES = ['critical', 'high', 'medium', 'low'];
+
+// Joints highlighted on the skeleton when a metric's check fires
+const METRIC_JOINTS = {
+  kneeAngle: [25, 26],
+  leftKneeAngle: [25],
+  rightKneeAngle: [26],
+  hipAngle: [23, 24],
+  asymmetry: [25, 26],
+  elbowAngle: [13, 14],
+  leftElbowAngle: [13],
+  rightElbowAngle: [14],
+  shoulderAngle: [11, 12],
+  bodyAngle: [11, 12, 23, 24],
+  'backRounding.isRounded': [11, 12, 23, 24],
+  'hipPosition.hipsTooFarBack': [23, 24, 25, 26]
+};
+
+const emptyCondition = () => ({ metric: 'kneeAngle', op: '>', value: 90 });
+
+const emptyCheck = () => ({
+  name: '',
+  severity: 'medium',
+  description: '',
+  correction: '',
+  combinator: 'all',
+  conditions: [emptyCondition()],
+  advanced: false,
+  ruleText: ''
+});
+
+const slugify = (text) =>
+  text.toLowerCase().trim().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+const metricType = (metricId) =>
+  CUSTOM_EXERCISE_METRICS.find(m => m.id === metricId)?.type || 'angle';
+
+/**
+ * Builder conditions -> rule DSL
+ */
+const conditionsToRule = (conditions, combinator) => {
+  const rules = conditions.map(c =>
+    metricType(c.metric) === 'flag'
+      ? { is: { metric: c.metric } }
+      : { left: { metric: c.metric }, op: c.op, right: Number(c.value) }
+  );
+  return rules.length === 1 ? rules[0] : { [combinator]: rules };
+};
+
+/**
+ * Rule DSL -> builder conditions, or null when the rule is too complex for the builder
+ */
+const ruleToConditions = (rule) => {
+  const toCondition = (node) => {
+    if (node?.is?.metric) return { metric: node.is.metric, op: '>', value: 0 };
+    if (node?.left?.metric && OPERATORS.includes(node.op) && typeof node.right === 'number') {
+      return { metric: node.left.metric, op: node.op, value: node.right };
+    }
+    return null;
+  };
+
+  const combinator = rule?.all ? 'all' : rule?.any ? 'any' : 'all';
+  const nodes = rule?.all || rule?.any || [rule];
+  const conditions = nodes.map(toCondition);
+  return conditions.every(Boolean) ? { combinator, conditions } : null;
+};
+
+/**
+ * Metrics referenced anywhere in a rule, used to pick the joints to highlight
+ */
+const collectRuleMetrics = (node, found = new Set()) => {
+  if (!node || typeof node !== 'object') return found;
+  if (typeof node.metric === 'string') found.add(node.metric);
+  Object.values(node).forEach(child => {
+    if (Array.isArray(child)) child.forEach(c => collectRuleMetrics(c, found));
+    else if (typeof child === 'object') collectRuleMetrics(child, found);
+  });
+  return found;
+};
+
+/**
+ * Whether a rule reads raw landmark positions (image-space geometry)
+ */
+const usesLandmarkGeometry = (node) => {
+  if (!node || typeof node !== 'object') return false;
+  if ('landmark' in node || 'distance' in node) return true;
+  return Object.values(node).some(child =>
+    Array.isArray(child) ? child.some(usesLandmarkGeometry) : usesLandmarkGeometry(child)
+  );
+};
+
+/**
+ * Rules built only from joint angles also hold in 3D (camera-invariant) mode
+ */
+const ruleDimensions = (rule) => {
+  const metrics = [...collectRuleMetrics(rule)];
+  const anglesOnly = metrics.length > 0 && metrics.every(metric => CUSTOM_EXERCISE_METRICS.find(m => m.id === metric)?.type === 'angle');
+  return anglesOnly && !usesLandmarkGeometry(rule) ? ['2d', '3d'] : ['2d'];
+};
+
+const checkFromDefinition = (check) => {
+  const builder = ruleToConditions(check.rule);
+  return {
+    id: check.id,
+    name: check.name,
+    severity: check.severity,
+    description: check.description || '',
+    correction: check.correction || '',
+    combinator: builder?.combinator || 'all',
+    conditions: builder?.conditions || [emptyCondition()],
+    advanced: !builder,
+    ruleText: JSON.stringify(check.rule, null, 2)
+  };
+};
+
+const ExerciseEditorPage = () => {
+  const { exerciseId } = useParams();
+  const navigate = useNavigate();
+  const toast = useToast();
+  const isEditing = !!exerciseId;
+
+  const [name, setName] = useState('');
+  const [icon, setIcon] = useState('💪');
+  const [category, setCategory] = useState('full_body');
+  const [description, setDescription] = useState('');
+  const [formTips, setFormTips] = useState('');
+  const [landmarks, setLandmarks] = useState(['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip']);
+  const [repMetric, setRepMetric] = useState('hipHeight');
+  const [repFallbackMetric, setRepFallbackMetric] = useState('');
+  const [repDirection, setRepDirection] = useState('down');
+  const [repThreshold, setRepThreshold] = useState('0.1');
+  const [checks, setChecks] = useState([emptyCheck()]);
+
+  useEffect(() => {
+    if (!isEditing) return;
+
+    const exercise = getExerciseById(exerciseId);
+    if (!exercise?.custom) {
+      toast({ title: 'Custom exercise not found', status: 'error', duration: 3000 });
+      navigate('/');
+      return;
+    }
+
+    setName(exercise.name);
+    setIcon(exercise.icon || '💪');
+    setCategory(exercise.category);
+    setDescription(exercise.description || '');
+    setFormTips((exercise.formTips || []).join('\n'));
+    setLandmarks(Object.keys(exercise.landmarks || {}));
+    setRepMetric(exercise.repCounting?.metric || 'hipHeight');
+    setRepFallbackMetric(exercise.repCounting?.fallbackMetric || '');
+    setRepDirection(exercise.repCounting?.direction || 'down');
+    setRepThreshold(String(exercise.repCounting?.threshold ?? 0.1));
+    setChecks((exercise.validationChecks || []).map(checkFromDefinition));
+  }, [exerciseId, isEditing, navigate, toast]);
+
+  const updateCheck = (index, changes) => {
+    setChecks(prev => prev.map((check, i) => (i === index ? { ...check, ...changes } : check)));
+  };
+
+  const updateCondition = (checkIndex, conditionIndex, changes) => {
+    const conditions = checks[checkIndex].conditions.map((c, i) =>
+      i === conditionIndex ? { ...c, ...changes } : c
+    );
+    updateCheck(checkIndex, { conditions });
+  };
+
+  const toggleAdvanced = (index) => {
+    const check = checks[index];
+    if (!check.advanced) {
+      updateCheck(index, {
+        advanced: true,
+        ruleText: JSON.stringify(conditionsToRule(check.conditions, check.combinator), null, 2)
+      });
+      return;
+    }
+
+    // Back to the builder only if the JSON still fits it
+    try {
+      const builder = ruleToConditions(JSON.parse(check.ruleText));
+      if (!builder) throw new Error('Rule is too complex for the simple editor');
+      updateCheck(index, { advanced: false, ...builder });
+    } catch (err) {
+      toast({ title: 'Cannot switch editors', description: err.message, status: 'warning', duration: 4000 });
+    }
+  };
+
+  const toggleLandmark = (landmarkName) => {
+    setLandmarks(prev =>
+      prev.includes(landmarkName) ? prev.filter(l => l !== landmarkName) : [...prev, landmarkName]
+    );
+  };
+
+  /**
+   * Build the stored definition; returns { exercise } or { error }
+   */
+  const buildDefinition = () => {
+    if (!name.trim()) return { error: 'Give the exercise a name' };
+    if (landmarks.length === 0) return { error: 'Select at least one required landmark' };
+
+    const threshold = parseFloat(repThreshold);
+    if (!Number.isFinite(threshold) || threshold <= 0) {
+      return { error: 'Rep threshold must be a positive number' };
+    }
+
+    // Names without Latin letters or digits slugify to nothing - give those a unique id instead
+    const slug = slugify(name);
+    const id = isEditing
+      ? exerciseId
+      : slug ? `custom_${slug}` : `custom_exercise_${Date.now().toString(36)}`;
+    if (!isEditing && getAllExercises().some(e => e.id === id)) {
+      return { error: 'An exercise with this name already exists' };
+    }
+
+    const validationChecks = [];
+    for (let i = 0; i < checks.length; i++) {
+      const check = checks[i];
+      if (!check.name.trim()) return { error: `Check ${i + 1} needs a name` };
+
+      let rule;
+      if (check.advanced) {
+        try {
+          rule = JSON.parse(check.ruleText);
+        } catch (err) {
+          return { error: `Check "${check.name}": rule is not valid JSON` };
+        }
+      } else {
+        rule = conditionsToRule(check.conditions, check.combinator);
+      }
+
+      const problems = ruleEngineService.validateRule(rule);
+      if (problems.length > 0) {
+        return { error: `Check "${check.name}": ${problems[0]}` };
+      }
+
+      const joints = new Set();
+      collectRuleMetrics(rule).forEach(metric => (METRIC_JOINTS[metric] || []).forEach(j => joints.add(j)));
+
+      validationChecks.push({
+        id: check.id || `${slugify(check.name)}_${i}`,
+        name: check.name.trim(),
+        severity: check.severity,
+        description: check.description.trim(),
+        correction: check.correction.trim(),
+        affectedJoints: [...joints],
+        dimensions: ruleDimensions(rule),
+        rule
+      });
+    }
+
+    return {
+      exercise: {
+        id,
+        name: name.trim(),
+        icon: icon || '💪',
+        category,
+        description: description.trim(),
+        musclesTargeted: [],
+        commonMistakes: validationChecks.map(c => c.name),
+        formTips: formTips.split('\n').map(t => t.trim()).filter(Boolean),
+        landmarks: Object.fromEntries(landmarks.map(l => [l, CUSTOM_EXERCISE_LANDMARKS[l]])),
+        repCounting: {
+          metric: repMetric,
+          fallbackMetric: repFallbackMetric || null,
+          threshold,
+          direction: repDirection
+        },
+        validationChecks,
+        custom: true
+      }
+    };
+  };
+
+  const handleSave = () => {
+    const { exercise, error } = buildDefinition();
+    if (error) {
+      toast({ title: 'Cannot save exercise', description: error, status: 'error', duration: 4000 });
+      return;
+    }
+
+    storageService.saveCustomExercise(exercise);
+    registerCustomExercises(storageService.getCustomExercises());
+    toast({ title: `${exercise.name} saved`, status: 'success', duration: 2000 });
+    navigate(`/record/${exercise.id}`);
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this exercise? Workouts recorded with it will no longer show in History.')) return;
+    storageService.deleteCustomExercise(exerciseId);
+    registerCustomExercises(storageService.getCustomExercises());
+    navigate('/');
+  };
+
+  return (
+    <Container maxW="container.md" py={8}>
+      <VStack spacing={6} align="stretch">
+        <Flex justify="space-between" align="center">
+          <Heading size="xl" color="white">
+            {isEditing ? 'Edit Exercise' : 'New Exercise'}
+          </Heading>
+          <Button leftIcon={<FaTimes />} variant="ghost" onClick={() => navigate('/')}>
+            Cancel
+          </Button>
+        </Flex>
+
+        {/* Basics */}
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader>
+            <Heading size="md" color="white">Details</Heading>
+          </CardHeader>
+          <CardBody>
+            <VStack spacing={4} align="stretch">
+              <HStack spacing={4} align="flex-end">
+                <FormControl w="80px">
+                  <FormLabel color="gray.300">Icon</FormLabel>
+                  <Input value={icon} onChange={(e) => setIcon(e.target.value)} maxLength={4} bg="gray.900" />
+                </FormControl>
+                <FormControl isRequired>
+                  <FormLabel color="gray.300">Name</FormLabel>
+                  <Input
+                    value={name}
+                    onChange={(e) => setName(e.target.value)}
+                    placeholder="e.g. Goblet Squat"
+                    bg="gray.900"
+                  />
+                </FormControl>
+              </HStack>
+              <FormControl>
+                <FormLabel color="gray.300">Category</FormLabel>
+                <Select value={category} onChange={(e) => setCategory(e.target.value)} bg="gray.900">
+                  {EXERCISE_CATEGORY_OPTIONS.map(option => (
+                    <option key={option.id} value={option.id}>{option.name}</option>
+                  ))}
+                </Select>
+              </FormControl>
+              <FormControl>
+                <FormLabel color="gray.300">Description</FormLabel>
+                <Input value={description} onChange={(e) => setDescription(e.target.value)} bg="gray.900" />
+              </FormControl>
+              <FormControl>
+                <FormLabel color="gray.300">Form tips</FormLabel>
+                <Textarea
+                  value={formTips}
+                  onChange={(e) => setFormTips(e.target.value)}
+                  placeholder="One tip per line"
+                  bg="gray.900"
+                  rows={3}
+                />
+              </FormControl>
+            </VStack>
+          </CardBody>
+        </Card>
+
+        {/* Required landmarks */}
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader>
+            <Heading size="md" color="white">Required Landmarks</Heading>
+            <Text color="gray.500" fontSize="sm">
+              Body points that must be visible; analysis confidence drops when they are not
+            </Text>
+          </CardHeader>
+          <CardBody>
+            <SimpleGrid columns={{ base: 2, md: 3 }} spacing={2}>
+              {Object.keys(CUSTOM_EXERCISE_LANDMARKS).map(landmarkName => (
+                <Checkbox
+                  key={landmarkName}
+                  isChecked={landmarks.includes(landmarkName)}
+                  onChange={() => toggleLandmark(landmarkName)}
+                  colorScheme="red"
+                >
+                  <Text color="gray.300" fontSize="sm">{landmarkName}</Text>
+                </Checkbox>
+              ))}
+            </SimpleGrid>
+          </CardBody>
+        </Card>
+
+        {/* Rep counting */}
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader>
+            <Heading size="md" color="white">Rep Counting</Heading>
+          </CardHeader>
+          <CardBody>
+            <VStack spacing={4} align="stretch">
+              <SimpleGrid columns={{ base: 1, md: 2 }} spacing={4}>
+                <FormControl>
+                  <FormLabel color="gray.300">Track</FormLabel>
+                  <Select value={repMetric} onChange={(e) => setRepMetric(e.target.value)} bg="gray.900">
+                    {REP_COUNTING_METRICS.map(m => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel color="gray.300">Fallback</FormLabel>
+                  <Select
+                    value={repFallbackMetric}
+                    onChange={(e) => setRepFallbackMetric(e.target.value)}
+                    bg="gray.900"
+                  >
+                    <option value="">None</option>
+                    {REP_COUNTING_METRICS.filter(m => m.id !== repMetric).map(m => (
+                      <option key={m.id} value={m.id}>{m.label}</option>
+                    ))}
+                  </Select>
+                </FormControl>
+              </SimpleGrid>
+              <FormControl>
+                <FormLabel color="gray.300">Each rep starts by moving</FormLabel>
+                <RadioGroup value={repDirection} onChange={setRepDirection}>
+                  <HStack spacing={6}>
+                    <Radio value="down" colorScheme="red">Down (squat-like)</Radio>
+                    <Radio value="up" colorScheme="red">Up (press-like)</Radio>
+                  </HStack>
+                </RadioGroup>
+              </FormControl>
+              <FormControl>
+                <FormLabel color="gray.300">Minimum movement</FormLabel>
+                <NumberInput value={repThreshold} onChange={setRepThreshold} min={0.01} max={1} step={0.01}>
+                  <NumberInputField bg="gray.900" />
+                </NumberInput>
+                <FormHelperText color="gray.500">
+                  Fraction of the frame height a rep must travel (0.1 = 10%)
+                </FormHelperText>
+              </FormControl>
+            </VStack>
+          </CardBody>
+        </Card>
+
+        {/* Validation checks */}
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader>
+            <Flex justify="space-between" align="center">
+              <Heading size="md" color="white">Form Checks</Heading>
+              <Button
+                size="sm"
+                leftIcon={<FaPlus />}
+                variant="outline"
+                onClick={() => setChecks(prev => [...prev, emptyCheck()])}
+              >
+                Add Check
+              </Button>
+            </Flex>
+          </CardHeader>
+          <CardBody>
+            <VStack spacing={6} align="stretch">
+              {checks.length === 0 && (
+                <Text color="gray.500" fontSize="sm">
+                  No checks yet - reps will be counted but form will not be graded.
+                </Text>
+              )}
+              {checks.map((check, checkIndex) => (
+                <Box key={checkIndex} bg="gray.900" p={4} borderRadius="md" borderWidth="1px" borderColor="gray.700">
+                  <VStack spacing={3} align="stretch">
+                    <HStack>
+                      <Input
+                        value={check.name}
+                        onChange={(e) => updateCheck(checkIndex, { name: e.target.value })}
+                        placeholder="Check name, e.g. Shallow Depth"
+                        bg="gray.800"
+                      />
+                      <Select
+                        value={check.severity}
+                        onChange={(e) => updateCheck(checkIndex, { severity: e.target.value })}
+                        w="150px"
+                        bg="gray.800"
+                      >
+                        {SEVERITIES.map(s => <option key={s} value={s}>{s}</option>)}
+                      </Select>
+                      <IconButton
+                        aria-label="Remove check"
+                        icon={<FaTrash />}
+                        variant="ghost"
+                        onClick={() => setChecks(prev => prev.filter((_, i) => i !== checkIndex))}
+                      />
+                    </HStack>
+                    <Input
+                      value={check.description}
+                      onChange={(e) => updateCheck(checkIndex, { description: e.target.value })}
+                      placeholder="What is wrong"
+                      bg="gray.800"
+                      size="sm"
+                    />
+                    <Input
+                      value={check.correction}
+                      onChange={(e) => updateCheck(checkIndex, { correction: e.target.value })}
+                      placeholder="How to fix it"
+                      bg="gray.800"
+                      size="sm"
+                    />
+
+                    <Flex justify="space-between" align="center">
+                      <Text color="gray.400" fontSize="sm" fontWeight="bold">Flag when</Text>
+                      <HStack>
+                        <Text color="gray.500" fontSize="xs">JSON</Text>
+                        <Switch size="sm" isChecked={check.advanced} onChange={() => toggleAdvanced(checkIndex)} />
+                      </HStack>
+                    </Flex>
+
+                    {check.advanced ? (
+                      <Textarea
+                        value={check.ruleText}
+                        onChange={(e) => updateCheck(checkIndex, { ruleText: e.target.value })}
+                        fontFamily="mono"
+                        fontSize="xs"
+                        rows={8}
+                        bg="gray.800"
+                      />
+                    ) : (
+                      <VStack spacing={2} align="stretch">
+                        {check.conditions.length > 1 && (
+                          <Select
+                            size="sm"
+                            value={check.combinator}
+                            onChange={(e) => updateCheck(checkIndex, { combinator: e.target.value })}
+                            bg="gray.800"
+                            w="220px"
+                          >
+                            <option value="all">all conditions hold</option>
+                            <option value="any">any condition holds</option>
+                          </Select>
+                        )}
+                        {check.conditions.map((condition, conditionIndex) => (
+                          <HStack key={conditionIndex}>
+                            <Select
+                              size="sm"
+                              value={condition.metric}
+                              onChange={(e) => updateCondition(checkIndex, conditionIndex, { metric: e.target.value })}
+                              bg="gray.800"
+                            >
+                              {CUSTOM_EXERCISE_METRICS.map(m => (
+                                <option key={m.id} value={m.id}>{m.label}</option>
+                              ))}
+                            </Select>
+                            {metricType(condition.metric) === 'flag' ? (
+                              <Text color="gray.400" fontSize="sm" minW="160px">is true</Text>
+                            ) : (
+                              <>
+                                <Select
+                                  size="sm"
+                                  value={condition.op}
+                                  onChange={(e) => updateCondition(checkIndex, conditionIndex, { op: e.target.value })}
+                                  w="80px"
+                                  bg="gray.800"
+                                >
+                                  {OPERATORS.map(op => <option key={op} value={op}>{op}</option>)}
+                                </Select>
+                                <NumberInput
+                                  size="sm"
+                                  value={condition.value}
+                                  onChange={(value) => updateCondition(checkIndex, conditionIndex, { value })}
+                                  w="100px"
+                                >
+                                  <NumberInputField bg="gray.800" />
+                                </NumberInput>
+                                <Text color="gray.500" fontSize="sm">°</Text>
+                              </>
+                            )}
+                            <IconButton
+                              aria-label="Remove condition"
+                              icon={<FaTimes />}
+                              size="sm"
+                              variant="ghost"
+                              isDisabled={check.conditions.length === 1}
+                              onClick={() => updateCheck(checkIndex, {
+                                conditions: check.conditions.filter((_, i) => i !== conditionIndex)
+                              })}
+                            />
+                          </HStack>
+                        ))}
+                        <Button
+                          size="xs"
+                          variant="ghost"
+                          leftIcon={<FaPlus />}
+                          alignSelf="flex-start"
+                          onClick={() => updateCheck(checkIndex, {
+                            conditions: [...check.conditions, emptyCondition()]
+                          })}
+                        >
+                          Add condition
+                        </Button>
+                      </VStack>
+                    )}
+                  </VStack>
+                </Box>
+              ))}
+            </VStack>
+          </CardBody>
+        </Card>
+
+        <HStack spacing={4}>
+          <Button leftIcon={<FaSave />} colorScheme="red" size="lg" flex={1} onClick={handleSave}>
+            Save Exercise
+          </Button>
+          {isEditing && (
+            <Button leftIcon={<FaTrash />} variant="outline" size="lg" onClick={handleDelete}>
+              Delete
+            </Button>
+          )}
+        </HStack>
+      </VStack>
+    </Container>
+  );
+};
+
+export default ExerciseEditorPage;
@@ -19,7 +19,8 @@ import {
   StatLabel,
   StatNumber,
   StatHelpText,
-  StatArrow
+  StatArrow,
+  useToast
 } from '@chakra-ui/react';
 import {
   LineChart,
@@ -31,20 +32,35 @@ import {
   ResponsiveContainer,
   Legend
 } from 'recharts';
-import { FaChartLine, FaTrash, FaArrowLeft, FaPlay } from 'react-icons/fa';
-import { EXERCISES } from '../config/exercises';
+import { FaChartLine, FaTrash, FaArrowLeft, FaPlay, FaStar, FaRegStar } from 'react-icons/fa';
+import { getAllExercises, getExerciseById } from '../config/exercises';
 import storageService from '../services/storage';
+import baselineComparisonService from '../services/baselineComparison';
+import strengthAnalyticsService from '../services/strengthAnalytics';
 import { format } from 'date-fns';
 
 const HistoryPage = () => {
   const navigate = useNavigate();
+  const toast = useToast();
   const [selectedExercise, setSelectedExercise] = useState('all');
   const [workouts, setWorkouts] = useState([]);
+  const [references, setReferences] = useState({});
   const [stats, setStats] = useState({});
   const [chartData, setChartData] = useState([]);
+  const [velocityData, setVelocityData] = useState({ units: null, data: [] });
+  const [strength, setStrength] = useState(null);
 
   useEffect(() => {
     loadData();
+
+    // Older workouts get bar velocity from their stored frames for the load-velocity profile
+    if (selectedExercise !== 'all') {
+      strengthAnalyticsService.deriveMissingVelocities(selectedExercise)
+        .then(updated => {
+          if (updated > 0) loadData();
+        })
+        .catch(err => console.error('Could not derive velocities:', err));
+    }
   }, [selectedExercise]);
 
   const loadData = () => {
@@ -57,10 +73,11 @@ const HistoryPage = () => {
 
     filteredWorkouts.sort((a, b) => new Date(b.timestamp) - new Date(a.timestamp));
     setWorkouts(filteredWorkouts);
+    setReferences(storageService.getReferenceWorkouts());
 
     // Load stats
     const allStats = {};
-    Object.values(EXERCISES).forEach(exercise => {
+    getAllExercises().forEach(exercise => {
       allStats[exercise.id] = storageService.getExerciseStats(exercise.id);
     });
     setStats(allStats);
@@ -75,6 +92,26 @@ const HistoryPage = () => {
         weight: w.weight || 0
       }));
     setChartData(data);
+
+    setStrength(selectedExercise === 'all' ? null : strengthAnalyticsService.buildProfile(selectedExercise, filteredWorkouts));
+
+    // Velocity chart: one exercise at a time, in the units of the latest set that has them
+    const withVelocity = selectedExercise === 'all' ? [] : filteredWorkouts.filter(w => w.velocity);
+    const units = withVelocity[0]?.velocity.units || null;
+    setVelocityData({
+      units,
+      data: withVelocity
+        .filter(w => w.velocity.units === units)
+        .slice(0, 20)
+        .reverse()
+        .map(w => ({
+          date: format(new Date(w.timestamp), 'MM/dd'),
+          fastestVelocity: w.velocity.fastestVelocity,
+          meanVelocity: w.velocity.meanVelocity,
+          velocityLoss: w.velocity.velocityLoss,
+          estimatedRIR: w.velocity.estimatedRIR
+        }))
+    });
   };
 
   const handleDeleteWorkout = (workoutId) => {
@@ -84,8 +121,44 @@ const HistoryPage = () => {
     }
   };
 
+  const handleToggleReference = async (workout) => {
+    if (references[workout.exerciseId]?.workoutId === workout.id) {
+      storageService.clearReferenceWorkout(workout.exerciseId);
+      loadData();
+      return;
+    }
+
+    // The baseline is built once here so new sets compare against it without reloading frame data
+    try {
+      const frameData = await storageService.getWorkoutFrameData(workout.id);
+      const baseline = frameData?.frames
+        ? baselineComparisonService.buildBaseline(workout, frameData.frames)
+        : null;
+      if (!baseline) {
+        toast({
+          title: 'Cannot use as reference',
+          description: 'This workout has no stored frame data with detected reps.',
+          status: 'warning',
+          duration: 4000
+        });
+        return;
+      }
+      storageService.setReferenceWorkout(workout.exerciseId, workout.id, baseline);
+      loadData();
+      toast({
+        title: 'Reference set saved',
+        description: `New ${getExerciseById(workout.exerciseId)?.name || ''} sets will be compared rep by rep against this one.`,
+        status: 'success',
+        duration: 3000
+      });
+    } catch (err) {
+      console.error('Could not build reference baseline:', err);
+      toast({ title: 'Could not load workout frames', status: 'error', duration: 4000 });
+    }
+  };
+
   const getExercise = (exerciseId) => {
-    return Object.values(EXERCISES).find(e => e.id === exerciseId);
+    return getExerciseById(exerciseId);
   };
 
   const getCurrentStats = () => {
@@ -103,6 +176,7 @@ const HistoryPage = () => {
   };
 
   const currentStats = getCurrentStats();
+  const weeklyTrend = strength?.trend?.perWeek ?? null;
 
   return (
     <Container maxW="container.xl" py={8}>
@@ -140,7 +214,7 @@ const HistoryPage = () => {
                 maxW="300px"
               >
                 <option value="all">All Exercises</option>
-                {Object.values(EXERCISES).map(exercise => (
+                {getAllExercises().map(exercise => (
                   <option key={exercise.id} value={exercise.id}>
                     {exercise.icon} {exercise.name}
                   </option>
@@ -225,6 +299,143 @@ const HistoryPage = () => {
           </Card>
         )}
 
+        {/* Estimated 1RM */}
+        {strength && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardBody>
+              <Heading size="md" color="white" mb={4}>
+                Estimated 1RM
+              </Heading>
+              <SimpleGrid columns={{ base: 2, md: 4 }} spacing={4} mb={strength.trend?.points.length > 1 ? 4 : 0}>
+                <Stat>
+                  <StatLabel color="gray.400">Predicted Max</StatLabel>
+                  <StatNumber color="white">{strength.predictedMax ?? '-'}</StatNumber>
+                  <StatHelpText color="gray.500">lbs</StatHelpText>
+                </Stat>
+                <Stat>
+                  <StatLabel color="gray.400">From Reps</StatLabel>
+                  <StatNumber color="blue.400">{strength.repOneRepMax ?? '-'}</StatNumber>
+                  <StatHelpText color="gray.500">Epley / Brzycki, last 4 weeks</StatHelpText>
+                </Stat>
+                <Stat>
+                  <StatLabel color="gray.400">From Velocity</StatLabel>
+                  <StatNumber color="teal.400">{strength.velocityOneRepMax ?? '-'}</StatNumber>
+                  <StatHelpText color="gray.500">
+                    {strength.loadVelocity?.minimumVelocity
+                      ? `Load-velocity line to ${strength.loadVelocity.minimumVelocity} m/s`
+                      : 'Needs sets in m/s at 2+ loads'}
+                  </StatHelpText>
+                </Stat>
+                <Stat>
+                  <StatLabel color="gray.400">Trend</StatLabel>
+                  <StatNumber color={weeklyTrend >= 0 ? 'green.400' : 'red.400'}>
+                    {weeklyTrend === null ? '-' : `${weeklyTrend > 0 ? '+' : ''}${weeklyTrend}`}
+                  </StatNumber>
+                  <StatHelpText color="gray.500">
+                    {weeklyTrend !== null && <StatArrow type={weeklyTrend >= 0 ? 'increase' : 'decrease'} />}
+                    lbs per week
+                  </StatHelpText>
+                </Stat>
+              </SimpleGrid>
+              {strength.trend?.points.length > 1 && (
+                <ResponsiveContainer width="100%" height={250}>
+                  <LineChart
+                    data={strength.trend.points.map(point => ({
+                      ...point,
+                      date: format(new Date(point.timestamp), 'MM/dd')
+                    }))}
+                  >
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="date" stroke="#9CA3AF" />
+                    <YAxis stroke="#9CA3AF" domain={['auto', 'auto']} />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: '#1F2937',
+                        border: '1px solid #374151',
+                        borderRadius: '8px'
+                      }}
+                    />
+                    <Legend />
+                    <Line
+                      type="monotone"
+                      dataKey="estimatedMax"
+                      stroke="#3B82F6"
+                      strokeWidth={2}
+                      dot={{ fill: '#3B82F6', r: 4 }}
+                      name="Estimated 1RM"
+                    />
+                    <Line
+                      type="linear"
+                      dataKey="trend"
+                      stroke="#9CA3AF"
+                      strokeDasharray="6 4"
+                      dot={false}
+                      name="Trend"
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              )}
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Velocity Chart */}
+        {velocityData.data.length > 0 && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardBody>
+              <Heading size="md" color="white" mb={1}>
+                Bar Velocity
+              </Heading>
+              <Text color="gray.500" fontSize="sm" mb={4}>
+                Concentric speed per set ({velocityData.units === 'm/s' ? 'm/s' : 'body lengths/s - add your height on the calibration page for m/s'}) and velocity loss across the set
+              </Text>
+              <ResponsiveContainer width="100%" height={300}>
+                <LineChart data={velocityData.data}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="date" stroke="#9CA3AF" />
+                  <YAxis yAxisId="velocity" stroke="#9CA3AF" domain={[0, 'auto']} />
+                  <YAxis yAxisId="loss" orientation="right" stroke="#9CA3AF" domain={[0, 100]} unit="%" />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: '#1F2937',
+                      border: '1px solid #374151',
+                      borderRadius: '8px'
+                    }}
+                  />
+                  <Legend />
+                  <Line
+                    yAxisId="velocity"
+                    type="monotone"
+                    dataKey="fastestVelocity"
+                    stroke="#10B981"
+                    strokeWidth={2}
+                    dot={{ fill: '#10B981', r: 4 }}
+                    name="Fastest Rep"
+                  />
+                  <Line
+                    yAxisId="velocity"
+                    type="monotone"
+                    dataKey="meanVelocity"
+                    stroke="#3B82F6"
+                    strokeWidth={2}
+                    dot={{ fill: '#3B82F6', r: 3 }}
+                    name="Set Average"
+                  />
+                  <Line
+                    yAxisId="loss"
+                    type="monotone"
+                    dataKey="velocityLoss"
+                    stroke="#F59E0B"
+                    strokeDasharray="5 3"
+                    dot={{ fill: '#F59E0B', r: 3 }}
+                    name="Velocity Loss %"
+                  />
+                </LineChart>
+              </ResponsiveContainer>
+            </CardBody>
+          </Card>
+        )}
+
         {/* Workout List */}
         <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
           <CardBody>
@@ -292,6 +503,29 @@ const HistoryPage = () => {
                               </Badge>
                             )}
 
+                            {workout.baselineComparison && (
+                              <Badge colorScheme="purple" fontSize="sm">
+                                {workout.baselineComparison.similarity}% vs ref
+                              </Badge>
+                            )}
+
+                            {workout.velocity && (
+                              <Badge colorScheme="teal" fontSize="sm">
+                                {workout.velocity.fastestVelocity} {workout.velocity.units === 'm/s' ? 'm/s' : 'BL/s'}
+                                {workout.velocity.estimatedRIR !== null && ` · RIR ~${workout.velocity.estimatedRIR}`}
+                              </Badge>
+                            )}
+
+                            <Button
+                              size="sm"
+                              variant={references[workout.exerciseId]?.workoutId === workout.id ? 'solid' : 'ghost'}
+                              colorScheme="yellow"
+                              leftIcon={references[workout.exerciseId]?.workoutId === workout.id ? <FaStar /> : <FaRegStar />}
+                              onClick={() => handleToggleReference(workout)}
+                            >
+                              Reference
+                            </Button>
+
                             <Button
                               size="sm"
                               colorScheme="blue"
@@ -25,17 +25,34 @@ import {
   ModalBody,
   ModalCloseButton,
   useDisclosure,
-  Divider
+  Divider,
+  IconButton,
+  Switch,
+  FormControl,
+  FormLabel
 } from '@chakra-ui/react';
 import { useNavigate } from 'react-router-dom';
-import { FaDumbbell, FaChartLine, FaHistory, FaPlayCircle } from 'react-icons/fa';
-import { EXERCISES, EXERCISE_CATEGORIES } from '../config/exercises';
+import { FaDumbbell, FaChartLine, FaHistory, FaPlayCircle, FaPlus, FaEdit, FaRulerVertical, FaCalendarAlt, FaCheckCircle } from 'react-icons/fa';
+import { getAllExercises, getExerciseById, getExerciseCategories } from '../config/exercises';
 import storageService from '../services/storage';
+import strengthAnalyticsService from '../services/strengthAnalytics';
+import programService from '../services/program';
+
+const CATEGORY_GLOW = {
+  red: '239, 68, 68',
+  orange: '251, 146, 60',
+  purple: '159, 122, 234'
+};
 
 const HomePage = () => {
   const navigate = useNavigate();
   const [stats, setStats] = useState({});
   const [recentWorkouts, setRecentWorkouts] = useState([]);
+  const [strength, setStrength] = useState({});
+  const [sessionMode, setSessionMode] = useState(false); // several sets with rest in between
+  const [program, setProgram] = useState(null);
+  const [todayPlan, setTodayPlan] = useState(null);
+  const [nextDay, setNextDay] = useState(null);
   const { isOpen, onOpen, onClose } = useDisclosure();
 
   const cardBg = useColorModeValue('gray.800', 'gray.800');
@@ -44,18 +61,33 @@ const HomePage = () => {
   useEffect(() => {
     // Load stats for all exercises
     const allStats = {};
-    Object.values(EXERCISES).forEach(exercise => {
+    getAllExercises().forEach(exercise => {
       allStats[exercise.id] = storageService.getExerciseStats(exercise.id);
     });
     setStats(allStats);
 
+    // Predicted maxes for exercises logged with a weight
+    const allStrength = {};
+    getAllExercises().forEach(exercise => {
+      allStrength[exercise.id] = strengthAnalyticsService.buildProfile(exercise.id);
+    });
+    setStrength(allStrength);
+
     // Load recent workouts
     setRecentWorkouts(storageService.getRecentWorkouts(5));
+
+    // Today's planned workout, or when the next one is
+    setProgram(programService.getProgram());
+    setTodayPlan(programService.getDayPlan());
+    setNextDay(programService.getNextDay());
   }, []);
 
+  const exerciseCategories = getExerciseCategories();
+  const categoryKeys = Object.keys(exerciseCategories);
+
   const handleSelectExercise = (exerciseId) => {
     onClose();
-    navigate(`/record/${exerciseId}`);
+    navigate(sessionMode ? `/session/${exerciseId}` : `/record/${exerciseId}`);
   };
 
   return (
@@ -104,10 +136,96 @@ const HomePage = () => {
               >
                 Select Exercise
               </Button>
+              <Button
+                variant="ghost"
+                colorScheme="gray"
+                size="sm"
+                leftIcon={<FaRulerVertical />}
+                onClick={() => navigate('/calibrate')}
+              >
+                {storageService.getUserProfile().bodyCalibration ? 'Recalibrate Body Proportions' : 'Calibrate Body Proportions'}
+              </Button>
             </VStack>
           </CardBody>
         </Card>
 
+        {/* Today's Workout */}
+        <Card bg={cardBg} borderWidth="1px" borderColor={borderColor}>
+          <CardBody>
+            <Flex align="center" justify="space-between" mb={program ? 4 : 2}>
+              <Flex align="center">
+                <Icon as={FaCalendarAlt} color="purple.400" mr={3} boxSize={6} />
+                <Box>
+                  <Heading size="md" color="white">
+                    Today's Workout
+                  </Heading>
+                  {program && (
+                    <Text fontSize="sm" color="gray.500">
+                      {program.name}{todayPlan ? ` · ${todayPlan.day.name}` : ''}
+                    </Text>
+                  )}
+                </Box>
+              </Flex>
+              <Button size="sm" variant="ghost" colorScheme="purple" onClick={() => navigate('/program')}>
+                {program ? 'Edit Program' : 'Create Program'}
+              </Button>
+            </Flex>
+
+            {!program && (
+              <Text color="gray.400" fontSize="sm">
+                Plan your sets, reps and loads for the week - recordings then count toward the day's plan and
+                your targets go up as you hit them.
+              </Text>
+            )}
+
+            {program && !todayPlan && (
+              <Text color="gray.400" fontSize="sm">
+                Rest day.
+                {nextDay && ` Next up: ${nextDay.day.name} ${nextDay.inDays === 1 ? 'tomorrow' : `in ${nextDay.inDays} days`}.`}
+              </Text>
+            )}
+
+            {todayPlan && (
+              <Stack spacing={2}>
+                {todayPlan.entries.filter(entry => entry.exercise).map(entry => {
+                  const finished = entry.done >= entry.sets;
+                  return (
+                    <Flex key={entry.id} align="center" justify="space-between" bg="gray.900" p={3} borderRadius="md">
+                      <Flex align="center" gap={3}>
+                        <Text fontSize="2xl">{entry.exercise.icon}</Text>
+                        <Box>
+                          <Text fontWeight="bold" color="white">
+                            {entry.exercise.name}
+                          </Text>
+                          <Text fontSize="sm" color="gray.500">
+                            {entry.sets} × {entry.reps}
+                            {entry.load > 0 ? ` @ ${entry.load}` : entry.load === null ? ' @ first set' : ''}
+                          </Text>
+                        </Box>
+                      </Flex>
+                      {finished ? (
+                        <Badge colorScheme="green" px={3} py={1}>
+                          <Icon as={FaCheckCircle} mr={1} />
+                          Done
+                        </Badge>
+                      ) : (
+                        <Flex align="center" gap={3}>
+                          <Text fontSize="sm" color="gray.400">
+                            {entry.done}/{entry.sets} sets
+                          </Text>
+                          <Button size="sm" colorScheme="purple" onClick={() => navigate(`/session/${entry.exerciseId}`)}>
+                            {entry.done > 0 ? 'Continue' : 'Start'}
+                          </Button>
+                        </Flex>
+                      )}
+                    </Flex>
+                  );
+                })}
+              </Stack>
+            )}
+          </CardBody>
+        </Card>
+
         {/* Quick Stats */}
         <SimpleGrid columns={{ base: 1, md: 3 }} spacing={4}>
           <Card bg={cardBg} borderWidth="1px" borderColor={borderColor}>
@@ -146,7 +264,7 @@ const HomePage = () => {
                 <StatNumber color="orange.400" fontSize="3xl">
                   {Object.values(stats).filter(s => s.totalSessions > 0).length}
                 </StatNumber>
-                <StatHelpText color="gray.500">Out of {Object.keys(EXERCISES).length}</StatHelpText>
+                <StatHelpText color="gray.500">Out of {getAllExercises().length}</StatHelpText>
               </Stat>
             </CardBody>
           </Card>
@@ -164,7 +282,7 @@ const HomePage = () => {
 
             <Stack spacing={3}>
               {recentWorkouts.map((workout) => {
-                const exercise = EXERCISES[workout.exerciseId.toUpperCase()];
+                const exercise = getExerciseById(workout.exerciseId);
                 if (!exercise) return null;
 
                 return (
@@ -223,7 +341,23 @@ const HomePage = () => {
           <ModalCloseButton color="gray.400" />
           <ModalBody pb={6}>
             <VStack spacing={6} align="stretch">
-              {Object.entries(EXERCISE_CATEGORIES).map(([categoryKey, category]) => (
+              <FormControl display="flex" alignItems="center" bg="gray.900" p={3} borderRadius="md">
+                <Switch
+                  id="session-mode"
+                  colorScheme="purple"
+                  isChecked={sessionMode}
+                  onChange={(e) => setSessionMode(e.target.checked)}
+                  mr={3}
+                />
+                <FormLabel htmlFor="session-mode" mb={0} color="gray.300">
+                  Multi-set session
+                  <Text as="span" color="gray.500" fontSize="sm" ml={2}>
+                    Record set after set with a rest timer between them
+                  </Text>
+                </FormLabel>
+              </FormControl>
+
+              {Object.entries(exerciseCategories).map(([categoryKey, category]) => (
                 <Box key={categoryKey}>
                   <Flex align="center" mb={3}>
                     <Icon as={FaDumbbell} color={`${category.color}.400`} mr={2} />
@@ -236,6 +370,8 @@ const HomePage = () => {
                     {category.exercises.map((exercise) => {
                       const exerciseStats = stats[exercise.id] || {};
                       const hasData = exerciseStats.totalSessions > 0;
+                      const predictedMax = strength[exercise.id]?.predictedMax;
+                      const weeklyTrend = strength[exercise.id]?.trend?.perWeek;
 
                       return (
                         <Card
@@ -248,7 +384,7 @@ const HomePage = () => {
                           _hover={{
                             transform: 'scale(1.02)',
                             borderColor: `${category.color}.500`,
-                            boxShadow: `0 0 15px rgba(${category.color === 'red' ? '239, 68, 68' : '251, 146, 60'}, 0.4)`
+                            boxShadow: `0 0 15px rgba(${CATEGORY_GLOW[category.color] || CATEGORY_GLOW.orange}, 0.4)`
                           }}
                           onClick={() => handleSelectExercise(exercise.id)}
                         >
@@ -259,12 +395,28 @@ const HomePage = () => {
                                 <Text fontWeight="bold" color="white">
                                   {exercise.name}
                                 </Text>
+                                {exercise.custom && (
+                                  <Badge colorScheme="purple" fontSize="2xs">Custom</Badge>
+                                )}
                                 {hasData && (
                                   <Text fontSize="xs" color="gray.500">
                                     {exerciseStats.totalSessions} sessions
                                   </Text>
                                 )}
                               </Box>
+                              {exercise.custom && (
+                                <IconButton
+                                  aria-label={`Edit ${exercise.name}`}
+                                  icon={<FaEdit />}
+                                  size="sm"
+                                  variant="ghost"
+                                  onClick={(e) => {
+                                    e.stopPropagation();
+                                    onClose();
+                                    navigate(`/exercises/${exercise.id}/edit`);
+                                  }}
+                                />
+                              )}
                             </Flex>
                             {hasData && (
                               <Flex gap={3} mt={2}>
@@ -284,6 +436,21 @@ const HomePage = () => {
                                     {Math.round(exerciseStats.averageScore)}
                                   </Text>
                                 </Box>
+                                {predictedMax && (
+                                  <Box>
+                                    <Text fontSize="xs" color="gray.500">
+                                      Est. 1RM
+                                    </Text>
+                                    <Text fontSize="md" fontWeight="bold" color="blue.400">
+                                      {predictedMax}
+                                      {weeklyTrend ? (
+                                        <Text as="span" fontSize="xs" ml={1} color={weeklyTrend > 0 ? 'green.400' : 'red.400'}>
+                                          {weeklyTrend > 0 ? '+' : ''}{weeklyTrend}/wk
+                                        </Text>
+                                      ) : null}
+                                    </Text>
+                                  </Box>
+                                )}
                               </Flex>
                             )}
                           </CardBody>
@@ -292,11 +459,23 @@ const HomePage = () => {
                     })}
                   </SimpleGrid>
 
-                  {categoryKey !== Object.keys(EXERCISE_CATEGORIES)[Object.keys(EXERCISE_CATEGORIES).length - 1] && (
+                  {categoryKey !== categoryKeys[categoryKeys.length - 1] && (
                     <Divider mt={6} borderColor="gray.700" />
                   )}
                 </Box>
               ))}
+
+              <Button
+                leftIcon={<FaPlus />}
+                variant="outline"
+                colorScheme="purple"
+                onClick={() => {
+                  onClose();
+                  navigate('/exercises/new');
+                }}
+              >
+                Create Custom Exercise
+              </Button>
             </VStack>
           </ModalBody>
         </ModalContent>
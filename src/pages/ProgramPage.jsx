@@ -0,0 +1,393 @@
+import React, { useState, useRef } from 'react';
+import { useNavigate } from 'react-router-dom';
+import {
+  Box,
+  Container,
+  Heading,
+  Button,
+  VStack,
+  HStack,
+  Text,
+  Card,
+  CardBody,
+  CardHeader,
+  Badge,
+  Input,
+  Select,
+  SimpleGrid,
+  FormControl,
+  FormLabel,
+  NumberInput,
+  NumberInputField,
+  IconButton,
+  Flex,
+  useToast
+} from '@chakra-ui/react';
+import { FaArrowLeft, FaPlus, FaTrash, FaSave, FaMagic, FaFileImport, FaFileExport } from 'react-icons/fa';
+import { getAllExercises, getExerciseById } from '../config/exercises';
+import programService, { PROGRAM_GOALS, EXPERIENCE_LEVELS, WEEKDAYS } from '../services/program';
+import storageService from '../services/storage';
+
+const DAYS_PER_WEEK_OPTIONS = [2, 3, 4];
+
+// Progression outcome badges
+const OUTCOME_COLORS = {
+  progress: 'green',
+  hold: 'gray',
+  deload: 'orange'
+};
+
+const ProgramPage = () => {
+  const navigate = useNavigate();
+  const toast = useToast();
+  const fileInputRef = useRef(null);
+
+  const [profile, setProfile] = useState(() => storageService.getUserProfile());
+  const [daysPerWeek, setDaysPerWeek] = useState(3);
+  const [draft, setDraft] = useState(() => programService.getProgram());
+  const [isDirty, setIsDirty] = useState(false);
+
+  const goal = profile.goals?.[0] || 'strength';
+  const exercises = getAllExercises();
+
+  // Goal and experience live on the profile; experience also sets how fast the plan progresses
+  const updateProfile = (changes) => {
+    setProfile(storageService.updateUserProfile({ ...profile, ...changes }));
+  };
+
+  const updateDraft = (changes) => {
+    setDraft(prev => ({ ...prev, ...changes }));
+    setIsDirty(true);
+  };
+
+  const updateDay = (dayIndex, changes) => {
+    updateDraft({ days: draft.days.map((day, i) => (i === dayIndex ? { ...day, ...changes } : day)) });
+  };
+
+  const updateEntry = (dayIndex, entryIndex, changes) => {
+    const day = draft.days[dayIndex];
+    updateDay(dayIndex, {
+      exercises: day.exercises.map((entry, i) => (i === entryIndex ? { ...entry, ...changes } : entry))
+    });
+  };
+
+  const addDay = () => {
+    const used = new Set(draft.days.map(day => day.weekday));
+    const weekday = [1, 2, 3, 4, 5, 6, 0].find(d => !used.has(d));
+    if (weekday === undefined) return;
+    updateDraft({
+      days: [...draft.days, { name: WEEKDAYS[weekday], weekday, exercises: [{ exerciseId: exercises[0].id, sets: 3, reps: 5, load: null }] }]
+    });
+  };
+
+  const addEntry = (dayIndex) => {
+    const day = draft.days[dayIndex];
+    updateDay(dayIndex, { exercises: [...day.exercises, { exerciseId: exercises[0].id, sets: 3, reps: 5, load: null }] });
+  };
+
+  const handleGenerate = () => {
+    if (draft && !window.confirm('Replace your current program? Its log and progression history are dropped.')) return;
+    setDraft(programService.generateProgram({ goal, daysPerWeek }));
+    setIsDirty(true);
+  };
+
+  const handleSave = () => {
+    const problems = programService.validateProgram(draft);
+    if (problems.length > 0) {
+      toast({ title: 'Cannot save program', description: problems[0], status: 'error', duration: 5000 });
+      return;
+    }
+    setDraft(programService.saveProgram(draft));
+    setIsDirty(false);
+    toast({ title: 'Program saved', status: 'success', duration: 2000 });
+  };
+
+  const handleDelete = () => {
+    if (!window.confirm('Delete this program? Recorded workouts are kept.')) return;
+    programService.deleteProgram();
+    setDraft(null);
+    setIsDirty(false);
+  };
+
+  const handleImport = async (e) => {
+    const file = e.target.files[0];
+    e.target.value = '';
+    if (!file) return;
+
+    const { program, problems } = programService.importProgram(await file.text());
+    if (problems) {
+      toast({ title: 'Cannot import program', description: problems[0], status: 'error', duration: 5000 });
+      return;
+    }
+    setDraft(program);
+    setIsDirty(false);
+    toast({ title: `${program.name} imported`, status: 'success', duration: 2000 });
+  };
+
+  const handleExport = () => {
+    const blob = new Blob([programService.exportProgram(draft)], { type: 'application/json' });
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = `${draft.name.replace(/[^a-z0-9]+/gi, '-').toLowerCase()}.json`;
+    link.click();
+    URL.revokeObjectURL(url);
+  };
+
+  return (
+    <Container maxW="container.lg" py={8}>
+      <VStack spacing={6} align="stretch">
+        <HStack justify="space-between">
+          <Button leftIcon={<FaArrowLeft />} variant="ghost" colorScheme="gray" onClick={() => navigate('/')}>
+            Back
+          </Button>
+          <Badge colorScheme={draft ? 'green' : 'gray'} px={3} py={1}>
+            {draft ? draft.name : 'No program'}
+          </Badge>
+        </HStack>
+
+        <Box>
+          <Heading size="xl" color="white" mb={2}>
+            Training Program
+          </Heading>
+          <Text color="gray.400">
+            Plan sets, reps and loads for each training day. Recordings on a training day count toward its
+            planned sets, and each exercise's target moves up once all its sets are done with good form.
+          </Text>
+        </Box>
+
+        {/* Goal and experience - a starter plan from them, or import one */}
+        <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+          <CardHeader pb={2}>
+            <Heading size="md" color="white">Your Goals</Heading>
+          </CardHeader>
+          <CardBody pt={2}>
+            <VStack spacing={4} align="stretch">
+              <SimpleGrid columns={{ base: 1, md: 3 }} spacing={4}>
+                <FormControl>
+                  <FormLabel color="gray.400" fontSize="sm">Goal</FormLabel>
+                  <Select
+                    value={goal}
+                    onChange={(e) => updateProfile({ goals: [e.target.value] })}
+                    bg="gray.900"
+                    borderColor="gray.600"
+                    color="white"
+                  >
+                    {Object.entries(PROGRAM_GOALS).map(([id, option]) => (
+                      <option key={id} value={id}>{option.label} ({option.sets}×{option.reps})</option>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel color="gray.400" fontSize="sm">Experience</FormLabel>
+                  <Select
+                    value={profile.experience || 'beginner'}
+                    onChange={(e) => updateProfile({ experience: e.target.value })}
+                    bg="gray.900"
+                    borderColor="gray.600"
+                    color="white"
+                  >
+                    {EXPERIENCE_LEVELS.map(level => (
+                      <option key={level} value={level}>{level.charAt(0).toUpperCase()}{level.slice(1)}</option>
+                    ))}
+                  </Select>
+                </FormControl>
+                <FormControl>
+                  <FormLabel color="gray.400" fontSize="sm">Days per week</FormLabel>
+                  <Select
+                    value={daysPerWeek}
+                    onChange={(e) => setDaysPerWeek(Number(e.target.value))}
+                    bg="gray.900"
+                    borderColor="gray.600"
+                    color="white"
+                  >
+                    {DAYS_PER_WEEK_OPTIONS.map(days => (
+                      <option key={days} value={days}>{days} days</option>
+                    ))}
+                  </Select>
+                </FormControl>
+              </SimpleGrid>
+
+              <HStack spacing={3} flexWrap="wrap">
+                <Button leftIcon={<FaMagic />} colorScheme="purple" onClick={handleGenerate}>
+                  {draft ? 'Regenerate Program' : 'Create Program'}
+                </Button>
+                <Input type="file" accept="application/json,.json" ref={fileInputRef} onChange={handleImport} display="none" />
+                <Button leftIcon={<FaFileImport />} variant="outline" onClick={() => fileInputRef.current?.click()}>
+                  Import
+                </Button>
+                {draft && (
+                  <Button leftIcon={<FaFileExport />} variant="outline" onClick={handleExport} isDisabled={isDirty}>
+                    Export
+                  </Button>
+                )}
+              </HStack>
+              <Text color="gray.500" fontSize="xs">
+                Starting loads come from your estimated maxes; lifts without one take their load from the first
+                recorded set. Beginners move up after every successful day, intermediate lifters after two and
+                advanced lifters after three.
+              </Text>
+            </VStack>
+          </CardBody>
+        </Card>
+
+        {/* The plan, day by day */}
+        {draft && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <FormControl>
+                <FormLabel color="gray.400" fontSize="sm">Program name</FormLabel>
+                <Input
+                  value={draft.name}
+                  onChange={(e) => updateDraft({ name: e.target.value })}
+                  bg="gray.900"
+                  borderColor="gray.600"
+                  color="white"
+                />
+              </FormControl>
+            </CardHeader>
+            <CardBody pt={2}>
+              <VStack spacing={4} align="stretch">
+                {draft.days.map((day, dayIndex) => (
+                  <Box key={day.id || dayIndex} bg="gray.900" p={4} borderRadius="md">
+                    <HStack spacing={3} mb={3}>
+                      <Input
+                        size="sm"
+                        value={day.name}
+                        onChange={(e) => updateDay(dayIndex, { name: e.target.value })}
+                        bg="gray.800"
+                        borderColor="gray.600"
+                        color="white"
+                      />
+                      <Select
+                        size="sm"
+                        w="160px"
+                        value={day.weekday}
+                        onChange={(e) => updateDay(dayIndex, { weekday: Number(e.target.value) })}
+                        bg="gray.800"
+                        borderColor="gray.600"
+                        color="white"
+                      >
+                        {WEEKDAYS.map((name, weekday) => (
+                          <option key={weekday} value={weekday}>{name}</option>
+                        ))}
+                      </Select>
+                      <IconButton
+                        aria-label={`Remove ${day.name}`}
+                        icon={<FaTrash />}
+                        size="sm"
+                        variant="ghost"
+                        onClick={() => updateDraft({ days: draft.days.filter((_, i) => i !== dayIndex) })}
+                      />
+                    </HStack>
+
+                    <VStack spacing={2} align="stretch">
+                      {day.exercises.map((entry, entryIndex) => (
+                        <HStack key={entry.id || entryIndex} spacing={2}>
+                          <Select
+                            size="sm"
+                            flex={2}
+                            value={entry.exerciseId}
+                            onChange={(e) => updateEntry(dayIndex, entryIndex, { exerciseId: e.target.value })}
+                            bg="gray.800"
+                            borderColor="gray.600"
+                            color="white"
+                          >
+                            {exercises.map(exercise => (
+                              <option key={exercise.id} value={exercise.id}>{exercise.name}</option>
+                            ))}
+                          </Select>
+                          <NumberInput
+                            size="sm"
+                            flex={1}
+                            min={1}
+                            value={entry.sets}
+                            onChange={(_, value) => updateEntry(dayIndex, entryIndex, { sets: Number.isNaN(value) ? 1 : value })}
+                          >
+                            <NumberInputField bg="gray.800" borderColor="gray.600" color="white" aria-label="Sets" />
+                          </NumberInput>
+                          <Text color="gray.500" fontSize="sm">×</Text>
+                          <NumberInput
+                            size="sm"
+                            flex={1}
+                            min={1}
+                            value={entry.reps}
+                            onChange={(_, value) => updateEntry(dayIndex, entryIndex, { reps: Number.isNaN(value) ? 1 : value })}
+                          >
+                            <NumberInputField bg="gray.800" borderColor="gray.600" color="white" aria-label="Reps" />
+                          </NumberInput>
+                          <Text color="gray.500" fontSize="sm">@</Text>
+                          <NumberInput
+                            size="sm"
+                            flex={1}
+                            min={0}
+                            value={entry.load ?? ''}
+                            onChange={(text, value) => updateEntry(dayIndex, entryIndex, { load: text === '' ? null : value })}
+                          >
+                            <NumberInputField bg="gray.800" borderColor="gray.600" color="white" placeholder="1st set" aria-label="Load" />
+                          </NumberInput>
+                          <IconButton
+                            aria-label="Remove exercise"
+                            icon={<FaTrash />}
+                            size="sm"
+                            variant="ghost"
+                            onClick={() => updateDay(dayIndex, { exercises: day.exercises.filter((_, i) => i !== entryIndex) })}
+                          />
+                        </HStack>
+                      ))}
+                      <Button leftIcon={<FaPlus />} size="xs" variant="ghost" alignSelf="flex-start" onClick={() => addEntry(dayIndex)}>
+                        Add exercise
+                      </Button>
+                    </VStack>
+                  </Box>
+                ))}
+
+                <Button leftIcon={<FaPlus />} variant="outline" colorScheme="purple" onClick={addDay} isDisabled={draft.days.length >= 7}>
+                  Add Training Day
+                </Button>
+
+                <Flex justify="space-between">
+                  <Button leftIcon={<FaTrash />} variant="ghost" colorScheme="red" onClick={handleDelete}>
+                    Delete Program
+                  </Button>
+                  <Button leftIcon={<FaSave />} colorScheme="green" onClick={handleSave} isDisabled={!isDirty}>
+                    Save Program
+                  </Button>
+                </Flex>
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* How the targets have moved */}
+        {draft?.progression.length > 0 && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Heading size="md" color="white">Progression</Heading>
+            </CardHeader>
+            <CardBody pt={2}>
+              <VStack spacing={2} align="stretch">
+                {draft.progression.slice(-10).reverse().map((event, i) => (
+                  <HStack key={`${event.date}-${event.entryId}-${i}`} justify="space-between" bg="gray.900" p={2} borderRadius="md">
+                    <Box>
+                      <Text color="white" fontSize="sm" fontWeight="semibold">
+                        {getExerciseById(event.exerciseId)?.name || event.exerciseId}
+                        <Text as="span" color="gray.500" fontWeight="normal" ml={2}>{event.date}</Text>
+                      </Text>
+                      <Text color="gray.400" fontSize="xs">{event.reason}</Text>
+                    </Box>
+                    <Badge colorScheme={OUTCOME_COLORS[event.outcome]}>
+                      {event.from === event.to ? event.to : `${event.from} → ${event.to}`}{event.units === 'reps' ? ' reps' : ''}
+                    </Badge>
+                  </HStack>
+                ))}
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+      </VStack>
+    </Container>
+  );
+};
+
+export default ProgramPage;
@@ -23,9 +23,13 @@ import {
   ListIcon,
   Flex,
   Icon,
+  IconButton,
   Progress,
   AspectRatio,
   Switch,
+  Select,
+  Checkbox,
+  SimpleGrid,
   AlertDialog,
   AlertDialogBody,
   AlertDialogFooter,
@@ -34,16 +38,90 @@ import {
   AlertDialogOverlay,
   useDisclosure
 } from '@chakra-ui/react';
-import { FaCamera, FaUpload, FaPlay, FaStop, FaTimes, FaCheckCircle, FaInfoCircle, FaEye, FaEyeSlash, FaTrash } from 'react-icons/fa';
+import { FaCamera, FaUpload, FaPlay, FaStop, FaTimes, FaCheckCircle, FaInfoCircle, FaEye, FaEyeSlash, FaTrash, FaCrosshairs, FaVolumeUp, FaHandPaper, FaFlagCheckered, FaHourglassHalf, FaCalendarAlt } from 'react-icons/fa';
 import { getExerciseById } from '../config/exercises';
 import poseAnalysisService from '../services/poseAnalysis';
 import repCountingService from '../services/repCounting';
 import repProgressionService from '../services/repProgression';
 import adaptiveAnalysisService from '../services/adaptiveAnalysis';
+import temporalValidationService from '../services/temporalValidation';
+import formScoringService from '../services/formScoring';
+import viewFusionService from '../services/viewFusion';
+import anthropometryService from '../services/anthropometry';
+import baselineComparisonService from '../services/baselineComparison';
+import velocityService from '../services/velocity';
+import barPathService from '../services/barPath';
+import audioCoachService, { SEVERITY_LEVELS } from '../services/audioCoach';
+import handsFreeService, { COUNTDOWN_OPTIONS } from '../services/handsFree';
+import sessionFatigueService from '../services/sessionFatigue';
+import programService from '../services/program';
+import landmarkFilterService, { DEFAULT_FILTER_OPTIONS } from '../services/landmarkFilter';
 import storageService from '../services/storage';
 import { extractFramesFromVideo, getVideoMetadata } from '../utils/videoProcessing';
+import { trackTemplate } from '../utils/templateTracking';
+import poseWorkerPool from '../workers/workerPool';
+import poseAssetLoader from '../services/poseAssetLoader';
+
+// Score bands as on the results page
+const getScoreColor = (score) => {
+  if (score >= 85) return 'green';
+  if (score >= 70) return 'blue';
+  if (score >= 55) return 'orange';
+  return 'red';
+};
+
+// The preview box's aspect ratio; the video is letterboxed inside it (objectFit: contain)
+const PREVIEW_ASPECT = 16 / 9;
+
+/**
+ * Where a video of the given aspect ratio sits in the preview box, as fractions of the box
+ */
+const getPreviewContentBox = (videoAspect) => (videoAspect > PREVIEW_ASPECT
+  ? { left: 0, top: (1 - PREVIEW_ASPECT / videoAspect) / 2, width: 1, height: PREVIEW_ASPECT / videoAspect }
+  : { left: (1 - videoAspect / PREVIEW_ASPECT) / 2, top: 0, width: videoAspect / PREVIEW_ASPECT, height: 1 });
+
+// Rest between session sets, in seconds
+const REST_OPTIONS = [60, 90, 120, 180, 240, 300];
+const DEFAULT_REST_SECONDS = 120;
+
+const formatClock = (seconds) => `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+
+// Live pose sampling interval (~5fps), while recording and while armed for a hands-free start
+const LIVE_POSE_INTERVAL_MS = 200;
+
+/**
+ * Camera frame mirrored like the on-screen preview, as ImageData for pose analysis
+ */
+const captureMirroredFrame = (video, width, height) => {
+  const tempCanvas = document.createElement('canvas');
+  tempCanvas.width = width;
+  tempCanvas.height = height;
+  const tempCtx = tempCanvas.getContext('2d');
+  tempCtx.save();
+  tempCtx.scale(-1, 1);
+  tempCtx.drawImage(video, -width, 0, width, height);
+  tempCtx.restore();
+  return tempCtx.getImageData(0, 0, width, height);
+};
 
-const RecordPage = () => {
+// Camera frames waiting on the pose backend (a module singleton, like the backend itself)
+let cameraPoseQueue = Promise.resolve();
+
+/**
+ * Pose for a camera frame, one frame at a time: the backend rebinds its results callback on every
+ * estimate, so the armed poll, the camera angle check and live analysis queue up instead of overlapping
+ */
+const analyzeCameraFrame = (image) => {
+  const result = cameraPoseQueue.then(() => poseAnalysisService.analyzeFrame(image));
+  cameraPoseQueue = result.catch(() => null);
+  return result;
+};
+
+/**
+ * Records and analyzes one set, or with sessionMode (the /session route) set after set with a rest
+ * timer between them, grouped into a stored session
+ */
+const RecordPage = ({ sessionMode = false }) => {
   const { exerciseId } = useParams();
   const navigate = useNavigate();
   const toast = useToast();
@@ -52,16 +130,30 @@ const RecordPage = () => {
   const [mode, setMode] = useState('setup'); // setup, camera, recording, analyzing
   const [isRecording, setIsRecording] = useState(false);
   const [videoUrl, setVideoUrl] = useState(null);
+  const [secondVideoUrl, setSecondVideoUrl] = useState(null);
+  const [barSeed, setBarSeed] = useState(null); // { time, x, y } - tapped bar end cap on the first recording
+  const [isMarkingBar, setIsMarkingBar] = useState(false);
   const [weight, setWeight] = useState('');
+  const [plannedSet, setPlannedSet] = useState(null); // today's next open set of this exercise in the program
   const [reps, setReps] = useState('');
   const [analysisProgress, setAnalysisProgress] = useState(0);
   const [exerciseStats, setExerciseStats] = useState(null);
   const [detectedReps, setDetectedReps] = useState(null);
   const [showVisualization, setShowVisualization] = useState(true);
+  const [smoothLandmarks, setSmoothLandmarks] = useState(true);
   const [currentAnalysisFrame, setCurrentAnalysisFrame] = useState(null);
   const [cameraAngleWarning, setCameraAngleWarning] = useState(null);
   const [liveErrors, setLiveErrors] = useState([]);
+  const [liveReps, setLiveReps] = useState([]); // [{ repNumber, score }] as the live counter completes reps
   const [storageInfo, setStorageInfo] = useState(null);
+  const [modelStatus, setModelStatus] = useState({ state: 'loading', progress: 0, error: null });
+  const [workerModelMissing, setWorkerModelMissing] = useState(false); // uploads analyzed on the main thread
+  const [coaching, setCoaching] = useState(null);
+  const [handsFree, setHandsFree] = useState(null);
+  const [countdown, setCountdown] = useState(null); // seconds left before a delayed start
+  const [session, setSession] = useState(null); // stored session, created with its first set
+  const [restSeconds, setRestSeconds] = useState(DEFAULT_REST_SECONDS);
+  const [restElapsed, setRestElapsed] = useState(null); // seconds into the current rest, null when not resting
   
   const { isOpen: isStorageDialogOpen, onOpen: onStorageDialogOpen, onClose: onStorageDialogClose } = useDisclosure();
   const cancelRef = useRef();
@@ -74,9 +166,23 @@ const RecordPage = () => {
   const mediaRecorderRef = useRef(null);
   const chunksRef = useRef([]);
   const fileInputRef = useRef(null);
+  const secondFileInputRef = useRef(null);
   const analyzedFramesRef = useRef([]);
   const liveFramesRef = useRef([]);
+  const liveFilterRef = useRef(null);
   const frameCounterRef = useRef(0);
+  const liveCounterRef = useRef(null);
+  const triggerRef = useRef(null); // hands-free trigger for the current camera session
+  const triggerActionRef = useRef(null);
+  const countdownTimerRef = useRef(null);
+  const discardRecordingRef = useRef(false);
+  const restTimerRef = useRef(null);
+  const restStartedAtRef = useRef(null); // ms; the rest runs from the end of a set to the start of the next
+  const restTakenRef = useRef(null); // seconds rested before the set being recorded
+  const restDoneRef = useRef(false);
+  const restTickRef = useRef(null);
+  const analyzeVideoRef = useRef(null);
+  const lastResultsRef = useRef(null); // results page state of the latest set
 
   useEffect(() => {
     const ex = getExerciseById(exerciseId);
@@ -94,20 +200,96 @@ const RecordPage = () => {
     // Load exercise stats for tips
     const stats = storageService.getExerciseStats(exerciseId);
     setExerciseStats(stats);
+    setCoaching(audioCoachService.getSettings(ex.id));
+    setHandsFree(handsFreeService.getSettings());
 
-    // Initialize MediaPipe
-    poseAnalysisService.initialize().catch(err => {
-      console.error('Failed to initialize pose analysis:', err);
-    });
+    // Start from the program's target load when today's plan has this exercise
+    const planned = programService.getPlannedSet(ex.id);
+    setPlannedSet(planned);
+    if (planned?.entry.load > 0) setWeight(String(planned.entry.load));
+
+    // Initialize MediaPipe (model files come from this origin / the offline cache)
+    loadPoseModel();
+    poseAssetLoader.hasWorkerModel().then(available => setWorkerModelMissing(available === false));
 
     return () => {
       // Cleanup on unmount
       if (streamRef.current) {
         streamRef.current.getTracks().forEach(track => track.stop());
       }
+      audioCoachService.release();
+      clearInterval(countdownTimerRef.current);
+      clearInterval(restTimerRef.current);
     };
   }, [exerciseId, navigate, toast]);
 
+  // A fresh hands-free trigger for each camera session and whenever its settings change
+  useEffect(() => {
+    triggerRef.current = mode === 'camera' && handsFreeService.isArmed(handsFree)
+      ? handsFreeService.createTrigger(exerciseId, handsFree)
+      : null;
+  }, [exerciseId, handsFree, mode]);
+
+  // While armed, watch the camera for the start gesture or the set beginning
+  const isArmed = mode === 'camera' && !isRecording && countdown === null && handsFreeService.isArmed(handsFree);
+  useEffect(() => {
+    if (!isArmed) return;
+
+    let busy = false;
+    const interval = setInterval(async () => {
+      const video = videoRef.current;
+      if (busy || !video || video.readyState < 2 || !triggerRef.current) return;
+
+      busy = true;
+      try {
+        const results = await analyzeCameraFrame(
+          captureMirroredFrame(video, video.videoWidth || 640, video.videoHeight || 480)
+        );
+        if (results?.poseLandmarks) {
+          const action = triggerRef.current?.push(
+            {
+              time: performance.now() / 1000,
+              landmarks: results.poseLandmarks,
+              aspectRatio: (video.videoWidth || 640) / (video.videoHeight || 480)
+            },
+            { recording: false }
+          );
+          if (action) triggerActionRef.current?.(action);
+        }
+      } catch (err) {
+        console.debug('Hands-free pose error:', err);
+      } finally {
+        busy = false;
+      }
+    }, LIVE_POSE_INTERVAL_MS);
+
+    return () => clearInterval(interval);
+  }, [isArmed]);
+
+  // A marked bar end belongs to the recording it was tapped on
+  useEffect(() => {
+    setBarSeed(null);
+    setIsMarkingBar(false);
+  }, [videoUrl]);
+
+  // Load the pose model, reporting download progress and failures
+  const loadPoseModel = () => {
+    setModelStatus({ state: 'loading', progress: 0, error: null });
+    poseAnalysisService
+      .initialize({
+        onProgress: ({ progress }) => {
+          setModelStatus({ state: 'loading', progress, error: null });
+        }
+      })
+      .then(() => {
+        setModelStatus({ state: 'ready', progress: 1, error: null });
+      })
+      .catch(err => {
+        console.error('Failed to initialize pose analysis:', err);
+        setModelStatus({ state: 'error', progress: 0, error: err.message });
+      });
+  };
+
   // Ensure video keeps playing during recording
   useEffect(() => {
     if (isRecording && videoRef.current) {
@@ -145,7 +327,7 @@ const RecordPage = () => {
       
       // Quick pose analysis to check visibility
       const imageData = canvas.getContext('2d').getImageData(0, 0, canvas.width, canvas.height);
-      const results = await poseAnalysisService.analyzeFrame(imageData);
+      const results = await analyzeCameraFrame(imageData);
       
       if (!results || !results.poseLandmarks) {
         // Person not visible at this moment - just warn, don't block
@@ -237,17 +419,29 @@ const RecordPage = () => {
 
   const startRecording = () => {
     if (!streamRef.current) return;
+    if (sessionMode) endRest();
 
-    // Clear live frame buffer
+    // Clear live frame buffer; the streaming counter follows it frame by frame
     liveFramesRef.current = [];
+    liveCounterRef.current = repCountingService.createStreamingCounter(exercise.id);
+    setLiveReps([]);
+
+    // Spoken cues and rep counts (audio was unlocked by an earlier click - see audioCoachService.prime)
+    audioCoachService.start(exercise.id);
     
-    // Start live skeleton analysis (throttled to ~5fps for performance)
+    // Live landmarks go through the same smoothing/outlier filter as uploaded videos
+    liveFilterRef.current = smoothLandmarks ? landmarkFilterService.createFilter() : null;
+
+    // Start live skeleton analysis (throttled to ~5fps for performance); a tick still waiting on its
+    // pose is not overlapped
+    let liveBusy = false;
     const livePoseInterval = setInterval(async () => {
       // Check refs directly instead of state (state is async)
-      if (!videoRef.current || !liveCanvasRef.current || !mediaRecorderRef.current) {
+      if (liveBusy || !videoRef.current || !liveCanvasRef.current || !mediaRecorderRef.current) {
         return;
       }
       
+      liveBusy = true;
       try {
         const canvas = liveCanvasRef.current;
         const ctx = canvas.getContext('2d');
@@ -262,63 +456,67 @@ const RecordPage = () => {
         // Clear canvas for transparent overlay
         ctx.clearRect(0, 0, canvas.width, canvas.height);
         
-        // Create temporary canvas to capture video frame for analysis
-        const tempCanvas = document.createElement('canvas');
-        tempCanvas.width = canvas.width;
-        tempCanvas.height = canvas.height;
-        const tempCtx = tempCanvas.getContext('2d');
-        tempCtx.save();
-        tempCtx.scale(-1, 1);
-        tempCtx.drawImage(video, -tempCanvas.width, 0, tempCanvas.width, tempCanvas.height);
-        tempCtx.restore();
-        
-        // Analyze pose from temp canvas
-        const imageData = tempCtx.getImageData(0, 0, tempCanvas.width, tempCanvas.height);
-        const results = await poseAnalysisService.analyzeFrame(imageData);
+        // Analyze pose from a mirrored copy of the video frame
+        const results = await analyzeCameraFrame(captureMirroredFrame(video, canvas.width, canvas.height));
         
-        if (results && results.poseLandmarks) {
-          const analysis = poseAnalysisService.analyzeExercise(exercise.id, results.poseLandmarks);
+        const now = performance.now() / 1000;
+        const poseLandmarks = liveFilterRef.current && results?.poseLandmarks
+          ? liveFilterRef.current.filter(results.poseLandmarks, now)
+          : results?.poseLandmarks;
+
+        if (poseLandmarks) {
+          const aspectRatio = canvas.width / canvas.height;
+          const analysis = poseAnalysisService.analyzeExercise(exercise.id, poseLandmarks, { aspectRatio });
           
           if (analysis) {
-            // Create a landmarks object with both raw landmarks and named landmarks
-            const landmarksWithNames = {
-              leftShoulder: results.poseLandmarks[11],
-              rightShoulder: results.poseLandmarks[12],
-              leftHip: results.poseLandmarks[23],
-              rightHip: results.poseLandmarks[24],
-              leftKnee: results.poseLandmarks[25],
-              rightKnee: results.poseLandmarks[26],
-              leftAnkle: results.poseLandmarks[27],
-              rightAnkle: results.poseLandmarks[28],
-              leftElbow: results.poseLandmarks[13],
-              rightElbow: results.poseLandmarks[14],
-              leftWrist: results.poseLandmarks[15],
-              rightWrist: results.poseLandmarks[16]
-            };
-            
-            const errors = poseAnalysisService.validateForm(exercise, landmarksWithNames, analysis);
+            const errors = poseAnalysisService.validateForm(
+              exercise,
+              poseAnalysisService.getNamedLandmarks(poseLandmarks),
+              analysis,
+              { aspectRatio }
+            );
             setLiveErrors(errors);
+            audioCoachService.processErrors(errors);
             
-            // Store frame for later use
-            liveFramesRef.current.push({
-              time: Date.now(),
-              landmarks: results.poseLandmarks,
+            // Store frame for later use (time in seconds, like analyzed frames)
+            const liveFrame = {
+              time: now,
+              landmarks: poseLandmarks,
+              aspectRatio,
               errors
+            };
+            liveFramesRef.current.push(liveFrame);
+
+            // Count reps as they complete, with a quick score from the rep's live errors
+            const rep = liveCounterRef.current?.push(liveFrame);
+            if (rep) {
+              const repNumber = liveCounterRef.current.count;
+              setLiveReps(prev => [...prev, { repNumber, score: scoreLiveRep(rep) }]);
+              audioCoachService.announceRep(repNumber);
+            }
+
+            // Hands-free stop: the gesture, or stillness after the last rep
+            const action = triggerRef.current?.push(liveFrame, {
+              recording: true,
+              repCount: liveCounterRef.current?.count || 0
             });
+            if (action) triggerActionRef.current?.(action);
             
             // Draw skeleton overlay on main canvas (mirrored to match video)
             ctx.save();
             ctx.scale(-1, 1);
             ctx.translate(-canvas.width, 0);
-            poseAnalysisService.drawSkeleton(canvas, results.poseLandmarks, errors);
+            poseAnalysisService.drawSkeleton(canvas, poseLandmarks, errors);
             ctx.restore();
           }
         }
       } catch (err) {
         // Silently handle live analysis errors
         console.debug('Live pose error:', err);
+      } finally {
+        liveBusy = false;
       }
-    }, 200); // 5fps sampling
+    }, LIVE_POSE_INTERVAL_MS);
     
     // Store interval for cleanup
     frameCounterRef.current = livePoseInterval;
@@ -349,12 +547,34 @@ const RecordPage = () => {
       if (frameCounterRef.current) {
         clearInterval(frameCounterRef.current);
       }
+      audioCoachService.stop();
+
+      // An auto-started recording that never turned into a set: drop it and stay armed
+      if (discardRecordingRef.current) {
+        discardRecordingRef.current = false;
+        chunksRef.current = [];
+        liveFramesRef.current = [];
+        setLiveErrors([]);
+        setLiveReps([]);
+        liveCanvasRef.current?.getContext('2d').clearRect(0, 0, liveCanvasRef.current.width, liveCanvasRef.current.height);
+        return;
+      }
+
+      // The finished stream is recounted offline so the set's count matches a recorded video's
+      const finalCount = liveCounterRef.current?.finalize();
+      if (finalCount) setDetectedReps(finalCount);
       
       const blob = new Blob(chunksRef.current, { type: mimeType });
       const url = URL.createObjectURL(blob);
       setVideoUrl(url);
       setMode('setup');
       stopCamera();
+
+      // In a session the rest starts as the set ends, and the set is analyzed while resting
+      if (sessionMode) {
+        startRest();
+        analyzeVideoRef.current?.(url);
+      }
     };
 
     mediaRecorderRef.current = mediaRecorder;
@@ -362,14 +582,94 @@ const RecordPage = () => {
     setIsRecording(true);
   };
 
+  /**
+   * Mini-score for a live rep: its live frames' errors through the same per-rep scoring as analysis
+   */
+  const scoreLiveRep = (rep) => {
+    const repFrames = liveFramesRef.current.slice(rep.startIndex, rep.endIndex + 1);
+    const frameMs = repFrames.length > 1 ? (rep.duration * 1000) / (repFrames.length - 1) : 0;
+    const repErrors = {};
+    repFrames.forEach(frame => frame.errors.forEach(error => {
+      repErrors[error.id] = repErrors[error.id] || { id: error.id, severity: error.severity, durationMs: 0 };
+      repErrors[error.id].durationMs += frameMs;
+    }));
+    return formScoringService.scoreRep(Object.values(repErrors), rep);
+  };
+
+  // Checks the recorder itself - hands-free stops come from the live loop, where state is stale
   const stopRecording = () => {
-    if (mediaRecorderRef.current && isRecording) {
+    if (mediaRecorderRef.current?.state === 'recording') {
       mediaRecorderRef.current.stop();
       setIsRecording(false);
     }
   };
 
+  /**
+   * Start recording after the countdown, if one is set (button and gesture starts)
+   */
+  const requestStart = () => {
+    const seconds = handsFree?.countdownSeconds || 0;
+    if (!seconds) {
+      startRecording();
+      return;
+    }
+
+    let remaining = seconds;
+    const tick = () => {
+      setCountdown(remaining);
+      if (coaching?.enabled && coaching.voice) audioCoachService.speak(String(remaining), { interrupt: true });
+    };
+    tick();
+    countdownTimerRef.current = setInterval(() => {
+      remaining -= 1;
+      if (remaining > 0) {
+        tick();
+        return;
+      }
+      clearInterval(countdownTimerRef.current);
+      countdownTimerRef.current = null;
+      setCountdown(null);
+      startRecording();
+    }, 1000);
+  };
+
+  const cancelCountdown = () => {
+    clearInterval(countdownTimerRef.current);
+    countdownTimerRef.current = null;
+    setCountdown(null);
+  };
+
+  /**
+   * What a hands-free trigger asked for; auto starts skip the countdown since the set is already underway
+   */
+  const handleTriggerAction = ({ action, reason }) => {
+    if (action === 'start' && mediaRecorderRef.current?.state !== 'recording' && countdownTimerRef.current === null) {
+      if (reason === 'motion') startRecording();
+      else requestStart();
+    } else if (action === 'stop') {
+      stopRecording();
+    } else if (action === 'discard') {
+      discardRecordingRef.current = true;
+      stopRecording();
+      toast({
+        title: 'No set detected',
+        description: `Recording dropped - still waiting for your ${exercise.name.toLowerCase()} to start.`,
+        status: 'info',
+        duration: 3000
+      });
+    }
+  };
+  triggerActionRef.current = handleTriggerAction;
+
+  // Called from the hands-free switches, so turning them on unlocks audio for timer-driven starts
+  const updateHandsFree = (changes) => {
+    const settings = handsFreeService.saveSettings({ ...handsFree, ...changes });
+    if (handsFreeService.isArmed(settings)) audioCoachService.prime();
+    setHandsFree(settings);
+  };
+
   const stopCamera = () => {
+    cancelCountdown();
     if (streamRef.current) {
       streamRef.current.getTracks().forEach(track => track.stop());
       streamRef.current = null;
@@ -387,71 +687,205 @@ const RecordPage = () => {
     }
   };
 
-  // Fallback analysis function for when Web Workers fail
-  const analyzeFramesFallback = async (frameBatch, startIndex) => {
+  // Optional second angle of the same set (front + side), fused during analysis
+  const handleSecondFileUpload = (e) => {
+    const file = e.target.files[0];
+    if (file) {
+      setSecondVideoUrl(URL.createObjectURL(file));
+    }
+  };
+
+  // Fallback analysis on the main thread for when worker inference is unavailable
+  const analyzeFramesFallback = async (frameBatch, onFrame) => {
     const results = [];
     for (let i = 0; i < frameBatch.length; i++) {
       const { index: originalIndex, frame } = frameBatch[i];
+      let result;
       try {
         const poseResults = await poseAnalysisService.analyzeFrame(frame.imageData);
         const poseLandmarks = poseResults?.poseLandmarks || null;
+        const { analysis, errors } = poseAnalysisService.analyzeLandmarks(exercise, poseLandmarks, {
+          aspectRatio: frame.imageData.width / frame.imageData.height
+        });
 
-        const analysis = poseLandmarks
-          ? (poseAnalysisService.analyzeExercise(exercise.id, poseLandmarks) || {})
-          : {};
-
-        const landmarksWithNames = poseLandmarks
-          ? {
-              leftShoulder: poseLandmarks[11],
-              rightShoulder: poseLandmarks[12],
-              leftHip: poseLandmarks[23],
-              rightHip: poseLandmarks[24],
-              leftKnee: poseLandmarks[25],
-              rightKnee: poseLandmarks[26],
-              leftAnkle: poseLandmarks[27],
-              rightAnkle: poseLandmarks[28],
-              leftElbow: poseLandmarks[13],
-              rightElbow: poseLandmarks[14],
-              leftWrist: poseLandmarks[15],
-              rightWrist: poseLandmarks[16]
-            }
-          : {};
-
-        const errors = poseLandmarks
-          ? poseAnalysisService.validateForm(
-              exercise,
-              landmarksWithNames,
-              analysis
-            )
-          : [];
-
-        results.push({
+        result = {
           originalIndex,
           time: frame.time,
           landmarks: poseLandmarks,
+          worldLandmarks: poseResults?.poseWorldLandmarks || null,
           errors,
           analysis,
-          dataUrl: frame.dataUrl,
           success: true
-        });
+        };
       } catch (err) {
         console.warn(`Fallback analysis failed for frame ${originalIndex}:`, err);
-        results.push({
+        result = {
           originalIndex,
           time: frame.time,
           landmarks: null,
           errors: [],
           analysis: {},
-          dataUrl: frame.dataUrl,
           success: true
-        });
+        };
       }
+      results.push(result);
+      if (onFrame) onFrame(result, results.length, frameBatch.length);
+
+      // Yield so progress and the preview can paint between frames
+      await new Promise(resolve => setTimeout(resolve, 0));
     }
     return results;
   };
 
-  const analyzeVideo = async () => {
-    if (!videoUrl || !exercise) return;
+  /**
+   * Extract and analyze one recording's frames, reporting progress between progressStart and progressEnd
+   * seed: a tapped bar end cap ({ time, x, y }) to track through the frames as `barPosition`
+   * Returns the analyzed frames ({ time, frameIndex, errors, landmarks, dataUrl, barPosition?, ...metrics })
+   */
+  const analyzeRecording = async (url, progressStart, progressEnd, seed = null) => {
+    const progressAt = (fraction) => progressStart + Math.round((progressEnd - progressStart) * fraction);
+
+    // Get video duration first (fast - metadata only)
+    const { duration, width, height } = await getVideoMetadata(url);
+    setAnalysisProgress(progressAt(0.1));
+
+    // Calculate optimal frame interval based on duration
+    let frameInterval;
+    if (duration <= 3) {
+      frameInterval = 0.05;   // 20 fps for very short videos
+    } else if (duration <= 5) {
+      frameInterval = 0.067;  // 15 fps
+    } else if (duration <= 10) {
+      frameInterval = 0.083;  // 12 fps
+    } else if (duration <= 20) {
+      frameInterval = 0.1;    // 10 fps
+    } else if (duration <= 30) {
+      frameInterval = 0.133;  // ~7.5 fps
+    } else {
+      frameInterval = 0.167;  // ~6 fps
+    }
+
+    // Cap total frames to keep analysis fast
+    const maxFrames = 180;
+    const minIntervalForCap = duration / maxFrames;
+    frameInterval = Math.max(frameInterval, minIntervalForCap);
+
+    // Extract frames with optimal interval (single extraction)
+    const { frames: extractedFrames } = await extractFramesFromVideo(url, frameInterval);
+    setAnalysisProgress(progressAt(0.25));
+
+    console.log(`Video: ${duration.toFixed(1)}s, ${extractedFrames.length} frames at ${(1/frameInterval).toFixed(1)} fps`);
+
+    // Single-pass analysis: send all extracted frames to workers (no pre-scan)
+    const framesWithLandmarks = extractedFrames.map((frame, index) => ({
+      index,
+      frame
+    }));
+
+    // Analyze frames on the persistent worker pool
+    const totalFrames = framesWithLandmarks.length;
+
+    const handleAnalyzedFrame = (result, completed) => {
+      setAnalysisProgress(progressAt(0.3 + (completed / totalFrames) * 0.7));
+
+      if (showVisualization && completed % 15 === 0) {
+        const frame = extractedFrames[result.originalIndex];
+        setCurrentAnalysisFrame({
+          dataUrl: frame?.dataUrl,
+          landmarks: result.landmarks,
+          errors: result.errors,
+          frameNumber: completed,
+          totalFrames: totalFrames,
+          width: 640,
+          height: 480
+        });
+      }
+    };
+
+    let allResults;
+    try {
+      const workerFrames = framesWithLandmarks.map(({ index, frame }) => ({
+        index,
+        time: frame.time,
+        image: frame.bitmap || frame.imageData
+      }));
+      allResults = await poseWorkerPool.analyzeFrames(workerFrames, exercise.id, handleAnalyzedFrame);
+      console.log(`Analyzed ${totalFrames} frames on ${poseWorkerPool.workers.length} workers`);
+    } catch (err) {
+      console.warn('Worker inference unavailable, analyzing on the main thread:', err);
+      framesWithLandmarks.forEach(({ frame }) => frame.bitmap?.close?.());
+      allResults = await analyzeFramesFallback(framesWithLandmarks, handleAnalyzedFrame);
+    }
+
+    // Thumbnails stay on the main thread; workers only see pixels
+    allResults.forEach(result => {
+      result.dataUrl = extractedFrames[result.originalIndex]?.dataUrl;
+    });
+
+    const barTrack = seed ? trackBarEnd(extractedFrames, seed) : null;
+
+    // Process results to extract frames and issues
+    const frames = allResults
+      .filter(result => result.success)
+      .map(result => ({
+        time: result.time,
+        frameIndex: result.originalIndex,
+        errors: result.errors,
+        landmarks: result.landmarks,
+        worldLandmarks: result.worldLandmarks || null,
+        dataUrl: result.dataUrl,
+        aspectRatio: width && height ? width / height : null,
+        ...(barTrack ? { barPosition: barTrack[result.originalIndex] } : {}),
+        ...result.analysis
+      }));
+
+    return smoothLandmarks ? filterRecordingFrames(frames) : frames;
+  };
+
+  // BAR TRACKING - Follow the tapped end cap from the extracted frame nearest the tap
+  const trackBarEnd = (extractedFrames, seed) => {
+    const frameIndex = extractedFrames.reduce((best, frame, i) =>
+      Math.abs(frame.time - seed.time) < Math.abs(extractedFrames[best].time - seed.time) ? i : best, 0);
+    const track = trackTemplate(extractedFrames.map(frame => frame.imageData), { frameIndex, x: seed.x, y: seed.y });
+    const tracked = track ? track.filter(Boolean).length : 0;
+    console.log(`Bar end tracked in ${tracked}/${extractedFrames.length} frames`);
+
+    if (tracked < extractedFrames.length / 2) {
+      toast({
+        title: 'Bar Not Tracked',
+        description: 'The marked bar end could not be followed through the set - using body landmarks for the bar path.',
+        status: 'warning',
+        duration: 6000,
+        isClosable: true
+      });
+      return null;
+    }
+    return track.map(position => position && { x: position.x, y: position.y, confidence: position.confidence });
+  };
+
+  // LANDMARK FILTERING - Smooth jitter, drop outliers and fill short gaps, then re-derive metrics and
+  // errors so validation, rep counting and playback all see the filtered pose
+  const filterRecordingFrames = (frames) =>
+    landmarkFilterService.filterFrames(frames).map(frame => {
+      const { analysis, errors } = poseAnalysisService.analyzeLandmarks(exercise, frame.landmarks, {
+        aspectRatio: frame.aspectRatio
+      });
+      return {
+        time: frame.time,
+        frameIndex: frame.frameIndex,
+        errors,
+        landmarks: frame.landmarks,
+        worldLandmarks: frame.worldLandmarks,
+        dataUrl: frame.dataUrl,
+        aspectRatio: frame.aspectRatio,
+        ...(frame.barPosition !== undefined ? { barPosition: frame.barPosition } : {}),
+        ...analysis
+      };
+    });
+
+  // recordingUrl: a session set is analyzed straight from the recorder, before videoUrl state catches up
+  const analyzeVideo = async (recordingUrl = videoUrl) => {
+    if (!recordingUrl || !exercise) return;
 
     setMode('analyzing');
     setAnalysisProgress(0);
@@ -459,177 +893,13 @@ const RecordPage = () => {
     analyzedFramesRef.current = [];
 
     try {
-      // Get video duration first (fast - metadata only)
-      const { duration } = await getVideoMetadata(videoUrl);
-      setAnalysisProgress(5);
-      
-      // Calculate optimal frame interval based on duration
-      let frameInterval;
-      if (duration <= 3) {
-        frameInterval = 0.05;   // 20 fps for very short videos
-      } else if (duration <= 5) {
-        frameInterval = 0.067;  // 15 fps
-      } else if (duration <= 10) {
-        frameInterval = 0.083;  // 12 fps
-      } else if (duration <= 20) {
-        frameInterval = 0.1;    // 10 fps
-      } else if (duration <= 30) {
-        frameInterval = 0.133;  // ~7.5 fps
-      } else {
-        frameInterval = 0.167;  // ~6 fps
-      }
-
-      // Cap total frames to keep analysis fast
-      const maxFrames = 180;
-      const minIntervalForCap = duration / maxFrames;
-      frameInterval = Math.max(frameInterval, minIntervalForCap);
-      
-      // Extract frames with optimal interval (single extraction)
-      const { frames: extractedFrames } = await extractFramesFromVideo(videoUrl, frameInterval);
-      setAnalysisProgress(15);
-      
-      console.log(`Video: ${duration.toFixed(1)}s, ${extractedFrames.length} frames at ${(1/frameInterval).toFixed(1)} fps`);
-      
-      const frameResults = [];
       const issueFrames = {};
 
-      // Single-pass analysis: send all extracted frames to workers (no pre-scan)
-      setAnalysisProgress(20);
-      const framesWithLandmarks = extractedFrames.map((frame, index) => ({
-        index,
-        frame
-      }));
-
-      setAnalysisProgress(25);
-      
-      // SECOND PASS: Analyze frames with multithreading (Web Workers)
-      const totalFrames = framesWithLandmarks.length;
-      console.log('Second pass: Analyzing frames with Web Workers...');
-      
-      // Determine number of workers (max 4 to avoid overwhelming system)
-      const workerCount = Math.min(4, Math.ceil(totalFrames / 50));
-      const frameBatchSize = Math.ceil(totalFrames / workerCount);
-      
-      console.log(`Using ${workerCount} workers, ${frameBatchSize} frames per batch`);
-      
-      // Create workers and analyze frame batches in parallel
-      const analyzeFramesBatch = async (batch, batchIndex) => {
-        return new Promise((resolve, reject) => {
-          try {
-            const worker = new Worker(
-              new URL('../workers/frameAnalysisWorker.js', import.meta.url),
-              { type: 'module' }
-            );
-            
-            // Prepare batch data (remove large imageData for transfer)
-            const batchData = batch.map(f => ({
-              imageData: f.frame.imageData,
-              time: f.frame.time,
-              dataUrl: f.frame.dataUrl
-            }));
-            
-            const batchIndices = batch.map((_, i) => batchIndex * frameBatchSize + i);
-            
-            worker.onmessage = (event) => {
-              worker.terminate();
-              if (event.data.success) {
-                resolve(event.data.results);
-              } else {
-                reject(new Error(event.data.error));
-              }
-            };
-            
-            worker.onerror = (err) => {
-              worker.terminate();
-              reject(err);
-            };
-            
-            // Send batch to worker
-            worker.postMessage({
-              frames: batchData,
-              exerciseId: exercise.id,
-              frameIndices: batchIndices
-            });
-          } catch (err) {
-            reject(err);
-          }
-        });
-      };
-      
-      // Process batches in parallel
-      const batches = [];
-      for (let i = 0; i < framesWithLandmarks.length; i += frameBatchSize) {
-        batches.push(framesWithLandmarks.slice(i, i + frameBatchSize));
-      }
-      
-      // Analyze all batches in parallel and collect results
-      const batchResults = await Promise.all(
-        batches.map((batch, idx) => 
-          analyzeFramesBatch(batch, idx)
-            .then(results => {
-              // Update progress
-              const batchProgress = (idx + 1) / batches.length;
-              setAnalysisProgress(25 + Math.round(batchProgress * 35));
-              return results;
-            })
-            .catch(err => {
-              console.warn(`Batch ${idx} analysis failed, falling back to single-threaded:`, err);
-              // Fallback: analyze batch sequentially if worker fails
-              return analyzeFramesFallback(batches[idx], idx * frameBatchSize);
-            })
-        )
-      );
-      
-      // Flatten all results
-      const allResults = batchResults.flat();
-      
-      // Process results to extract frames and issues
-      for (const result of allResults) {
-        if (result.success) {
-          frameResults.push({
-            time: result.time,
-            frameIndex: result.originalIndex,
-            errors: result.errors,
-            landmarks: result.landmarks,
-            dataUrl: result.dataUrl,
-            ...result.analysis
-          });
-          
-          // Track issue frames
-          result.errors.forEach(error => {
-            if (!issueFrames[error.id]) {
-              issueFrames[error.id] = [];
-            }
-            issueFrames[error.id].push({
-              frameIndex: result.originalIndex,
-              dataUrl: result.dataUrl,
-              landmarks: result.landmarks,
-              error
-            });
-          });
-          
-          // Store for playback
-          analyzedFramesRef.current[result.originalIndex] = {
-            time: result.time,
-            dataUrl: result.dataUrl,
-            landmarks: result.landmarks,
-            errors: result.errors
-          };
-          
-          // Update visualization occasionally
-          if (showVisualization && frameResults.length % 15 === 0) {
-            setCurrentAnalysisFrame({
-              dataUrl: result.dataUrl,
-              landmarks: result.landmarks,
-              errors: result.errors,
-              frameNumber: frameResults.length,
-              totalFrames: totalFrames,
-              width: 640,
-              height: 480
-            });
-          }
-        }
-      }
+      // With a second angle each recording gets half of the analysis progress
+      const frameResults = await analyzeRecording(recordingUrl, 0, secondVideoUrl ? 35 : 60, barSeed);
+      const secondFrameResults = secondVideoUrl
+        ? await analyzeRecording(secondVideoUrl, 35, 60)
+        : null;
 
       // If no frames were successfully analyzed, continue with empty results
       // (avoid hard failure; allow a minimal workout record)
@@ -642,19 +912,48 @@ const RecordPage = () => {
           isClosable: true
         });
       }
-      
-      // All frames analyzed - frameResults now contains only valid frames
-      const validFrameResults = frameResults;
 
       setAnalysisProgress(65);
 
       // ADAPTIVE ANALYSIS - Generate guidance (no limited-analysis warnings)
-      const adaptiveReport = adaptiveAnalysisService.generateAdaptiveReport(
+      let adaptiveReport = adaptiveAnalysisService.generateAdaptiveReport(
         exercise.id,
-        validFrameResults,
+        frameResults,
         {}
       );
 
+      // VIEW FUSION - Align the second angle on the rep signal and judge each check on the view that sees it
+      let validFrameResults = frameResults;
+      let viewFusion = null;
+      if (secondFrameResults?.length > 0 && frameResults.length > 0) {
+        const views = viewFusionService.assignViews(frameResults, secondFrameResults);
+        const alignment = viewFusionService.alignRecordings(frameResults, secondFrameResults, exercise.id);
+        if (!alignment.reliable) {
+          toast({
+            title: 'Recordings Loosely Aligned',
+            description: 'The two angles could not be matched rep-for-rep; results may mix up timing.',
+            status: 'warning',
+            duration: 6000,
+            isClosable: true
+          });
+        }
+
+        validFrameResults = viewFusionService.fuseFrames(exercise, frameResults, secondFrameResults, {
+          ...views,
+          offset: alignment.offset
+        });
+        adaptiveReport = viewFusionService.fuseAdaptiveReports(exercise, {
+          [views.primaryView]: adaptiveReport,
+          [views.secondaryView]: adaptiveAnalysisService.generateAdaptiveReport(exercise.id, secondFrameResults, {})
+        }, alignment);
+        viewFusion = {
+          ...views,
+          offset: alignment.offset,
+          correlation: alignment.correlation,
+          secondaryFrameCount: secondFrameResults.length
+        };
+      }
+
       setAnalysisProgress(70);
 
       // REP COUNTING - Detect and count reps
@@ -666,6 +965,38 @@ const RecordPage = () => {
         setReps(repAnalysis.count.toString());
       }
 
+      // TEMPORAL VALIDATION - Re-judge frames knowing which rep and phase they belong to
+      // Judged on 3D world angles when the camera angle calls for it (adaptiveReport.dimension)
+      const phasedFrames = temporalValidationService.revalidateFrames(exercise, validFrameResults, repAnalysis, {
+        dimension: adaptiveReport.dimension
+      });
+
+      phasedFrames.forEach(frame => {
+        // Track issue frames
+        frame.errors.forEach(error => {
+          if (!issueFrames[error.id]) {
+            issueFrames[error.id] = [];
+          }
+          issueFrames[error.id].push({
+            frameIndex: frame.frameIndex,
+            dataUrl: frame.dataUrl,
+            landmarks: frame.landmarks,
+            error
+          });
+        });
+
+        // Store for playback
+        analyzedFramesRef.current[frame.frameIndex] = {
+          time: frame.time,
+          dataUrl: frame.dataUrl,
+          landmarks: frame.landmarks,
+          errors: frame.errors,
+          phase: frame.phase,
+          repIndex: frame.repIndex,
+          barPosition: frame.barPosition
+        };
+      });
+
       // Show rep count detection
       if (repAnalysis.count > 0) {
         toast({
@@ -730,64 +1061,76 @@ const RecordPage = () => {
 
       setAnalysisProgress(75);
 
-      // ERROR AGGREGATION - Collect all errors across frames
-      let significantErrors = [];
-      if (validFrameResults.length > 0) {
-        const errorCounts = {};
-        validFrameResults.forEach(frame => {
-          if (frame && frame.errors) {
-            frame.errors.forEach(error => {
-              if (!errorCounts[error.id]) {
-                errorCounts[error.id] = { ...error, count: 0, frames: [] };
-              }
-              errorCounts[error.id].count++;
-              errorCounts[error.id].frames.push(frame.time);
-            });
-          }
-        });
-
-        // Filter errors based on severity-adjusted thresholds
-        // This prevents fluctuation from frame sampling variations
-        significantErrors = Object.values(errorCounts)
-          .map(err => ({
-            ...err,
-            frequency: err.count / validFrameResults.length,
-            // Determine threshold based on severity - critical errors require less frequency
-            thresholdFrequency: 
-              err.severity === 'critical' ? 0.15 : // 15% for critical (very important)
-              err.severity === 'high' ? 0.20 :      // 20% for high
-              err.severity === 'medium' ? 0.25 :    // 25% for medium
-              0.30                                   // 30% for low
-          }))
-          .filter(err => err.frequency >= err.thresholdFrequency)
-          .sort((a, b) => {
-            const severityOrder = { critical: 4, high: 3, medium: 2, low: 1 };
-            return (severityOrder[b.severity] || 0) - (severityOrder[a.severity] || 0);
-          });
-      }
+      // ERROR AGGREGATION - Attribute errors to reps and phases (frame share when no reps were found)
+      const significantErrors = temporalValidationService.aggregateErrors(
+        exercise,
+        phasedFrames,
+        repAnalysis.repRanges || []
+      );
 
-      // SCORING - Adjust based on analysis completeness
-      let baseScore = 0;
-      if (validFrameResults.length > 0) {
-        baseScore = Math.max(0, Math.min(100, 100 - (significantErrors.length * 15)));
-      }
-      const completenessMultiplier = adaptiveReport.confidence;
-      const score = Math.round(baseScore * completenessMultiplier);
+      // SCORING - Weighted by severity, frequency, magnitude and duration; camera confidence reported separately
+      const repRanges = repAnalysis.repRanges || [];
+      const scoring = formScoringService.scoreSession({
+        errors: significantErrors,
+        frames: phasedFrames,
+        repRanges,
+        confidence: adaptiveReport.confidence
+      });
+      const score = scoring.score;
 
       setAnalysisProgress(90);
 
       // REP PROGRESSION ANALYSIS - Analyze movement quality through each phase
-      let repProgressionAnalyses = [];
-      if (repAnalysis.repRanges && repAnalysis.repRanges.length > 0) {
-        repProgressionAnalyses = repAnalysis.repRanges.map(repRange => {
-          const repFrames = validFrameResults.slice(repRange.startFrame, repRange.endFrame + 1);
-          return repProgressionService.analyzeRepProgression(repFrames, exercise.id);
-        }).filter(Boolean);
-      }
+      const repProgressionByRep = repRanges.map(repRange => {
+        const repFrames = validFrameResults.slice(repRange.startIndex, repRange.endIndex + 1);
+        return repProgressionService.analyzeRepProgression(repFrames, exercise.id);
+      });
+      const repProgressionAnalyses = repProgressionByRep.filter(Boolean);
+
+      // PER-REP BREAKDOWN - Each rep carries its own score, errors and phase issues
+      const repErrors = temporalValidationService.errorsByRep(significantErrors, repRanges.length);
+      const scoredRepRanges = repRanges.map((repRange, i) => ({
+        ...repRange,
+        repNumber: i + 1,
+        score: formScoringService.scoreRep(repErrors[i], repRange, scoring.breakdown),
+        errors: repErrors[i],
+        phaseIssues: repProgressionByRep[i]?.issues || []
+      }));
+
+      // BASELINE COMPARISON - Rep by rep against the lifter's reference set for this exercise, if one is marked
+      const reference = storageService.getReferenceWorkout(exercise.id);
+      const baselineComparison = reference?.baseline
+        ? baselineComparisonService.compare(
+            reference.baseline,
+            baselineComparisonService.buildRepProfiles(exercise.id, phasedFrames, repRanges)
+          )
+        : null;
+
+      // VELOCITY - Concentric bar speed per rep, velocity loss and reps in reserve (m/s with the lifter's height)
+      const { heightCm } = storageService.getUserProfile();
+      const velocity = velocityService.analyzeSet(exercise.id, phasedFrames, repRanges, { heightCm });
+
+      // BAR PATH - Horizontal drift per rep from a vertical line, traced over the first rep's starting frame
+      // (only its time is kept - the image is read back from the stored frame data)
+      const barPathResult = barPathService.trackSet(exercise.id, phasedFrames, repRanges, { heightCm });
+      const barPath = barPathResult && {
+        ...barPathResult,
+        thumbnailTime: (phasedFrames.find(frame => frame.repIndex === 0) || phasedFrames[0])?.time ?? null
+      };
+
+      // REP TRAJECTORIES - Joint angles aligned (DTW) against the best rep, or the reference set if one is marked
+      const repTrajectories = repProgressionService.compareRepTrajectories(
+        scoredRepRanges.map((repRange, i) => ({
+          repNumber: repRange.repNumber,
+          score: repRange.score,
+          frames: phasedFrames.filter(frame => frame.repIndex === i)
+        })),
+        { baseline: reference?.baseline }
+      );
 
       // Get consistency analysis across reps
       const repConsistency = repProgressionAnalyses.length > 1 ? 
-        repProgressionService.compareRepProgression(repProgressionAnalyses) : null;
+        repProgressionService.compareRepProgression(repProgressionAnalyses, repTrajectories) : null;
 
       // Analyze rep quality
       const repQuality = repAnalysis.count > 0 ? 
@@ -800,12 +1143,19 @@ const RecordPage = () => {
         detectedReps: repAnalysis.count,
         userEnteredReps: parseInt(reps) || 0,
         score,
-        baseScore,
+        scoreBreakdown: scoring.breakdown,
+        pointsLost: scoring.pointsLost,
+        cameraConfidence: scoring.cameraConfidence,
         errors: significantErrors,
+        analyzerVersion: poseAnalysisService.getAnalyzerVersion(exercise),
+        anthropometry: anthropometryService.describeAdjustment(exercise.id),
+        viewFusion,
+        landmarkFilter: smoothLandmarks ? DEFAULT_FILTER_OPTIONS : null,
         frameCount: frameResults.length,
         videoUrl: null,
         adaptiveAnalysis: {
           mode: adaptiveReport.analysisMode,
+          dimension: adaptiveReport.dimension,
           confidence: adaptiveReport.confidence,
           completenessScore: adaptiveReport.completenessScore,
           cameraAngle: adaptiveReport.camera?.currentAngle,
@@ -820,23 +1170,52 @@ const RecordPage = () => {
         } : null,
         repProgressionAnalyses,
         repConsistency,
-        repRanges: repAnalysis.repRanges || [],
+        repRanges: scoredRepRanges,
+        baselineComparison,
+        repTrajectories,
+        velocity,
+        barPath,
         issueSamples
       };
 
+      // A session set is grouped with the session's other sets (the session is created with its first set)
+      const activeSession = sessionMode ? (session || storageService.saveSession({ exerciseId: exercise.id, restSeconds })) : null;
+      if (activeSession) {
+        workout.sessionId = activeSession.id;
+        workout.setNumber = activeSession.sets.length + 1;
+      }
+
       setAnalysisProgress(95);
 
       // Save workout metadata first
       const savedWorkout = storageService.saveWorkout(workout);
       storageService.updateExerciseStats(exercise.id, workout);
 
+      // Count the set toward today's program; finishing the exercise's sets may move its target
+      const programMatch = programService.recordWorkout(savedWorkout);
+      if (programMatch) {
+        workout.plannedSet = programMatch.plannedSet;
+        workout.programProgression = programMatch.progression;
+        storageService.updateWorkout(savedWorkout.id, {
+          plannedSet: programMatch.plannedSet,
+          programProgression: programMatch.progression
+        });
+
+        const nextPlanned = programService.getPlannedSet(exercise.id);
+        setPlannedSet(nextPlanned);
+        if (nextPlanned?.entry.load > 0) setWeight(String(nextPlanned.entry.load));
+      }
+
       // Store frame data for playback (landmarks, errors, metrics) with dataUrls for overlay
       try {
         const frameData = analyzedFramesRef.current.filter(Boolean).map(frame => ({
           time: frame.time,
           landmarks: frame.landmarks,
           errors: frame.errors || [],
-          dataUrl: frame.dataUrl
+          phase: frame.phase,
+          repIndex: frame.repIndex,
+          dataUrl: frame.dataUrl,
+          ...(frame.barPosition !== undefined ? { barPosition: frame.barPosition } : {})
         }));
         
         await storageService.saveWorkoutFrameData(savedWorkout.id, frameData);
@@ -847,7 +1226,7 @@ const RecordPage = () => {
 
       // Store video blob for playback
       try {
-        const videoBlob = await (await fetch(videoUrl)).blob();
+        const videoBlob = await (await fetch(recordingUrl)).blob();
         await storageService.saveVideoBlob(savedWorkout.id, videoBlob);
         console.log(`Stored video blob (${(videoBlob.size / 1024 / 1024).toFixed(2)}MB)`);
       } catch (err) {
@@ -870,24 +1249,29 @@ const RecordPage = () => {
 
       setAnalysisProgress(100);
 
+      const resultsState = {
+        workout: { ...workout, id: savedWorkout.id },
+        exerciseData: {
+          id: exercise.id,
+          name: exercise.name,
+          icon: exercise.icon,
+          description: exercise.description,
+          formTips: exercise.formTips,
+          category: exercise.category
+        },
+        adaptiveReport,
+        repAnalysis,
+        repProgressionAnalyses,
+        repConsistency
+      };
+
+      if (activeSession) {
+        completeSessionSet(activeSession, savedWorkout, resultsState);
+        return;
+      }
+
       // Pass data to results page
-      navigate(`/results`, { 
-        state: { 
-          workout,
-          exerciseData: {
-            id: exercise.id,
-            name: exercise.name,
-            icon: exercise.icon,
-            description: exercise.description,
-            formTips: exercise.formTips,
-            category: exercise.category
-          },
-          adaptiveReport,
-          repAnalysis,
-          repProgressionAnalyses,
-          repConsistency
-        } 
-      });
+      navigate(`/results`, { state: resultsState });
 
     } catch (error) {
       console.error('Analysis error:', error);
@@ -925,6 +1309,8 @@ const RecordPage = () => {
     }
   };
 
+  analyzeVideoRef.current = analyzeVideo;
+
   const handleClearOldWorkouts = async () => {
     try {
       const deleted = await storageService.deleteOldestWorkoutData(3);
@@ -965,15 +1351,135 @@ const RecordPage = () => {
     }
   };
 
+  // BAR MARKING - Pause on a frame and tap the bar end cap; analysis tracks it through the set
+  const startMarkingBar = () => {
+    previewVideoRef.current?.pause();
+    setIsMarkingBar(true);
+  };
+
+  const handleBarTap = (event) => {
+    const video = previewVideoRef.current;
+    if (!video?.videoWidth) return;
+
+    const rect = event.currentTarget.getBoundingClientRect();
+    const aspect = video.videoWidth / video.videoHeight;
+    const box = getPreviewContentBox(aspect);
+    const x = ((event.clientX - rect.left) / rect.width - box.left) / box.width;
+    const y = ((event.clientY - rect.top) / rect.height - box.top) / box.height;
+    if (x < 0 || x > 1 || y < 0 || y > 1) return;
+
+    setBarSeed({ time: video.currentTime, x, y, aspect });
+    setIsMarkingBar(false);
+  };
+
+  // AUDIO COACHING - Settings are saved per exercise as they change
+  const updateCoaching = (changes) => {
+    setCoaching(audioCoachService.saveSettings(exercise.id, { ...coaching, ...changes }));
+  };
+
+  const toggleCoachedCheck = (checkId) => {
+    const muted = coaching.mutedChecks.includes(checkId)
+      ? coaching.mutedChecks.filter(id => id !== checkId)
+      : [...coaching.mutedChecks, checkId];
+    updateCoaching({ mutedChecks: muted });
+  };
+
   const resetRecording = () => {
     stopCamera();
     setVideoUrl(null);
+    setSecondVideoUrl(null);
     setMode('setup');
     setIsRecording(false);
   };
 
+  // SESSION - The rest timer runs from the end of one set until the next one starts recording
+  const startRest = () => {
+    clearInterval(restTimerRef.current);
+    restStartedAtRef.current = Date.now();
+    restDoneRef.current = false;
+    setRestElapsed(0);
+    restTimerRef.current = setInterval(() => {
+      restTickRef.current(Math.floor((Date.now() - restStartedAtRef.current) / 1000));
+    }, 1000);
+  };
+
+  // Reads the current rest length, so changing it mid-rest takes effect
+  const handleRestTick = (elapsed) => {
+    setRestElapsed(Math.min(elapsed, restSeconds));
+    if (elapsed < restSeconds) return;
+
+    clearInterval(restTimerRef.current);
+    restDoneRef.current = true;
+    if (coaching?.enabled && coaching.voice) audioCoachService.speak('Rest over. Next set.');
+    toast({ title: 'Rest over', description: 'Get set for the next set.', status: 'info', duration: 3000 });
+    // Straight to the camera, unless the last set is still being analyzed (it opens it when done)
+    if (mode === 'setup' && !videoUrl) startCamera();
+  };
+  restTickRef.current = handleRestTick;
+
+  const endRest = () => {
+    clearInterval(restTimerRef.current);
+    restTakenRef.current = restStartedAtRef.current ? Math.round((Date.now() - restStartedAtRef.current) / 1000) : null;
+    restStartedAtRef.current = null;
+    setRestElapsed(null);
+  };
+
+  /**
+   * File an analyzed set under its session and get ready for the next one
+   */
+  const completeSessionSet = (activeSession, savedWorkout, resultsState) => {
+    const updated = storageService.addSessionSet(activeSession.id, {
+      workoutId: savedWorkout.id,
+      weight: savedWorkout.weight,
+      reps: savedWorkout.reps,
+      score: savedWorkout.score,
+      restSeconds: activeSession.sets.length > 0 ? restTakenRef.current : null
+    });
+    restTakenRef.current = null;
+    lastResultsRef.current = resultsState;
+    setSession(updated);
+
+    setVideoUrl(null);
+    setSecondVideoUrl(null);
+    setReps('');
+    setDetectedReps(null);
+    setMode('setup');
+    toast({
+      title: `Set ${savedWorkout.setNumber} saved`,
+      description: `${savedWorkout.reps} reps · form score ${savedWorkout.score}`,
+      status: 'success',
+      duration: 3000
+    });
+
+    // Uploaded sets start the rest once analyzed; a rest that ran out during analysis goes to the camera
+    if (restStartedAtRef.current === null) startRest();
+    else if (restDoneRef.current) startCamera();
+  };
+
+  const finishSession = () => {
+    clearInterval(restTimerRef.current);
+    if (!session?.sets.length) {
+      navigate('/');
+      return;
+    }
+
+    const sessionFatigue = sessionFatigueService.analyze(session);
+    const { sets, ...trends } = sessionFatigue;
+    const finished = storageService.updateSession(session.id, { endedAt: new Date().toISOString(), fatigue: trends });
+    navigate('/results', { state: { ...lastResultsRef.current, session: finished, sessionFatigue } });
+  };
+
   if (!exercise) return null;
 
+  const restOver = restElapsed !== null && restElapsed >= restSeconds;
+
+  // Marked bar end, positioned over the letterboxed preview
+  const markerBox = barSeed ? getPreviewContentBox(barSeed.aspect) : null;
+  const barMarker = markerBox && {
+    left: `${(markerBox.left + barSeed.x * markerBox.width) * 100}%`,
+    top: `${(markerBox.top + barSeed.y * markerBox.height) * 100}%`
+  };
+
   return (
     <Container maxW="container.lg" py={8}>
       {/* Storage Quota Error Dialog */}
@@ -1032,7 +1538,7 @@ const RecordPage = () => {
               <Text as="span" fontSize="3xl" mr={3}>
                 {exercise.icon}
               </Text>
-              {exercise.name}
+              {exercise.name}{sessionMode && ' Session'}
             </Heading>
             <Text color="gray.400">{exercise.description}</Text>
           </Box>
@@ -1045,6 +1551,120 @@ const RecordPage = () => {
           </Button>
         </Flex>
 
+        {/* Session - sets so far, the rest timer and finishing up */}
+        {sessionMode && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="purple.500">
+            <CardBody>
+              <Flex justify="space-between" align="center" wrap="wrap" gap={3}>
+                <Box>
+                  <Text color="white" fontWeight="bold">
+                    Set {(session?.sets.length || 0) + 1}
+                  </Text>
+                  <HStack spacing={1} mt={1} flexWrap="wrap">
+                    {session?.sets.map(set => (
+                      <Badge key={set.workoutId} colorScheme={getScoreColor(set.score)} variant="subtle">
+                        Set {set.setNumber}: {set.reps}{set.weight > 0 ? ` × ${set.weight}` : ' reps'} · {set.score}
+                      </Badge>
+                    ))}
+                  </HStack>
+                </Box>
+
+                {restElapsed !== null && (
+                  <HStack spacing={2}>
+                    <Icon as={FaHourglassHalf} color="purple.300" />
+                    <Text color={restOver ? 'green.300' : 'white'} fontSize="2xl" fontWeight="bold">
+                      {restOver ? 'Rest over' : formatClock(restSeconds - restElapsed)}
+                    </Text>
+                  </HStack>
+                )}
+
+                <HStack spacing={2}>
+                  <Select
+                    size="sm"
+                    w="auto"
+                    value={restSeconds}
+                    onChange={(e) => setRestSeconds(Number(e.target.value))}
+                    bg="gray.900"
+                    borderColor="gray.600"
+                    color="white"
+                  >
+                    {REST_OPTIONS.map(seconds => (
+                      <option key={seconds} value={seconds}>Rest {formatClock(seconds)}</option>
+                    ))}
+                  </Select>
+                  <Button
+                    leftIcon={<FaFlagCheckered />}
+                    colorScheme="purple"
+                    size="sm"
+                    onClick={finishSession}
+                    isDisabled={isRecording || mode === 'analyzing'}
+                  >
+                    Finish Session
+                  </Button>
+                </HStack>
+              </Flex>
+              {restElapsed !== null && !restOver && (
+                <Progress value={(restElapsed / restSeconds) * 100} size="xs" colorScheme="purple" borderRadius="md" mt={3} />
+              )}
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Today's planned set from the program */}
+        {plannedSet && mode !== 'analyzing' && (
+          <Box bg="gray.800" p={3} borderRadius="md" borderLeft="4px" borderColor="purple.400">
+            <HStack spacing={3}>
+              <Icon as={FaCalendarAlt} color="purple.300" />
+              <Text color="gray.200" fontSize="sm">
+                <Text as="span" fontWeight="bold" color="white">
+                  {plannedSet.day.name}: set {plannedSet.setNumber} of {plannedSet.entry.sets}
+                </Text>
+                {' - '}{plannedSet.entry.reps} reps
+                {plannedSet.entry.load > 0 ? ` @ ${plannedSet.entry.load}` : plannedSet.entry.load === null ? ', this set sets the load' : ''}
+              </Text>
+            </HStack>
+          </Box>
+        )}
+
+        {/* Pose model loading status */}
+        {mode === 'setup' && modelStatus.state === 'loading' && (
+          <Box bg="gray.800" p={4} borderRadius="md" borderWidth="1px" borderColor="gray.700">
+            <Text color="gray.300" fontSize="sm" mb={2}>
+              Loading pose model... {Math.round(modelStatus.progress * 100)}%
+            </Text>
+            <Progress value={modelStatus.progress * 100} size="sm" colorScheme="blue" borderRadius="md" />
+          </Box>
+        )}
+        {mode === 'setup' && modelStatus.state === 'error' && (
+          <Box bg="red.900" p={4} borderRadius="md" borderLeft="4px" borderColor="red.500">
+            <Flex justify="space-between" align="center" gap={4}>
+              <Box>
+                <Text color="red.100" fontWeight="bold" fontSize="sm">
+                  Pose model failed to load
+                </Text>
+                <Text color="red.200" fontSize="xs">
+                  {modelStatus.error}. Connect once to download the model for offline use.
+                </Text>
+              </Box>
+              <Button size="sm" colorScheme="red" variant="outline" onClick={loadPoseModel}>
+                Retry
+              </Button>
+            </Flex>
+          </Box>
+        )}
+
+        {mode === 'setup' && workerModelMissing && (
+          <Box bg="gray.800" p={3} borderRadius="md" borderLeft="4px" borderColor="yellow.400">
+            <Text color="yellow.200" fontWeight="bold" fontSize="sm">
+              Worker pose model not installed
+            </Text>
+            <Text color="gray.400" fontSize="xs">
+              pose_landmarker_full.task is missing from public/mediapipe/tasks/, so videos are analyzed on the
+              main thread, which is slower. Run npm run fetch-pose-model to add it.
+            </Text>
+          </Box>
+        )}
+
         {/* Tips & Common Mistakes - Only in setup mode */}
         {mode === 'setup' && !videoUrl && (
           <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
@@ -1153,7 +1773,10 @@ const RecordPage = () => {
                   colorScheme="red"
                   size="lg"
                   w="full"
-                  onClick={startCamera}
+                  onClick={() => {
+                    audioCoachService.prime();
+                    startCamera();
+                  }}
                   height="60px"
                 >
                   Record with Camera
@@ -1247,7 +1870,60 @@ const RecordPage = () => {
                         ● RECORDING
                       </Badge>
                     )}
+
+                    {/* Hands-free status while waiting for a start */}
+                    {isArmed && (
+                      <Badge
+                        position="absolute"
+                        top={4}
+                        left={4}
+                        colorScheme="purple"
+                        fontSize="sm"
+                        zIndex={10}
+                      >
+                        {handsFree.gesture
+                          ? `Raise both arms wide for 2 s to start${handsFree.auto ? ' - or just begin your set' : ''}`
+                          : 'Waiting for your set to begin'}
+                      </Badge>
+                    )}
+
+                    {/* Countdown before a delayed start */}
+                    {countdown !== null && (
+                      <Flex
+                        position="absolute"
+                        inset={0}
+                        align="center"
+                        justify="center"
+                        bg="rgba(0,0,0,0.4)"
+                        zIndex={10}
+                      >
+                        <Text color="white" fontSize="8xl" fontWeight="bold">
+                          {countdown}
+                        </Text>
+                      </Flex>
+                    )}
                     
+                    {/* Live rep count with each rep's mini-score */}
+                    {isRecording && (
+                      <VStack position="absolute" top={4} right={4} spacing={1} align="flex-end" zIndex={10}>
+                        <Badge colorScheme="blue" fontSize="md" px={3}>
+                          {liveReps.length} REP{liveReps.length !== 1 ? 'S' : ''}
+                        </Badge>
+                        <HStack spacing={1} maxW="220px" flexWrap="wrap" justify="flex-end">
+                          {liveReps.slice(-8).map(rep => (
+                            <Badge
+                              key={rep.repNumber}
+                              colorScheme={getScoreColor(rep.score)}
+                              variant="solid"
+                              fontSize="xs"
+                            >
+                              #{rep.repNumber} {rep.score}
+                            </Badge>
+                          ))}
+                        </HStack>
+                      </VStack>
+                    )}
+
                     {/* Live errors display - only when recording */}
                     {isRecording && liveErrors.length > 0 && (
                       <Box
@@ -1277,15 +1953,30 @@ const RecordPage = () => {
                 {/* Buttons change based on recording state */}
                 {!isRecording ? (
                   <HStack spacing={4} w="full">
-                    <Button
-                      leftIcon={<FaPlay />}
-                      colorScheme="red"
-                      size="lg"
-                      flex={1}
-                      onClick={startRecording}
-                    >
-                      Start Recording
-                    </Button>
+                    {countdown === null ? (
+                      <Button
+                        leftIcon={<FaPlay />}
+                        colorScheme="red"
+                        size="lg"
+                        flex={1}
+                        onClick={() => {
+                          audioCoachService.prime();
+                          requestStart();
+                        }}
+                      >
+                        {handsFree?.countdownSeconds ? `Start in ${handsFree.countdownSeconds} s` : 'Start Recording'}
+                      </Button>
+                    ) : (
+                      <Button
+                        leftIcon={<FaTimes />}
+                        colorScheme="orange"
+                        size="lg"
+                        flex={1}
+                        onClick={cancelCountdown}
+                      >
+                        Cancel Countdown
+                      </Button>
+                    )}
                     <Button
                       leftIcon={<FaTimes />}
                       variant="outline"
@@ -1312,23 +2003,120 @@ const RecordPage = () => {
             {/* Video Preview - After Recording/Upload */}
             {videoUrl && mode === 'setup' && (
               <VStack spacing={4}>
-                <AspectRatio ratio={16/9} w="full">
-                  <Box bg="black" borderRadius="md" overflow="hidden">
+                <AspectRatio ratio={PREVIEW_ASPECT} w="full">
+                  <Box bg="black" borderRadius="md" overflow="hidden" position="relative">
                     <video
                       ref={previewVideoRef}
                       src={videoUrl}
-                      controls
+                      controls={!isMarkingBar}
                       style={{ width: '100%', height: '100%', objectFit: 'contain' }}
                     />
+                    {barMarker && (
+                      <Box
+                        position="absolute"
+                        left={barMarker.left}
+                        top={barMarker.top}
+                        w="20px"
+                        h="20px"
+                        transform="translate(-50%, -50%)"
+                        border="3px solid"
+                        borderColor="cyan.300"
+                        borderRadius="full"
+                        pointerEvents="none"
+                      />
+                    )}
+                    {isMarkingBar && (
+                      <Box position="absolute" inset={0} cursor="crosshair" onClick={handleBarTap} />
+                    )}
                   </Box>
                 </AspectRatio>
 
+                {/* Optional bar tracking - follows the tapped end cap instead of the wrist/shoulder proxy */}
+                {isMarkingBar ? (
+                  <HStack w="full" justify="space-between" bg="cyan.900" p={3} borderRadius="md">
+                    <Text color="cyan.100" fontSize="sm">
+                      <Icon as={FaCrosshairs} mr={2} />
+                      Tap the centre of the barbell end cap
+                    </Text>
+                    <Button size="sm" variant="ghost" colorScheme="cyan" onClick={() => setIsMarkingBar(false)}>
+                      Cancel
+                    </Button>
+                  </HStack>
+                ) : barSeed ? (
+                  <HStack w="full" justify="space-between" bg="gray.700" p={3} borderRadius="md">
+                    <Text color="gray.300" fontSize="sm">
+                      <Icon as={FaCrosshairs} mr={2} color="cyan.300" />
+                      Bar end marked at {barSeed.time.toFixed(1)}s - it will be tracked for the bar path
+                    </Text>
+                    <IconButton
+                      icon={<FaTimes />}
+                      size="sm"
+                      variant="ghost"
+                      aria-label="Remove bar marker"
+                      onClick={() => setBarSeed(null)}
+                    />
+                  </HStack>
+                ) : (
+                  <Button
+                    leftIcon={<FaCrosshairs />}
+                    variant="outline"
+                    colorScheme="cyan"
+                    w="full"
+                    onClick={startMarkingBar}
+                  >
+                    Mark Bar End (track the plate)
+                  </Button>
+                )}
+
+                {/* Optional second angle - checks are judged on whichever view supports them */}
+                <Input
+                  type="file"
+                  accept="video/*"
+                  onChange={handleSecondFileUpload}
+                  ref={secondFileInputRef}
+                  display="none"
+                />
+                {secondVideoUrl ? (
+                  <HStack w="full" justify="space-between" bg="gray.700" p={3} borderRadius="md">
+                    <Text color="gray.300" fontSize="sm">
+                      <Icon as={FaCamera} mr={2} />
+                      Second angle added - front and side views will be combined
+                    </Text>
+                    <IconButton
+                      icon={<FaTimes />}
+                      size="sm"
+                      variant="ghost"
+                      aria-label="Remove second angle"
+                      onClick={() => setSecondVideoUrl(null)}
+                    />
+                  </HStack>
+                ) : (
+                  <Button
+                    leftIcon={<FaUpload />}
+                    variant="outline"
+                    colorScheme="gray"
+                    w="full"
+                    onClick={() => secondFileInputRef.current?.click()}
+                  >
+                    Add Second Angle (front + side)
+                  </Button>
+                )}
+
+                <HStack justify="space-between" w="full">
+                  <Text color="gray.400" fontSize="sm">Smooth landmarks (reduces jitter)</Text>
+                  <Switch
+                    isChecked={smoothLandmarks}
+                    onChange={(e) => setSmoothLandmarks(e.target.checked)}
+                    colorScheme="green"
+                  />
+                </HStack>
+
                 <HStack spacing={4} w="full">
                   <Button
                     colorScheme="green"
                     size="lg"
                     flex={1}
-                    onClick={analyzeVideo}
+                    onClick={() => analyzeVideo()}
                   >
                     Analyze Form
                   </Button>
@@ -1483,6 +2271,160 @@ const RecordPage = () => {
             )}
           </CardBody>
         </Card>
+
+        {/* Audio Coaching - spoken cues and rep counts while recording */}
+        {mode === 'camera' && !isRecording && coaching && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={coaching.enabled ? 2 : undefined}>
+              <HStack justify="space-between">
+                <Heading size="sm" color="white">
+                  <Icon as={FaVolumeUp} color="teal.300" mr={2} />
+                  Audio Coaching
+                </Heading>
+                <Switch
+                  isChecked={coaching.enabled}
+                  onChange={(e) => updateCoaching({ enabled: e.target.checked })}
+                  colorScheme="teal"
+                />
+              </HStack>
+            </CardHeader>
+            {coaching.enabled && (
+              <CardBody pt={0}>
+                <VStack spacing={4} align="stretch">
+                  <SimpleGrid columns={{ base: 1, md: 3 }} spacing={3}>
+                    {[
+                      { key: 'voice', label: 'Spoken cues' },
+                      { key: 'earcons', label: 'Warning tones' },
+                      { key: 'repCount', label: 'Count reps aloud' }
+                    ].map(option => (
+                      <HStack key={option.key} justify="space-between" bg="gray.900" p={2} borderRadius="md">
+                        <Text color="gray.300" fontSize="sm">{option.label}</Text>
+                        <Switch
+                          size="sm"
+                          isChecked={coaching[option.key]}
+                          onChange={(e) => updateCoaching({ [option.key]: e.target.checked })}
+                          colorScheme="teal"
+                        />
+                      </HStack>
+                    ))}
+                  </SimpleGrid>
+
+                  <FormControl>
+                    <FormLabel color="gray.400" fontSize="sm">Cue errors of severity</FormLabel>
+                    <Select
+                      size="sm"
+                      value={coaching.minSeverity}
+                      onChange={(e) => updateCoaching({ minSeverity: e.target.value })}
+                      bg="gray.900"
+                      borderColor="gray.600"
+                      color="white"
+                    >
+                      {SEVERITY_LEVELS.map(level => (
+                        <option key={level} value={level}>
+                          {level === 'critical' ? 'Critical only' : `${level.charAt(0).toUpperCase()}${level.slice(1)} and above`}
+                        </option>
+                      ))}
+                    </Select>
+                  </FormControl>
+
+                  {exercise.validationChecks?.length > 0 && (
+                    <Box>
+                      <Text color="gray.400" fontSize="sm" mb={2}>Checks to call out</Text>
+                      <SimpleGrid columns={{ base: 1, md: 2 }} spacing={1}>
+                        {exercise.validationChecks.map(check => (
+                          <Checkbox
+                            key={check.id}
+                            size="sm"
+                            colorScheme="teal"
+                            isChecked={!coaching.mutedChecks.includes(check.id)}
+                            onChange={() => toggleCoachedCheck(check.id)}
+                          >
+                            <Text color="gray.300" fontSize="sm">{check.name}</Text>
+                          </Checkbox>
+                        ))}
+                      </SimpleGrid>
+                    </Box>
+                  )}
+                </VStack>
+              </CardBody>
+            )}
+          </Card>
+        )}
+
+        {/* Hands-Free - gesture and automatic start/stop, and a countdown */}
+        {mode === 'camera' && !isRecording && handsFree && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Heading size="sm" color="white">
+                <Icon as={FaHandPaper} color="purple.300" mr={2} />
+                Hands-Free
+              </Heading>
+            </CardHeader>
+            <CardBody pt={0}>
+              <VStack spacing={3} align="stretch">
+                <HStack justify="space-between" bg="gray.900" p={2} borderRadius="md">
+                  <Box>
+                    <Text color="gray.300" fontSize="sm">Gesture start/stop</Text>
+                    <Text color="gray.500" fontSize="xs">Both arms overhead in a wide Y, held for 2 s</Text>
+                  </Box>
+                  <Switch
+                    size="sm"
+                    isChecked={handsFree.gesture}
+                    onChange={(e) => updateHandsFree({ gesture: e.target.checked })}
+                    colorScheme="purple"
+                  />
+                </HStack>
+                <HStack justify="space-between" bg="gray.900" p={2} borderRadius="md">
+                  <Box>
+                    <Text color="gray.300" fontSize="sm">Auto start/stop</Text>
+                    <Text color="gray.500" fontSize="xs">
+                      Starts when you begin the set, stops after {handsFree.stillnessSeconds} s still after the last rep
+                    </Text>
+                  </Box>
+                  <Switch
+                    size="sm"
+                    isChecked={handsFree.auto}
+                    onChange={(e) => updateHandsFree({ auto: e.target.checked })}
+                    colorScheme="purple"
+                  />
+                </HStack>
+
+                <SimpleGrid columns={2} spacing={3}>
+                  <FormControl isDisabled={!handsFree.auto}>
+                    <FormLabel color="gray.400" fontSize="sm">Stop after still for</FormLabel>
+                    <Select
+                      size="sm"
+                      value={handsFree.stillnessSeconds}
+                      onChange={(e) => updateHandsFree({ stillnessSeconds: Number(e.target.value) })}
+                      bg="gray.900"
+                      borderColor="gray.600"
+                      color="white"
+                    >
+                      {[2, 3, 5, 8].map(seconds => (
+                        <option key={seconds} value={seconds}>{seconds} seconds</option>
+                      ))}
+                    </Select>
+                  </FormControl>
+                  <FormControl>
+                    <FormLabel color="gray.400" fontSize="sm">Countdown</FormLabel>
+                    <Select
+                      size="sm"
+                      value={handsFree.countdownSeconds}
+                      onChange={(e) => updateHandsFree({ countdownSeconds: Number(e.target.value) })}
+                      bg="gray.900"
+                      borderColor="gray.600"
+                      color="white"
+                    >
+                      {COUNTDOWN_OPTIONS.map(seconds => (
+                        <option key={seconds} value={seconds}>{seconds ? `${seconds} seconds` : 'Off'}</option>
+                      ))}
+                    </Select>
+                  </FormControl>
+                </SimpleGrid>
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
       </VStack>
     </Container>
   );
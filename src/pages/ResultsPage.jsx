@@ -1,4 +1,4 @@
-import React, { useState } from 'react';
+import React, { useState, useEffect } from 'react';
 import { useLocation, useNavigate } from 'react-router-dom';
 import {
   Box,
@@ -23,8 +23,19 @@ import {
   List,
   ListItem,
   ListIcon,
-  Collapse
+  Collapse,
+  ButtonGroup
 } from '@chakra-ui/react';
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  CartesianGrid,
+  Tooltip,
+  ResponsiveContainer,
+  Legend
+} from 'recharts';
 import { 
   FaCheckCircle, 
   FaExclamationTriangle, 
@@ -37,15 +48,59 @@ import {
   FaStopwatch,
   FaInfoCircle,
   FaChevronDown,
-  FaChevronUp
+  FaChevronUp,
+  FaRulerVertical,
+  FaStar,
+  FaWaveSquare,
+  FaTachometerAlt,
+  FaRoute,
+  FaLayerGroup,
+  FaCalendarAlt
 } from 'react-icons/fa';
 import { getExerciseById } from '../config/exercises';
+import { PATH_COLORS } from '../services/barPath';
+import storageService from '../services/storage';
+
+// Rep overlay chart: joint names and one line colour per rep
+const JOINT_LABELS = {
+  kneeAngle: 'Knee',
+  hipAngle: 'Hip',
+  backAngle: 'Back',
+  elbowAngle: 'Elbow'
+};
+const REP_COLORS = ['#3B82F6', '#10B981', '#F59E0B', '#EF4444', '#8B5CF6', '#EC4899', '#14B8A6', '#F97316'];
+
+// What the bar path was traced from (barPathService.trackSet source)
+const BAR_SOURCE_LABELS = {
+  plate: 'the tracked bar end cap',
+  shoulders: 'the shoulder midpoint',
+  wrists: 'the wrist midpoint'
+};
 
 const ResultsPage = () => {
   const location = useLocation();
   const navigate = useNavigate();
-  const { workout, exerciseData, adaptiveReport, repAnalysis } = location.state || {};
+  const { workout, exerciseData, adaptiveReport, repAnalysis, session, sessionFatigue } = location.state || {};
   const [expandedIssues, setExpandedIssues] = useState({});
+  const [overlayMetric, setOverlayMetric] = useState(null);
+  const [barPathThumbnail, setBarPathThumbnail] = useState(null);
+
+  // The bar path is drawn over one of the set's frames, read back from the stored frame data
+  useEffect(() => {
+    const thumbnailTime = workout?.barPath?.thumbnailTime;
+    if (!workout?.id || thumbnailTime === null || thumbnailTime === undefined) return undefined;
+
+    let cancelled = false;
+    storageService.getWorkoutFrameData(workout.id)
+      .then(data => {
+        const frame = data?.frames.find(f => f.time === thumbnailTime);
+        if (!cancelled) setBarPathThumbnail(frame?.dataUrl || null);
+      })
+      .catch(err => console.warn('Could not load bar path frame:', err));
+    return () => {
+      cancelled = true;
+    };
+  }, [workout]);
 
   // Toggle issue examples visibility
   const toggleIssueExamples = (issueId) => {
@@ -55,6 +110,9 @@ const ResultsPage = () => {
     }));
   };
 
+  // Camera confidence is reported beside the score (older workouts only have the adaptive report's)
+  const cameraConfidence = workout?.cameraConfidence ?? workout?.adaptiveAnalysis?.confidence;
+
   // Get full exercise object for form tips
   const exercise = exerciseData ? getExerciseById(exerciseData.id) : null;
 
@@ -114,6 +172,69 @@ const ResultsPage = () => {
     return 'red';
   };
 
+  // Rep overlay rows: one per position on the reference rep's timeline
+  const trajectories = workout.repTrajectories;
+  const activeOverlayMetric = trajectories?.metrics.includes(overlayMetric) ? overlayMetric : trajectories?.metrics[0];
+  const overlayReps = trajectories ? trajectories.reps.filter(rep => !rep.isReference) : [];
+  const overlayData = trajectories
+    ? trajectories.positions.map((position, k) => ({
+        position,
+        reference: trajectories.referenceOverlay[activeOverlayMetric][k],
+        ...Object.fromEntries(overlayReps.map(rep => [`rep${rep.repNumber}`, rep.overlay[activeOverlayMetric][k]]))
+      }))
+    : [];
+  const referenceLabel = trajectories?.reference.source === 'best_rep'
+    ? `Rep ${trajectories.reference.repNumber} (best)`
+    : 'Reference set';
+
+  // Bar path thumbnail: the set's first frame with rep traces drawn in normalized image coordinates
+  // (workouts saved before frame times were kept carry the image itself)
+  const renderBarPathThumbnail = (barPath, repIndices, width) => {
+    const thumbnail = barPathThumbnail || barPath.thumbnail;
+    return (
+      <Box position="relative" w={width} flexShrink={0} bg="black" borderRadius="md" overflow="hidden">
+        {thumbnail && (
+          <img src={thumbnail} alt="Bar path" style={{ width: '100%', display: 'block' }} />
+        )}
+        <svg
+          viewBox="0 0 1 1"
+          preserveAspectRatio="none"
+          style={thumbnail
+            ? { position: 'absolute', top: 0, left: 0, width: '100%', height: '100%' }
+            : { display: 'block', width: '100%', aspectRatio: '16 / 9' }}
+        >
+          {repIndices.map(repIndex => {
+            const points = barPath.points.filter(point => point.rep === repIndex);
+            if (points.length < 2) return null;
+            const color = PATH_COLORS[repIndex % PATH_COLORS.length];
+            return (
+              <g key={repIndex}>
+                <line
+                  x1={points[0].x}
+                  x2={points[0].x}
+                  y1={0}
+                  y2={1}
+                  stroke="white"
+                  strokeOpacity={0.4}
+                  strokeDasharray="4 3"
+                  vectorEffect="non-scaling-stroke"
+                />
+                <polyline
+                  points={points.map(point => `${point.x},${point.y}`).join(' ')}
+                  fill="none"
+                  stroke={color}
+                  strokeWidth={2.5}
+                  strokeLinejoin="round"
+                  vectorEffect="non-scaling-stroke"
+                />
+              </g>
+            );
+          })}
+        </svg>
+      </Box>
+    );
+  };
+
   const getConfidenceLabel = (confidence) => {
     if (confidence >= 0.9) return 'Full Analysis';
     if (confidence >= 0.7) return 'Partial Analysis';
@@ -136,7 +257,14 @@ const ResultsPage = () => {
             <Text color="gray.400">
               {workout.reps > 0 && `${workout.reps} reps`}
               {workout.weight > 0 && ` @ ${workout.weight} lbs`}
+              {workout.viewFusion && ` · ${workout.viewFusion.primaryView} + ${workout.viewFusion.secondaryView} views`}
             </Text>
+            {workout.plannedSet && (
+              <Text color="purple.300" fontSize="sm">
+                Program set {workout.plannedSet.setNumber} of {workout.plannedSet.sets} · target {workout.plannedSet.targetReps} reps
+                {workout.plannedSet.targetLoad > 0 && ` @ ${workout.plannedSet.targetLoad}`}
+              </Text>
+            )}
           </Box>
         </Flex>
 
@@ -180,10 +308,114 @@ const ResultsPage = () => {
               <Text fontSize="sm" color="gray.500">
                 Based on {workout.frameCount} analyzed frames
               </Text>
+
+              {typeof cameraConfidence === 'number' && (
+                <HStack spacing={2} fontSize="sm">
+                  <Icon as={FaCamera} color="gray.400" />
+                  <Text color="gray.400">Camera view:</Text>
+                  <Badge colorScheme={getConfidenceColor(cameraConfidence)}>
+                    {getConfidenceLabel(cameraConfidence)} · {Math.round(cameraConfidence * 100)}%
+                  </Badge>
+                  <Text color="gray.500">(not part of the score)</Text>
+                </HStack>
+              )}
             </VStack>
           </CardBody>
         </Card>
 
+        {/* Program - the exercise's target after its last planned set of the day */}
+        {workout.programProgression && (
+          <Box
+            bg="gray.800"
+            p={4}
+            borderRadius="md"
+            borderLeft="4px"
+            borderColor={workout.programProgression.outcome === 'progress' ? 'green.400' : workout.programProgression.outcome === 'deload' ? 'orange.400' : 'gray.500'}
+          >
+            <HStack spacing={3}>
+              <Icon as={FaCalendarAlt} color="purple.300" />
+              <Box>
+                <Text color="white" fontWeight="bold">
+                  {workout.programProgression.outcome === 'progress' && 'Target goes up: '}
+                  {workout.programProgression.outcome === 'deload' && 'Target comes down: '}
+                  {workout.programProgression.outcome === 'hold' && 'Target holds: '}
+                  {workout.programProgression.from === workout.programProgression.to
+                    ? workout.programProgression.to
+                    : `${workout.programProgression.from} → ${workout.programProgression.to}`}
+                  {workout.programProgression.units === 'reps' && ' reps'}
+                </Text>
+                <Text color="gray.400" fontSize="sm">{workout.programProgression.reason}</Text>
+              </Box>
+            </HStack>
+          </Box>
+        )}
+
+        {/* Session - set-to-set fatigue trends (the cards below are the last set's) */}
+        {session && sessionFatigue && (
+          <Card bg="gray.800" borderWidth="1px" borderColor={sessionFatigue.fatigued ? 'orange.500' : 'gray.700'}>
+            <CardHeader pb={2}>
+              <Flex justify="space-between" align="center">
+                <Heading size="sm" color="white">
+                  <Icon as={FaLayerGroup} color="purple.300" mr={2} />
+                  Session · {sessionFatigue.sets.length} Set{sessionFatigue.sets.length !== 1 ? 's' : ''}
+                </Heading>
+                {sessionFatigue.fatigued && (
+                  <Badge colorScheme="orange" fontSize="sm">Fatigue</Badge>
+                )}
+              </Flex>
+              <Text color="gray.500" fontSize="xs" mt={1}>
+                Form score and mean bar speed per set · the cards below are for set {sessionFatigue.sets.length}
+              </Text>
+            </CardHeader>
+            <CardBody pt={2}>
+              <Text color="gray.300" fontSize="sm" mb={3}>
+                {sessionFatigue.summary}
+              </Text>
+              {sessionFatigue.sets.length > 1 && (
+                <ResponsiveContainer width="100%" height={220}>
+                  <LineChart data={sessionFatigue.sets.map(set => ({ ...set, label: `Set ${set.setNumber}` }))}>
+                    <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                    <XAxis dataKey="label" stroke="#9CA3AF" />
+                    <YAxis yAxisId="score" stroke="#9CA3AF" domain={[0, 100]} />
+                    <YAxis yAxisId="velocity" orientation="right" stroke="#9CA3AF" domain={['auto', 'auto']} />
+                    <Tooltip
+                      contentStyle={{
+                        backgroundColor: '#1F2937',
+                        border: '1px solid #374151',
+                        borderRadius: '8px'
+                      }}
+                    />
+                    <Legend />
+                    <Line yAxisId="score" type="monotone" dataKey="score" stroke="#A78BFA" strokeWidth={2} name="Form score" />
+                    <Line
+                      yAxisId="velocity"
+                      type="monotone"
+                      dataKey="meanVelocity"
+                      stroke="#2DD4BF"
+                      strokeWidth={2}
+                      connectNulls
+                      name={`Bar speed (${sessionFatigue.sets.find(set => set.units)?.units || 'm/s'})`}
+                    />
+                  </LineChart>
+                </ResponsiveContainer>
+              )}
+              <VStack align="stretch" spacing={1} mt={3}>
+                {sessionFatigue.sets.map(set => (
+                  <HStack key={set.workoutId} justify="space-between" fontSize="sm">
+                    <Text color="white" fontWeight="semibold">Set {set.setNumber}</Text>
+                    <Text color="gray.400" fontSize="xs">
+                      {set.reps} reps{set.weight > 0 && ` @ ${set.weight} lbs`}
+                      {set.meanVelocity !== null && ` · ${set.meanVelocity} ${set.units}`}
+                      {set.restSeconds !== null && ` · ${Math.floor(set.restSeconds / 60)}:${String(set.restSeconds % 60).padStart(2, '0')} rest`}
+                    </Text>
+                    <Badge colorScheme={getScoreColor(set.score)}>{set.score}</Badge>
+                  </HStack>
+                ))}
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
         {/* Rep Analysis Card */}
         {(workout.detectedReps > 0 || repAnalysis) && (
           <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
@@ -236,33 +468,342 @@ const ResultsPage = () => {
           </Card>
         )}
 
+        {/* Rep-by-Rep Breakdown */}
+        {workout.repRanges?.some(rep => rep.score !== undefined) && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader>
+              <Heading size="md" color="white">
+                Rep-by-Rep Breakdown
+              </Heading>
+            </CardHeader>
+            <CardBody>
+              <VStack spacing={3} align="stretch" divider={<Divider borderColor="gray.700" />}>
+                {workout.repRanges.map((rep, idx) => (
+                  <Flex key={idx} gap={4} align="flex-start">
+                    <VStack spacing={0} minW="64px">
+                      <Text fontSize="xs" color="gray.500">
+                        Rep {rep.repNumber || idx + 1}
+                      </Text>
+                      <Text fontSize="2xl" fontWeight="bold" color={`${getScoreColor(rep.score)}.400`}>
+                        {rep.score}
+                      </Text>
+                    </VStack>
+                    <Box flex={1}>
+                      <Text fontSize="xs" color="gray.500" mb={1}>
+                        {rep.startTime?.toFixed(1)}s - {rep.endTime?.toFixed(1)}s
+                        {rep.duration ? ` (${rep.duration.toFixed(1)}s)` : ''}
+                      </Text>
+                      {rep.errors?.length === 0 && rep.phaseIssues?.length === 0 && (
+                        <Text fontSize="sm" color="green.300">Clean rep</Text>
+                      )}
+                      {rep.errors?.map((error, i) => (
+                        <HStack key={`e${i}`} spacing={2}>
+                          <Icon as={getSeverityIcon(error.severity)} color={`${getSeverityColor(error.severity)}.400`} boxSize={3} />
+                          <Text fontSize="sm" color="gray.200">
+                            {error.name} on {error.phase} at {error.startTime?.toFixed(1)}s
+                          </Text>
+                        </HStack>
+                      ))}
+                      {rep.phaseIssues?.map((issue, i) => (
+                        <HStack key={`p${i}`} spacing={2}>
+                          <Icon as={FaInfoCircle} color="blue.300" boxSize={3} />
+                          <Text fontSize="sm" color="gray.400">
+                            {issue.description}
+                          </Text>
+                        </HStack>
+                      ))}
+                    </Box>
+                  </Flex>
+                ))}
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
         {/* Adaptive Analysis Warning removed */}
 
-        {/* Score Breakdown (when limited analysis) */}
-        {workout.baseScore !== workout.score && (
+        {/* Score Breakdown - where the points went */}
+        {workout.scoreBreakdown?.length > 0 && (
           <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
             <CardHeader pb={2}>
               <Heading size="sm" color="white">
                 <Icon as={FaInfoCircle} color="blue.400" mr={2} />
-                Score Breakdown
+                Where Your Points Went
               </Heading>
             </CardHeader>
             <CardBody pt={2}>
-              <HStack spacing={4} fontSize="sm">
-                <Text color="gray.400">
-                  Base Score: <Text as="span" color="white" fontWeight="bold">{workout.baseScore}</Text>
-                </Text>
-                <Text color="gray.400">×</Text>
-                <Text color="gray.400">
-                  Analysis Completeness: <Text as="span" color="white" fontWeight="bold">
-                    {Math.round((workout.score / workout.baseScore) * 100)}%
+              <VStack align="stretch" spacing={3}>
+                {workout.scoreBreakdown.map(item => (
+                  <Box key={item.id}>
+                    <HStack justify="space-between" mb={1}>
+                      <HStack spacing={2}>
+                        <Icon as={getSeverityIcon(item.severity)} color={`${getSeverityColor(item.severity)}.400`} boxSize={3} />
+                        <Text color="white" fontSize="sm" fontWeight="semibold">{item.name}</Text>
+                      </HStack>
+                      <Text color={`${getSeverityColor(item.severity)}.300`} fontSize="sm" fontWeight="bold">
+                        -{item.points} pts
+                      </Text>
+                    </HStack>
+                    <Progress
+                      value={item.points}
+                      max={workout.pointsLost > 0 ? Math.max(workout.pointsLost, item.points) : 100}
+                      colorScheme={getSeverityColor(item.severity)}
+                      size="xs"
+                      borderRadius="md"
+                    />
+                    <Text color="gray.500" fontSize="xs" mt={1}>
+                      {item.reasons.join(' · ')}
+                    </Text>
+                  </Box>
+                ))}
+                <Divider borderColor="gray.700" />
+                <HStack justify="space-between" fontSize="sm">
+                  <Text color="gray.400">100 - {workout.pointsLost} points</Text>
+                  <Text color={`${getScoreColor(workout.score)}.400`} fontWeight="bold">
+                    Form Score: {workout.score}
                   </Text>
-                </Text>
-                <Text color="gray.400">=</Text>
-                <Text color={`${getScoreColor(workout.score)}.400`} fontWeight="bold">
-                  Final Score: {workout.score}
-                </Text>
-              </HStack>
+                </HStack>
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Rep-by-rep comparison with the lifter's reference set */}
+        {workout.baselineComparison && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Flex justify="space-between" align="center">
+                <Heading size="sm" color="white">
+                  <Icon as={FaStar} color="yellow.400" mr={2} />
+                  Compared to Your Reference Set
+                </Heading>
+                <Badge colorScheme={getScoreColor(workout.baselineComparison.similarity)} fontSize="md">
+                  {workout.baselineComparison.similarity}% similar
+                </Badge>
+              </Flex>
+              <Text color="gray.500" fontSize="xs" mt={1}>
+                Reference from {new Date(workout.baselineComparison.referenceDate).toLocaleDateString()}
+                {typeof workout.baselineComparison.referenceScore === 'number' && ` · scored ${workout.baselineComparison.referenceScore}`}
+              </Text>
+            </CardHeader>
+            <CardBody pt={2}>
+              <Text color="gray.300" fontSize="sm" mb={3}>
+                {workout.baselineComparison.summary}
+              </Text>
+              <VStack align="stretch" spacing={2}>
+                {workout.baselineComparison.reps.map(rep => (
+                  <Box key={rep.repNumber}>
+                    <HStack justify="space-between">
+                      <Text color="white" fontSize="sm" fontWeight="semibold">Rep {rep.repNumber}</Text>
+                      <Text color={`${getScoreColor(rep.similarity)}.300`} fontSize="sm" fontWeight="bold">
+                        {rep.similarity}%
+                      </Text>
+                    </HStack>
+                    <Progress value={rep.similarity} colorScheme={getScoreColor(rep.similarity)} size="xs" borderRadius="md" />
+                    {rep.notes.length > 0 && (
+                      <Text color="gray.500" fontSize="xs" mt={1}>
+                        {rep.notes.join(' · ')}
+                      </Text>
+                    )}
+                  </Box>
+                ))}
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Velocity-based training: concentric speed per rep */}
+        {workout.velocity && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Flex justify="space-between" align="center">
+                <Heading size="sm" color="white">
+                  <Icon as={FaTachometerAlt} color="teal.400" mr={2} />
+                  Bar Velocity
+                </Heading>
+                {workout.velocity.estimatedRIR !== null && (
+                  <Badge colorScheme={workout.velocity.estimatedRIR <= 1 ? 'red' : workout.velocity.estimatedRIR <= 3 ? 'orange' : 'green'} fontSize="md">
+                    ~{workout.velocity.estimatedRIR} RIR
+                  </Badge>
+                )}
+              </Flex>
+              <Text color="gray.500" fontSize="xs" mt={1}>
+                {workout.velocity.units === 'm/s'
+                  ? 'Mean concentric velocity in m/s'
+                  : 'Mean concentric velocity in body lengths per second - add your height on the calibration page for m/s'}
+              </Text>
+            </CardHeader>
+            <CardBody pt={2}>
+              <Text color="gray.300" fontSize="sm" mb={3}>
+                {workout.velocity.summary}
+              </Text>
+              <VStack align="stretch" spacing={2}>
+                {workout.velocity.reps.map(rep => (
+                  <Box key={rep.repNumber}>
+                    <HStack justify="space-between">
+                      <Text color="white" fontSize="sm" fontWeight="semibold">Rep {rep.repNumber}</Text>
+                      <Text color="gray.400" fontSize="xs">
+                        {rep.meanVelocity} mean · {rep.peakVelocity} peak · {(rep.concentricMs / 1000).toFixed(1)}s
+                      </Text>
+                    </HStack>
+                    <Progress
+                      value={(rep.meanVelocity / workout.velocity.fastestVelocity) * 100}
+                      colorScheme="teal"
+                      size="xs"
+                      borderRadius="md"
+                    />
+                  </Box>
+                ))}
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Bar path traced across the set */}
+        {workout.barPath?.reps.length > 0 && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Heading size="sm" color="white">
+                <Icon as={FaRoute} color="cyan.300" mr={2} />
+                Bar Path
+              </Heading>
+              <Text color="gray.500" fontSize="xs" mt={1}>
+                Traced from {BAR_SOURCE_LABELS[workout.barPath.source] || BAR_SOURCE_LABELS.wrists} · dashed line is vertical from each rep's start
+              </Text>
+            </CardHeader>
+            <CardBody pt={2}>
+              <Text color="gray.300" fontSize="sm" mb={3}>
+                {workout.barPath.summary}
+              </Text>
+              <Flex gap={4} direction={{ base: 'column', md: 'row' }} align="flex-start">
+                {renderBarPathThumbnail(workout.barPath, workout.barPath.reps.map(rep => rep.repNumber - 1), { base: '100%', md: '320px' })}
+                <VStack align="stretch" spacing={2} flex={1}>
+                  {workout.barPath.reps.map(rep => (
+                    <HStack key={rep.repNumber} spacing={3}>
+                      {renderBarPathThumbnail(workout.barPath, [rep.repNumber - 1], '72px')}
+                      <Box>
+                        <Text color="white" fontSize="sm" fontWeight="semibold">Rep {rep.repNumber}</Text>
+                        <Text color="gray.400" fontSize="xs">
+                          Max drift {Math.abs(rep.maxDrift)}{workout.barPath.units === 'cm' ? ' cm' : '%'} {rep.maxDrift >= 0 ? 'forward' : 'back'}
+                          {' · '}avg {rep.meanDeviation}{workout.barPath.units === 'cm' ? ' cm' : '%'} off vertical
+                        </Text>
+                      </Box>
+                    </HStack>
+                  ))}
+                </VStack>
+              </Flex>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Rep trajectories aligned against the best rep (or the reference set) */}
+        {trajectories && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Flex justify="space-between" align="center" wrap="wrap" gap={2}>
+                <Heading size="sm" color="white">
+                  <Icon as={FaWaveSquare} color="cyan.400" mr={2} />
+                  Rep Overlay
+                </Heading>
+                <Badge colorScheme={getScoreColor(trajectories.consistency)} fontSize="md">
+                  {trajectories.consistency}% consistent
+                </Badge>
+              </Flex>
+              <Text color="gray.500" fontSize="xs" mt={1}>
+                Each rep time-aligned to {referenceLabel.toLowerCase()} · x-axis is % of the movement
+              </Text>
+            </CardHeader>
+            <CardBody pt={2}>
+              <Text color="gray.300" fontSize="sm" mb={3}>
+                {trajectories.summary}
+              </Text>
+              {trajectories.metrics.length > 1 && (
+                <ButtonGroup size="xs" isAttached variant="outline" mb={3}>
+                  {trajectories.metrics.map(metric => (
+                    <Button
+                      key={metric}
+                      colorScheme={metric === activeOverlayMetric ? 'cyan' : 'gray'}
+                      onClick={() => setOverlayMetric(metric)}
+                    >
+                      {JOINT_LABELS[metric] || metric}
+                    </Button>
+                  ))}
+                </ButtonGroup>
+              )}
+              <ResponsiveContainer width="100%" height={260}>
+                <LineChart data={overlayData}>
+                  <CartesianGrid strokeDasharray="3 3" stroke="#374151" />
+                  <XAxis dataKey="position" stroke="#9CA3AF" unit="%" />
+                  <YAxis stroke="#9CA3AF" unit="°" domain={['auto', 'auto']} />
+                  <Tooltip
+                    contentStyle={{
+                      backgroundColor: '#1F2937',
+                      border: '1px solid #374151',
+                      borderRadius: '8px'
+                    }}
+                    labelFormatter={(position) => `${position}% of the movement`}
+                  />
+                  <Legend />
+                  <Line
+                    type="monotone"
+                    dataKey="reference"
+                    stroke="#F9FAFB"
+                    strokeWidth={3}
+                    strokeDasharray="6 3"
+                    dot={false}
+                    name={referenceLabel}
+                  />
+                  {overlayReps.map((rep, idx) => (
+                    <Line
+                      key={rep.repNumber}
+                      type="monotone"
+                      dataKey={`rep${rep.repNumber}`}
+                      stroke={REP_COLORS[idx % REP_COLORS.length]}
+                      strokeWidth={1.5}
+                      dot={false}
+                      name={`Rep ${rep.repNumber}`}
+                    />
+                  ))}
+                </LineChart>
+              </ResponsiveContainer>
+              <VStack align="stretch" spacing={1} mt={3}>
+                {overlayReps.filter(rep => rep.notes.length > 0).map(rep => (
+                  <Text key={rep.repNumber} color="gray.400" fontSize="xs">
+                    <Text as="span" color="white" fontWeight="semibold">Rep {rep.repNumber}</Text>
+                    {' '}({rep.similarity}%): {rep.notes.join(' · ')}
+                  </Text>
+                ))}
+              </VStack>
+            </CardBody>
+          </Card>
+        )}
+
+        {/* Expected geometry adjusted for the lifter's proportions */}
+        {workout.anthropometry && (
+          <Card bg="gray.800" borderWidth="1px" borderColor="gray.700">
+            <CardHeader pb={2}>
+              <Flex justify="space-between" align="center">
+                <Heading size="sm" color="white">
+                  <Icon as={FaRulerVertical} color="purple.400" mr={2} />
+                  Adjusted for Your Proportions
+                </Heading>
+                <Badge colorScheme={workout.anthropometry.calibrated ? 'green' : 'gray'}>
+                  {workout.anthropometry.calibrated ? 'Calibrated' : 'Average proportions'}
+                </Badge>
+              </Flex>
+            </CardHeader>
+            <CardBody pt={2}>
+              <Text color="gray.300" fontSize="sm" mb={2}>
+                {workout.anthropometry.summary}
+              </Text>
+              <Text color="gray.500" fontSize="xs">
+                Femur/torso {workout.anthropometry.ratios.femurToTorso} · Shin/femur {workout.anthropometry.ratios.shinToFemur} · Arm/torso {workout.anthropometry.ratios.armToTorso}
+              </Text>
+              {!workout.anthropometry.calibrated && (
+                <Button size="xs" variant="link" colorScheme="purple" mt={2} onClick={() => navigate('/calibrate')}>
+                  Calibrate to use your own proportions
+                </Button>
+              )}
             </CardBody>
           </Card>
         )}
@@ -314,9 +855,15 @@ const ResultsPage = () => {
                               </Badge>
                             </HStack>
                           </Flex>
-                          <AlertDescription color="gray.300" fontSize="sm" mb={3}>
+                          <AlertDescription color="gray.300" fontSize="sm" mb={error.reps?.length ? 1 : 3}>
                             {error.description}
                           </AlertDescription>
+                          {error.reps?.length > 0 && (
+                            <Text color="gray.400" fontSize="xs" mb={3}>
+                              Rep{error.reps.length !== 1 ? 's' : ''} {error.reps.join(', ')}
+                              {error.phases?.length > 0 && ` · during ${error.phases.join(' / ')}`}
+                            </Text>
+                          )}
                           <Box
                             bg={`${getSeverityColor(error.severity)}.800`}
                             p={3}
@@ -459,9 +1006,9 @@ const ResultsPage = () => {
             colorScheme="orange"
             size="lg"
             flex={1}
-            onClick={() => navigate(`/record/${exerciseData.id}`)}
+            onClick={() => navigate(session ? `/session/${exerciseData.id}` : `/record/${exerciseData.id}`)}
           >
-            Record Another Set
+            {session ? 'Start Another Session' : 'Record Another Set'}
           </Button>
           <Button
             leftIcon={<FaChartLine />}
@@ -20,6 +20,7 @@ import { FaPlay, FaPause } from 'react-icons/fa';
 import { useNavigate, useParams } from 'react-router-dom';
 import storageService from '../services/storage';
 import poseAnalysisService from '../services/poseAnalysis';
+import barPathService, { PATH_COLORS } from '../services/barPath';
 
 const WorkoutPlaybackPage = () => {
   const navigate = useNavigate();
@@ -81,6 +82,8 @@ const WorkoutPlaybackPage = () => {
     }
   };
 
+  const exerciseId = workout?.exerciseId;
+
   // Synchronize canvas with video and draw skeleton
   const drawFrame = useCallback(async () => {
     if (!videoRef.current || !canvasRef.current) return;
@@ -151,11 +154,22 @@ const WorkoutPlaybackPage = () => {
             closestFrame.errors || []
           );
         }
+
+        // Bar path of the current rep so far
+        if (exerciseId && closestFrame && closestFrame.repIndex !== null && closestFrame.repIndex !== undefined) {
+          const pathPoints = frames
+            .filter(frame => frame.repIndex === closestFrame.repIndex && frame.time <= closestFrame.time)
+            .map(frame => barPathService.getBarPoint(exerciseId, frame))
+            .filter(Boolean);
+          barPathService.drawPath(canvas, pathPoints, {
+            color: PATH_COLORS[closestFrame.repIndex % PATH_COLORS.length]
+          });
+        }
       }
     } catch (err) {
       console.error('Error drawing frame:', err);
     }
-  }, [workoutId]);
+  }, [workoutId, exerciseId]);
 
   // Animation loop for playback
   useEffect(() => {
@@ -196,7 +210,7 @@ const WorkoutPlaybackPage = () => {
   const jumpToRep = (repIndex) => {
     if (workout && workout.repRanges && videoRef.current) {
       const repRange = workout.repRanges[repIndex];
-      const startTime = repRange.startFrame / 30; // Convert frame to time
+      const startTime = repRange.startTime || 0;
       videoRef.current.currentTime = startTime;
       setSelectedRep(repIndex);
       setCurrentTime(startTime);
@@ -242,6 +256,8 @@ const WorkoutPlaybackPage = () => {
   const exerciseName = workout.exerciseId || 'Unknown Exercise';
   const repCount = workout.reps || 0;
   const score = workout.score || 0;
+  const selectedDrift = selectedRep !== null ? workout.barPath?.reps.find(rep => rep.repNumber === selectedRep + 1) : null;
+  const driftUnit = workout.barPath?.units === 'cm' ? ' cm' : '% of body length';
 
   return (
     <VStack spacing={6} align="stretch" p={4} maxW="1200px" mx="auto">
@@ -361,9 +377,10 @@ const WorkoutPlaybackPage = () => {
               
               <SimpleGrid columns={{ base: 2, md: 4, lg: 5 }} spacing={3}>
                 {workout.repRanges.map((rep, idx) => {
-                  const repAnalysis = workout.repProgressionAnalyses?.[idx];
+                  const repAnalysis = rep.score === undefined ? workout.repProgressionAnalyses?.[idx] : null;
                   const quality = repAnalysis?.quality || {};
-                  const avgQuality = (
+                  // Form score when the rep was scored, movement quality for older workouts
+                  const avgQuality = rep.score ?? (
                     (quality.smoothness || 0) +
                     (quality.symmetry || 0) +
                     (quality.controlledTempo || 0)
@@ -403,6 +420,51 @@ const WorkoutPlaybackPage = () => {
       )}
 
       {/* Rep Details */}
+      {selectedRep !== null && workout.repRanges?.[selectedRep]?.errors && (
+        <Card>
+          <CardBody>
+            <VStack spacing={3} align="stretch">
+              <HStack justify="space-between">
+                <Heading size="md">Rep {selectedRep + 1} Form</Heading>
+                <Badge colorScheme={workout.repRanges[selectedRep].score >= 70 ? 'green' : 'orange'} fontSize="md">
+                  {workout.repRanges[selectedRep].score}/100
+                </Badge>
+              </HStack>
+              {selectedDrift && (
+                <Text fontSize="sm" color="gray.600">
+                  Bar path: up to {Math.abs(selectedDrift.maxDrift)}{driftUnit} {selectedDrift.maxDrift >= 0 ? 'forward' : 'back'} of vertical,
+                  {' '}{selectedDrift.meanDeviation}{driftUnit} on average
+                </Text>
+              )}
+              {workout.repRanges[selectedRep].errors.length === 0 ? (
+                <Text fontSize="sm" color="green.600">No form errors in this rep</Text>
+              ) : (
+                workout.repRanges[selectedRep].errors.map((error, idx) => (
+                  <Box key={idx} p={2} bg="red.50" borderLeft="4px solid red" borderRadius="sm">
+                    <Text fontSize="sm" fontWeight="bold" color="red.700">
+                      {error.name} on {error.phase}
+                    </Text>
+                    <Text fontSize="xs" color="red.600">
+                      {error.startTime?.toFixed(1)}s - {error.endTime?.toFixed(1)}s ({error.durationMs}ms)
+                    </Text>
+                  </Box>
+                ))
+              )}
+              {workout.repRanges[selectedRep].phaseIssues?.map((issue, idx) => (
+                <Box key={`p${idx}`} p={2} bg="orange.50" borderLeft="4px solid orange" borderRadius="sm">
+                  <Text fontSize="sm" color="orange.700">{issue.description}</Text>
+                  {issue.correction && (
+                    <Text fontSize="xs" mt={1} color="blue.600">
+                      💡 {issue.correction}
+                    </Text>
+                  )}
+                </Box>
+              ))}
+            </VStack>
+          </CardBody>
+        </Card>
+      )}
+
       {selectedRep !== null && workout.repProgressionAnalyses && workout.repProgressionAnalyses[selectedRep] && (
         <Card>
           <CardBody>
@@ -0,0 +1,39 @@
+// Service worker registration - enables offline use and PWA install in production builds
+
+import { POSE_MODEL_FILES, resolvePoseAsset } from './config/poseAssets';
+
+/**
+ * Service worker URL; the pose model files it precaches on install ride along as poseAsset params, so
+ * public/service-worker.js follows the configured asset source
+ */
+const getServiceWorkerUrl = () => {
+  const params = new URLSearchParams();
+  POSE_MODEL_FILES.forEach(file => params.append('poseAsset', resolvePoseAsset(file)));
+  return `${process.env.PUBLIC_URL}/service-worker.js?${params}`;
+};
+
+export const register = () => {
+  if (process.env.NODE_ENV !== 'production' || !('serviceWorker' in navigator)) {
+    return;
+  }
+
+  window.addEventListener('load', () => {
+    const swUrl = getServiceWorkerUrl();
+    navigator.serviceWorker
+      .register(swUrl)
+      .then(registration => {
+        console.log('Service worker registered:', registration.scope);
+      })
+      .catch(error => {
+        console.error('Service worker registration failed:', error);
+      });
+  });
+};
+
+export const unregister = () => {
+  if ('serviceWorker' in navigator) {
+    navigator.serviceWorker.ready
+      .then(registration => registration.unregister())
+      .catch(error => console.error(error.message));
+  }
+};
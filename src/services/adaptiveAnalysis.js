@@ -1,5 +1,7 @@
 // Adaptive Analysis Service - Adjusts analysis based on available landmarks and camera angle
 
+import { getExerciseById } from '../config/exercises';
+
 class AdaptiveAnalysisService {
   constructor() {
     // Define landmark requirements for each exercise and analysis type
@@ -154,11 +156,34 @@ class AdaptiveAnalysisService {
     };
   }
 
+  /**
+   * Landmark requirements for an exercise; custom exercises get a single mode from their required landmarks
+   */
+  getLandmarkRequirements(exerciseId) {
+    if (this.landmarkRequirements[exerciseId]) {
+      return this.landmarkRequirements[exerciseId];
+    }
+
+    const exercise = getExerciseById(exerciseId);
+    if (!exercise?.custom) return null;
+
+    const required = Object.values(exercise.landmarks || {});
+    if (required.length === 0) return null;
+
+    return {
+      full: {
+        required,
+        description: 'Required landmarks visible',
+        checks: (exercise.validationChecks || []).map(check => check.id)
+      }
+    };
+  }
+
   /**
    * Determine best analysis mode based on available landmarks
    */
   determineAnalysisMode(exerciseId, availableLandmarks) {
-    const requirements = this.landmarkRequirements[exerciseId];
+    const requirements = this.getLandmarkRequirements(exerciseId);
     if (!requirements) {
       return {
         mode: 'unknown',
@@ -204,10 +229,12 @@ class AdaptiveAnalysisService {
 
   /**
    * Detect camera angle from landmark positions
+   * `dimension` is the analysis mode the angle calls for: a side view keeps the movement in the image
+   * plane, so 2D angles hold; any other view foreshortens joints and needs 3D world-space angles
    */
   detectCameraAngle(landmarks) {
     if (!landmarks || landmarks.length < 33) {
-      return { angle: 'unknown', confidence: 0 };
+      return { angle: 'unknown', confidence: 0, dimension: '2d' };
     }
 
     const leftShoulder = landmarks[11];
@@ -216,7 +243,7 @@ class AdaptiveAnalysisService {
     const rightHip = landmarks[24];
 
     if (!leftShoulder || !rightShoulder || !leftHip || !rightHip) {
-      return { angle: 'unknown', confidence: 0 };
+      return { angle: 'unknown', confidence: 0, dimension: '2d' };
     }
 
     // Calculate shoulder and hip widths
@@ -232,34 +259,39 @@ class AdaptiveAnalysisService {
       return { 
         angle: 'side', 
         confidence: 0.9,
-        description: 'Side view detected'
+        description: 'Side view detected',
+        dimension: '2d'
       };
     } else if (shoulderWidth > 0.25 && hipWidth > 0.25) {
       if (shoulderDepth < 0.05 && hipDepth < 0.05) {
         return { 
           angle: 'frontal', 
           confidence: 0.85,
-          description: 'Frontal view detected'
+          description: 'Frontal view detected',
+          dimension: '3d'
         };
       } else {
         return { 
           angle: 'frontal_45deg', 
           confidence: 0.8,
-          description: '45° frontal view detected'
+          description: '45° frontal view detected',
+          dimension: '3d'
         };
       }
     } else if (shoulderWidth > 0.15 || hipWidth > 0.15) {
       return { 
         angle: 'angled', 
         confidence: 0.7,
-        description: 'Angled view detected'
+        description: 'Angled view detected',
+        dimension: '3d'
       };
     }
 
     return { 
       angle: 'unclear', 
       confidence: 0.5,
-      description: 'Camera angle unclear'
+      description: 'Camera angle unclear',
+      dimension: '3d'
     };
   }
 
@@ -326,6 +358,7 @@ class AdaptiveAnalysisService {
           totalPossible: 0
         },
         camera: { angle: 'unknown', confidence: 0 },
+        dimension: '2d',
         recommendations: [{ message: 'Could not detect pose in any frames. Ensure full body is visible.' }],
         limitedAnalysisWarning: false,
         qualityMetrics: {
@@ -345,7 +378,11 @@ class AdaptiveAnalysisService {
     // Detect camera angle from first frame with good landmarks
     const goodFrame = frames.find(f => f.landmarks && f.landmarks.length >= 33);
     const cameraAngle = goodFrame ? this.detectCameraAngle(goodFrame.landmarks) : 
-                        { angle: 'unknown', confidence: 0 };
+                        { angle: 'unknown', confidence: 0, dimension: '2d' };
+
+    // 3D mode needs world landmarks from the pose backend
+    const hasWorldLandmarks = frames.some(f => Array.isArray(f.worldLandmarks));
+    const dimension = cameraAngle.dimension === '3d' && hasWorldLandmarks ? '3d' : '2d';
     
     // Get camera guidance
     const cameraGuidance = this.getCameraGuidance(exerciseId, cameraAngle, analysisMode);
@@ -364,7 +401,7 @@ class AdaptiveAnalysisService {
       landmarks: {
         available: landmarkAnalysis.available,
         missing: analysisMode.missingLandmarks,
-        totalRequired: this.landmarkRequirements[exerciseId]?.full?.required.length || 0
+        totalRequired: this.getLandmarkRequirements(exerciseId)?.full?.required.length || 0
       },
       
       checks: {
@@ -374,6 +411,7 @@ class AdaptiveAnalysisService {
       },
       
       camera: cameraGuidance,
+      dimension,
       
       recommendations: this.generateRecommendations(analysisMode, cameraGuidance, unavailableChecks),
       
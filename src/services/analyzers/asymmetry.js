@@ -0,0 +1,29 @@
+// Asymmetry Analyzer - left/right differences for the knee, hip and elbow angles
+
+const SIDES = {
+  knee: [[23, 25, 27], [24, 26, 28]],
+  hip: [[11, 23, 25], [12, 24, 26]],
+  elbow: [[11, 13, 15], [12, 14, 16]]
+};
+
+const asymmetryAnalyzer = {
+  version: 1,
+  description: 'Adds kneeAsymmetry, hipAsymmetry and elbowAsymmetry (degrees) when both sides are visible',
+
+  analyze(landmarks, metrics, { service }) {
+    const result = {};
+    Object.entries(SIDES).forEach(([joint, [left, right]]) => {
+      const points = [...left, ...right].map(index => landmarks[index]);
+      if (!points.every(point => service.isUsableLandmark(point))) {
+        result[`${joint}Asymmetry`] = null;
+        return;
+      }
+      const leftAngle = service.calculateAngle(points[0], points[1], points[2]);
+      const rightAngle = service.calculateAngle(points[3], points[4], points[5]);
+      result[`${joint}Asymmetry`] = Math.abs(leftAngle - rightAngle);
+    });
+    return result;
+  }
+};
+
+export default asymmetryAnalyzer;
@@ -0,0 +1,42 @@
+// Analyzer Registry - opt-in metric analyzers layered on top of PoseAnalysisService's base metrics
+// Exercises enable analyzers by id (`analyzers: ['asymmetry']`); each analyzer is versioned so
+// stored workouts record exactly which analysis produced their numbers
+
+import strictVisibilityAnalyzer from './strictVisibility';
+import asymmetryAnalyzer from './asymmetry';
+
+// Bump when the base per-exercise metrics in poseAnalysis.js change
+export const ANALYSIS_ENGINE_VERSION = 2;
+
+const analyzers = {};
+
+/**
+ * Register an analyzer: { version, description, analyze(landmarks, metrics, context) }
+ * analyze() returns extra metrics to merge, or null to reject the frame (no metrics, no errors)
+ * context: { exercise, service }
+ */
+export const registerAnalyzer = (analyzerId, analyzer) => {
+  if (!analyzerId || typeof analyzer?.analyze !== 'function') {
+    throw new Error('registerAnalyzer requires an id and an analyze function');
+  }
+  analyzers[analyzerId] = { version: 1, ...analyzer, id: analyzerId };
+};
+
+export const getAnalyzer = (analyzerId) => analyzers[analyzerId] || null;
+
+export const getRegisteredAnalyzers = () => Object.keys(analyzers);
+
+/**
+ * Version stamp for a list of analyzer ids: { engine, analyzers: { id: version } }
+ */
+export const getAnalyzerVersion = (analyzerIds = []) => ({
+  engine: ANALYSIS_ENGINE_VERSION,
+  analyzers: analyzerIds.reduce((versions, analyzerId) => {
+    const analyzer = analyzers[analyzerId];
+    if (analyzer) versions[analyzerId] = analyzer.version;
+    return versions;
+  }, {})
+});
+
+registerAnalyzer('strict_visibility', strictVisibilityAnalyzer);
+registerAnalyzer('asymmetry', asymmetryAnalyzer);
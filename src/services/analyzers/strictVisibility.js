@@ -0,0 +1,21 @@
+// Strict Visibility Analyzer - rejects frames where any of the exercise's landmarks is poorly visible
+// The base metrics are deliberately lenient (any usable coordinate counts); opt in for cleaner data
+// at the cost of dropping occluded frames.
+
+const MIN_VISIBILITY = 0.5;
+
+const strictVisibilityAnalyzer = {
+  version: 1,
+  description: `Skip frames where a required landmark has visibility below ${MIN_VISIBILITY}`,
+
+  analyze(landmarks, metrics, { exercise }) {
+    const required = Object.values(exercise?.landmarks || {});
+    const visible = required.every(index => {
+      const landmark = landmarks[index];
+      return !!landmark && (typeof landmark.visibility !== 'number' || landmark.visibility >= MIN_VISIBILITY);
+    });
+    return visible ? {} : null;
+  }
+};
+
+export default strictVisibilityAnalyzer;
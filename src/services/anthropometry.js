@@ -0,0 +1,214 @@
+// Anthropometry Service - Expected squat/deadlift geometry from the lifter's segment proportions
+// Long femurs and short torsos force more forward lean to keep the bar over midfoot, so lean and hip
+// checks compare the lifter against the position their own proportions call for, not a fixed angle.
+
+import calibrationService, { DEFAULT_PROPORTIONS } from './calibration';
+import { round1, round2 } from '../utils/math';
+
+// Squat: how far the shins can incline forward (degrees from vertical) - typical ankle dorsiflexion
+const SQUAT_MAX_SHIN_LEAN = 30;
+
+// Deadlift setup: shins slightly inclined, bar at mid-shin, arms hanging straight down to the bar
+const DEADLIFT_SHIN_LEAN = 10;
+const DEADLIFT_BAR_HEIGHT = 0.5; // shin lengths above the ankle
+
+// Allowed hip deviation from the expected position, in femur lengths
+const HIP_OFFSET_TOLERANCE = 0.25;
+
+// Expected squat hip angle when the geometry can't be computed - with the 15 degree tolerance in
+// excessive_lean this is the former fixed 70 degree limit
+export const FALLBACK_EXPECTED_HIP_ANGLE = 85;
+
+const toDegrees = (radians) => radians * 180 / Math.PI;
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const clamp = (value, min, max) => Math.max(min, Math.min(max, value));
+
+const midpoint = (...points) => {
+  const usable = points.filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y));
+  if (usable.length === 0) return null;
+  return {
+    x: usable.reduce((sum, p) => sum + p.x, 0) / usable.length,
+    y: usable.reduce((sum, p) => sum + p.y, 0) / usable.length
+  };
+};
+
+class AnthropometryService {
+  /**
+   * Side-view landmarks (left/right midpoints), the direction the lifter faces along x and their
+   * segment lengths in this frame; null when the legs or torso aren't visible
+   * landmarks: raw 33-point list; aspectRatio (frame width / height) puts x in image-height units like y,
+   * so angles and lengths match what the video shows (calibrationService.toImageUnits)
+   */
+  getSagittalPose(rawLandmarks, aspectRatio) {
+    if (!Array.isArray(rawLandmarks)) return null;
+    const landmarks = calibrationService.toImageUnits(rawLandmarks, aspectRatio);
+
+    const shoulder = midpoint(landmarks[11], landmarks[12]);
+    const hip = midpoint(landmarks[23], landmarks[24]);
+    const knee = midpoint(landmarks[25], landmarks[26]);
+    const ankle = midpoint(landmarks[27], landmarks[28]);
+    const segments = calibrationService.getFrameSegments(calibrationService.toNamed(landmarks));
+    if (!shoulder || !hip || !knee || !ankle || !segments) return null;
+
+    // Toes point the way the lifter faces; without feet, knees sit ahead of hips in a squat
+    const heel = midpoint(landmarks[29], landmarks[30]);
+    const toe = midpoint(landmarks[31], landmarks[32]);
+    const footDirection = heel && toe ? toe.x - heel.x : 0;
+    const facing = Math.sign(footDirection || knee.x - hip.x) || 1;
+    const midfoot = heel && toe ? midpoint(heel, toe) : ankle;
+
+    return { shoulder, hip, knee, ankle, midfoot, facing, segments };
+  }
+
+  /**
+   * Expected squat geometry for the current depth
+   * With the bar over midfoot: torso * sin(lean) = femur * cos(femurAngle) - shin * sin(shinLean).
+   * The least lean the lifter can get away with uses the full shin incline; hips sit behind midfoot by
+   * the same distance. Angles in degrees, offsets in femur lengths.
+   * Returns { torsoLean, expectedTorsoLean, expectedHipAngle, hipOffset, expectedHipOffset, hipsTooFarBack }
+   */
+  expectSquat(landmarks, aspectRatio) {
+    const pose = this.getSagittalPose(landmarks, aspectRatio);
+    if (!pose) return null;
+
+    const { shoulder, hip, midfoot, facing, segments } = pose;
+    const { torso, femur, shin } = segments;
+
+    // Femur angle below horizontal from the hip-knee height and the femur's true length
+    const drop = clamp((pose.knee.y - hip.y) / femur, -1, 1);
+    const femurAngle = toDegrees(Math.asin(drop));
+    const femurReach = femur * Math.cos(toRadians(femurAngle));
+
+    const expectedHipOffset = Math.max(0, femurReach - shin * Math.sin(toRadians(SQUAT_MAX_SHIN_LEAN)));
+    const expectedTorsoLean = toDegrees(Math.asin(clamp(expectedHipOffset / torso, 0, 1)));
+
+    // Hip angle between the torso at the expected lean and the femur at the current depth
+    const expectedHipAngle = 90 - expectedTorsoLean + femurAngle;
+
+    const torsoLean = toDegrees(Math.atan2(facing * (shoulder.x - hip.x), hip.y - shoulder.y));
+    const hipOffset = (facing * (midfoot.x - hip.x)) / femur;
+
+    return {
+      torsoLean: round1(torsoLean),
+      expectedTorsoLean: round1(expectedTorsoLean),
+      expectedHipAngle: round1(expectedHipAngle),
+      hipOffset: round2(hipOffset),
+      expectedHipOffset: round2(expectedHipOffset / femur),
+      hipsTooFarBack: hipOffset - expectedHipOffset / femur > HIP_OFFSET_TOLERANCE
+    };
+  }
+
+  /**
+   * Expected deadlift setup: shins slightly inclined, bar at mid-shin over midfoot, arms straight down
+   * to the bar and shoulders over it. The hip sits where the femur (from the knee) meets the torso (from
+   * the shoulder) - long arms raise it, long femurs push it back and tip the torso forward.
+   * Returns { torsoLean, expectedTorsoLean, hipHeight, hipsTooLow } (hipHeight: femur lengths below
+   * the expected hip, positive = lower) or null when the segments can't meet
+   */
+  expectDeadliftSetup(landmarks, aspectRatio) {
+    const pose = this.getSagittalPose(landmarks, aspectRatio);
+    if (!pose) return null;
+
+    const { shoulder, hip, ankle, midfoot, facing, segments } = pose;
+    const { torso, femur, shin, upperArm, forearm } = segments;
+
+    const knee = {
+      x: ankle.x + facing * shin * Math.sin(toRadians(DEADLIFT_SHIN_LEAN)),
+      y: ankle.y - shin * Math.cos(toRadians(DEADLIFT_SHIN_LEAN))
+    };
+    const expectedShoulder = { x: midfoot.x, y: ankle.y - DEADLIFT_BAR_HEIGHT * shin - (upperArm + forearm) };
+
+    const expectedHip = this.intersectBehind(knee, femur, expectedShoulder, torso, facing);
+    if (!expectedHip) return null;
+
+    const expectedTorsoLean = toDegrees(
+      Math.atan2(facing * (expectedShoulder.x - expectedHip.x), expectedHip.y - expectedShoulder.y)
+    );
+    const torsoLean = toDegrees(Math.atan2(facing * (shoulder.x - hip.x), hip.y - shoulder.y));
+    const hipHeight = (hip.y - expectedHip.y) / femur;
+
+    return {
+      torsoLean: round1(torsoLean),
+      expectedTorsoLean: round1(expectedTorsoLean),
+      hipHeight: round2(hipHeight),
+      hipsTooLow: hipHeight > HIP_OFFSET_TOLERANCE
+    };
+  }
+
+  /**
+   * Intersection of two circles (image y down) on the side behind the lifter, or null
+   */
+  intersectBehind(a, radiusA, b, radiusB, facing) {
+    const dx = b.x - a.x;
+    const dy = b.y - a.y;
+    const distance = Math.hypot(dx, dy);
+    if (distance === 0 || distance > radiusA + radiusB || distance < Math.abs(radiusA - radiusB)) return null;
+
+    const along = (radiusA * radiusA - radiusB * radiusB + distance * distance) / (2 * distance);
+    const across = Math.sqrt(Math.max(0, radiusA * radiusA - along * along));
+    const base = { x: a.x + (dx * along) / distance, y: a.y + (dy * along) / distance };
+    const candidates = [
+      { x: base.x - (dy * across) / distance, y: base.y + (dx * across) / distance },
+      { x: base.x + (dy * across) / distance, y: base.y - (dx * across) / distance }
+    ];
+    return candidates.sort((p, q) => facing * (p.x - q.x))[0];
+  }
+
+  /**
+   * How the lifter's proportions move the expected positions compared to average proportions,
+   * for the results report. Returns null for exercises without an anthropometric model.
+   * Returns { calibrated, ratios, expected, average, summary }
+   */
+  describeAdjustment(exerciseId, proportions = calibrationService.getProportions()) {
+    const lean = exerciseId === 'squat'
+      ? this.parallelSquatLean
+      : exerciseId === 'deadlift' ? this.deadliftSetupLean : null;
+    if (!lean) return null;
+
+    const expectedLean = lean.call(this, proportions);
+    const averageLean = lean.call(this, DEFAULT_PROPORTIONS);
+    if (expectedLean === null || averageLean === null) return null;
+
+    const expected = round1(expectedLean);
+    const average = round1(averageLean);
+    const difference = round1(expected - average);
+    const position = exerciseId === 'squat' ? 'at parallel' : 'at setup';
+
+    return {
+      calibrated: !!calibrationService.getCalibration(),
+      ratios: {
+        femurToTorso: round2(proportions.femur / proportions.torso),
+        shinToFemur: round2(proportions.shin / proportions.femur),
+        armToTorso: round2((proportions.upperArm + proportions.forearm) / proportions.torso)
+      },
+      expected: { torsoLean: expected },
+      average: { torsoLean: average },
+      summary: Math.abs(difference) < 1
+        ? `Your proportions call for about the same torso lean ${position} as average (${expected}°)`
+        : `Your proportions call for ${Math.abs(difference)}° ${difference > 0 ? 'more' : 'less'} torso lean ${position} ` +
+          `than average (${expected}° vs ${average}°) - lean and hip warnings were adjusted to match`
+    };
+  }
+
+  /**
+   * Expected torso lean with the femur horizontal, from proportions alone
+   */
+  parallelSquatLean({ torso, femur, shin }) {
+    const hipOffset = Math.max(0, femur - shin * Math.sin(toRadians(SQUAT_MAX_SHIN_LEAN)));
+    return toDegrees(Math.asin(clamp(hipOffset / torso, 0, 1)));
+  }
+
+  /**
+   * Expected deadlift setup torso lean, from proportions alone (lifter facing +x)
+   */
+  deadliftSetupLean({ torso, femur, shin, upperArm, forearm }) {
+    const knee = { x: shin * Math.sin(toRadians(DEADLIFT_SHIN_LEAN)), y: -shin * Math.cos(toRadians(DEADLIFT_SHIN_LEAN)) };
+    const shoulder = { x: 0, y: -DEADLIFT_BAR_HEIGHT * shin - (upperArm + forearm) };
+    const hip = this.intersectBehind(knee, femur, shoulder, torso, 1);
+    if (!hip) return null;
+    return toDegrees(Math.atan2(shoulder.x - hip.x, hip.y - shoulder.y));
+  }
+}
+
+const anthropometryService = new AnthropometryService();
+export default anthropometryService;
@@ -0,0 +1,129 @@
+import anthropometryService from './anthropometry';
+import calibrationService, { DEFAULT_PROPORTIONS } from './calibration';
+
+const toRadians = (degrees) => degrees * Math.PI / 180;
+const point = ({ x, y }) => ({ x, y, z: 0, visibility: 1 });
+const offset = (from, length, degreesFromVertical, up = true) => ({
+  x: from.x + length * Math.sin(toRadians(degreesFromVertical)),
+  y: from.y + (up ? -1 : 1) * length * Math.cos(toRadians(degreesFromVertical))
+});
+
+// Side view facing +x with default proportions (shoulder to ankle 0.6), arms hanging straight down
+const BODY = 0.6;
+const length = (segment) => BODY * DEFAULT_PROPORTIONS[segment];
+
+/**
+ * Raw 33-point list for a side-view pose; both sides share one set of points
+ */
+const sidePose = ({ ankle, knee, hip, shoulder }) => {
+  const elbow = offset(shoulder, length('upperArm'), 0, false);
+  const wrist = offset(elbow, length('forearm'), 0, false);
+  const landmarks = Array.from({ length: 33 }, () => null);
+  [[11, shoulder], [13, elbow], [15, wrist], [23, hip], [25, knee], [27, ankle]].forEach(([index, p]) => {
+    landmarks[index] = point(p);
+    landmarks[index + 1] = point(p);
+  });
+  return landmarks;
+};
+
+/**
+ * Parallel squat with full shin incline and the torso at the given lean
+ */
+const parallelSquat = (torsoLean, hipShift = 0) => {
+  const ankle = { x: 0.5, y: 0.9 };
+  const knee = offset(ankle, length('shin'), 30);
+  const hip = { x: knee.x - length('femur') - hipShift, y: knee.y };
+  return sidePose({ ankle, knee, hip, shoulder: offset(hip, length('torso'), torsoLean) });
+};
+
+describe('anthropometryService.expectSquat', () => {
+  it('expects the lean that keeps the bar over midfoot at this depth', () => {
+    const geometry = anthropometryService.expectSquat(parallelSquat(25));
+
+    expect(geometry.expectedTorsoLean).toBeCloseTo(25.2, 0);
+    expect(geometry.torsoLean).toBeCloseTo(25, 0);
+    // Femur horizontal: hip angle is the 90 degree torso-to-thigh angle minus the lean
+    expect(geometry.expectedHipAngle).toBeCloseTo(90 - geometry.expectedTorsoLean, 0);
+    expect(geometry.hipOffset).toBeCloseTo(geometry.expectedHipOffset, 1);
+    expect(geometry.hipsTooFarBack).toBe(false);
+  });
+
+  it('flags hips sitting well behind where the proportions put them', () => {
+    expect(anthropometryService.expectSquat(parallelSquat(25, length('femur') * 0.4)).hipsTooFarBack).toBe(true);
+  });
+
+  it('measures in image units on landscape and portrait frames', () => {
+    const square = anthropometryService.expectSquat(parallelSquat(25));
+    [16 / 9, 9 / 16].forEach(aspectRatio => {
+      // MediaPipe's x runs across the frame width, so the same pose reports x / aspectRatio
+      const landmarks = parallelSquat(25).map(p => p && { ...p, x: p.x / aspectRatio });
+
+      expect(anthropometryService.expectSquat(landmarks, aspectRatio)).toEqual(square);
+    });
+  });
+
+  it('returns null without a visible lower body', () => {
+    const landmarks = parallelSquat(25);
+    landmarks[27] = landmarks[28] = null;
+
+    expect(anthropometryService.expectSquat(landmarks)).toBeNull();
+    expect(anthropometryService.expectSquat(null)).toBeNull();
+  });
+});
+
+describe('anthropometryService.expectDeadliftSetup', () => {
+  // Setup the model expects: shins at 10 degrees, shoulders over midfoot with arms reaching mid-shin
+  const setup = (hipDrop = 0) => {
+    const ankle = { x: 0.5, y: 0.9 };
+    const knee = offset(ankle, length('shin'), 10);
+    const shoulder = { x: ankle.x, y: ankle.y - 0.5 * length('shin') - length('upperArm') - length('forearm') };
+    const hip = anthropometryService.intersectBehind(knee, length('femur'), shoulder, length('torso'), 1);
+    return sidePose({ ankle, knee, hip: { x: hip.x, y: hip.y + hipDrop }, shoulder });
+  };
+
+  it('accepts a setup matching the lifter\'s proportions', () => {
+    const geometry = anthropometryService.expectDeadliftSetup(setup());
+
+    expect(geometry.hipHeight).toBeCloseTo(0, 1);
+    expect(geometry.torsoLean).toBeCloseTo(geometry.expectedTorsoLean, 0);
+    expect(geometry.hipsTooLow).toBe(false);
+  });
+
+  it('measures in image units on portrait frames', () => {
+    const landmarks = setup().map(p => p && { ...p, x: p.x / (9 / 16) });
+
+    expect(anthropometryService.expectDeadliftSetup(landmarks, 9 / 16)).toEqual(anthropometryService.expectDeadliftSetup(setup()));
+  });
+
+  it('flags hips set well below the expected height', () => {
+    expect(anthropometryService.expectDeadliftSetup(setup(length('femur') * 0.5)).hipsTooLow).toBe(true);
+  });
+});
+
+describe('anthropometryService.describeAdjustment', () => {
+  afterEach(() => calibrationService.setCalibration(null));
+
+  it('reports average proportions as no adjustment', () => {
+    const adjustment = anthropometryService.describeAdjustment('squat');
+
+    expect(adjustment.calibrated).toBe(false);
+    expect(adjustment.expected).toEqual(adjustment.average);
+    expect(adjustment.summary).toMatch(/about the same torso lean at parallel/);
+  });
+
+  it('expects more lean from long femurs and a short torso', () => {
+    calibrationService.setCalibration({
+      proportions: { ...DEFAULT_PROPORTIONS, torso: 0.32, femur: 0.36, shin: 0.32 }
+    });
+    const adjustment = anthropometryService.describeAdjustment('squat');
+
+    expect(adjustment.calibrated).toBe(true);
+    expect(adjustment.expected.torsoLean).toBeGreaterThan(adjustment.average.torsoLean);
+    expect(adjustment.ratios.femurToTorso).toBe(1.13);
+    expect(adjustment.summary).toMatch(/more torso lean at parallel/);
+  });
+
+  it('has no model for other exercises', () => {
+    expect(anthropometryService.describeAdjustment('bench_press')).toBeNull();
+  });
+});
@@ -0,0 +1,202 @@
+// Audio Coach Service - Spoken and earcon cues while recording, for when the screen is out of sight
+// Live form errors are debounced (an error must hold for a few frames and isn't repeated within a
+// cooldown), the most severe one wins, and completed reps are counted out loud.
+
+import storageService from './storage';
+
+export const DEFAULT_COACHING_SETTINGS = {
+  enabled: true,
+  voice: true, // speak the correction
+  earcons: true, // tone before each cue, pitched by severity
+  repCount: true, // speak the rep number as each rep completes
+  minSeverity: 'medium',
+  mutedChecks: [] // check ids never cued for this exercise
+};
+
+export const SEVERITY_LEVELS = ['low', 'medium', 'high', 'critical'];
+
+// An error has to show up in this many live frames in a row (~200 ms apart) before it's cued
+const ONSET_FRAMES = 2;
+
+// The same error isn't cued again within this long, and cues are at least this far apart
+const ERROR_COOLDOWN_MS = 8000;
+const MIN_CUE_GAP_MS = 2500;
+
+// Earcons: [frequency Hz, duration s] notes, more urgent patterns for more severe errors
+const EARCONS = {
+  critical: [[880, 0.12], [660, 0.12], [880, 0.12]],
+  high: [[740, 0.15], [554, 0.15]],
+  medium: [[587, 0.18]],
+  low: [[523, 0.12]],
+  rep: [[1046, 0.08]]
+};
+const EARCON_VOLUME = 0.2;
+
+const SPEECH_RATE = 1.1;
+
+class AudioCoachService {
+  constructor() {
+    this.settings = { ...DEFAULT_COACHING_SETTINGS };
+    this.audioContext = null;
+    this.speechPrimed = false;
+    this.active = false;
+    this.reset();
+  }
+
+  /**
+   * Coaching settings for an exercise, stored ones over the defaults
+   */
+  getSettings(exerciseId) {
+    return { ...DEFAULT_COACHING_SETTINGS, ...storageService.getCoachingSettings(exerciseId) };
+  }
+
+  saveSettings(exerciseId, settings) {
+    storageService.saveCoachingSettings(exerciseId, settings);
+    return this.getSettings(exerciseId);
+  }
+
+  /**
+   * Unlock audio - call from a click. Countdown and hands-free starts run from timers, where the browser
+   * keeps a new AudioContext suspended and may block speech, so the context is created and speech
+   * spoken once here and recordings only resume them.
+   */
+  prime() {
+    const AudioContext = window.AudioContext || window.webkitAudioContext;
+    if (AudioContext && !this.audioContext) {
+      this.audioContext = new AudioContext();
+    }
+    this.audioContext?.resume?.();
+
+    const synth = window.speechSynthesis;
+    if (!this.speechPrimed && synth && typeof window.SpeechSynthesisUtterance === 'function') {
+      const utterance = new window.SpeechSynthesisUtterance('');
+      utterance.volume = 0;
+      synth.speak(utterance);
+      this.speechPrimed = true;
+    }
+  }
+
+  /**
+   * Start coaching a recording; audio plays once prime() has run from a click
+   */
+  start(exerciseId) {
+    this.settings = this.getSettings(exerciseId);
+    this.reset();
+    this.active = this.settings.enabled;
+    if (!this.active) return;
+    this.audioContext?.resume?.();
+  }
+
+  /**
+   * Stop coaching a recording; the primed audio is kept for the next one
+   */
+  stop() {
+    this.active = false;
+    window.speechSynthesis?.cancel();
+    this.reset();
+  }
+
+  /**
+   * Stop and close the audio context (leaving the page)
+   */
+  release() {
+    this.stop();
+    this.audioContext?.close?.();
+    this.audioContext = null;
+    this.speechPrimed = false;
+  }
+
+  reset() {
+    this.streaks = new Map();
+    this.lastCued = new Map();
+    this.lastCueAt = -Infinity;
+  }
+
+  /**
+   * Feed one live frame's form errors; cues the most severe error that has held for ONSET_FRAMES
+   * and is out of its cooldown. Returns the cued error or null.
+   */
+  processErrors(errors, now = performance.now()) {
+    if (!this.active) return null;
+
+    const present = new Set(errors.map(error => error.id));
+    [...this.streaks.keys()].forEach(id => {
+      if (!present.has(id)) this.streaks.delete(id);
+    });
+    errors.forEach(error => this.streaks.set(error.id, (this.streaks.get(error.id) || 0) + 1));
+
+    if (now - this.lastCueAt < MIN_CUE_GAP_MS) return null;
+
+    const minLevel = SEVERITY_LEVELS.indexOf(this.settings.minSeverity);
+    const candidate = errors
+      .filter(error =>
+        this.streaks.get(error.id) >= ONSET_FRAMES &&
+        SEVERITY_LEVELS.indexOf(error.severity) >= minLevel &&
+        !this.settings.mutedChecks.includes(error.id) &&
+        now - (this.lastCued.get(error.id) ?? -Infinity) >= ERROR_COOLDOWN_MS
+      )
+      .sort((a, b) =>
+        SEVERITY_LEVELS.indexOf(b.severity) - SEVERITY_LEVELS.indexOf(a.severity) ||
+        this.streaks.get(b.id) - this.streaks.get(a.id)
+      )[0];
+    if (!candidate) return null;
+
+    this.lastCued.set(candidate.id, now);
+    this.lastCueAt = now;
+    if (this.settings.earcons) this.playEarcon(candidate.severity);
+    if (this.settings.voice) this.speak(this.getCuePhrase(candidate));
+    return candidate;
+  }
+
+  /**
+   * Count a completed rep out loud; interrupts a cue still being spoken
+   */
+  announceRep(count) {
+    if (!this.active || !this.settings.repCount) return;
+    if (this.settings.earcons) this.playEarcon('rep');
+    this.speak(String(count), { interrupt: true });
+  }
+
+  /**
+   * What to say for an error: the first sentence of its correction, without asides in brackets
+   */
+  getCuePhrase(error) {
+    const sentence = (error.correction || '').match(/^[^.!?]*/)[0].replace(/\s*\([^)]*\)/g, '').trim();
+    return sentence || error.name;
+  }
+
+  speak(text, { interrupt = false } = {}) {
+    const synth = window.speechSynthesis;
+    if (!synth || typeof window.SpeechSynthesisUtterance !== 'function') return;
+    if (interrupt) synth.cancel();
+
+    const utterance = new window.SpeechSynthesisUtterance(text);
+    utterance.rate = SPEECH_RATE;
+    synth.speak(utterance);
+  }
+
+  playEarcon(type) {
+    const ctx = this.audioContext;
+    const notes = EARCONS[type];
+    if (!ctx || !notes) return;
+
+    let at = ctx.currentTime;
+    notes.forEach(([frequency, duration]) => {
+      const oscillator = ctx.createOscillator();
+      const gain = ctx.createGain();
+      oscillator.type = 'sine';
+      oscillator.frequency.value = frequency;
+      // Short fade in and out so the tones don't click
+      gain.gain.setValueAtTime(0, at);
+      gain.gain.linearRampToValueAtTime(EARCON_VOLUME, at + 0.01);
+      gain.gain.linearRampToValueAtTime(0, at + duration);
+      oscillator.connect(gain).connect(ctx.destination);
+      oscillator.start(at);
+      oscillator.stop(at + duration);
+      at += duration + 0.03;
+    });
+  }
+}
+
+const audioCoachService = new AudioCoachService();
+export default audioCoachService;
@@ -0,0 +1,144 @@
+// Bar Path Service - Follows the bar through a whole set and measures how far it strays from vertical
+// The bar is the tracked end cap when the lifter marked one, else the wrist midpoint for pulls and presses
+// (shoulders for squats and pull-ups); drift is reported per rep against a vertical line through the
+// rep's starting position.
+
+import velocityService from './velocity';
+import anthropometryService from './anthropometry';
+import { median, round1, round3 } from '../utils/math';
+
+// Drift beyond this (share of shoulder-to-ankle length) is called out in the summary
+const DRIFT_NOTE_LENGTH = 0.05;
+
+// Trace colours, one per rep
+export const PATH_COLORS = ['#38BDF8', '#34D399', '#FBBF24', '#F87171', '#A78BFA', '#F472B6', '#2DD4BF', '#FB923C'];
+
+class BarPathService {
+  /**
+   * Bar trace for one frame, or null when neither the tracked end cap nor the bar landmarks are visible
+   */
+  getBarPoint(exerciseId, frame) {
+    return frame?.landmarks ? velocityService.getFrameBarPoint(exerciseId, frame) : null;
+  }
+
+  /**
+   * Bar path over a set
+   * frames: phase-annotated frames ({ time, landmarks, repIndex, aspectRatio, barPosition? }); repRanges from countReps
+   * options.heightCm: the lifter's height - drift in cm instead of % of shoulder-to-ankle length
+   * Returns { source ('plate', 'shoulders' or 'wrists'), units, facing, points: [{ time, x, y, rep }], reps: [{ repNumber, maxDrift,
+   * forwardDrift, netDrift, meanDeviation }], maxDrift, summary } or null. Drift is signed along the
+   * direction the lifter faces (positive = toward the toes); meanDeviation is unsigned.
+   */
+  trackSet(exerciseId, frames, repRanges, options = {}) {
+    const points = frames
+      .map(frame => {
+        const bar = this.getBarPoint(exerciseId, frame);
+        return bar ? { time: frame.time, x: bar.x, y: bar.y, rep: frame.repIndex ?? null, aspectRatio: frame.aspectRatio } : null;
+      })
+      .filter(Boolean);
+    if (points.length < 3) return null;
+
+    const scale = velocityService.getScale(frames, options.heightCm);
+    if (!scale) return null;
+    // Image x in the same units as y (normalized coordinates stretch with the frame's aspect ratio), then
+    // meters -> cm with a height, or body lengths -> % without one
+    const toLength = (dx, aspectRatio) => dx * (aspectRatio || 1) * scale.unitsPerLength * 100;
+
+    const facing = Math.sign(median(
+      frames.map(frame => frame.landmarks && anthropometryService.getSagittalPose(frame.landmarks, frame.aspectRatio)?.facing).filter(Boolean)
+    ) || 1) || 1;
+
+    const reps = repRanges
+      .map((repRange, repIndex) => {
+        const repPoints = points.filter(point =>
+          point.rep === repIndex ||
+          (point.rep === null && point.time >= repRange.startTime && point.time <= repRange.endTime)
+        );
+        if (repPoints.length < 3) return null;
+        return { repNumber: repIndex + 1, ...this.measureDrift(repPoints, facing, toLength) };
+      })
+      .filter(Boolean);
+
+    const worst = reps.reduce((best, rep) => (!best || Math.abs(rep.maxDrift) > Math.abs(best.maxDrift) ? rep : best), null);
+    const units = scale.units === 'm/s' ? 'cm' : '%';
+
+    return {
+      source: frames.some(frame => frame.barPosition !== undefined) ? 'plate' : velocityService.getBarSource(exerciseId),
+      units,
+      facing,
+      points: points.map(point => ({ time: point.time, x: round3(point.x), y: round3(point.y), rep: point.rep })),
+      reps,
+      maxDrift: worst ? worst.maxDrift : null,
+      summary: this.summarize(reps, worst, units, toLength(DRIFT_NOTE_LENGTH * scale.bodyLength, 1))
+    };
+  }
+
+  /**
+   * Horizontal travel of one rep's bar against the vertical through its first point
+   */
+  measureDrift(repPoints, facing, toLength) {
+    const start = repPoints[0];
+    const offsets = repPoints.map(point => facing * toLength(point.x - start.x, point.aspectRatio));
+
+    const maxDrift = offsets.reduce((best, offset) => (Math.abs(offset) > Math.abs(best) ? offset : best), 0);
+    return {
+      maxDrift: round1(maxDrift),
+      forwardDrift: round1(Math.max(0, ...offsets)),
+      netDrift: round1(offsets[offsets.length - 1]),
+      meanDeviation: round1(offsets.reduce((sum, offset) => sum + Math.abs(offset), 0) / offsets.length)
+    };
+  }
+
+  summarize(reps, worst, units, noteThreshold) {
+    if (!worst) return 'Bar path could not be measured rep by rep';
+    const unit = units === 'cm' ? ' cm' : '% of body length';
+    const meanDeviation = round1(reps.reduce((sum, rep) => sum + rep.meanDeviation, 0) / reps.length);
+
+    if (Math.abs(worst.maxDrift) < noteThreshold) {
+      return `Bar stayed close to vertical - at most ${Math.abs(worst.maxDrift)}${unit} of drift`;
+    }
+    return `Bar drifted up to ${Math.abs(worst.maxDrift)}${unit} ${worst.maxDrift > 0 ? 'forward' : 'back'} on rep ${worst.repNumber}; ` +
+      `average deviation from vertical ${meanDeviation}${unit}`;
+  }
+
+  /**
+   * Draw a bar path on a canvas sized to the video (points in normalized image coordinates)
+   * options.color, options.showVertical: dashed vertical through the first point
+   */
+  drawPath(canvas, points, options = {}) {
+    if (!canvas || points.length < 2) return;
+    const ctx = canvas.getContext('2d');
+    const { color = PATH_COLORS[0], showVertical = true } = options;
+    const x = (point) => point.x * canvas.width;
+    const y = (point) => point.y * canvas.height;
+
+    ctx.save();
+    if (showVertical) {
+      ctx.strokeStyle = 'rgba(255, 255, 255, 0.5)';
+      ctx.lineWidth = 2;
+      ctx.setLineDash([8, 6]);
+      ctx.beginPath();
+      ctx.moveTo(x(points[0]), 0);
+      ctx.lineTo(x(points[0]), canvas.height);
+      ctx.stroke();
+      ctx.setLineDash([]);
+    }
+
+    ctx.strokeStyle = color;
+    ctx.lineWidth = 4;
+    ctx.lineJoin = 'round';
+    ctx.beginPath();
+    points.forEach((point, i) => (i === 0 ? ctx.moveTo(x(point), y(point)) : ctx.lineTo(x(point), y(point))));
+    ctx.stroke();
+
+    const last = points[points.length - 1];
+    ctx.fillStyle = color;
+    ctx.beginPath();
+    ctx.arc(x(last), y(last), 7, 0, Math.PI * 2);
+    ctx.fill();
+    ctx.restore();
+  }
+}
+
+const barPathService = new BarPathService();
+export default barPathService;
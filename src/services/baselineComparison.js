@@ -0,0 +1,281 @@
+// Baseline Comparison Service - Compares a set rep by rep against the lifter's own reference set
+// A reference is built once from a stored workout's frame data and rep labels: per-rep angle
+// trajectories on a normalized time axis, tempo per phase, and the joint angles at the bottom.
+
+import poseAnalysisService from './poseAnalysis';
+import { mean, median, round1 } from '../utils/math';
+
+// Angle metrics compared per exercise (custom exercises use whichever of the defaults they produce)
+const TRAJECTORY_METRICS = {
+  squat: ['kneeAngle', 'hipAngle'],
+  deadlift: ['backAngle'],
+  overhead_press: ['elbowAngle', 'bodyAngle'],
+  bench_press: ['elbowAngle'],
+  pull_up: ['elbowAngle']
+};
+const DEFAULT_TRAJECTORY_METRICS = ['kneeAngle', 'hipAngle', 'elbowAngle'];
+
+// Samples per rep on the normalized time axis
+const TRAJECTORY_POINTS = 20;
+
+// Similarity score: points lost per degree of trajectory / bottom deviation and per unit of tempo change
+const TRAJECTORY_PENALTY = 2;
+const BOTTOM_PENALTY = 1.5;
+const TEMPO_PENALTY = 40;
+
+// Differences below these aren't called out in notes
+const NOTE_ANGLE_DIFF = 8;
+const NOTE_TEMPO_RATIO = 0.25;
+
+const PHASES = ['descent', 'bottom', 'ascent', 'top'];
+
+class BaselineComparisonService {
+  getTrajectoryMetrics(exerciseId) {
+    return TRAJECTORY_METRICS[exerciseId] || DEFAULT_TRAJECTORY_METRICS;
+  }
+
+  /**
+   * Build a reference from a stored workout and its frame data (storageService.getWorkoutFrameData)
+   * Returns { workoutId, exerciseId, score, timestamp, metrics, reps: [profile], builtAt } or null when
+   * the workout has no labelled reps
+   */
+  buildBaseline(workout, frames) {
+    const reps = this.buildRepProfiles(workout.exerciseId, frames, workout.repRanges || []);
+    if (reps.length === 0) return null;
+
+    return {
+      workoutId: workout.id,
+      exerciseId: workout.exerciseId,
+      score: workout.score,
+      timestamp: workout.timestamp,
+      metrics: this.getTrajectoryMetrics(workout.exerciseId),
+      reps,
+      builtAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * One profile per rep: { trajectories: { metric: [values] }, tempo: { durationMs, phases: { phase: ms } },
+   * bottom: { metric: value } }
+   * frames: phase-annotated frames ({ time, landmarks, phase, repIndex }); metrics are recomputed from
+   * the landmarks so stored and fresh sets are measured the same way
+   */
+  buildRepProfiles(exerciseId, frames, repRanges) {
+    const metrics = this.getTrajectoryMetrics(exerciseId);
+
+    return repRanges
+      .map((repRange, repIndex) => {
+        const repFrames = frames.filter(frame =>
+          frame.landmarks &&
+          (frame.repIndex === repIndex ||
+            (frame.repIndex === undefined && frame.time >= repRange.startTime && frame.time <= repRange.endTime))
+        );
+        if (repFrames.length < 3) return null;
+
+        const samples = repFrames.map(frame => ({
+          time: frame.time,
+          phase: frame.phase,
+          values: poseAnalysisService.analyzeExercise(exerciseId, frame.landmarks, { aspectRatio: frame.aspectRatio }) || {}
+        }));
+
+        const trajectories = {};
+        metrics.forEach(metric => {
+          const trajectory = this.resampleTrajectory(samples, metric);
+          if (trajectory) trajectories[metric] = trajectory;
+        });
+        if (Object.keys(trajectories).length === 0) return null;
+
+        return {
+          repNumber: repIndex + 1,
+          trajectories,
+          tempo: this.measureTempo(samples),
+          bottom: this.measureBottom(samples, Object.keys(trajectories))
+        };
+      })
+      .filter(Boolean);
+  }
+
+  /**
+   * A metric over the rep resampled onto TRAJECTORY_POINTS evenly spaced points of rep time
+   */
+  resampleTrajectory(samples, metric) {
+    const points = samples.filter(s => Number.isFinite(s.values[metric]));
+    if (points.length < 3) return null;
+
+    const start = points[0].time;
+    const span = points[points.length - 1].time - start;
+    if (span <= 0) return null;
+
+    const result = [];
+    let j = 0;
+    for (let k = 0; k < TRAJECTORY_POINTS; k++) {
+      const t = start + (span * k) / (TRAJECTORY_POINTS - 1);
+      while (j < points.length - 2 && points[j + 1].time < t) j++;
+      const a = points[j];
+      const b = points[j + 1];
+      const u = b.time > a.time ? Math.max(0, Math.min(1, (t - a.time) / (b.time - a.time))) : 0;
+      result.push(round1(a.values[metric] + (b.values[metric] - a.values[metric]) * u));
+    }
+    return result;
+  }
+
+  /**
+   * Rep duration and time per phase (ms)
+   */
+  measureTempo(samples) {
+    const phases = Object.fromEntries(PHASES.map(phase => [phase, 0]));
+    for (let i = 1; i < samples.length; i++) {
+      const phase = samples[i - 1].phase;
+      if (phase in phases) phases[phase] += (samples[i].time - samples[i - 1].time) * 1000;
+    }
+    return {
+      durationMs: Math.round((samples[samples.length - 1].time - samples[0].time) * 1000),
+      phases: Object.fromEntries(Object.entries(phases).map(([phase, ms]) => [phase, Math.round(ms)]))
+    };
+  }
+
+  /**
+   * Joint angles at the bottom: median over frames labelled `bottom`, or the deepest frame of the
+   * first metric when the rep has no bottom label
+   */
+  measureBottom(samples, metrics) {
+    let bottomSamples = samples.filter(s => s.phase === 'bottom');
+    if (bottomSamples.length === 0) {
+      const first = metrics[0];
+      const deepest = samples
+        .filter(s => Number.isFinite(s.values[first]))
+        .sort((a, b) => a.values[first] - b.values[first])[0];
+      bottomSamples = deepest ? [deepest] : [];
+    }
+
+    const bottom = {};
+    metrics.forEach(metric => {
+      const value = median(bottomSamples.map(s => s.values[metric]).filter(Number.isFinite));
+      if (value !== null) bottom[metric] = round1(value);
+    });
+    return bottom;
+  }
+
+  /**
+   * Compare a set's rep profiles against a baseline; each rep is compared with the reference's
+   * average rep, so a reference with a bad rep or two still gives a stable target
+   * Returns { referenceWorkoutId, referenceScore, reps: [...], similarity, summary } or null
+   */
+  compare(baseline, repProfiles) {
+    if (!baseline || repProfiles.length === 0) return null;
+
+    const reference = this.averageProfile(baseline.reps);
+    const reps = repProfiles.map(profile => this.compareRep(profile, reference));
+    const similarity = Math.round(mean(reps.map(rep => rep.similarity)));
+
+    return {
+      referenceWorkoutId: baseline.workoutId,
+      referenceScore: baseline.score,
+      referenceDate: baseline.timestamp,
+      reps,
+      similarity,
+      summary: this.summarize(reps, similarity)
+    };
+  }
+
+  /**
+   * Point-wise mean of several rep profiles
+   */
+  averageProfile(profiles) {
+    const trajectories = {};
+    const bottom = {};
+    const metrics = [...new Set(profiles.flatMap(p => Object.keys(p.trajectories)))];
+
+    metrics.forEach(metric => {
+      const series = profiles.map(p => p.trajectories[metric]).filter(Boolean);
+      trajectories[metric] = Array.from({ length: TRAJECTORY_POINTS }, (_, k) =>
+        round1(mean(series.map(values => values[k])))
+      );
+      const bottoms = profiles.map(p => p.bottom[metric]).filter(Number.isFinite);
+      if (bottoms.length) bottom[metric] = round1(mean(bottoms));
+    });
+
+    return {
+      trajectories,
+      bottom,
+      tempo: {
+        durationMs: Math.round(mean(profiles.map(p => p.tempo.durationMs))),
+        phases: Object.fromEntries(
+          PHASES.map(phase => [phase, Math.round(mean(profiles.map(p => p.tempo.phases[phase] || 0)))])
+        )
+      }
+    };
+  }
+
+  /**
+   * One rep against the reference: mean absolute trajectory deviation and bottom difference per metric
+   * (degrees), tempo ratios, a 0-100 similarity and plain-language notes
+   */
+  compareRep(profile, reference) {
+    const trajectory = {};
+    const bottom = {};
+    const notes = [];
+
+    Object.entries(profile.trajectories).forEach(([metric, values]) => {
+      const target = reference.trajectories[metric];
+      if (!target) return;
+      trajectory[metric] = round1(mean(values.map((value, k) => Math.abs(value - target[k]))));
+
+      if (Number.isFinite(profile.bottom[metric]) && Number.isFinite(reference.bottom[metric])) {
+        const difference = round1(profile.bottom[metric] - reference.bottom[metric]);
+        bottom[metric] = difference;
+        if (Math.abs(difference) >= NOTE_ANGLE_DIFF) {
+          notes.push(
+            `${metric} at the bottom ${profile.bottom[metric]}° vs ${reference.bottom[metric]}° ` +
+            `(${difference > 0 ? 'more open' : 'more closed'} by ${Math.abs(difference)}°)`
+          );
+        }
+      }
+    });
+
+    const tempo = {
+      durationRatio: reference.tempo.durationMs > 0
+        ? Math.round((profile.tempo.durationMs / reference.tempo.durationMs) * 100) / 100
+        : null,
+      phases: {}
+    };
+    PHASES.forEach(phase => {
+      const target = reference.tempo.phases[phase];
+      if (target > 0) tempo.phases[phase] = Math.round((profile.tempo.phases[phase] / target) * 100) / 100;
+    });
+    if (tempo.durationRatio !== null && Math.abs(tempo.durationRatio - 1) >= NOTE_TEMPO_RATIO) {
+      notes.push(`${Math.round(Math.abs(tempo.durationRatio - 1) * 100)}% ${tempo.durationRatio > 1 ? 'slower' : 'faster'} than reference`);
+    }
+    // Phase notes only when the rhythm changed, not when the whole rep just ran slower or faster
+    ['descent', 'ascent'].forEach(phase => {
+      const ratio = tempo.phases[phase];
+      if (ratio === undefined || !tempo.durationRatio) return;
+      const relative = ratio / tempo.durationRatio;
+      if (Math.abs(relative - 1) >= NOTE_TEMPO_RATIO * 2) {
+        notes.push(`${phase} ${relative > 1 ? 'slower' : 'faster'} relative to the rest of the rep (${Math.round(ratio * 100)}% of reference time)`);
+      }
+    });
+
+    const trajectoryDeviation = mean(Object.values(trajectory)) ?? 0;
+    const bottomDeviation = mean(Object.values(bottom).map(Math.abs)) ?? 0;
+    const tempoDeviation = tempo.durationRatio === null ? 0 : Math.abs(tempo.durationRatio - 1);
+    const similarity = Math.max(0, Math.round(
+      100 -
+      trajectoryDeviation * TRAJECTORY_PENALTY -
+      bottomDeviation * BOTTOM_PENALTY -
+      tempoDeviation * TEMPO_PENALTY
+    ));
+
+    return { repNumber: profile.repNumber, similarity, trajectory, bottom, tempo, notes };
+  }
+
+  summarize(reps, similarity) {
+    const weakest = [...reps].sort((a, b) => a.similarity - b.similarity)[0];
+    if (similarity >= 85) return `Close match to your reference set (${similarity}% similar)`;
+    return `${similarity}% similar to your reference set - rep ${weakest.repNumber} strayed the most` +
+      (weakest.notes.length ? `: ${weakest.notes[0]}` : '');
+  }
+}
+
+const baselineComparisonService = new BaselineComparisonService();
+export default baselineComparisonService;
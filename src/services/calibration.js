@@ -0,0 +1,212 @@
+// Calibration Service - Body proportions from a short standing capture
+// Segment lengths (torso, femur, shin, arms) let validation thresholds scale with the lifter instead of
+// using fixed normalized-coordinate distances that depend on body size and camera distance.
+
+import { calculateAngle2D } from '../utils/geometry';
+import { median, round3 } from '../utils/math';
+
+/**
+ * Body segments as pairs of named landmarks (see poseAnalysis.getNamedLandmarks)
+ * Paired sides are measured separately; a landmark list is its midpoint
+ */
+export const SEGMENTS = {
+  torso: [[['leftShoulder', 'rightShoulder'], ['leftHip', 'rightHip']]],
+  femur: [['leftHip', 'leftKnee'], ['rightHip', 'rightKnee']],
+  shin: [['leftKnee', 'leftAnkle'], ['rightKnee', 'rightAnkle']],
+  upperArm: [['leftShoulder', 'leftElbow'], ['rightShoulder', 'rightElbow']],
+  forearm: [['leftElbow', 'leftWrist'], ['rightElbow', 'rightWrist']]
+};
+
+// Landmark indices behind the named landmarks above (MediaPipe Pose)
+const LANDMARK_INDICES = {
+  leftShoulder: 11,
+  rightShoulder: 12,
+  leftElbow: 13,
+  rightElbow: 14,
+  leftWrist: 15,
+  rightWrist: 16,
+  leftHip: 23,
+  rightHip: 24,
+  leftKnee: 25,
+  rightKnee: 26,
+  leftAnkle: 27,
+  rightAnkle: 28
+};
+
+/**
+ * Segment lengths as a fraction of shoulder-to-ankle length (torso + femur + shin)
+ * Used until the lifter calibrates; from standard anthropometric tables (Winter)
+ */
+export const DEFAULT_PROPORTIONS = {
+  torso: 0.37,
+  femur: 0.315,
+  shin: 0.315,
+  upperArm: 0.24,
+  forearm: 0.19
+};
+
+// Standing capture requirements
+const MIN_CALIBRATION_FRAMES = 10;
+const MIN_VISIBILITY = 0.5;
+const MIN_STANDING_KNEE_ANGLE = 160;
+
+class CalibrationService {
+  constructor() {
+    this.calibration = null;
+  }
+
+  /**
+   * Use a stored calibration (userProfile.bodyCalibration) for validation; null reverts to defaults
+   */
+  setCalibration(calibration) {
+    this.calibration = calibration?.proportions ? calibration : null;
+  }
+
+  getCalibration() {
+    return this.calibration;
+  }
+
+  getProportions() {
+    return { ...DEFAULT_PROPORTIONS, ...(this.calibration?.proportions || {}) };
+  }
+
+  /**
+   * Measure body proportions from standing frames ([{ landmarks, worldLandmarks, aspectRatio }], raw
+   * 33-point lists). World landmarks (meters) are preferred - they don't depend on the image aspect ratio;
+   * image landmarks are measured in image-height units (see toImageUnits).
+   * Throws when too few frames show a fully visible, upright lifter.
+   * Returns { proportions, lengths, units, frameCount, calibratedAt }
+   */
+  measureSegments(frames) {
+    const standing = frames.filter(frame => this.isStandingFrame(frame.landmarks));
+    if (standing.length < MIN_CALIBRATION_FRAMES) {
+      throw new Error(
+        `Only ${standing.length} usable standing frames - stand upright with your whole body in view`
+      );
+    }
+
+    const useWorld = standing.every(frame => Array.isArray(frame.worldLandmarks));
+    const samples = {};
+    standing.forEach(frame => {
+      const named = useWorld
+        ? this.toNamed(frame.worldLandmarks)
+        : this.toImageUnits(this.toNamed(frame.landmarks), frame.aspectRatio);
+      Object.keys(SEGMENTS).forEach(segment => {
+        const lengths = this.measureSides(segment, named, useWorld);
+        if (lengths.length === 0) return;
+        // Standing still, both sides show the full length - average them
+        (samples[segment] = samples[segment] || []).push(lengths.reduce((a, b) => a + b, 0) / lengths.length);
+      });
+    });
+
+    const lengths = Object.fromEntries(
+      Object.entries(samples).map(([segment, values]) => [segment, median(values)])
+    );
+    const reference = (lengths.torso || 0) + (lengths.femur || 0) + (lengths.shin || 0);
+    if (!lengths.torso || !lengths.femur || !lengths.shin || reference === 0) {
+      throw new Error('Could not measure torso and legs - make sure hips, knees and ankles are in view');
+    }
+
+    return {
+      proportions: Object.fromEntries(
+        Object.entries(lengths).map(([segment, length]) => [segment, round3(length / reference)])
+      ),
+      lengths: Object.fromEntries(
+        Object.entries(lengths).map(([segment, length]) => [segment, round3(length)])
+      ),
+      units: useWorld ? 'm' : 'normalized',
+      frameCount: standing.length,
+      calibratedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Upright, with shoulders, hips, knees and ankles visible and knees straight
+   */
+  isStandingFrame(landmarks) {
+    if (!Array.isArray(landmarks)) return false;
+    const named = this.toNamed(landmarks);
+    const required = ['leftShoulder', 'rightShoulder', 'leftHip', 'rightHip', 'leftKnee', 'rightKnee', 'leftAnkle', 'rightAnkle'];
+    if (required.some(name => !named[name] || (named[name].visibility ?? 1) < MIN_VISIBILITY)) return false;
+
+    const kneeAngles = [
+      calculateAngle2D(named.leftHip, named.leftKnee, named.leftAnkle),
+      calculateAngle2D(named.rightHip, named.rightKnee, named.rightAnkle)
+    ];
+    const shoulderY = (named.leftShoulder.y + named.rightShoulder.y) / 2;
+    const hipY = (named.leftHip.y + named.rightHip.y) / 2;
+    const ankleY = (named.leftAnkle.y + named.rightAnkle.y) / 2;
+    return kneeAngles.every(angle => angle >= MIN_STANDING_KNEE_ANGLE) && shoulderY < hipY && hipY < ankleY;
+  }
+
+  /**
+   * Segment lengths in the current frame's own units (image-height units for validation - pass landmarks
+   * through toImageUnits first, or horizontal segments come out too short on portrait video)
+   * A segment turned toward the camera looks shorter, so each visible segment estimates the body's
+   * size from the calibrated proportions and the larger (less foreshortened) estimates win. The
+   * second-largest is used so one stretched or mis-detected segment - e.g. a shrugged torso, which
+   * checks compare against its own expected length - can't set the scale.
+   * landmarks: named landmarks; returns { torso, femur, shin, upperArm, forearm, body } or null
+   */
+  getFrameSegments(landmarks, proportions = this.getProportions()) {
+    if (!landmarks) return null;
+
+    const estimates = Object.keys(SEGMENTS)
+      .filter(segment => proportions[segment])
+      .map(segment => Math.max(0, ...this.measureSides(segment, landmarks, false)) / proportions[segment])
+      .filter(estimate => estimate > 0)
+      .sort((a, b) => b - a);
+    if (estimates.length === 0) return null;
+    const body = estimates[Math.min(1, estimates.length - 1)];
+
+    return {
+      ...Object.fromEntries(Object.entries(proportions).map(([segment, share]) => [segment, body * share])),
+      body
+    };
+  }
+
+  /**
+   * Lengths of each visible side of a segment
+   */
+  measureSides(segment, named, useZ) {
+    return SEGMENTS[segment]
+      .map(([from, to]) => {
+        const a = this.resolvePoint(from, named);
+        const b = this.resolvePoint(to, named);
+        if (!a || !b) return null;
+        return useZ
+          ? Math.hypot(a.x - b.x, a.y - b.y, (a.z || 0) - (b.z || 0))
+          : Math.hypot(a.x - b.x, a.y - b.y);
+      })
+      .filter(length => length !== null && length > 0);
+  }
+
+  /**
+   * Named landmarks (or a raw landmark list, indexed the same way) with x rescaled from image widths to
+   * image heights (x * width / height), so x and y distances compare the way they look in the video;
+   * returned as they are without an aspect ratio
+   */
+  toImageUnits(named, aspectRatio) {
+    if (!named || !(aspectRatio > 0) || aspectRatio === 1) return named;
+    return Object.fromEntries(
+      Object.entries(named).map(([name, point]) => [name, point && { ...point, x: point.x * aspectRatio }])
+    );
+  }
+
+  resolvePoint(ref, named) {
+    const points = [].concat(ref).map(name => named[name]);
+    if (points.some(p => !p || !Number.isFinite(p.x) || !Number.isFinite(p.y))) return null;
+    if (points.some(p => typeof p.visibility === 'number' && p.visibility < MIN_VISIBILITY)) return null;
+    const mean = axis => points.reduce((sum, p) => sum + (p[axis] || 0), 0) / points.length;
+    return { x: mean('x'), y: mean('y'), z: mean('z') };
+  }
+
+  toNamed(landmarks) {
+    return Object.fromEntries(
+      Object.entries(LANDMARK_INDICES).map(([name, index]) => [name, landmarks?.[index]])
+    );
+  }
+}
+
+const calibrationService = new CalibrationService();
+export default calibrationService;
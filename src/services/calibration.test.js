@@ -0,0 +1,85 @@
+import calibrationService, { DEFAULT_PROPORTIONS } from './calibration';
+
+const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+
+// Standing lifter with arms held out level, in image-height units (x * width / height)
+const BODY = {
+  11: [0.23, 0.25], 12: [0.33, 0.25], // shoulders
+  13: [0.13, 0.25], 14: [0.43, 0.25], // elbows (upper arm 0.1, horizontal)
+  15: [0.04, 0.25], 16: [0.52, 0.25], // wrists (forearm 0.09, horizontal)
+  23: [0.24, 0.5], 24: [0.32, 0.5], // hips (torso 0.25)
+  25: [0.24, 0.7], 26: [0.32, 0.7], // knees (femur 0.2)
+  27: [0.24, 0.9], 28: [0.32, 0.9] // ankles (shin 0.2)
+};
+
+/**
+ * The same body as MediaPipe reports it for a frame of the given aspect ratio (width / height)
+ */
+const render = (aspectRatio) => {
+  const landmarks = Array.from({ length: 33 }, () => point(0.5, 0.1));
+  Object.entries(BODY).forEach(([index, [x, y]]) => { landmarks[index] = point(x / aspectRatio, y); });
+  return landmarks;
+};
+
+const LANDSCAPE = 16 / 9;
+const PORTRAIT = 9 / 16;
+const capture = (aspectRatio) => Array.from({ length: 12 }, () => ({
+  landmarks: render(aspectRatio),
+  worldLandmarks: null,
+  aspectRatio
+}));
+
+describe('calibrationService.measureSegments', () => {
+  it('measures the same segment lengths from landscape and portrait video', () => {
+    const landscape = calibrationService.measureSegments(capture(LANDSCAPE));
+    const portrait = calibrationService.measureSegments(capture(PORTRAIT));
+
+    expect(landscape.lengths).toEqual({ torso: 0.25, femur: 0.2, shin: 0.2, upperArm: 0.1, forearm: 0.09 });
+    expect(portrait.lengths).toEqual(landscape.lengths);
+    expect(portrait.proportions).toEqual(landscape.proportions);
+    expect(landscape.proportions.upperArm).toBe(0.154);
+  });
+
+  it('would squash horizontal segments without the aspect ratio', () => {
+    const frames = capture(LANDSCAPE).map(frame => ({ ...frame, aspectRatio: undefined }));
+
+    expect(calibrationService.measureSegments(frames).lengths.upperArm).toBeCloseTo(0.1 / LANDSCAPE, 3);
+  });
+
+  it('rejects a capture without enough standing frames', () => {
+    const crouched = capture(LANDSCAPE).map(frame => {
+      const landmarks = [...frame.landmarks];
+      landmarks[25] = point(0.4, 0.7);
+      landmarks[26] = point(0.5, 0.7);
+      return { ...frame, landmarks };
+    });
+
+    expect(() => calibrationService.measureSegments(crouched)).toThrow('Only 0 usable standing frames');
+  });
+});
+
+describe('calibrationService.getFrameSegments', () => {
+  const frameSegments = (aspectRatio, proportions) => calibrationService.getFrameSegments(
+    calibrationService.toImageUnits(calibrationService.toNamed(render(aspectRatio)), aspectRatio),
+    proportions
+  );
+
+  it('scales segments the same way for landscape and portrait frames', () => {
+    const { proportions } = calibrationService.measureSegments(capture(LANDSCAPE));
+    const landscape = frameSegments(LANDSCAPE, proportions);
+    const portrait = frameSegments(PORTRAIT, proportions);
+
+    Object.keys(landscape).forEach(segment => {
+      expect(portrait[segment]).toBeCloseTo(landscape[segment], 6);
+    });
+    expect(landscape.torso).toBeCloseTo(0.25, 2);
+    expect(landscape.upperArm).toBeCloseTo(0.1, 2);
+  });
+
+  it('falls back to the default proportions and handles missing landmarks', () => {
+    expect(Object.keys(frameSegments(PORTRAIT, DEFAULT_PROPORTIONS)))
+      .toEqual([...Object.keys(DEFAULT_PROPORTIONS), 'body']);
+    expect(calibrationService.getFrameSegments(null)).toBeNull();
+    expect(calibrationService.getFrameSegments({})).toBeNull();
+  });
+});
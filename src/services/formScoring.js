@@ -0,0 +1,151 @@
+// Form Scoring Service - Weighted, explainable form score
+// Each session error costs points by severity, how often it happened, how far past the threshold
+// it went and how long it was held. Camera/landmark confidence is reported alongside, not multiplied in.
+
+import { round1, round2 } from '../utils/math';
+
+/**
+ * Points an error costs at neutral magnitude and duration when it shows up in every rep
+ */
+const SEVERITY_WEIGHTS = {
+  critical: 30,
+  high: 20,
+  medium: 12,
+  low: 6
+};
+
+// Relative threshold overshoot (|actual - threshold| / |threshold|) that counts as maximal
+const MAGNITUDE_SATURATION = 0.25;
+
+// Multiplier ranges: [at the minimum, at the maximum]
+const FREQUENCY_RANGE = [0.5, 1];
+const MAGNITUDE_RANGE = [0.75, 1.25];
+const DURATION_RANGE = [0.75, 1.25];
+
+const lerp = ([min, max], t) => min + (max - min) * Math.max(0, Math.min(1, t));
+
+class FormScoringService {
+  /**
+   * Score a session
+   * errors: aggregated errors from temporalValidationService.aggregateErrors
+   * frames: phase-annotated frames (for trigger margins), repRanges: rep ranges from countReps
+   * confidence: adaptive analysis confidence (how much of the exercise the camera could see) -
+   * reported as cameraConfidence, never multiplied into the score
+   * Returns { score, pointsLost, breakdown: [...], cameraConfidence }
+   */
+  scoreSession({ errors = [], frames = [], repRanges = [], confidence = 1 }) {
+    const breakdown = errors
+      .map(error => this.scoreError(error, frames, repRanges))
+      .sort((a, b) => b.points - a.points);
+
+    const pointsLost = Math.min(100, breakdown.reduce((sum, item) => sum + item.points, 0));
+
+    return {
+      score: frames.length > 0 ? Math.round(100 - pointsLost) : 0,
+      pointsLost: round1(pointsLost),
+      breakdown,
+      cameraConfidence: round2(Math.max(0, Math.min(1, confidence ?? 0)))
+    };
+  }
+
+  /**
+   * Score one rep from its errors (temporalValidationService.errorsByRep), reusing the
+   * session magnitudes so a rep and the session agree on how bad each error was
+   */
+  scoreRep(repErrors, repRange, breakdown = []) {
+    const repDurationMs = this.repDurationMs(repRange);
+    const pointsLost = repErrors.reduce((sum, error) => {
+      const magnitude = breakdown.find(item => item.id === error.id)?.components.magnitude ?? 1;
+      const durationShare = repDurationMs ? error.durationMs / repDurationMs : null;
+      const duration = durationShare === null ? 1 : lerp(DURATION_RANGE, durationShare);
+      return sum + this.severityWeight(error.severity) * magnitude * duration;
+    }, 0);
+
+    return Math.max(0, Math.round(100 - pointsLost));
+  }
+
+  /**
+   * Points lost to one aggregated error, with the factors that produced them
+   */
+  scoreError(error, frames, repRanges) {
+    const weight = this.severityWeight(error.severity);
+    const frequencyShare = Math.max(0, Math.min(1, error.frequency ?? 1));
+    const overshoot = this.measureOvershoot(error.id, frames);
+    const durationShare = this.measureDurationShare(error, repRanges);
+
+    const components = {
+      severity: weight,
+      frequency: round2(lerp(FREQUENCY_RANGE, frequencyShare)),
+      magnitude: overshoot === null ? 1 : round2(lerp(MAGNITUDE_RANGE, overshoot / MAGNITUDE_SATURATION)),
+      duration: durationShare === null ? 1 : round2(lerp(DURATION_RANGE, durationShare))
+    };
+
+    return {
+      id: error.id,
+      name: error.name,
+      severity: error.severity,
+      points: round1(components.severity * components.frequency * components.magnitude * components.duration),
+      components,
+      reasons: this.explain(error, frequencyShare, overshoot, durationShare, repRanges.length)
+    };
+  }
+
+  /**
+   * Mean relative overshoot past the rule threshold over the frames where the error fired
+   * Returns null for errors without numeric triggers (closures, boolean flags)
+   */
+  measureOvershoot(errorId, frames) {
+    const overshoots = [];
+    frames.forEach(frame => {
+      const error = frame.errors?.find(e => e.id === errorId);
+      const ratios = (error?.triggers || [])
+        .filter(t => typeof t.margin === 'number' && typeof t.threshold === 'number')
+        .map(t => t.margin / Math.max(Math.abs(t.threshold), 0.05));
+      if (ratios.length > 0) overshoots.push(Math.max(...ratios));
+    });
+    if (overshoots.length === 0) return null;
+    return overshoots.reduce((sum, value) => sum + value, 0) / overshoots.length;
+  }
+
+  /**
+   * Average share of each flagged rep the longest violation lasted; null without rep attribution
+   */
+  measureDurationShare(error, repRanges) {
+    const shares = (error.repDetails || [])
+      .map(detail => {
+        const repDurationMs = this.repDurationMs(repRanges[detail.repIndex]);
+        return repDurationMs ? Math.min(1, detail.durationMs / repDurationMs) : null;
+      })
+      .filter(share => share !== null);
+    if (shares.length === 0) return null;
+    return shares.reduce((sum, value) => sum + value, 0) / shares.length;
+  }
+
+  repDurationMs(repRange) {
+    if (!repRange || typeof repRange.startTime !== 'number' || typeof repRange.endTime !== 'number') return null;
+    const durationMs = (repRange.endTime - repRange.startTime) * 1000;
+    return durationMs > 0 ? durationMs : null;
+  }
+
+  severityWeight(severity) {
+    return SEVERITY_WEIGHTS[severity] ?? SEVERITY_WEIGHTS.low;
+  }
+
+  /**
+   * Plain-language reasons for a breakdown row
+   */
+  explain(error, frequencyShare, overshoot, durationShare, repCount) {
+    const reasons = [`${error.severity || 'low'} severity`];
+    if (error.reps?.length) {
+      reasons.push(`${error.reps.length} of ${repCount} reps`);
+    } else {
+      reasons.push(`${Math.round(frequencyShare * 100)}% of frames`);
+    }
+    if (overshoot !== null) reasons.push(`${Math.round(overshoot * 100)}% past the limit`);
+    if (durationShare !== null) reasons.push(`held for ${Math.round(durationShare * 100)}% of the rep`);
+    return reasons;
+  }
+}
+
+const formScoringService = new FormScoringService();
+export default formScoringService;
@@ -0,0 +1,73 @@
+import formScoringService from './formScoring';
+
+const frame = (errors = []) => ({ time: 0, errors });
+const repRanges = [{ startTime: 0, endTime: 2 }, { startTime: 2, endTime: 4 }];
+
+describe('formScoringService.scoreSession', () => {
+  it('scores a clean session 100 and reports camera confidence separately', () => {
+    const result = formScoringService.scoreSession({ frames: [frame()], repRanges, confidence: 1.4 });
+
+    expect(result).toEqual({ score: 100, pointsLost: 0, breakdown: [], cameraConfidence: 1 });
+  });
+
+  it('scores 0 when nothing was analyzed', () => {
+    expect(formScoringService.scoreSession({ frames: [] }).score).toBe(0);
+  });
+
+  it('charges the full severity weight for an error in every rep', () => {
+    const error = { id: 'valgus', name: 'Valgus', severity: 'high', frequency: 1, reps: [1, 2] };
+    const result = formScoringService.scoreSession({ errors: [error], frames: [frame()], repRanges, confidence: 0.6 });
+
+    expect(result.score).toBe(80);
+    expect(result.cameraConfidence).toBe(0.6);
+    expect(result.breakdown[0]).toMatchObject({
+      id: 'valgus',
+      points: 20,
+      components: { severity: 20, frequency: 1, magnitude: 1, duration: 1 },
+      reasons: ['high severity', '2 of 2 reps']
+    });
+  });
+
+  it('weighs how often, how far past the threshold and how long an error was held', () => {
+    const triggers = [{ margin: 25, threshold: 100 }];
+    const error = {
+      id: 'shallow',
+      name: 'Shallow',
+      severity: 'medium',
+      frequency: 0.5,
+      reps: [1],
+      repDetails: [{ repIndex: 0, durationMs: 2000 }]
+    };
+    const frames = [frame([{ id: 'shallow', triggers }]), frame()];
+    const [item] = formScoringService.scoreSession({ errors: [error], frames, repRanges }).breakdown;
+
+    expect(item.components).toEqual({ severity: 12, frequency: 0.75, magnitude: 1.25, duration: 1.25 });
+    expect(item.points).toBe(14.1);
+    expect(item.reasons).toEqual(['medium severity', '1 of 2 reps', '25% past the limit', 'held for 100% of the rep']);
+  });
+
+  it('orders the breakdown by points and never goes below zero', () => {
+    const errors = ['low', 'critical', 'critical', 'critical', 'critical'].map((severity, i) => ({
+      id: `e${i}`,
+      severity,
+      frequency: 1
+    }));
+    const result = formScoringService.scoreSession({ errors, frames: [frame()], repRanges });
+
+    expect(result.breakdown[0].severity).toBe('critical');
+    expect(result.breakdown[result.breakdown.length - 1].severity).toBe('low');
+    expect(result.pointsLost).toBe(100);
+    expect(result.score).toBe(0);
+  });
+});
+
+describe('formScoringService.scoreRep', () => {
+  it('reuses the session magnitude and scales by how much of the rep the error lasted', () => {
+    const breakdown = [{ id: 'shallow', components: { magnitude: 1.25 } }];
+    const repErrors = [{ id: 'shallow', severity: 'medium', durationMs: 1000 }];
+
+    // 12 points * 1.25 magnitude * 1.0 duration (half the rep)
+    expect(formScoringService.scoreRep(repErrors, repRanges[0], breakdown)).toBe(85);
+    expect(formScoringService.scoreRep([], repRanges[0], breakdown)).toBe(100);
+  });
+});
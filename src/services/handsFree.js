@@ -0,0 +1,204 @@
+// Hands-Free Service - Starts and stops camera recordings without touching the screen
+// A wide "Y" with both arms held overhead toggles recording; in auto mode a set starts recording once
+// the lifter has settled and starts moving, and stops after a spell of stillness following the last rep.
+
+import poseAnalysisService from './poseAnalysis';
+import storageService from './storage';
+
+export const DEFAULT_HANDS_FREE_SETTINGS = {
+  gesture: false, // arms overhead starts and stops recording
+  auto: false, // start when the set begins, stop once still after the last rep
+  stillnessSeconds: 3,
+  countdownSeconds: 0 // delay before a button or gesture start
+};
+
+export const COUNTDOWN_OPTIONS = [0, 3, 5, 10];
+
+// The gesture has to be held this long; the arms then have to come down before it counts again
+const GESTURE_HOLD_SECONDS = 2;
+
+// Wrist spread for the gesture, in shoulder widths - wider than any press or pull-up grip
+const GESTURE_MIN_SPREAD = 2.5;
+
+// Shoulder width, in torso lengths, for the lifter to count as facing the camera. Side on, the shoulders
+// overlap and any overhead lockout or hang would pass the spread test.
+const GESTURE_MIN_SHOULDER_WIDTH = 0.4;
+const MIN_VISIBILITY = 0.5;
+
+// Auto start: still for SETTLE_SECONDS, then moving over the last MOTION_WINDOW_SECONDS
+const SETTLE_SECONDS = 1;
+const MOTION_WINDOW_SECONDS = 0.6;
+
+// An auto-started recording is dropped unless detectExercisePhases sees the exercise this soon
+const CONFIRM_SECONDS = 6;
+
+// Frames kept for the windows above
+const MAX_HISTORY_SECONDS = 15;
+
+/**
+ * Follows live frames and decides when a recording should start or stop (see createTrigger)
+ */
+class RecordingTrigger {
+  constructor(exerciseId, settings) {
+    this.exerciseId = exerciseId;
+    this.settings = { ...DEFAULT_HANDS_FREE_SETTINGS, ...settings };
+    this.frames = [];
+    this.recording = false;
+    this.raisedSince = null;
+    this.gestureLatched = false;
+    this.settled = false;
+    this.lastStartReason = null;
+    this.resetRecording(0);
+  }
+
+  resetRecording(time) {
+    this.recordingSince = time;
+    this.autoStarted = false;
+    this.confirmed = false;
+    this.repCount = 0;
+    this.lastRepAt = time;
+  }
+
+  /**
+   * Feed one live frame ({ time (s), landmarks, aspectRatio }) with whether a recording is running and its live rep
+   * count. Returns { action: 'start' | 'stop' | 'discard', reason: 'gesture' | 'motion' | 'stillness' |
+   * 'no_exercise' } when the recording should change, else null.
+   */
+  push(frame, { recording = false, repCount = 0 } = {}) {
+    const { time } = frame;
+    this.frames.push(frame);
+    while (this.frames.length && time - this.frames[0].time > MAX_HISTORY_SECONDS) this.frames.shift();
+
+    if (recording !== this.recording) {
+      this.recording = recording;
+      this.resetRecording(time);
+      this.autoStarted = recording && this.lastStartReason === 'motion';
+      this.settled = false;
+      this.lastStartReason = null;
+    }
+
+    if (this.settings.gesture) {
+      if (this.isGesture(frame.landmarks, frame.aspectRatio)) {
+        this.raisedSince = this.raisedSince ?? time;
+        if (!this.gestureLatched && time - this.raisedSince >= GESTURE_HOLD_SECONDS) {
+          this.gestureLatched = true;
+          return this.decide(recording ? 'stop' : 'start', 'gesture');
+        }
+        // Arms going up and down isn't the set starting or ending
+        return null;
+      }
+      this.raisedSince = null;
+      this.gestureLatched = false;
+    }
+
+    if (!this.settings.auto) return null;
+    return recording ? this.checkStop(time, repCount) : this.checkStart(time);
+  }
+
+  decide(action, reason) {
+    if (action === 'start') this.lastStartReason = reason;
+    return { action, reason };
+  }
+
+  /**
+   * Auto start: the lifter has to settle first, so walking up to the bar doesn't start a recording
+   */
+  checkStart(time) {
+    if (!this.settled) {
+      const window = this.getWindow(time, SETTLE_SECONDS);
+      this.settled = window.covered && !poseAnalysisService.detectMotion(window.frames);
+      return null;
+    }
+
+    const window = this.getWindow(time, MOTION_WINDOW_SECONDS);
+    if (!window.covered || !poseAnalysisService.detectMotion(window.frames)) return null;
+    this.settled = false;
+    return this.decide('start', 'motion');
+  }
+
+  /**
+   * Auto stop: N seconds without a new rep or any motion, once at least one rep is in
+   */
+  checkStop(time, repCount) {
+    if (this.autoStarted && !this.confirmed) {
+      const sinceStart = this.frames.filter(frame => frame.time >= this.recordingSince);
+      this.confirmed = poseAnalysisService.detectExercisePhases(sinceStart, this.exerciseId);
+      if (!this.confirmed && time - this.recordingSince >= CONFIRM_SECONDS) return this.decide('discard', 'no_exercise');
+    }
+
+    if (repCount > this.repCount) {
+      this.repCount = repCount;
+      this.lastRepAt = time;
+    }
+    if (this.repCount === 0 || time - this.lastRepAt < this.settings.stillnessSeconds) return null;
+
+    const window = this.getWindow(time, this.settings.stillnessSeconds);
+    if (!window.covered || poseAnalysisService.detectMotion(window.frames)) return null;
+    return this.decide('stop', 'stillness');
+  }
+
+  /**
+   * Frames from the last `seconds`; covered once the history reaches back that far
+   */
+  getWindow(time, seconds) {
+    return {
+      frames: this.frames.filter(frame => time - frame.time <= seconds),
+      covered: this.frames.length > 1 && time - this.frames[0].time >= seconds
+    };
+  }
+
+  /**
+   * Facing the camera, both wrists above the nose, elbows above the shoulders and the hands spread wide
+   * aspectRatio (frame width / height) puts widths and the torso length in the same units
+   */
+  isGesture(landmarks, aspectRatio = 1) {
+    const [nose, leftShoulder, rightShoulder, leftElbow, rightElbow, leftWrist, rightWrist, leftHip, rightHip] =
+      [0, 11, 12, 13, 14, 15, 16, 23, 24].map(index => landmarks?.[index]);
+    const points = [nose, leftShoulder, rightShoulder, leftElbow, rightElbow, leftWrist, rightWrist, leftHip, rightHip];
+    if (points.some(point => !point || (point.visibility ?? 1) < MIN_VISIBILITY)) return false;
+
+    const xScale = aspectRatio > 0 ? aspectRatio : 1;
+    const shoulderWidth = Math.abs(leftShoulder.x - rightShoulder.x) * xScale;
+    const torsoLength = Math.hypot(
+      ((leftShoulder.x + rightShoulder.x) / 2 - (leftHip.x + rightHip.x) / 2) * xScale,
+      (leftShoulder.y + rightShoulder.y) / 2 - (leftHip.y + rightHip.y) / 2
+    );
+    return (
+      leftWrist.y < nose.y && rightWrist.y < nose.y &&
+      leftElbow.y < leftShoulder.y && rightElbow.y < rightShoulder.y &&
+      torsoLength > 0 && shoulderWidth >= GESTURE_MIN_SHOULDER_WIDTH * torsoLength &&
+      Math.abs(leftWrist.x - rightWrist.x) * xScale >= GESTURE_MIN_SPREAD * shoulderWidth
+    );
+  }
+}
+
+class HandsFreeService {
+  /**
+   * Hands-free settings, stored ones over the defaults
+   */
+  getSettings() {
+    return { ...DEFAULT_HANDS_FREE_SETTINGS, ...storageService.getHandsFreeSettings() };
+  }
+
+  saveSettings(settings) {
+    storageService.saveHandsFreeSettings(settings);
+    return this.getSettings();
+  }
+
+  /**
+   * Whether the settings need the camera watched before recording starts
+   */
+  isArmed(settings) {
+    return Boolean(settings?.gesture || settings?.auto);
+  }
+
+  /**
+   * A fresh trigger for a camera session: push() every live frame, before and during recording
+   */
+  createTrigger(exerciseId, settings = this.getSettings()) {
+    return new RecordingTrigger(exerciseId, settings);
+  }
+}
+
+const handsFreeService = new HandsFreeService();
+export default handsFreeService;
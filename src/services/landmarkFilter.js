@@ -0,0 +1,205 @@
+// Landmark Filter Service - Temporal smoothing and outlier rejection between pose detection and analysis
+// One-Euro filter per landmark coordinate, rejection of low-visibility or teleporting points,
+// and interpolation of short gaps. Filtered landmarks feed validation, rep counting and playback.
+
+/**
+ * Defaults (time in seconds, distances in the landmarks' own units - normalized image or meters)
+ *   minVisibility: points below this visibility are dropped
+ *   maxSpeed: points moving faster than this (units/second) since the last kept point are dropped
+ *   maxRejections: consecutive drops after which the point is accepted and the filter restarts
+ *                  (the person really moved - don't stay stuck on a stale position)
+ *   minCutoff / beta / dCutoff: One-Euro parameters - lower minCutoff = smoother at rest,
+ *                  higher beta = less lag when moving fast
+ *   maxGapMs: gaps up to this long are linearly interpolated (sequences only)
+ */
+export const DEFAULT_FILTER_OPTIONS = {
+  minVisibility: 0.3,
+  maxSpeed: 4,
+  maxRejections: 3,
+  minCutoff: 1.5,
+  beta: 0.5,
+  dCutoff: 1.0,
+  maxGapMs: 400
+};
+
+const AXES = ['x', 'y', 'z'];
+
+const smoothingFactor = (dt, cutoff) => {
+  const tau = 1 / (2 * Math.PI * cutoff);
+  return 1 / (1 + tau / dt);
+};
+
+/**
+ * One-Euro filter for a single scalar signal (Casiez et al. 2012)
+ */
+class OneEuroFilter {
+  constructor({ minCutoff, beta, dCutoff }) {
+    this.minCutoff = minCutoff;
+    this.beta = beta;
+    this.dCutoff = dCutoff;
+    this.reset();
+  }
+
+  reset() {
+    this.value = null;
+    this.derivative = 0;
+    this.time = null;
+  }
+
+  filter(value, time) {
+    if (this.value === null || time <= this.time) {
+      this.value = value;
+      this.time = time;
+      return value;
+    }
+
+    const dt = time - this.time;
+    const rawDerivative = (value - this.value) / dt;
+    const dAlpha = smoothingFactor(dt, this.dCutoff);
+    this.derivative = dAlpha * rawDerivative + (1 - dAlpha) * this.derivative;
+
+    const cutoff = this.minCutoff + this.beta * Math.abs(this.derivative);
+    const alpha = smoothingFactor(dt, cutoff);
+    this.value = alpha * value + (1 - alpha) * this.value;
+    this.time = time;
+    return this.value;
+  }
+}
+
+/**
+ * Streaming filter for 33-entry landmark lists; rejected points come back as null
+ */
+export class LandmarkFilter {
+  constructor(options = {}) {
+    this.options = { ...DEFAULT_FILTER_OPTIONS, ...options };
+    this.tracks = [];
+  }
+
+  reset() {
+    this.tracks = [];
+  }
+
+  track(index) {
+    if (!this.tracks[index]) {
+      this.tracks[index] = {
+        axes: Object.fromEntries(AXES.map(axis => [axis, new OneEuroFilter(this.options)])),
+        last: null,
+        lastTime: null,
+        rejections: 0
+      };
+    }
+    return this.tracks[index];
+  }
+
+  /**
+   * Filter one frame of landmarks at `time` (seconds); returns a new list
+   */
+  filter(landmarks, time) {
+    if (!Array.isArray(landmarks)) return null;
+    return landmarks.map((point, index) => this.filterPoint(point, index, time));
+  }
+
+  filterPoint(point, index, time) {
+    const { minVisibility, maxSpeed, maxRejections } = this.options;
+    if (!point || !Number.isFinite(point.x) || !Number.isFinite(point.y)) return null;
+    if (typeof point.visibility === 'number' && point.visibility < minVisibility) return null;
+
+    const track = this.track(index);
+    if (track.last && time > track.lastTime) {
+      const distance = Math.hypot(point.x - track.last.x, point.y - track.last.y);
+      if (distance / (time - track.lastTime) > maxSpeed) {
+        track.rejections++;
+        if (track.rejections <= maxRejections) return null;
+        AXES.forEach(axis => track.axes[axis].reset());
+      }
+    }
+
+    const filtered = { ...point };
+    AXES.forEach(axis => {
+      if (Number.isFinite(point[axis])) {
+        filtered[axis] = track.axes[axis].filter(point[axis], time);
+      }
+    });
+
+    track.last = filtered;
+    track.lastTime = time;
+    track.rejections = 0;
+    return filtered;
+  }
+}
+
+class LandmarkFilterService {
+  createFilter(options = {}) {
+    return new LandmarkFilter(options);
+  }
+
+  /**
+   * Filter a recorded sequence: frames [{ time, landmarks, worldLandmarks }] in time order
+   * Returns new frames with filtered `landmarks`/`worldLandmarks`; short gaps are interpolated and
+   * interpolated points are marked `interpolated: true`
+   */
+  filterFrames(frames, options = {}) {
+    const settings = { ...DEFAULT_FILTER_OPTIONS, ...options };
+    const times = frames.map(frame => frame.time);
+
+    // World landmarks get their own filter state; meters are close enough in scale for the same thresholds
+    const filterKey = (key) => {
+      const filter = new LandmarkFilter(settings);
+      const filtered = frames.map(frame => filter.filter(frame[key], frame.time));
+      return this.interpolateGaps(filtered, times, settings.maxGapMs)
+        .map(list => (list && list.some(Boolean) ? list : null));
+    };
+
+    const landmarks = filterKey('landmarks');
+    const worldLandmarks = filterKey('worldLandmarks');
+
+    return frames.map((frame, i) => ({
+      ...frame,
+      landmarks: landmarks[i],
+      worldLandmarks: worldLandmarks[i]
+    }));
+  }
+
+  /**
+   * Fill runs of missing points (null entries, or frames with no pose) no longer than maxGapMs
+   * by linear interpolation between the neighbouring kept points
+   */
+  interpolateGaps(sequence, times, maxGapMs) {
+    const count = sequence.reduce((max, frame) => Math.max(max, frame?.length || 0), 0);
+    if (count === 0) return sequence;
+
+    const result = sequence.map(frame => (frame ? [...frame] : null));
+
+    for (let index = 0; index < count; index++) {
+      let previous = null;
+      for (let i = 0; i < sequence.length; i++) {
+        if (!sequence[i]?.[index]) continue;
+
+        if (previous !== null && i - previous > 1) {
+          const gapMs = (times[i] - times[previous]) * 1000;
+          if (gapMs <= maxGapMs) {
+            const a = sequence[previous][index];
+            const b = sequence[i][index];
+            for (let k = previous + 1; k < i; k++) {
+              const u = (times[k] - times[previous]) / (times[i] - times[previous]);
+              if (!result[k]) result[k] = new Array(count).fill(null);
+              result[k][index] = {
+                x: a.x + (b.x - a.x) * u,
+                y: a.y + (b.y - a.y) * u,
+                z: (a.z || 0) + ((b.z || 0) - (a.z || 0)) * u,
+                visibility: Math.min(a.visibility ?? 1, b.visibility ?? 1),
+                interpolated: true
+              };
+            }
+          }
+        }
+        previous = i;
+      }
+    }
+
+    return result;
+  }
+}
+
+const landmarkFilterService = new LandmarkFilterService();
+export default landmarkFilterService;
@@ -1,12 +1,36 @@
 // Pose Analysis Service - Comprehensive MediaPipe integration with motion detection
-// Combines core analysis with enhanced features for exercise detection and visualization
-
-import { EXERCISES } from '../config/exercises';
+// Base per-exercise metrics plus opt-in analyzers (see services/analyzers) for exercise detection and visualization
+
+import { getExerciseById } from '../config/exercises';
+import { createPoseBackend, normalizePoseResult, DEFAULT_POSE_BACKEND } from './poseBackends';
+import ruleEngineService from './ruleEngine';
+import calibrationService from './calibration';
+import velocityService from './velocity';
+import anthropometryService, { FALLBACK_EXPECTED_HIP_ANGLE } from './anthropometry';
+import { getAnalyzer, getAnalyzerVersion } from './analyzers';
+import { calculateAngle } from '../utils/geometry';
+
+// Checks without a `dimensions` flag depend on image-space geometry
+const DEFAULT_CHECK_DIMENSIONS = ['2d'];
+
+// Joint angles recomputed from world landmarks in 3D mode: [a, vertex, c] MediaPipe indices
+const WORLD_ANGLE_JOINTS = {
+  leftKneeAngle: [23, 25, 27],
+  rightKneeAngle: [24, 26, 28],
+  leftHipAngle: [11, 23, 25],
+  rightHipAngle: [12, 24, 26],
+  leftElbowAngle: [11, 13, 15],
+  rightElbowAngle: [12, 14, 16],
+  shoulderAngle: [23, 11, 13]
+};
 
 class PoseAnalysisService {
   constructor() {
-    this.pose = null;
+    this.backend = null;
+    this.backendId = DEFAULT_POSE_BACKEND;
+    this.backendOptions = {};
     this.isInitialized = false;
+    this.initPromise = null;
   }
 
   isUsableLandmark(landmark) {
@@ -19,48 +43,52 @@ class PoseAnalysisService {
 
   getExerciseById(exerciseId) {
     if (!exerciseId) return null;
-    return Object.values(EXERCISES).find(ex => ex?.id === exerciseId) || null;
+    return getExerciseById(exerciseId) || null;
+  }
+
+  /**
+   * Select the pose-estimation backend (see services/poseBackends)
+   * Takes effect on the next initialize()/analyzeFrame() call
+   */
+  useBackend(backendId, options = {}) {
+    if (this.backend && typeof this.backend.close === 'function') {
+      this.backend.close();
+    }
+    this.backend = null;
+    this.backendId = backendId;
+    this.backendOptions = options;
+    this.isInitialized = false;
+    this.initPromise = null;
   }
 
-  async initialize() {
+  /**
+   * options.onProgress is forwarded to the backend to report model loading progress
+   */
+  async initialize(options = {}) {
     if (this.isInitialized) return;
+    if (this.initPromise) return this.initPromise;
 
-    try {
-      // Check if MediaPipe Pose is available
-      if (typeof window.Pose === 'undefined') {
-        throw new Error('MediaPipe Pose not loaded');
+    this.initPromise = (async () => {
+      try {
+        const backend = createPoseBackend(this.backendId, this.backendOptions);
+        await backend.initialize(options);
+        this.backend = backend;
+        this.isInitialized = true;
+      } catch (error) {
+        console.error(`Failed to initialize pose backend "${this.backendId}":`, error);
+        throw error;
+      } finally {
+        this.initPromise = null;
       }
+    })();
 
-      this.pose = new window.Pose({
-        locateFile: (file) => {
-          return `https://cdn.jsdelivr.net/npm/@mediapipe/pose/${file}`;
-        }
-      });
-
-      this.pose.setOptions({
-        modelComplexity: 1,
-        smoothLandmarks: true,
-        enableSegmentation: false,
-        smoothSegmentation: false,
-        minDetectionConfidence: 0.5,
-        minTrackingConfidence: 0.5
-      });
-
-      this.isInitialized = true;
-    } catch (error) {
-      console.error('Failed to initialize MediaPipe Pose:', error);
-      throw error;
-    }
+    return this.initPromise;
   }
 
   // Core math utilities
-  calculateAngle(a, b, c) {
+  calculateAngle(a, b, c, dimension = '2d') {
     if (!a || !b || !c) return 0;
-    
-    const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
-    let angle = Math.abs(radians * 180.0 / Math.PI);
-    if (angle > 180.0) angle = 360 - angle;
-    return angle;
+    return calculateAngle(a, b, c, dimension);
   }
 
   calculateDistance(a, b) {
@@ -153,9 +181,10 @@ class PoseAnalysisService {
 
   /**
    * Check hip position relative to shoulder-hip-knee alignment
-   * For squat: hips too far back creates shallow angle
+   * For squat: hips too far back means sitting further behind midfoot than the lifter's femur and
+   * shin lengths require at this depth (see anthropometryService.expectSquat)
    */
-  calculateHipPosition(landmarks) {
+  calculateHipPosition(landmarks, expectedGeometry = anthropometryService.expectSquat(landmarks)) {
     const leftShoulder = landmarks[11];
     const leftHip = landmarks[23];
     const leftKnee = landmarks[25];
@@ -168,15 +197,12 @@ class PoseAnalysisService {
     // Check horizontal offset: hip x relative to knee x
     const hipKneeHorizontalOffset = leftHip.x - leftKnee.x;
     
-    // Hips too far back if:
-    // 1. Angle is too shallow (< 75 degrees at bottom of squat - relaxed from 85)
-    // 2. Hip is significantly behind the knee horizontally (relaxed threshold)
-    const hipsTooFarBack = shoulderHipKneeAngle < 75 || hipKneeHorizontalOffset > 0.12;
-    
     return {
       shoulderHipKneeAngle,
       hipKneeHorizontalOffset,
-      hipsTooFarBack
+      hipOffset: expectedGeometry?.hipOffset ?? null,
+      expectedHipOffset: expectedGeometry?.expectedHipOffset ?? null,
+      hipsTooFarBack: !!expectedGeometry?.hipsTooFarBack
     };
   }
 
@@ -291,7 +317,8 @@ class PoseAnalysisService {
   }
 
   // Exercise-specific analysis methods
-  analyzeSquat(landmarks) {
+  // options.aspectRatio (frame width / height) lets the anthropometric model measure in image units
+  analyzeSquat(landmarks, options = {}) {
     const leftHip = landmarks[23];
     const rightHip = landmarks[24];
     const leftKnee = landmarks[25];
@@ -317,7 +344,9 @@ class PoseAnalysisService {
       rightHip,
       backRounding: null,
       midBack: null,
-      hipPosition: null
+      hipPosition: null,
+      expectedGeometry: null,
+      expectedHipAngle: FALLBACK_EXPECTED_HIP_ANGLE
     };
 
     // Calculate angles only if required landmarks are available
@@ -347,15 +376,21 @@ class PoseAnalysisService {
       result.midBack = this.calculateMidBack(landmarks);
     }
     
+    // Expected torso lean and hip position for this lifter's proportions at the current depth
+    result.expectedGeometry = anthropometryService.expectSquat(landmarks, options.aspectRatio);
+    if (result.expectedGeometry) {
+      result.expectedHipAngle = result.expectedGeometry.expectedHipAngle;
+    }
+
     // Calculate hip position if available
     if (this.isUsableLandmark(leftHip) && this.isUsableLandmark(rightHip)) {
-      result.hipPosition = this.calculateHipPosition(landmarks);
+      result.hipPosition = this.calculateHipPosition(landmarks, result.expectedGeometry);
     }
 
     return result;
   }
 
-  analyzeDeadlift(landmarks) {
+  analyzeDeadlift(landmarks, options = {}) {
     const leftShoulder = landmarks[11];
     const rightShoulder = landmarks[12];
     const leftHip = landmarks[23];
@@ -372,7 +407,9 @@ class PoseAnalysisService {
       leftKnee,
       rightKnee,
       backRounding: null,
-      midBack: null
+      midBack: null,
+      expectedGeometry: null,
+      hipPosition: null
     };
 
     // Calculate mid-back for rounding detection if all required landmarks available
@@ -391,6 +428,15 @@ class PoseAnalysisService {
       result.backAngle = this.calculateAngle(leftShoulder, leftHip, leftKnee);
     }
 
+    // Expected setup position (hip height, torso lean) for this lifter's proportions
+    result.expectedGeometry = anthropometryService.expectDeadliftSetup(landmarks, options.aspectRatio);
+    if (result.expectedGeometry) {
+      result.hipPosition = {
+        hipHeight: result.expectedGeometry.hipHeight,
+        hipsTooLow: result.expectedGeometry.hipsTooLow
+      };
+    }
+
     return result;
   }
 
@@ -506,35 +552,229 @@ class PoseAnalysisService {
     return result;
   }
 
-  analyzeExercise(exerciseId, landmarks) {
+  /**
+   * Exercise-agnostic metrics used for custom exercises
+   * Computes every joint angle the built-in analyzers know about so user rules can reference them
+   */
+  analyzeGeneric(landmarks, options = {}) {
+    const lower = this.analyzeSquat(landmarks, options);
+    const upper = this.analyzeOverheadPress(landmarks);
+
+    const result = {
+      ...upper,
+      ...lower,
+      elbowAngle: upper.elbowAngle ?? upper.leftElbowAngle ?? upper.rightElbowAngle,
+      kneeAngle: lower.kneeAngle ?? lower.leftKneeAngle ?? lower.rightKneeAngle,
+      leftElbowAngle: upper.leftElbowAngle,
+      rightElbowAngle: upper.rightElbowAngle,
+      bodyAngle: upper.bodyAngle,
+      shoulderAngle: null
+    };
+
+    const leftHip = landmarks[23];
+    const leftShoulder = landmarks[11];
+    const leftElbow = landmarks[13];
+    if (this.isUsableLandmark(leftHip) && this.isUsableLandmark(leftShoulder) && this.isUsableLandmark(leftElbow)) {
+      result.shoulderAngle = this.calculateAngle(leftHip, leftShoulder, leftElbow);
+    }
+
+    return result;
+  }
+
+  /**
+   * Metrics for one frame: the exercise's base analyzer plus its opt-in analyzers
+   * options.analyzers overrides the exercise's `analyzers` list (e.g. to replay a stored workout);
+   * options.aspectRatio is the frame's width / height
+   */
+  analyzeExercise(exerciseId, landmarks, options = {}) {
+    return this.runAnalysis(exerciseId, landmarks, options).metrics;
+  }
+
+  /**
+   * Returns { metrics, rejected } - rejected when an analyzer discarded the frame
+   */
+  runAnalysis(exerciseId, landmarks, options = {}) {
+    const metrics = this.analyzeBaseMetrics(exerciseId, landmarks, options);
+    const exercise = this.getExerciseById(exerciseId);
+
+    for (const analyzerId of this.getAnalyzerIds(exercise, options.analyzers)) {
+      const analyzer = getAnalyzer(analyzerId);
+      if (!analyzer) {
+        console.warn(`Unknown analyzer "${analyzerId}" for ${exerciseId}`);
+        continue;
+      }
+      const extra = analyzer.analyze(landmarks, metrics, { exercise, service: this });
+      if (extra === null) {
+        return { metrics: {}, rejected: true };
+      }
+      Object.assign(metrics, extra);
+    }
+
+    return { metrics, rejected: false };
+  }
+
+  getAnalyzerIds(exercise, override) {
+    return override || exercise?.analyzers || [];
+  }
+
+  /**
+   * Version stamp of the analysis an exercise runs: { engine, analyzers: { id: version } }
+   * Stored with workouts so results can be reproduced with the same analyzers
+   */
+  getAnalyzerVersion(exerciseOrId, analyzerIds) {
+    const exercise =
+      typeof exerciseOrId === 'string'
+        ? this.getExerciseById(exerciseOrId)
+        : exerciseOrId;
+    return getAnalyzerVersion(this.getAnalyzerIds(exercise, analyzerIds));
+  }
+
+  analyzeBaseMetrics(exerciseId, landmarks, options = {}) {
     const analysisMap = {
-      squat: () => this.analyzeSquat(landmarks),
-      deadlift: () => this.analyzeDeadlift(landmarks),
+      squat: () => this.analyzeSquat(landmarks, options),
+      deadlift: () => this.analyzeDeadlift(landmarks, options),
       overhead_press: () => this.analyzeOverheadPress(landmarks),
       bench_press: () => this.analyzeBenchPress(landmarks),
       pull_up: () => this.analyzePullUp(landmarks)
     };
 
     const analyzeFn = analysisMap[exerciseId];
-    const result = analyzeFn ? analyzeFn() : {};
+    if (!analyzeFn) {
+      return this.getExerciseById(exerciseId)?.custom ? this.analyzeGeneric(landmarks, options) : {};
+    }
+    const result = analyzeFn();
     return result || {};
   }
 
+  /**
+   * Joint angles from world landmarks (meters, hip-centered), invariant to camera yaw
+   * Returns the same metric names as the 2D analyzers; angles that can't be computed are omitted
+   */
+  calculateWorldAngles(worldLandmarks) {
+    if (!Array.isArray(worldLandmarks)) return {};
+
+    const angles = {};
+    Object.entries(WORLD_ANGLE_JOINTS).forEach(([name, [a, b, c]]) => {
+      const points = [worldLandmarks[a], worldLandmarks[b], worldLandmarks[c]];
+      if (points.every(point => this.isUsableLandmark(point))) {
+        angles[name] = this.calculateAngle(...points, '3d');
+      }
+    });
+
+    const average = (left, right) => {
+      if (left !== undefined && right !== undefined) return (left + right) / 2;
+      return left ?? right;
+    };
+    const kneeAngle = average(angles.leftKneeAngle, angles.rightKneeAngle);
+    const elbowAngle = average(angles.leftElbowAngle, angles.rightElbowAngle);
+    if (kneeAngle !== undefined) angles.kneeAngle = kneeAngle;
+    if (elbowAngle !== undefined) angles.elbowAngle = elbowAngle;
+    if (angles.leftKneeAngle !== undefined && angles.rightKneeAngle !== undefined) {
+      angles.asymmetry = Math.abs(angles.leftKneeAngle - angles.rightKneeAngle);
+    }
+
+    // Left-side hip angle, matching the 2D analyzers' hipAngle/backAngle
+    if (angles.leftHipAngle !== undefined) {
+      angles.hipAngle = angles.leftHipAngle;
+      angles.backAngle = angles.leftHipAngle;
+    }
+
+    // Torso against vertical (world y points down)
+    const shoulder = worldLandmarks[11];
+    const hip = worldLandmarks[23];
+    if (this.isUsableLandmark(shoulder) && this.isUsableLandmark(hip)) {
+      angles.bodyAngle = this.calculateAngle(shoulder, hip, { x: hip.x, y: hip.y + 1, z: hip.z || 0 }, '3d');
+    }
+
+    return angles;
+  }
+
+  /**
+   * Run pose estimation on a single image through the active backend
+   * Returns { poseLandmarks, poseWorldLandmarks, backend } with 33-entry landmark lists
+   */
   async analyzeFrame(imageData) {
     if (!this.isInitialized) {
       await this.initialize();
     }
 
-    return new Promise((resolve, reject) => {
-      this.pose.onResults((results) => {
-        resolve(results);
-      });
+    const raw = await this.backend.estimate(imageData);
+    return normalizePoseResult(raw, this.backendId);
+  }
 
-      this.pose.send({ image: imageData }).catch(reject);
-    });
+  /**
+   * Map raw MediaPipe indices to the named landmarks used by validation checks
+   */
+  getNamedLandmarks(poseLandmarks) {
+    if (!poseLandmarks) return {};
+    return {
+      nose: poseLandmarks[0],
+      leftShoulder: poseLandmarks[11],
+      rightShoulder: poseLandmarks[12],
+      leftHip: poseLandmarks[23],
+      rightHip: poseLandmarks[24],
+      leftKnee: poseLandmarks[25],
+      rightKnee: poseLandmarks[26],
+      leftAnkle: poseLandmarks[27],
+      rightAnkle: poseLandmarks[28],
+      leftElbow: poseLandmarks[13],
+      rightElbow: poseLandmarks[14],
+      leftWrist: poseLandmarks[15],
+      rightWrist: poseLandmarks[16]
+    };
   }
 
-  validateForm(exerciseOrId, landmarks, angles) {
+  /**
+   * Exercise metrics + form errors for one frame of landmarks
+   * options: { analyzers, dimension: '2d' | '3d', worldLandmarks, aspectRatio }
+   * Returns { analysis, errors } (empty when no pose was detected or an analyzer rejected the frame)
+   */
+  analyzeLandmarks(exerciseOrId, poseLandmarks, options = {}) {
+    if (!poseLandmarks) {
+      return { analysis: {}, errors: [] };
+    }
+
+    const exercise =
+      typeof exerciseOrId === 'string'
+        ? this.getExerciseById(exerciseOrId)
+        : exerciseOrId;
+
+    const { metrics, rejected } = this.runAnalysis(exercise?.id, poseLandmarks, options);
+    if (rejected) {
+      return { analysis: {}, errors: [] };
+    }
+    const errors = this.validateForm(
+      exercise,
+      this.getNamedLandmarks(poseLandmarks),
+      metrics,
+      { ...this.getDimensionContext(options.dimension, options.worldLandmarks), aspectRatio: options.aspectRatio }
+    );
+    return { analysis: metrics, errors };
+  }
+
+  /**
+   * validateForm context for an analysis dimension; falls back to 2D without world landmarks
+   */
+  getDimensionContext(dimension, worldLandmarks) {
+    if (dimension !== '3d' || !Array.isArray(worldLandmarks)) return { dimension: '2d' };
+    return { dimension: '3d', worldAngles: this.calculateWorldAngles(worldLandmarks) };
+  }
+
+  /**
+   * Run an exercise's validation checks against one frame
+   * Checks are either `validate(landmarks, angles)` closures or declarative `rule`s (see ruleEngine.js);
+   * rule-based errors carry `triggers` explaining which condition fired and by how much.
+   * context: { phase } for phase-conditional rules; checks with `temporal.phase` only run in that phase
+   * context: { dimension: '3d', worldAngles } judges checks flagged `dimensions: [..., '3d']` on
+   * world-space angles (see calculateWorldAngles); image-space checks keep the 2D metrics
+   * context.segments (the lifter's segment lengths in this frame) defaults to the calibrated
+   * proportions (calibrationService.getFrameSegments); closures receive it as their third argument
+   * context.barPosition: the tracked bar end cap in this frame; checks read the bar as the `bar` landmark,
+   * which falls back to the exercise's bar landmarks (velocityService.getNamedBarPoint)
+   * context.aspectRatio (frame width / height): checks see x in image-height units, so x distances and
+   * segment lengths compare the same on portrait and landscape video (calibrationService.toImageUnits)
+   */
+  validateForm(exerciseOrId, landmarks, angles, context = {}) {
     const errors = [];
 
     const exercise =
@@ -543,10 +783,43 @@ class PoseAnalysisService {
         : exerciseOrId;
 
     const checks = exercise?.validationChecks || [];
+    const worldAngles = context.dimension === '3d' ? context.worldAngles : null;
+    const imageLandmarks = calibrationService.toImageUnits(landmarks, context.aspectRatio);
+    const segments = context.segments || calibrationService.getFrameSegments(imageLandmarks);
+    const ruleContext = { ...context, segments };
+    const bar = context.barPosition !== undefined
+      ? context.barPosition
+      : velocityService.getNamedBarPoint(exercise?.id, landmarks);
+    const checkLandmarks = bar
+      ? { ...imageLandmarks, ...calibrationService.toImageUnits({ bar }, context.aspectRatio) }
+      : imageLandmarks;
 
     checks.forEach(check => {
+      // Phase-specific checks can't be judged without knowing the phase (e.g. live, or before rep counting)
+      const checkPhases = check.temporal?.phase ? [].concat(check.temporal.phase) : null;
+      if (checkPhases && !checkPhases.includes(context.phase)) return;
+
+      // 3D-capable checks read camera-invariant angles when available; 3D-only checks need them
+      const dimensions = check.dimensions || DEFAULT_CHECK_DIMENSIONS;
+      if (!dimensions.includes('2d') && !worldAngles) return;
+      const checkAngles = worldAngles && dimensions.includes('3d') ? { ...angles, ...worldAngles } : angles;
+
       try {
-        if (check.validate(landmarks, angles)) {
+        if (check.rule) {
+          const { fired, triggers } = ruleEngineService.evaluate(check.rule, checkLandmarks, checkAngles, ruleContext);
+          if (fired) {
+            errors.push({
+              id: check.id,
+              name: check.name,
+              severity: check.severity,
+              description: check.description,
+              correction: check.correction,
+              affectedJoints: check.affectedJoints || [],
+              triggers,
+              explanation: ruleEngineService.summarize(triggers)
+            });
+          }
+        } else if (check.validate(checkLandmarks, checkAngles, segments)) {
           errors.push({
             id: check.id,
             name: check.name,
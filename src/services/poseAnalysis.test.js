@@ -0,0 +1,28 @@
+import poseAnalysisService from './poseAnalysis';
+import { CUSTOM_EXERCISE_LANDMARKS } from '../config/exercises';
+
+describe('poseAnalysisService.getNamedLandmarks', () => {
+  it('names every landmark the custom exercise editor offers', () => {
+    const landmarks = Array.from({ length: 33 }, (_, index) => ({ x: index / 33, y: 0.5, z: 0, visibility: 1 }));
+    const named = poseAnalysisService.getNamedLandmarks(landmarks);
+
+    Object.entries(CUSTOM_EXERCISE_LANDMARKS).forEach(([name, index]) => {
+      expect(named[name]).toBe(landmarks[index]);
+    });
+  });
+});
+
+describe('poseAnalysisService.validateForm', () => {
+  const leanIds = (angles, context) => poseAnalysisService
+    .validateForm('squat', {}, { kneeAngle: 90, ...angles }, context)
+    .map(error => error.id)
+    .filter(id => id === 'excessive_lean');
+
+  it('judges forward lean on the image-space hip angle its expected angle comes from', () => {
+    const worldContext = { dimension: '3d', worldAngles: { hipAngle: 40 } };
+
+    expect(leanIds({ hipAngle: 60, expectedHipAngle: 85 })).toEqual(['excessive_lean']);
+    expect(leanIds({ hipAngle: 80, expectedHipAngle: 85 }, worldContext)).toEqual([]);
+    expect(leanIds({ hipAngle: 60, expectedHipAngle: 85 }, worldContext)).toEqual(['excessive_lean']);
+  });
+});
@@ -0,0 +1,130 @@
+// Pose Asset Loader - fetches MediaPipe model files ahead of time so load progress can be shown
+// Files are written to Cache Storage, where the service worker serves them while offline
+
+import {
+  POSE_ASSET_CACHE,
+  POSE_MODEL_FILES,
+  POSE_LANDMARKER_MODEL_URL,
+  resolvePoseAsset
+} from '../config/poseAssets';
+
+class PoseAssetLoader {
+  constructor() {
+    this.loadPromise = null;
+  }
+
+  /**
+   * Load the pose.js runtime script if it is not already on the page
+   */
+  async ensureRuntime() {
+    if (typeof window.Pose !== 'undefined') return;
+
+    await new Promise((resolve, reject) => {
+      const script = document.createElement('script');
+      script.src = resolvePoseAsset('pose.js');
+      script.crossOrigin = 'anonymous';
+      script.onload = resolve;
+      script.onerror = () => reject(new Error(`Failed to load ${script.src}`));
+      document.head.appendChild(script);
+    });
+
+    if (typeof window.Pose === 'undefined') {
+      throw new Error('MediaPipe Pose not loaded');
+    }
+  }
+
+  /**
+   * Fetch (or read from cache) every model file, reporting progress as 0-1
+   * onProgress receives { loaded, total, progress, file }
+   */
+  async preload({ onProgress } = {}) {
+    if (this.loadPromise) return this.loadPromise;
+
+    this.loadPromise = this.fetchAll(onProgress).catch(error => {
+      this.loadPromise = null;
+      throw error;
+    });
+    return this.loadPromise;
+  }
+
+  async fetchAll(onProgress) {
+    const cache = typeof caches !== 'undefined' ? await caches.open(POSE_ASSET_CACHE) : null;
+    const files = POSE_MODEL_FILES;
+
+    for (let i = 0; i < files.length; i++) {
+      const file = files[i];
+      const url = resolvePoseAsset(file);
+      const report = this.createProgressReporter(onProgress, file, i, files.length);
+
+      const cached = cache ? await cache.match(url) : null;
+      if (!cached) {
+        const response = await this.fetchWithProgress(url, report);
+        if (cache) await cache.put(url, response);
+      }
+
+      report(1);
+    }
+  }
+
+  /**
+   * Whether the worker (Tasks) pose model is served - it isn't installed by npm, see
+   * scripts/fetch-pose-model.js. Resolves null when that can't be told (e.g. offline).
+   */
+  async hasWorkerModel() {
+    try {
+      const response = await fetch(POSE_LANDMARKER_MODEL_URL, { method: 'HEAD' });
+      // The dev server answers unknown paths with index.html
+      return response.ok && !(response.headers.get('content-type') || '').includes('text/html');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  createProgressReporter(onProgress, file, completed, total) {
+    return (fraction) => {
+      if (onProgress) {
+        onProgress({
+          loaded: completed,
+          total,
+          progress: (completed + fraction) / total,
+          file
+        });
+      }
+    };
+  }
+
+  async fetchWithProgress(url, report) {
+    let response;
+    try {
+      response = await fetch(url);
+    } catch (error) {
+      throw new Error(`Could not download pose model file ${url} (${error.message})`);
+    }
+    if (!response.ok) {
+      throw new Error(`Could not download pose model file ${url} (HTTP ${response.status})`);
+    }
+
+    const total = parseInt(response.headers.get('content-length'), 10);
+    if (!response.body || !total) {
+      const blob = await response.blob();
+      return new Response(blob, { headers: response.headers });
+    }
+
+    // Stream the body so large files (wasm, tflite) report partial progress
+    const reader = response.body.getReader();
+    const chunks = [];
+    let received = 0;
+    for (;;) {
+      const { done, value } = await reader.read();
+      if (done) break;
+      chunks.push(value);
+      received += value.length;
+      report(Math.min(1, received / total));
+    }
+
+    return new Response(new Blob(chunks), { headers: response.headers });
+  }
+}
+
+const poseAssetLoader = new PoseAssetLoader();
+export default poseAssetLoader;
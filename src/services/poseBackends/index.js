@@ -0,0 +1,68 @@
+// Pose Backend Registry - pluggable pose-estimation providers behind PoseAnalysisService
+// Every backend returns the same normalized 33-landmark result regardless of the model it wraps
+
+import MediaPipePoseBackend from './mediaPipeBackend';
+import ReplayPoseBackend from './replayBackend';
+import TasksVisionPoseBackend from './tasksVisionBackend';
+
+export const POSE_LANDMARK_COUNT = 33;
+export const DEFAULT_POSE_BACKEND = 'mediapipe';
+
+const backendFactories = {};
+
+/**
+ * Register a backend factory: (options) => backend
+ * A backend implements initialize(), estimate(image) and optionally close()
+ */
+export const registerPoseBackend = (backendId, factory) => {
+  if (!backendId || typeof factory !== 'function') {
+    throw new Error('registerPoseBackend requires an id and a factory function');
+  }
+  backendFactories[backendId] = factory;
+};
+
+export const getRegisteredPoseBackends = () => Object.keys(backendFactories);
+
+export const createPoseBackend = (backendId, options = {}) => {
+  const factory = backendFactories[backendId];
+  if (!factory) {
+    throw new Error(`Unknown pose backend: ${backendId}`);
+  }
+  return factory(options);
+};
+
+const normalizeLandmark = (landmark) => {
+  if (!landmark || !Number.isFinite(landmark.x) || !Number.isFinite(landmark.y)) {
+    return null;
+  }
+  return {
+    x: landmark.x,
+    y: landmark.y,
+    z: Number.isFinite(landmark.z) ? landmark.z : 0,
+    visibility: typeof landmark.visibility === 'number' ? landmark.visibility : 1
+  };
+};
+
+const normalizeLandmarkList = (landmarks) => {
+  if (!Array.isArray(landmarks) || landmarks.length === 0) return null;
+
+  const normalized = [];
+  for (let i = 0; i < POSE_LANDMARK_COUNT; i++) {
+    normalized.push(normalizeLandmark(landmarks[i]));
+  }
+  return normalized;
+};
+
+/**
+ * Normalize a raw backend result into { poseLandmarks, poseWorldLandmarks, backend }
+ * Landmark lists are always 33 entries long (missing points are null) or null when no pose was found
+ */
+export const normalizePoseResult = (raw, backendId) => ({
+  poseLandmarks: normalizeLandmarkList(raw?.poseLandmarks),
+  poseWorldLandmarks: normalizeLandmarkList(raw?.poseWorldLandmarks),
+  backend: backendId
+});
+
+registerPoseBackend('mediapipe', (options) => new MediaPipePoseBackend(options));
+registerPoseBackend('mediapipe_tasks', (options) => new TasksVisionPoseBackend(options));
+registerPoseBackend('replay', (options) => new ReplayPoseBackend(options));
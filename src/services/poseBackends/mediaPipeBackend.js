@@ -0,0 +1,59 @@
+// MediaPipe Pose backend - wraps the legacy @mediapipe/pose solution loaded on window
+
+import { resolvePoseAsset } from '../../config/poseAssets';
+import poseAssetLoader from '../poseAssetLoader';
+
+const DEFAULT_OPTIONS = {
+  modelComplexity: 1,
+  smoothLandmarks: true,
+  enableSegmentation: false,
+  smoothSegmentation: false,
+  minDetectionConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+class MediaPipePoseBackend {
+  constructor(options = {}) {
+    this.id = 'mediapipe';
+    this.options = { ...DEFAULT_OPTIONS, ...(options.poseOptions || {}) };
+    this.locateFile = options.locateFile || resolvePoseAsset;
+    this.pose = null;
+  }
+
+  /**
+   * onProgress receives model download progress (see poseAssetLoader.preload)
+   */
+  async initialize({ onProgress } = {}) {
+    if (this.pose) return;
+
+    // MediaPipe Pose needs the DOM (script tags, WebGL canvas)
+    if (typeof window === 'undefined') {
+      throw new Error('MediaPipe Pose not loaded');
+    }
+
+    await poseAssetLoader.ensureRuntime();
+    await poseAssetLoader.preload({ onProgress });
+
+    this.pose = new window.Pose({ locateFile: this.locateFile });
+    this.pose.setOptions(this.options);
+  }
+
+  async estimate(image) {
+    return new Promise((resolve, reject) => {
+      this.pose.onResults((results) => {
+        resolve(results);
+      });
+
+      this.pose.send({ image }).catch(reject);
+    });
+  }
+
+  close() {
+    if (this.pose && typeof this.pose.close === 'function') {
+      this.pose.close();
+    }
+    this.pose = null;
+  }
+}
+
+export default MediaPipePoseBackend;
@@ -0,0 +1,65 @@
+// Replay backend - deterministic pose source that plays back pre-recorded landmark JSON
+// Has no browser dependencies, so the analysis pipeline can run under Node
+
+class ReplayPoseBackend {
+  /**
+   * recording: [{ time, landmarks, worldLandmarks }] or { frames: [...] }
+   * Frames may also use MediaPipe's field names (poseLandmarks / poseWorldLandmarks)
+   */
+  constructor(options = {}) {
+    this.id = 'replay';
+    const recording = options.recording || [];
+    this.frames = (Array.isArray(recording) ? recording : recording.frames || []).map(frame => ({
+      time: frame.time,
+      poseLandmarks: frame.poseLandmarks || frame.landmarks || null,
+      poseWorldLandmarks: frame.poseWorldLandmarks || frame.worldLandmarks || null
+    }));
+    this.loop = !!options.loop;
+    this.cursor = 0;
+  }
+
+  async initialize() {
+    if (this.frames.length === 0) {
+      throw new Error('Replay backend has no recorded frames');
+    }
+  }
+
+  /**
+   * Returns the recorded frame closest to input.time when a time is given,
+   * otherwise the next frame in recording order
+   */
+  async estimate(input) {
+    if (Number.isFinite(input?.time) && this.frames.some(f => Number.isFinite(f.time))) {
+      return this.findClosestFrame(input.time);
+    }
+
+    if (this.cursor >= this.frames.length) {
+      if (!this.loop) return { poseLandmarks: null, poseWorldLandmarks: null };
+      this.cursor = 0;
+    }
+    return this.frames[this.cursor++];
+  }
+
+  findClosestFrame(time) {
+    let closest = this.frames[0];
+    let minDiff = Infinity;
+    for (const frame of this.frames) {
+      const diff = Math.abs((frame.time ?? Infinity) - time);
+      if (diff < minDiff) {
+        minDiff = diff;
+        closest = frame;
+      }
+    }
+    return closest;
+  }
+
+  reset() {
+    this.cursor = 0;
+  }
+
+  close() {
+    this.reset();
+  }
+}
+
+export default ReplayPoseBackend;
@@ -0,0 +1,84 @@
+import { getExerciseById } from '../../config/exercises';
+import poseAnalysisService from '../poseAnalysis';
+import repCountingService from '../repCounting';
+
+// Front-view squat: hips dip from 0.5 to 0.65 of the image height and back, once per second.
+// Recordings start and end a quarter rep out so the standing frames are interior valleys.
+const REP_SECONDS = 1;
+const FPS = 20;
+
+const makeLandmarks = ({ hipY, kneeHalfWidth }) => {
+  const landmarks = Array.from({ length: 33 }, () => ({ x: 0.5, y: 0.2, z: 0, visibility: 1 }));
+  const set = (index, x, y) => { landmarks[index] = { x, y, z: 0, visibility: 1 }; };
+
+  set(11, 0.4, 0.3); // left shoulder
+  set(12, 0.6, 0.3); // right shoulder
+  set(23, 0.42, hipY); // left hip
+  set(24, 0.58, hipY); // right hip
+  set(25, 0.5 - kneeHalfWidth, 0.75); // left knee
+  set(26, 0.5 + kneeHalfWidth, 0.75); // right knee
+  set(27, 0.4, 0.9); // left ankle
+  set(28, 0.6, 0.9); // right ankle
+  return landmarks;
+};
+
+const recordSquats = (reps, kneeHalfWidth) => {
+  const frames = [];
+  const margin = (REP_SECONDS * FPS) / 4;
+  const totalFrames = reps * REP_SECONDS * FPS + 2 * margin;
+  for (let i = 0; i <= totalFrames; i++) {
+    const time = i / FPS;
+    const depth = (1 - Math.cos((2 * Math.PI * (i - margin)) / (REP_SECONDS * FPS))) / 2;
+    frames.push({ time, landmarks: makeLandmarks({ hipY: 0.5 + 0.15 * depth, kneeHalfWidth }) });
+  }
+  return frames;
+};
+
+const analyzeRecording = async (recording) => {
+  poseAnalysisService.useBackend('replay', { recording });
+
+  const frames = [];
+  for (const { time } of recording) {
+    const result = await poseAnalysisService.analyzeFrame({ time });
+    const analysis = poseAnalysisService.analyzeExercise('squat', result.poseLandmarks);
+    const named = Object.fromEntries(
+      Object.entries(getExerciseById('squat').landmarks).map(([name, index]) => [name, result.poseLandmarks[index]])
+    );
+    const errors = poseAnalysisService.validateForm('squat', named, analysis);
+    frames.push({ time, landmarks: result.poseLandmarks, errors, ...analysis });
+  }
+  return frames;
+};
+
+describe('replay pose backend', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+    poseAnalysisService.useBackend('replay', { recording: [] });
+  });
+
+  it('counts reps and flags knee valgus from recorded landmarks', async () => {
+    const frames = await analyzeRecording(recordSquats(3, 0.07));
+
+    expect(repCountingService.countReps(frames, 'squat').count).toBe(3);
+    expect(frames.every(frame => frame.errors.some(error => error.id === 'knee_valgus'))).toBe(true);
+  });
+
+  it('reports no knee valgus when the knees track over the ankles', async () => {
+    const frames = await analyzeRecording(recordSquats(2, 0.1));
+
+    expect(repCountingService.countReps(frames, 'squat').count).toBe(2);
+    expect(frames.some(frame => frame.errors.some(error => error.id === 'knee_valgus'))).toBe(false);
+  });
+
+  it('rejects an empty recording', async () => {
+    poseAnalysisService.useBackend('replay', { recording: [] });
+    jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    await expect(poseAnalysisService.initialize()).rejects.toThrow('no recorded frames');
+    console.error.mockRestore();
+  });
+});
@@ -0,0 +1,63 @@
+// MediaPipe Tasks backend - PoseLandmarker from @mediapipe/tasks-vision
+// Unlike the legacy solution it needs no DOM, so it runs inside Web Workers on ImageBitmap/OffscreenCanvas
+
+import { POSE_TASKS_WASM_URL, POSE_LANDMARKER_MODEL_URL } from '../../config/poseAssets';
+
+const DEFAULT_OPTIONS = {
+  numPoses: 1,
+  minPoseDetectionConfidence: 0.5,
+  minPosePresenceConfidence: 0.5,
+  minTrackingConfidence: 0.5
+};
+
+class TasksVisionPoseBackend {
+  constructor(options = {}) {
+    this.id = 'mediapipe_tasks';
+    this.wasmUrl = options.wasmUrl || POSE_TASKS_WASM_URL;
+    this.modelUrl = options.modelUrl || POSE_LANDMARKER_MODEL_URL;
+    this.delegate = options.delegate || 'GPU';
+    // Module workers cannot importScripts() the classic wasm loader
+    this.useModuleLoader = !!options.useModuleLoader;
+    this.options = { ...DEFAULT_OPTIONS, ...(options.poseOptions || {}) };
+    this.landmarker = null;
+  }
+
+  async initialize() {
+    if (this.landmarker) return;
+
+    // Loaded on demand so the main-thread bundle only pays for it when this backend is used
+    const { FilesetResolver, PoseLandmarker } = await import('@mediapipe/tasks-vision');
+    const fileset = await FilesetResolver.forVisionTasks(this.wasmUrl, this.useModuleLoader);
+    const createLandmarker = (delegate) => PoseLandmarker.createFromOptions(fileset, {
+      baseOptions: { modelAssetPath: this.modelUrl, delegate },
+      runningMode: 'IMAGE',
+      ...this.options
+    });
+
+    try {
+      this.landmarker = await createLandmarker(this.delegate);
+    } catch (error) {
+      if (this.delegate === 'CPU') throw error;
+      // OffscreenCanvas WebGL is not available everywhere - retry on the CPU
+      console.warn('PoseLandmarker GPU delegate failed, using CPU:', error);
+      this.landmarker = await createLandmarker('CPU');
+    }
+  }
+
+  async estimate(image) {
+    const result = this.landmarker.detect(image);
+    return {
+      poseLandmarks: result.landmarks?.[0] || null,
+      poseWorldLandmarks: result.worldLandmarks?.[0] || null
+    };
+  }
+
+  close() {
+    if (this.landmarker) {
+      this.landmarker.close();
+    }
+    this.landmarker = null;
+  }
+}
+
+export default TasksVisionPoseBackend;
@@ -0,0 +1,358 @@
+// Program Service - Training plans: which exercises, sets, reps and loads to do on which weekday
+// Recorded workouts are matched to the day's planned sets. Once all of an exercise's sets for the day
+// are in, its load (reps for bodyweight work) progresses from how they went, at a pace set by experience.
+
+import storageService from './storage';
+import strengthAnalyticsService from './strengthAnalytics';
+import { getExerciseById } from '../config/exercises';
+
+// Starting prescription per goal; effort is the share of the lifter's rep max to start at
+export const PROGRAM_GOALS = {
+  strength: { label: 'Strength', sets: 5, reps: 5, effort: 0.85 },
+  hypertrophy: { label: 'Muscle size', sets: 4, reps: 10, effort: 0.8 },
+  endurance: { label: 'Endurance', sets: 3, reps: 15, effort: 0.75 },
+  technique: { label: 'Technique', sets: 3, reps: 5, effort: 0.65 }
+};
+const DEFAULT_GOAL = 'strength';
+
+export const EXPERIENCE_LEVELS = ['beginner', 'intermediate', 'advanced'];
+
+export const WEEKDAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+// Starter splits by training days per week: [day name, weekday, exercise ids]
+const TEMPLATE_SPLITS = {
+  2: [
+    ['Full Body A', 1, ['squat', 'bench_press', 'pull_up']],
+    ['Full Body B', 4, ['deadlift', 'overhead_press', 'pull_up']]
+  ],
+  3: [
+    ['Full Body A', 1, ['squat', 'bench_press', 'pull_up']],
+    ['Full Body B', 3, ['deadlift', 'overhead_press']],
+    ['Full Body C', 5, ['squat', 'overhead_press', 'pull_up']]
+  ],
+  4: [
+    ['Lower A', 1, ['squat', 'deadlift']],
+    ['Upper A', 2, ['bench_press', 'pull_up']],
+    ['Lower B', 4, ['deadlift', 'squat']],
+    ['Upper B', 5, ['overhead_press', 'pull_up']]
+  ]
+};
+
+// Exercises done without added load progress in reps
+const BODYWEIGHT_EXERCISES = ['pull_up'];
+
+// Load steps (lbs/kg as entered); lower-body barbell lifts move in bigger jumps
+const LOAD_INCREMENTS = { squat: 5, deadlift: 5 };
+const DEFAULT_LOAD_INCREMENT = 2.5;
+
+// Successful days in a row before the load goes up - newer lifters progress every time
+const SESSIONS_TO_PROGRESS = { beginner: 1, intermediate: 2, advanced: 3 };
+
+// A day counts as successful when every set hits its reps with at least this average form score
+const PROGRESS_MIN_SCORE = 70;
+
+// Missed reps on this many days in a row take the load down by DELOAD_FACTOR
+const FAILS_TO_DELOAD = 2;
+const DELOAD_FACTOR = 0.9;
+
+const roundTo = (value, step) => Math.round(value / step) * step;
+
+// Day and exercise ids stay unique as days and exercises are added and removed
+const createId = (prefix) => `${prefix}-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 6)}`;
+
+/**
+ * Local calendar day as YYYY-MM-DD
+ */
+const toDateKey = (date) =>
+  `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, '0')}-${String(date.getDate()).padStart(2, '0')}`;
+
+class ProgramService {
+  getProgram() {
+    return storageService.getProgram();
+  }
+
+  /**
+   * Store a plan (validate it first); ids and progression counters are filled in, the log is kept
+   */
+  saveProgram(program) {
+    return storageService.saveProgram(this.normalize(program));
+  }
+
+  deleteProgram() {
+    storageService.clearProgram();
+  }
+
+  /**
+   * Problems with a plan, as readable strings with the path to each ([] when it's usable)
+   */
+  validateProgram(program) {
+    if (!program || typeof program !== 'object') return ['program: must be an object'];
+
+    const problems = [];
+    if (!Array.isArray(program.days) || program.days.length === 0) {
+      return ['program.days: must be a non-empty array'];
+    }
+    program.days.forEach((day, d) => {
+      const path = `days[${d}]`;
+      if (!Number.isInteger(day?.weekday) || day.weekday < 0 || day.weekday > 6) {
+        problems.push(`${path}.weekday: must be 0 (Sunday) to 6 (Saturday)`);
+      } else if (program.days.findIndex(other => other?.weekday === day.weekday) < d) {
+        problems.push(`${path}.weekday: ${WEEKDAYS[day.weekday]} already has a training day`);
+      }
+      if (!Array.isArray(day?.exercises) || day.exercises.length === 0) {
+        problems.push(`${path}.exercises: must be a non-empty array`);
+        return;
+      }
+      day.exercises.forEach((entry, e) => {
+        const entryPath = `${path}.exercises[${e}]`;
+        if (!getExerciseById(entry?.exerciseId)) problems.push(`${entryPath}.exerciseId: unknown exercise "${entry?.exerciseId}"`);
+        if (!Number.isInteger(entry?.sets) || entry.sets < 1) problems.push(`${entryPath}.sets: must be a whole number above 0`);
+        if (!Number.isInteger(entry?.reps) || entry.reps < 1) problems.push(`${entryPath}.reps: must be a whole number above 0`);
+        if (entry?.load !== null && entry?.load !== undefined && !(typeof entry.load === 'number' && entry.load >= 0)) {
+          problems.push(`${entryPath}.load: must be a number (0 for bodyweight) or null to take it from the first set`);
+        }
+      });
+    });
+    return problems;
+  }
+
+  /**
+   * Parse an exported plan; returns { program } or { problems }
+   */
+  importProgram(json) {
+    let program;
+    try {
+      program = JSON.parse(json);
+    } catch (err) {
+      return { problems: ['Not a valid JSON file'] };
+    }
+    const problems = this.validateProgram(program);
+    if (problems.length > 0) return { problems };
+    return { program: this.saveProgram({ ...program, log: [], progression: [] }) };
+  }
+
+  /**
+   * The plan without its history, for sharing or backup
+   */
+  exportProgram(program = this.getProgram()) {
+    if (!program) return null;
+    return JSON.stringify({
+      name: program.name,
+      goal: program.goal,
+      days: program.days.map(day => ({
+        name: day.name,
+        weekday: day.weekday,
+        exercises: day.exercises.map(({ exerciseId, sets, reps, load }) => ({ exerciseId, sets, reps, load }))
+      }))
+    }, null, 2);
+  }
+
+  /**
+   * A starter plan from the profile's goal and the lifter's estimated maxes; loads without a max are
+   * left null and taken from the first recorded set
+   */
+  generateProgram({ goal = DEFAULT_GOAL, daysPerWeek = 3 } = {}) {
+    const prescription = PROGRAM_GOALS[goal] || PROGRAM_GOALS[DEFAULT_GOAL];
+    const split = TEMPLATE_SPLITS[daysPerWeek] || TEMPLATE_SPLITS[3];
+
+    return this.normalize({
+      name: `${prescription.label} - ${split.length} days`,
+      goal,
+      days: split.map(([name, weekday, exerciseIds]) => ({
+        name,
+        weekday,
+        exercises: exerciseIds.map(exerciseId => ({
+          exerciseId,
+          sets: prescription.sets,
+          reps: prescription.reps,
+          load: this.getStartingLoad(exerciseId, prescription)
+        }))
+      }))
+    });
+  }
+
+  /**
+   * prescription.effort of the load the lifter could do prescription.reps times (Epley from the predicted 1RM)
+   */
+  getStartingLoad(exerciseId, prescription) {
+    if (BODYWEIGHT_EXERCISES.includes(exerciseId)) return 0;
+    const predictedMax = strengthAnalyticsService.buildProfile(exerciseId)?.predictedMax;
+    if (!predictedMax) return null;
+    const repMax = predictedMax / (1 + prescription.reps / 30);
+    return roundTo(repMax * prescription.effort, this.getIncrement(exerciseId));
+  }
+
+  getIncrement(exerciseId) {
+    return LOAD_INCREMENTS[exerciseId] ?? DEFAULT_LOAD_INCREMENT;
+  }
+
+  normalize(program) {
+    return {
+      id: program.id || Date.now().toString(),
+      name: program.name || 'My Program',
+      goal: program.goal || DEFAULT_GOAL,
+      createdAt: program.createdAt || new Date().toISOString(),
+      days: program.days.map(day => ({
+        id: day.id || createId('day'),
+        name: day.name || WEEKDAYS[day.weekday],
+        weekday: day.weekday,
+        exercises: day.exercises.map(entry => ({
+          id: entry.id || createId('entry'),
+          exerciseId: entry.exerciseId,
+          sets: entry.sets,
+          reps: entry.reps,
+          load: entry.load ?? null,
+          successStreak: entry.successStreak || 0,
+          failStreak: entry.failStreak || 0
+        }))
+      })),
+      log: program.log || [],
+      progression: program.progression || []
+    };
+  }
+
+  /**
+   * The plan for a date: { program, day, entries: [{ ...entry, exercise, done }] } (done = sets logged that
+   * day), or null on a rest day
+   */
+  getDayPlan(date = new Date(), program = this.getProgram()) {
+    const day = program?.days.find(d => d.weekday === date.getDay());
+    if (!day) return null;
+
+    const dateKey = toDateKey(date);
+    return {
+      program,
+      day,
+      entries: day.exercises.map(entry => ({
+        ...entry,
+        exercise: getExerciseById(entry.exerciseId),
+        done: program.log.filter(log => log.date === dateKey && log.entryId === entry.id).length
+      }))
+    };
+  }
+
+  /**
+   * The next training day after a date: { day, inDays } or null without a program
+   */
+  getNextDay(date = new Date(), program = this.getProgram()) {
+    if (!program?.days.length) return null;
+    for (let inDays = 1; inDays <= 7; inDays++) {
+      const weekday = (date.getDay() + inDays) % 7;
+      const day = program.days.find(d => d.weekday === weekday);
+      if (day) return { day, inDays };
+    }
+    return null;
+  }
+
+  /**
+   * Today's next open planned set for an exercise: { day, entry, setNumber } or null
+   */
+  getPlannedSet(exerciseId, date = new Date()) {
+    const plan = this.getDayPlan(date);
+    const entry = plan?.entries.find(e => e.exerciseId === exerciseId && e.done < e.sets);
+    return entry ? { day: plan.day, entry, setNumber: entry.done + 1 } : null;
+  }
+
+  /**
+   * Match a saved workout to today's next open planned set for its exercise and log it; when that
+   * finishes the exercise for the day, progress it
+   * Returns { plannedSet: { programId, dayId, entryId, setNumber, sets, targetReps, targetLoad }, progression }
+   * or null when nothing was planned
+   */
+  recordWorkout(workout, date = new Date()) {
+    const program = this.getProgram();
+    const planned = program && this.getPlannedSet(workout.exerciseId, date);
+    if (!planned) return null;
+
+    const entry = program.days.find(d => d.id === planned.day.id).exercises.find(e => e.id === planned.entry.id);
+    const dateKey = toDateKey(date);
+    const plannedSet = {
+      programId: program.id,
+      dayId: planned.day.id,
+      entryId: entry.id,
+      setNumber: planned.setNumber,
+      sets: entry.sets,
+      targetReps: entry.reps,
+      targetLoad: entry.load
+    };
+
+    // A load left open in the plan is set by the first recorded set
+    if (entry.load === null && workout.weight > 0) entry.load = workout.weight;
+
+    program.log.push({
+      date: dateKey,
+      dayId: planned.day.id,
+      entryId: entry.id,
+      setNumber: planned.setNumber,
+      workoutId: workout.id,
+      weight: workout.weight,
+      reps: workout.reps,
+      score: workout.score
+    });
+
+    const progression = planned.setNumber === entry.sets
+      ? this.progressEntry(program, entry, program.log.filter(log => log.date === dateKey && log.entryId === entry.id), dateKey)
+      : null;
+
+    storageService.saveProgram(program);
+    return { plannedSet, progression };
+  }
+
+  /**
+   * Move an exercise's target on from a finished day's sets (mutates entry and program.progression)
+   */
+  progressEntry(program, entry, sets, dateKey) {
+    const experience = storageService.getUserProfile().experience;
+    const sessionsToProgress = SESSIONS_TO_PROGRESS[experience] ?? SESSIONS_TO_PROGRESS.beginner;
+    const hitReps = sets.every(set => set.reps >= entry.reps);
+    const averageScore = sets.reduce((sum, set) => sum + set.score, 0) / sets.length;
+    const bodyweight = !(entry.load > 0);
+
+    let outcome = 'hold';
+    let reason;
+    const from = bodyweight ? entry.reps : entry.load;
+    if (hitReps && averageScore >= PROGRESS_MIN_SCORE) {
+      entry.failStreak = 0;
+      entry.successStreak += 1;
+      if (entry.successStreak >= sessionsToProgress) {
+        entry.successStreak = 0;
+        outcome = 'progress';
+        if (bodyweight) entry.reps += 1;
+        else entry.load += this.getIncrement(entry.exerciseId);
+        reason = 'All reps hit with good form';
+      } else {
+        reason = `All reps hit - ${sessionsToProgress - entry.successStreak} more day${sessionsToProgress - entry.successStreak !== 1 ? 's' : ''} like this before going up`;
+      }
+    } else if (hitReps) {
+      entry.successStreak = 0;
+      reason = `All reps hit, but form averaged ${Math.round(averageScore)} - holding until it's ${PROGRESS_MIN_SCORE}+`;
+    } else {
+      entry.successStreak = 0;
+      entry.failStreak += 1;
+      if (entry.failStreak >= FAILS_TO_DELOAD && !bodyweight) {
+        entry.failStreak = 0;
+        outcome = 'deload';
+        entry.load = roundTo(entry.load * DELOAD_FACTOR, this.getIncrement(entry.exerciseId));
+        reason = `Missed reps ${FAILS_TO_DELOAD} days running - backing off to rebuild`;
+      } else {
+        reason = 'Missed reps - same target next time';
+      }
+    }
+
+    const event = {
+      date: dateKey,
+      entryId: entry.id,
+      exerciseId: entry.exerciseId,
+      outcome,
+      from,
+      to: bodyweight ? entry.reps : entry.load,
+      units: bodyweight ? 'reps' : 'load',
+      reason
+    };
+    program.progression.push(event);
+    return event;
+  }
+}
+
+const programService = new ProgramService();
+export default programService;
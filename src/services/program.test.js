@@ -0,0 +1,143 @@
+import programService from './program';
+import storageService from './storage';
+import strengthAnalyticsService from './strengthAnalytics';
+
+jest.mock('./storage', () => {
+  const store = { program: null, profile: {} };
+  return {
+    __esModule: true,
+    default: {
+      store,
+      getProgram: () => (store.program ? JSON.parse(JSON.stringify(store.program)) : null),
+      saveProgram: (program) => {
+        store.program = JSON.parse(JSON.stringify(program));
+        return program;
+      },
+      clearProgram: () => { store.program = null; },
+      getUserProfile: () => store.profile
+    }
+  };
+});
+
+jest.mock('./strengthAnalytics', () => ({
+  __esModule: true,
+  default: { buildProfile: jest.fn() }
+}));
+
+const MONDAY = new Date(2026, 9, 19);
+const TUESDAY = new Date(2026, 9, 20);
+const NEXT_MONDAY = new Date(2026, 9, 26);
+
+const plan = (exercises) => programService.saveProgram({
+  name: 'Test',
+  days: [{ weekday: 1, exercises }]
+});
+
+let workoutId = 0;
+const recordDay = (exerciseId, date, sets) => sets.map(([weight, reps, score]) =>
+  programService.recordWorkout({ id: `w${workoutId++}`, exerciseId, weight, reps, score }, date)
+);
+
+describe('programService.recordWorkout', () => {
+  beforeEach(() => {
+    storageService.store.program = null;
+    storageService.store.profile = { experience: 'beginner' };
+  });
+
+  it('matches each set to the next open planned set and progresses the load once the day is done', () => {
+    plan([{ exerciseId: 'squat', sets: 3, reps: 5, load: 100 }]);
+    const results = recordDay('squat', MONDAY, [[100, 5, 85], [100, 5, 80], [100, 5, 75]]);
+
+    expect(results.map(r => r.plannedSet.setNumber)).toEqual([1, 2, 3]);
+    expect(results[0].progression).toBeNull();
+    expect(results[2].progression).toMatchObject({ outcome: 'progress', from: 100, to: 105, units: 'load' });
+    expect(programService.getDayPlan(NEXT_MONDAY).entries[0]).toMatchObject({ load: 105, done: 0 });
+    expect(programService.getDayPlan(MONDAY).entries[0].done).toBe(3);
+  });
+
+  it('returns null when nothing is planned', () => {
+    plan([{ exerciseId: 'squat', sets: 1, reps: 5, load: 100 }]);
+
+    expect(recordDay('squat', TUESDAY, [[100, 5, 90]])).toEqual([null]);
+    expect(recordDay('deadlift', MONDAY, [[140, 5, 90]])).toEqual([null]);
+  });
+
+  it('takes an open load from the first recorded set', () => {
+    plan([{ exerciseId: 'bench_press', sets: 2, reps: 5, load: null }]);
+    const [first] = recordDay('bench_press', MONDAY, [[60, 5, 90]]);
+
+    expect(first.plannedSet.targetLoad).toBeNull();
+    expect(programService.getProgram().days[0].exercises[0].load).toBe(60);
+  });
+
+  it('waits for more successful days as experience grows', () => {
+    storageService.store.profile = { experience: 'intermediate' };
+    plan([{ exerciseId: 'bench_press', sets: 1, reps: 5, load: 60 }]);
+
+    const [first] = recordDay('bench_press', MONDAY, [[60, 5, 90]]);
+    const [second] = recordDay('bench_press', NEXT_MONDAY, [[60, 5, 90]]);
+
+    expect(first.progression).toMatchObject({ outcome: 'hold', reason: expect.stringMatching(/1 more day like this/) });
+    expect(second.progression).toMatchObject({ outcome: 'progress', from: 60, to: 62.5 });
+  });
+
+  it('holds on poor form and backs off after missing reps two days running', () => {
+    plan([{ exerciseId: 'squat', sets: 1, reps: 5, load: 100 }]);
+
+    const [poorForm] = recordDay('squat', MONDAY, [[100, 5, 50]]);
+    const [missed] = recordDay('squat', NEXT_MONDAY, [[100, 3, 80]]);
+    const [missedAgain] = recordDay('squat', new Date(2026, 10, 2), [[100, 4, 80]]);
+
+    expect(poorForm.progression).toMatchObject({ outcome: 'hold', to: 100 });
+    expect(missed.progression).toMatchObject({ outcome: 'hold', reason: 'Missed reps - same target next time' });
+    expect(missedAgain.progression).toMatchObject({ outcome: 'deload', from: 100, to: 90 });
+  });
+
+  it('progresses bodyweight exercises in reps', () => {
+    plan([{ exerciseId: 'pull_up', sets: 1, reps: 8, load: 0 }]);
+    const [result] = recordDay('pull_up', MONDAY, [[0, 8, 90]]);
+
+    expect(result.progression).toMatchObject({ outcome: 'progress', from: 8, to: 9, units: 'reps' });
+  });
+});
+
+describe('programService plans', () => {
+  it('starts generated loads from the estimated max, leaving unknown ones open', () => {
+    strengthAnalyticsService.buildProfile.mockImplementation(exerciseId =>
+      (exerciseId === 'squat' ? { predictedMax: 150 } : null)
+    );
+    const program = programService.generateProgram({ goal: 'strength', daysPerWeek: 2 });
+    const [squat, bench, pullUp] = program.days[0].exercises;
+
+    expect(program.days.map(day => day.weekday)).toEqual([1, 4]);
+    expect(squat).toMatchObject({ sets: 5, reps: 5, load: 110 });
+    expect(bench.load).toBeNull();
+    expect(pullUp.load).toBe(0);
+  });
+
+  it('reports malformed plans with their path', () => {
+    expect(programService.validateProgram({ days: [] })).toEqual(['program.days: must be a non-empty array']);
+    expect(programService.validateProgram({
+      days: [
+        { weekday: 1, exercises: [{ exerciseId: 'squat', sets: 0, reps: 5, load: 'heavy' }] },
+        { weekday: 1, exercises: [{ exerciseId: 'curl', sets: 3, reps: 10 }] }
+      ]
+    })).toEqual([
+      'days[0].exercises[0].sets: must be a whole number above 0',
+      'days[0].exercises[0].load: must be a number (0 for bodyweight) or null to take it from the first set',
+      'days[1].weekday: Monday already has a training day',
+      'days[1].exercises[0].exerciseId: unknown exercise "curl"'
+    ]);
+  });
+
+  it('round-trips a plan through export and import without its history', () => {
+    const saved = plan([{ exerciseId: 'squat', sets: 3, reps: 5, load: 100 }]);
+    saved.log.push({ date: '2026-10-19' });
+
+    const { program } = programService.importProgram(programService.exportProgram(saved));
+
+    expect(program.days[0].exercises[0]).toMatchObject({ exerciseId: 'squat', sets: 3, reps: 5, load: 100 });
+    expect(program.log).toEqual([]);
+    expect(programService.importProgram('{ nope')).toEqual({ problems: ['Not a valid JSON file'] });
+  });
+});
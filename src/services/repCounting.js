@@ -1,5 +1,127 @@
 // Rep Counting Service - Detects and counts exercise repetitions
 
+import { getExerciseById } from '../config/exercises';
+import { calculateAngle2D } from '../utils/geometry';
+
+// Live counting: the signal is averaged over this many trailing frames (no look-ahead when streaming)
+const STREAM_SMOOTHING_FRAMES = 3;
+
+// Frames a live counter sees before deciding between the primary and fallback metric
+const STREAM_METRIC_DECISION_FRAMES = 10;
+
+/**
+ * Online rep detection over a live frame stream, on the same metric and thresholds as countReps
+ * Hysteresis state machine on the signal signed so a rep moves it up: a rep starts when the signal
+ * rises the threshold above its resting low, and completes when it falls the threshold back from the
+ * turnaround. The end keeps following the signal down until the next rep starts, like the valley
+ * countReps would pick.
+ */
+class StreamingRepCounter {
+  constructor(service, exerciseId) {
+    this.service = service;
+    this.exerciseId = exerciseId;
+    this.config = service.getRepConfig(exerciseId);
+    this.metric = this.config?.metric;
+    this.frames = [];
+    this.reset();
+  }
+
+  reset() {
+    this.reps = [];
+    this.raw = [];
+    this.state = 'rest';
+    this.rest = null;
+    this.start = null;
+    this.turn = null;
+    this.low = Infinity;
+    this.high = -Infinity;
+  }
+
+  get count() {
+    return this.reps.length;
+  }
+
+  /**
+   * Feed the next frame ({ time, landmarks }); returns the rep range it completed, or null
+   */
+  push(frame) {
+    this.frames.push(frame);
+    if (!this.config) return null;
+
+    // Same fallback rule as countReps, decided once enough frames are in - then replay on the new metric
+    if (this.frames.length === STREAM_METRIC_DECISION_FRAMES && this.config.fallbackMetric) {
+      const valid = this.service.extractMetric(this.frames, this.metric).filter(d => d.value !== null && d.value !== 0);
+      if (valid.length < this.frames.length * 0.5) {
+        this.metric = this.config.fallbackMetric;
+        this.reset();
+        this.frames.slice(0, -1).forEach((f, i) => this.step(f, i));
+      }
+    }
+    return this.step(frame, this.frames.length - 1);
+  }
+
+  step(frame, index) {
+    const value = this.service.extractMetric([frame], this.metric)[0].value;
+    if (value === null || value === 0) return null;
+
+    this.raw.push(value);
+    const recent = this.raw.slice(-STREAM_SMOOTHING_FRAMES);
+    const smoothed = recent.reduce((sum, v) => sum + v, 0) / recent.length;
+    const signal = this.config.direction === 'down' ? smoothed : -smoothed;
+
+    this.low = Math.min(this.low, smoothed);
+    this.high = Math.max(this.high, smoothed);
+    const threshold = Math.max(this.config.threshold, (this.high - this.low) * 0.15);
+    const point = { index, time: frame.time, signal };
+
+    if (this.state === 'rest') {
+      if (!this.rest || signal < this.rest.signal) {
+        this.rest = point;
+        // Still settling after the last rep: its end follows the signal down
+        const last = this.reps[this.reps.length - 1];
+        if (last && last.endIndex < index) {
+          last.endIndex = index;
+          last.endTime = frame.time;
+          last.duration = frame.time - last.startTime;
+        }
+      }
+      if (signal - this.rest.signal >= threshold) {
+        this.state = 'away';
+        this.start = this.rest;
+        this.turn = point;
+      }
+      return null;
+    }
+
+    if (signal > this.turn.signal) this.turn = point;
+    if (this.turn.signal - signal < threshold) return null;
+
+    const turnKey = this.config.direction === 'down' ? 'bottom' : 'top';
+    const rep = {
+      startIndex: this.start.index,
+      [`${turnKey}Index`]: this.turn.index,
+      endIndex: index,
+      startTime: this.start.time,
+      [`${turnKey}Time`]: this.turn.time,
+      endTime: frame.time,
+      duration: frame.time - this.start.time,
+      rangeOfMotion: this.turn.signal - this.start.signal
+    };
+    this.reps.push(rep);
+    this.state = 'rest';
+    this.rest = point;
+    return rep;
+  }
+
+  /**
+   * Count the whole stream offline (countReps) so the final number matches what a recorded set
+   * gives; liveCount is what the stream counted as it went
+   */
+  finalize() {
+    return { ...this.service.countReps(this.frames, this.exerciseId), liveCount: this.count };
+  }
+}
+
 class RepCountingService {
   constructor() {
     this.repThresholds = {
@@ -23,7 +145,7 @@ class RepCountingService {
       return { count: 0, repRanges: [], metricData: [] };
     }
 
-    const config = this.repThresholds[exerciseId];
+    const config = this.getRepConfig(exerciseId);
     if (!config) {
       if (this.debug) console.log(`[RepCounting] No config found for exercise: ${exerciseId}`);
       return { count: 0, repRanges: [], metricData: [] };
@@ -71,6 +193,20 @@ class RepCountingService {
     };
   }
 
+  /**
+   * Incremental counter for a live frame stream - push() frames as they arrive, finalize() when done
+   */
+  createStreamingCounter(exerciseId) {
+    return new StreamingRepCounter(this, exerciseId);
+  }
+
+  /**
+   * Rep detection settings: built-in thresholds, or the `repCounting` block of a custom exercise
+   */
+  getRepConfig(exerciseId) {
+    return this.repThresholds[exerciseId] || getExerciseById(exerciseId)?.repCounting || null;
+  }
+
   /**
    * Extract relevant metric from frames
    */
@@ -132,14 +268,11 @@ class RepCountingService {
   }
   
   /**
-   * Calculate angle between three points
+   * Calculate angle between three points (image space - the rep signal only needs its shape)
    */
   calculateAngle(a, b, c) {
     if (!a || !b || !c) return 180;
-    const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
-    let angle = Math.abs(radians * 180.0 / Math.PI);
-    if (angle > 180.0) angle = 360 - angle;
-    return angle;
+    return calculateAngle2D(a, b, c);
   }
 
   /**
@@ -333,6 +466,50 @@ class RepCountingService {
     return repRanges;
   }
 
+  /**
+   * Label every frame with its movement phase and the rep it belongs to
+   * Phases: 'descent', 'bottom', 'ascent', 'top' - 'top' is lockout/standing, 'bottom' the turnaround
+   * for 'down' exercises (and the hang/rack position for 'up' exercises).
+   * Frames within 20% of a rep's range of motion from the turnaround count as that extreme phase.
+   * Returns { phases, repIndices } arrays aligned with `frames`
+   */
+  annotatePhases(frames, repAnalysis, exerciseId) {
+    const config = this.getRepConfig(exerciseId);
+    const direction = config?.direction || 'down';
+    const restPhase = direction === 'down' ? 'top' : 'bottom';
+    const turnPhase = direction === 'down' ? 'bottom' : 'top';
+    const awayPhase = direction === 'down' ? 'descent' : 'ascent';
+    const returnPhase = direction === 'down' ? 'ascent' : 'descent';
+
+    const phases = frames.map(() => restPhase);
+    const repIndices = frames.map(() => null);
+    const values = (repAnalysis?.metricData || []).map(d => d.value);
+
+    (repAnalysis?.repRanges || []).forEach((rep, repIndex) => {
+      const turnIndex = rep.bottomIndex ?? rep.topIndex;
+      const startValue = values[rep.startIndex];
+      const turnValue = values[turnIndex];
+      const band = Number.isFinite(startValue) && Number.isFinite(turnValue)
+        ? Math.abs(turnValue - startValue) * 0.2
+        : null;
+
+      for (let i = rep.startIndex; i <= rep.endIndex && i < frames.length; i++) {
+        if (repIndices[i] === null) repIndices[i] = repIndex;
+
+        const value = values[i];
+        if (i === turnIndex || (band !== null && Number.isFinite(value) && Math.abs(value - turnValue) <= band)) {
+          phases[i] = turnPhase;
+        } else if (band !== null && Number.isFinite(value) && Math.abs(value - startValue) <= band) {
+          phases[i] = restPhase;
+        } else {
+          phases[i] = i < turnIndex ? awayPhase : returnPhase;
+        }
+      }
+    });
+
+    return { phases, repIndices };
+  }
+
   /**
    * Analyze rep quality
    */
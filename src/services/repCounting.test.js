@@ -0,0 +1,83 @@
+import repCountingService from './repCounting';
+
+const FPS = 10;
+const point = (x, y, visibility = 1) => ({ x, y, z: 0, visibility });
+
+const pose = (hipY, hipVisibility = 1) => {
+  const landmarks = Array.from({ length: 33 }, () => point(0.5, 0.3));
+  landmarks[23] = point(0.45, hipY, hipVisibility);
+  landmarks[24] = point(0.55, hipY, hipVisibility);
+  landmarks[25] = point(0.47, 0.75);
+  landmarks[27] = point(0.45, 0.95);
+  return landmarks;
+};
+
+/**
+ * Squat set: back-to-back reps that sink the hips by depth over two seconds each, with a few frames of
+ * standing sway either side
+ */
+const squatSet = (reps, depth = 0.2, options = {}) => Array.from({ length: reps * 2 * FPS + 7 }, (_, frame) => {
+  const hipY = 0.5 + depth * Math.sin((Math.PI * (frame - 3)) / (2 * FPS)) ** 2;
+  return { time: frame / FPS, landmarks: pose(hipY, options.hipVisibility) };
+});
+
+describe('StreamingRepCounter', () => {
+  beforeEach(() => {
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    console.log.mockRestore();
+  });
+
+  it('completes each rep as the lifter stands back up', () => {
+    const counter = repCountingService.createStreamingCounter('squat');
+    const completed = [];
+    squatSet(3).forEach((frame, index) => {
+      // The end keeps following the signal down afterwards, so keep the rep as it was reported
+      const rep = counter.push(frame);
+      if (rep) completed.push({ rep: { ...rep }, index });
+    });
+
+    expect(counter.count).toBe(3);
+    completed.forEach(({ rep, index }, repIndex) => {
+      // Reported on the frame that finished it, after the bottom of its own rep
+      expect(rep.endIndex).toBe(index);
+      expect(rep.bottomIndex).toBeGreaterThan(rep.startIndex);
+      expect(rep.bottomIndex).toBeLessThan(rep.endIndex);
+      expect(rep.bottomTime).toBeCloseTo(1.3 + repIndex * 2, 0);
+      expect(rep.rangeOfMotion).toBeGreaterThan(0.15);
+    });
+  });
+
+  it('ignores movement smaller than the exercise threshold', () => {
+    const counter = repCountingService.createStreamingCounter('squat');
+    squatSet(3, 0.05).forEach(frame => counter.push(frame));
+
+    expect(counter.count).toBe(0);
+  });
+
+  it('agrees with the offline count when finalized', () => {
+    const counter = repCountingService.createStreamingCounter('squat');
+    squatSet(2).forEach(frame => counter.push(frame));
+    const result = counter.finalize();
+
+    expect(result.liveCount).toBe(2);
+    expect(result.count).toBe(2);
+    expect(result.repRanges).toHaveLength(2);
+  });
+
+  it('switches to the fallback metric when the primary landmarks are missing', () => {
+    const counter = repCountingService.createStreamingCounter('squat');
+    squatSet(1, 0.2, { hipVisibility: 0.1 }).slice(0, 12).forEach(frame => counter.push(frame));
+
+    expect(counter.metric).toBe('kneeAngle');
+  });
+
+  it('counts nothing for an exercise without rep settings', () => {
+    const counter = repCountingService.createStreamingCounter('no_such_exercise');
+
+    expect(counter.push({ time: 0, landmarks: pose(0.5) })).toBeNull();
+    expect(counter.count).toBe(0);
+  });
+});
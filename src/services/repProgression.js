@@ -1,6 +1,34 @@
 // Rep Progression Analysis - Tracks angle and distance changes through each phase
 // Analyzes movement quality based on progression patterns, not just individual frames
 
+import { dynamicTimeWarp } from '../utils/dtw';
+import { mean, round1 } from '../utils/math';
+import baselineComparisonService from './baselineComparison';
+
+// Joint angles aligned when comparing rep trajectories (whichever the exercise analyzer produces)
+const TRAJECTORY_JOINTS = ['kneeAngle', 'hipAngle', 'backAngle', 'elbowAngle'];
+const JOINT_LABELS = {
+  kneeAngle: 'Knee',
+  hipAngle: 'Hip',
+  backAngle: 'Back',
+  elbowAngle: 'Elbow'
+};
+
+// DTW band: how far (share of the rep) one rep may run ahead of the other
+const DTW_WINDOW = 0.3;
+
+// Points per rep in the overlay chart, on the reference rep's timeline
+const OVERLAY_POINTS = 25;
+
+// Joint angular velocity limits for phase checks (degrees/second): a faster eccentric is a drop rather
+// than a controlled descent; a concentric that never reaches the minimum is grinding
+const MAX_ECCENTRIC_JOINT_VELOCITY = 200;
+const MIN_CONCENTRIC_JOINT_VELOCITY = 30;
+
+// Similarity points lost per degree of mean aligned deviation; smaller divergences aren't called out
+const TRAJECTORY_PENALTY = 3;
+const DIVERGENCE_NOTE_DEGREES = 10;
+
 class RepProgressionService {
   constructor() {
     this.exercisePatterns = {
@@ -195,17 +223,17 @@ class RepProgressionService {
   analyzePhaseQuality(phaseFrames, phaseName, exerciseId, pattern) {
     const issues = [];
 
-    if (phaseName.includes('descent') || phaseName.includes('descent')) {
+    if (phaseName.includes('descent')) {
       // Check for control during eccentric phase
       const velocities = this.calculateVelocities(phaseFrames, pattern.primaryMetric);
-      const maxVelocity = Math.max(...velocities.map(v => Math.abs(v)));
+      const maxVelocity = Math.max(0, ...velocities.map(v => Math.abs(v)));
       
-      if (maxVelocity > 20) { // Arbitrary unit
+      if (maxVelocity > MAX_ECCENTRIC_JOINT_VELOCITY) {
         issues.push({
           phase: phaseName,
           type: 'uncontrolledMovement',
           severity: 'high',
-          description: `Uncontrolled movement during ${phaseName} phase`,
+          description: `Uncontrolled movement during ${phaseName} phase (${Math.round(maxVelocity)}°/s)`,
           correction: 'Slow down the eccentric (lowering) phase. Count 2-3 seconds for control.',
           affectedJoints: []
         });
@@ -215,14 +243,14 @@ class RepProgressionService {
     if (phaseName.includes('ascent') || phaseName.includes('drive')) {
       // Check for explosive/powerful concentric
       const velocities = this.calculateVelocities(phaseFrames, pattern.primaryMetric);
-      const maxVelocity = Math.max(...velocities.map(v => Math.abs(v)));
+      const maxVelocity = Math.max(0, ...velocities.map(v => Math.abs(v)));
       
-      if (maxVelocity < 3) {
+      if (velocities.length > 0 && maxVelocity < MIN_CONCENTRIC_JOINT_VELOCITY) {
         issues.push({
           phase: phaseName,
           type: 'slowConcentric',
           severity: 'low',
-          description: `${phaseName} phase appears slow`,
+          description: `${phaseName} phase appears slow (${Math.round(maxVelocity)}°/s)`,
           correction: 'Increase power and speed during the lifting phase.',
           affectedJoints: []
         });
@@ -233,7 +261,8 @@ class RepProgressionService {
   }
 
   /**
-   * Calculate angular velocity between frames
+   * Angular velocity of a joint angle between consecutive frames, in degrees per second
+   * (frame times in seconds, so the result doesn't depend on the sampling rate)
    */
   calculateVelocities(frames, metric) {
     const velocities = [];
@@ -241,10 +270,10 @@ class RepProgressionService {
     for (let i = 1; i < frames.length; i++) {
       const current = frames[i][metric];
       const previous = frames[i - 1][metric];
+      const dt = frames[i].time - frames[i - 1].time;
       
-      if (current !== undefined && previous !== undefined) {
-        const velocity = current - previous;
-        velocities.push(velocity);
+      if (Number.isFinite(current) && Number.isFinite(previous) && dt > 0) {
+        velocities.push((current - previous) / dt);
       }
     }
 
@@ -328,8 +357,9 @@ class RepProgressionService {
 
   /**
    * Compare progression between multiple reps to find consistency issues
+   * trajectories: optional compareRepTrajectories result for the same set
    */
-  compareRepProgression(repAnalyses) {
+  compareRepProgression(repAnalyses, trajectories = null) {
     if (repAnalyses.length < 2) return null;
 
     const consistency = {
@@ -361,8 +391,243 @@ class RepProgressionService {
       }
     }
 
+    // Trajectory alignment (compareRepTrajectories) says where in the movement reps drift apart
+    if (trajectories) {
+      consistency.trajectoryConsistency = trajectories.consistency;
+      const weakest = trajectories.reps
+        .filter(rep => !rep.isReference && rep.notes.length > 0)
+        .sort((a, b) => a.similarity - b.similarity)[0];
+      if (weakest) {
+        consistency.recommendations.push(`Rep ${weakest.repNumber}: ${weakest.notes[0]}`);
+      }
+    }
+
     return consistency;
   }
+
+  /**
+   * Align each rep's joint angle series with dynamic time warping against the set's best rep, or the
+   * lifter's reference set when one is given, so reps are compared position for position in the
+   * movement whatever their speed.
+   * repSets: [{ repNumber, score, frames }] - frames carry `time`, `phase` and the analyzer's angles
+   * options.baseline: reference set (baselineComparisonService.buildBaseline) to compare against
+   * Returns { reference, metrics, positions, referenceOverlay, reps: [{ repNumber, isReference, similarity,
+   * meanDeviation, deviation, divergences, overlay, notes }], consistency, summary } or null.
+   * Positions are percent of the reference rep; differences are degrees, positive = joint more open.
+   */
+  compareRepTrajectories(repSets, options = {}) {
+    const baselineProfile = options.baseline?.reps?.length
+      ? baselineComparisonService.averageProfile(options.baseline.reps)
+      : null;
+
+    const metrics = this.selectTrajectoryMetrics(repSets, baselineProfile);
+    if (metrics.length === 0) return null;
+
+    const reps = repSets
+      .map(rep => ({ repNumber: rep.repNumber, score: rep.score, samples: this.buildJointSeries(rep.frames, metrics) }))
+      .filter(rep => rep.samples);
+
+    let reference;
+    if (baselineProfile) {
+      reference = {
+        source: 'reference_set',
+        repNumber: null,
+        workoutId: options.baseline.workoutId,
+        samples: this.buildBaselineSeries(baselineProfile, metrics)
+      };
+    } else {
+      if (reps.length < 2) return null;
+      const best = this.selectBestRep(reps, metrics);
+      reference = { source: 'best_rep', repNumber: best.repNumber, workoutId: null, samples: best.samples };
+    }
+    if (reps.length === 0 || !reference.samples) return null;
+
+    const compared = reps
+      .map(rep => this.alignRep(rep, reference, metrics))
+      .filter(Boolean);
+    if (compared.length === 0) return null;
+
+    const others = compared.filter(rep => !rep.isReference);
+    const consistency = others.length ? Math.round(mean(others.map(rep => rep.similarity))) : 100;
+
+    return {
+      reference: { source: reference.source, repNumber: reference.repNumber, workoutId: reference.workoutId },
+      metrics,
+      positions: Array.from({ length: OVERLAY_POINTS }, (_, k) => Math.round((k / (OVERLAY_POINTS - 1)) * 100)),
+      referenceOverlay: Object.fromEntries(metrics.map(metric => [
+        metric,
+        this.resampleOverlay(reference.samples.map(sample => sample.values[metric]))
+      ])),
+      reps: compared,
+      consistency,
+      summary: this.summarizeTrajectories(compared, reference, consistency)
+    };
+  }
+
+  /**
+   * Joints every rep (and the reference set) has a trajectory for; backAngle is dropped when it
+   * duplicates hipAngle (same landmarks) so the hip isn't counted twice
+   */
+  selectTrajectoryMetrics(repSets, baselineProfile) {
+    const hasSeries = (frames, metric) => frames.filter(frame => Number.isFinite(frame[metric])).length >= 3;
+
+    const metrics = TRAJECTORY_JOINTS.filter(metric =>
+      repSets.length > 0 &&
+      repSets.every(rep => hasSeries(rep.frames, metric)) &&
+      (!baselineProfile || baselineProfile.trajectories[metric])
+    );
+
+    const frames = repSets.flatMap(rep => rep.frames);
+    const duplicateBack = metrics.includes('hipAngle') && metrics.includes('backAngle') &&
+      frames.every(frame => frame.backAngle === frame.hipAngle);
+    return duplicateBack ? metrics.filter(metric => metric !== 'backAngle') : metrics;
+  }
+
+  /**
+   * Per-frame joint angles, frames without a joint taking it from the nearest frame that has it
+   * Returns [{ time, phase, values: { metric: degrees } }] or null when a joint is never measured
+   */
+  buildJointSeries(frames, metrics) {
+    const series = frames.map(frame => ({ time: frame.time, phase: frame.phase, values: {} }));
+
+    for (const metric of metrics) {
+      const measured = frames
+        .map((frame, index) => (Number.isFinite(frame[metric]) ? index : null))
+        .filter(index => index !== null);
+      if (measured.length === 0) return null;
+
+      let nearest = 0;
+      series.forEach((sample, index) => {
+        while (nearest < measured.length - 1 &&
+          Math.abs(measured[nearest + 1] - index) <= Math.abs(measured[nearest] - index)) nearest++;
+        sample.values[metric] = frames[measured[nearest]][metric];
+      });
+    }
+
+    return series;
+  }
+
+  /**
+   * Reference set trajectories (evenly resampled, no phase labels) as a joint series
+   */
+  buildBaselineSeries(profile, metrics) {
+    const length = Math.min(...metrics.map(metric => profile.trajectories[metric].length));
+    if (!Number.isFinite(length) || length < 3) return null;
+
+    return Array.from({ length }, (_, k) => ({
+      time: k,
+      phase: null,
+      values: Object.fromEntries(metrics.map(metric => [metric, profile.trajectories[metric][k]]))
+    }));
+  }
+
+  /**
+   * The rep with the best form score; without scores, the rep closest to all the others
+   */
+  selectBestRep(reps, metrics) {
+    const scored = reps.filter(rep => typeof rep.score === 'number');
+    if (scored.length > 0) {
+      return scored.reduce((best, rep) => (rep.score > best.score ? rep : best));
+    }
+
+    const totals = reps.map(rep =>
+      reps.reduce((sum, other) => {
+        if (other === rep) return sum;
+        const alignment = dynamicTimeWarp(rep.samples, other.samples, this.jointDistance(metrics), { window: DTW_WINDOW });
+        return sum + (alignment ? alignment.cost / alignment.path.length : Infinity);
+      }, 0)
+    );
+    return reps[totals.indexOf(Math.min(...totals))];
+  }
+
+  jointDistance(metrics) {
+    return (a, b) => metrics.reduce((sum, metric) => sum + Math.abs(a.values[metric] - b.values[metric]), 0) / metrics.length;
+  }
+
+  /**
+   * One rep against the reference: DTW alignment, mean deviation per joint, the point of largest
+   * divergence per joint, and the rep's angles mapped onto the reference timeline for the overlay
+   */
+  alignRep(rep, reference, metrics) {
+    const isReference = reference.source === 'best_rep' && rep.repNumber === reference.repNumber;
+    const alignment = dynamicTimeWarp(rep.samples, reference.samples, this.jointDistance(metrics), { window: DTW_WINDOW });
+    if (!alignment) return null;
+
+    const lastReference = Math.max(1, reference.samples.length - 1);
+    const deviation = {};
+    const divergences = [];
+    const overlay = {};
+
+    metrics.forEach(metric => {
+      let worst = null;
+      const differences = alignment.path.map(([i, j]) => {
+        const difference = rep.samples[i].values[metric] - reference.samples[j].values[metric];
+        if (!worst || Math.abs(difference) > Math.abs(worst.difference)) {
+          worst = { difference, i, j };
+        }
+        return Math.abs(difference);
+      });
+      deviation[metric] = round1(mean(differences));
+      divergences.push({
+        metric,
+        difference: round1(worst.difference),
+        position: Math.round((worst.j / lastReference) * 100),
+        phase: rep.samples[worst.i].phase || null
+      });
+
+      // Several rep frames can match one reference frame - average them
+      const aligned = reference.samples.map(() => []);
+      alignment.path.forEach(([i, j]) => aligned[j].push(rep.samples[i].values[metric]));
+      overlay[metric] = this.resampleOverlay(aligned.map(values => mean(values)));
+    });
+
+    divergences.sort((a, b) => Math.abs(b.difference) - Math.abs(a.difference));
+    const meanDeviation = round1(alignment.cost / alignment.path.length);
+
+    return {
+      repNumber: rep.repNumber,
+      isReference,
+      similarity: isReference ? 100 : Math.max(0, Math.round(100 - meanDeviation * TRAJECTORY_PENALTY)),
+      meanDeviation,
+      deviation,
+      divergences,
+      overlay,
+      notes: isReference ? [] : divergences
+        .filter(divergence => Math.abs(divergence.difference) >= DIVERGENCE_NOTE_DEGREES)
+        .map(divergence => this.describeDivergence(divergence))
+    };
+  }
+
+  describeDivergence({ metric, difference, position, phase }) {
+    return `${JOINT_LABELS[metric] || metric} ${Math.abs(difference)}° ${difference > 0 ? 'more open' : 'more closed'} ` +
+      `at ${position}% of the movement${phase ? ` (${phase})` : ''}`;
+  }
+
+  /**
+   * A series on the reference timeline resampled to OVERLAY_POINTS evenly spaced points
+   */
+  resampleOverlay(values) {
+    const last = values.length - 1;
+    return Array.from({ length: OVERLAY_POINTS }, (_, k) => {
+      const position = last > 0 ? (k / (OVERLAY_POINTS - 1)) * last : 0;
+      const index = Math.floor(position);
+      const next = Math.min(last, index + 1);
+      const value = values[index] + (values[next] - values[index]) * (position - index);
+      return Number.isFinite(value) ? round1(value) : null;
+    });
+  }
+
+  summarizeTrajectories(reps, reference, consistency) {
+    const target = reference.source === 'best_rep' ? `rep ${reference.repNumber} (your best)` : 'your reference set';
+    const weakest = reps
+      .filter(rep => !rep.isReference)
+      .sort((a, b) => a.similarity - b.similarity)[0];
+
+    if (!weakest || weakest.notes.length === 0) {
+      return `Reps track ${target} closely through the whole movement (${consistency}% consistent)`;
+    }
+    return `Compared with ${target}, rep ${weakest.repNumber} diverged the most: ${weakest.notes[0]}`;
+  }
 }
 
 const repProgressionService = new RepProgressionService();
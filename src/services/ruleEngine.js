@@ -0,0 +1,375 @@
+// Rule Engine Service - Interprets JSON validation rules for exercise form checks
+// Rules are plain data, so they can be stored, edited and explained (unlike validate() closures)
+
+import { SEGMENTS } from './calibration';
+
+/**
+ * Rule format
+ *
+ * Conditions:
+ *   { all: [cond, ...] }                  every sub-condition holds
+ *   { any: [cond, ...] }                  at least one holds
+ *   { not: cond }                         sub-condition does not hold
+ *   { phase: 'bottom' | ['descent', ...] } current movement phase (from context.phase)
+ *   { is: operand }                       operand is truthy (e.g. a boolean metric)
+ *   { left: operand, op, right: operand } comparison; op is one of < <= > >= == !=
+ *
+ * Operands (numbers and booleans may be used directly):
+ *   { metric: 'kneeAngle' }                       value from the exercise analysis, dotted paths allowed
+ *   { landmark: 'leftKnee', axis: 'y' }           landmark coordinate
+ *   { distance: ['leftKnee', 'rightKnee'], axis } euclidean distance, or absolute gap along one axis
+ *   { ratio: [operand, operand] }                 first divided by second
+ *   { segment: 'femur', scale: 0.4 }              the lifter's segment length in this frame (from
+ *                                                 context.segments - see calibration.js)
+ *   { value: 0.15 }                               constant
+ * Landmark references can be a name or an array of names (their midpoint). `bar` is the barbell: the
+ * end cap the lifter tracked, else the exercise's bar landmarks (see poseAnalysisService.validateForm).
+ * Any operand may add `scale` (multiplied) and `offset` (added after scaling); an offset may itself
+ * be an operand, e.g. { segment: 'shin', scale: -0.75 }.
+ *
+ * Unresolvable operands (missing landmarks/metrics) make the comparison false, so a rule never
+ * fires on data it could not see.
+ */
+
+const COMPARATORS = {
+  '<': (a, b) => a < b,
+  '<=': (a, b) => a <= b,
+  '>': (a, b) => a > b,
+  '>=': (a, b) => a >= b,
+  '==': (a, b) => a === b,
+  '!=': (a, b) => a !== b
+};
+
+const AXES = ['x', 'y', 'z'];
+
+const SEGMENT_NAMES = Object.keys(SEGMENTS);
+
+class RuleEngineService {
+  /**
+   * Evaluate a rule against one frame
+   * context: { phase } for phase conditions, { segments } for segment operands
+   * Returns { fired, triggers } - triggers explain which comparisons made the rule fire
+   */
+  evaluate(rule, landmarks, metrics, context = {}) {
+    const scope = { landmarks: landmarks || {}, metrics: metrics || {}, context };
+    const { passed, triggers } = this.evaluateCondition(rule, scope, 'rule');
+    return { fired: passed, triggers: passed ? triggers : [] };
+  }
+
+  evaluateCondition(condition, scope, path) {
+    if (!condition || typeof condition !== 'object') {
+      return { passed: false, triggers: [] };
+    }
+
+    if (Array.isArray(condition.all)) {
+      const results = condition.all.map((child, i) =>
+        this.evaluateCondition(child, scope, `${path}.all[${i}]`)
+      );
+      const passed = results.length > 0 && results.every(r => r.passed);
+      return { passed, triggers: passed ? results.flatMap(r => r.triggers) : [] };
+    }
+
+    if (Array.isArray(condition.any)) {
+      const results = condition.any.map((child, i) =>
+        this.evaluateCondition(child, scope, `${path}.any[${i}]`)
+      );
+      const fired = results.filter(r => r.passed);
+      return { passed: fired.length > 0, triggers: fired.flatMap(r => r.triggers) };
+    }
+
+    if (condition.not !== undefined) {
+      const inner = this.evaluateCondition(condition.not, scope, `${path}.not`);
+      const passed = !inner.passed;
+      return {
+        passed,
+        triggers: passed
+          ? [{ path, description: `not (${this.describe(condition.not)})` }]
+          : []
+      };
+    }
+
+    if (condition.phase !== undefined) {
+      const phases = Array.isArray(condition.phase) ? condition.phase : [condition.phase];
+      const current = scope.context.phase;
+      const passed = !!current && phases.includes(current);
+      return {
+        passed,
+        triggers: passed ? [{ path, description: `phase is ${current}`, actual: current }] : []
+      };
+    }
+
+    if (condition.is !== undefined) {
+      const actual = this.resolveOperand(condition.is, scope);
+      const passed = !!actual;
+      return {
+        passed,
+        triggers: passed
+          ? [{ path, description: this.describe(condition), actual }]
+          : []
+      };
+    }
+
+    if (condition.op !== undefined) {
+      return this.evaluateComparison(condition, scope, path);
+    }
+
+    console.warn(`Unknown rule condition at ${path}:`, condition);
+    return { passed: false, triggers: [] };
+  }
+
+  evaluateComparison(condition, scope, path) {
+    const compare = COMPARATORS[condition.op];
+    if (!compare) {
+      console.warn(`Unknown comparison operator "${condition.op}" at ${path}`);
+      return { passed: false, triggers: [] };
+    }
+
+    const actual = this.resolveOperand(condition.left, scope);
+    const threshold = this.resolveOperand(condition.right, scope);
+    if (actual === null || threshold === null) {
+      return { passed: false, triggers: [] };
+    }
+
+    const passed = compare(actual, threshold);
+    if (!passed) {
+      return { passed: false, triggers: [] };
+    }
+
+    const trigger = {
+      path,
+      description: this.describe(condition),
+      actual: this.round(actual),
+      op: condition.op,
+      threshold: this.round(threshold)
+    };
+    if (typeof actual === 'number' && typeof threshold === 'number') {
+      trigger.margin = this.round(Math.abs(actual - threshold));
+    }
+    return { passed: true, triggers: [trigger] };
+  }
+
+  /**
+   * Resolve an operand to a number/boolean, or null when the data isn't available
+   */
+  resolveOperand(operand, scope) {
+    if (typeof operand === 'number' || typeof operand === 'boolean') {
+      return operand;
+    }
+    if (!operand || typeof operand !== 'object') return null;
+
+    let value = null;
+    if (operand.value !== undefined) {
+      value = operand.value;
+    } else if (operand.metric !== undefined) {
+      value = this.readPath(scope.metrics, operand.metric);
+    } else if (operand.landmark !== undefined) {
+      const point = this.resolvePoint(operand.landmark, scope.landmarks);
+      value = point ? this.readAxis(point, operand.axis || 'y') : null;
+    } else if (operand.distance !== undefined) {
+      value = this.resolveDistance(operand.distance, operand.axis, scope.landmarks);
+    } else if (operand.ratio !== undefined) {
+      const [num, den] = operand.ratio || [];
+      const a = this.resolveOperand(num, scope);
+      const b = this.resolveOperand(den, scope);
+      value = typeof a === 'number' && typeof b === 'number' && b !== 0 ? a / b : null;
+    } else if (operand.segment !== undefined) {
+      const length = scope.context.segments?.[operand.segment];
+      value = typeof length === 'number' && length > 0 ? length : null;
+    }
+
+    if (value === null || value === undefined) return null;
+    if (typeof value === 'number') {
+      if (!Number.isFinite(value)) return null;
+      if (typeof operand.scale === 'number') value *= operand.scale;
+      if (operand.offset !== undefined) {
+        const offset = this.resolveOperand(operand.offset, scope);
+        if (typeof offset !== 'number') return null;
+        value += offset;
+      }
+    }
+    return value;
+  }
+
+  readPath(source, path) {
+    const value = String(path)
+      .split('.')
+      .reduce((obj, key) => (obj === null || obj === undefined ? undefined : obj[key]), source);
+    return value === undefined ? null : value;
+  }
+
+  readAxis(point, axis) {
+    const value = point[axis];
+    return Number.isFinite(value) ? value : null;
+  }
+
+  /**
+   * A landmark name, or the midpoint of several names
+   */
+  resolvePoint(ref, landmarks) {
+    const names = Array.isArray(ref) ? ref : [ref];
+    const points = names.map(name => landmarks[name]);
+    if (points.length === 0 || points.some(p => !p || !Number.isFinite(p.x) || !Number.isFinite(p.y))) {
+      return null;
+    }
+
+    const midpoint = {};
+    AXES.forEach(axis => {
+      const values = points.map(p => p[axis]);
+      midpoint[axis] = values.every(Number.isFinite)
+        ? values.reduce((sum, v) => sum + v, 0) / values.length
+        : undefined;
+    });
+    return midpoint;
+  }
+
+  resolveDistance(refs, axis, landmarks) {
+    const [a, b] = refs || [];
+    const p1 = this.resolvePoint(a, landmarks);
+    const p2 = this.resolvePoint(b, landmarks);
+    if (!p1 || !p2) return null;
+
+    if (axis) {
+      const v1 = this.readAxis(p1, axis);
+      const v2 = this.readAxis(p2, axis);
+      return v1 === null || v2 === null ? null : Math.abs(v1 - v2);
+    }
+    return Math.sqrt(Math.pow(p1.x - p2.x, 2) + Math.pow(p1.y - p2.y, 2));
+  }
+
+  /**
+   * Human-readable form of a condition or operand, used in trigger explanations
+   */
+  describe(node) {
+    if (typeof node === 'number' || typeof node === 'boolean') return String(node);
+    if (!node || typeof node !== 'object') return '?';
+
+    if (Array.isArray(node.all)) return node.all.map(c => this.describe(c)).join(' and ');
+    if (Array.isArray(node.any)) return node.any.map(c => this.describe(c)).join(' or ');
+    if (node.not !== undefined) return `not (${this.describe(node.not)})`;
+    if (node.phase !== undefined) {
+      return `phase in ${[].concat(node.phase).join('/')}`;
+    }
+    if (node.is !== undefined) return this.describe(node.is);
+    if (node.op !== undefined) {
+      return `${this.describe(node.left)} ${node.op} ${this.describe(node.right)}`;
+    }
+
+    let base = '?';
+    const refName = ref => (Array.isArray(ref) ? `mid(${ref.join(',')})` : ref);
+    if (node.value !== undefined) base = String(node.value);
+    else if (node.metric !== undefined) base = node.metric;
+    else if (node.landmark !== undefined) base = `${refName(node.landmark)}.${node.axis || 'y'}`;
+    else if (node.distance !== undefined) {
+      const [a, b] = node.distance;
+      base = `dist${node.axis ? `_${node.axis}` : ''}(${refName(a)}, ${refName(b)})`;
+    } else if (node.ratio !== undefined) {
+      base = `${this.describe(node.ratio[0])} / ${this.describe(node.ratio[1])}`;
+    } else if (node.segment !== undefined) {
+      base = `${node.segment} length`;
+    }
+
+    if (typeof node.scale === 'number') base = `${base} * ${node.scale}`;
+    if (typeof node.offset === 'number') {
+      base = `${base} ${node.offset < 0 ? '-' : '+'} ${Math.abs(node.offset)}`;
+    } else if (node.offset && typeof node.offset === 'object') {
+      base = `${base} + (${this.describe(node.offset)})`;
+    }
+    return base;
+  }
+
+  /**
+   * Structural check for stored/edited rules
+   * Returns a list of problems (empty when the rule is well formed)
+   */
+  validateRule(rule, path = 'rule') {
+    const problems = [];
+    if (!rule || typeof rule !== 'object') {
+      return [`${path}: condition must be an object`];
+    }
+
+    if (rule.all !== undefined || rule.any !== undefined) {
+      const key = rule.all !== undefined ? 'all' : 'any';
+      if (!Array.isArray(rule[key]) || rule[key].length === 0) {
+        problems.push(`${path}.${key}: must be a non-empty array`);
+      } else {
+        rule[key].forEach((child, i) => problems.push(...this.validateRule(child, `${path}.${key}[${i}]`)));
+      }
+    } else if (rule.not !== undefined) {
+      problems.push(...this.validateRule(rule.not, `${path}.not`));
+    } else if (rule.phase !== undefined) {
+      if (![].concat(rule.phase).every(p => typeof p === 'string')) {
+        problems.push(`${path}.phase: must be a phase name or list of names`);
+      }
+    } else if (rule.is !== undefined) {
+      problems.push(...this.validateOperand(rule.is, `${path}.is`));
+    } else if (rule.op !== undefined) {
+      if (!COMPARATORS[rule.op]) problems.push(`${path}.op: unknown operator "${rule.op}"`);
+      problems.push(...this.validateOperand(rule.left, `${path}.left`));
+      problems.push(...this.validateOperand(rule.right, `${path}.right`));
+    } else {
+      problems.push(`${path}: unknown condition`);
+    }
+    return problems;
+  }
+
+  validateOperand(operand, path) {
+    if (typeof operand === 'number' || typeof operand === 'boolean') return [];
+    if (!operand || typeof operand !== 'object') return [`${path}: operand must be a number or object`];
+
+    const isRef = ref => typeof ref === 'string' || (Array.isArray(ref) && ref.length > 0 && ref.every(r => typeof r === 'string'));
+    const problems = [];
+
+    if (operand.axis !== undefined && !AXES.includes(operand.axis)) {
+      problems.push(`${path}.axis: must be x, y or z`);
+    }
+    if (operand.offset !== undefined && typeof operand.offset !== 'number') {
+      problems.push(...this.validateOperand(operand.offset, `${path}.offset`));
+    }
+
+    if (operand.value !== undefined || operand.metric !== undefined) return problems;
+    if (operand.segment !== undefined) {
+      if (!SEGMENT_NAMES.includes(operand.segment)) {
+        problems.push(`${path}.segment: must be one of ${SEGMENT_NAMES.join(', ')}`);
+      }
+      return problems;
+    }
+    if (operand.landmark !== undefined) {
+      if (!isRef(operand.landmark)) problems.push(`${path}.landmark: must be a landmark name or list`);
+      return problems;
+    }
+    if (operand.distance !== undefined) {
+      if (!Array.isArray(operand.distance) || operand.distance.length !== 2 || !operand.distance.every(isRef)) {
+        problems.push(`${path}.distance: must list two landmark references`);
+      }
+      return problems;
+    }
+    if (operand.ratio !== undefined) {
+      if (!Array.isArray(operand.ratio) || operand.ratio.length !== 2) {
+        return [...problems, `${path}.ratio: must list two operands`];
+      }
+      problems.push(...this.validateOperand(operand.ratio[0], `${path}.ratio[0]`));
+      problems.push(...this.validateOperand(operand.ratio[1], `${path}.ratio[1]`));
+      return problems;
+    }
+    return [...problems, `${path}: unknown operand`];
+  }
+
+  /**
+   * One-line summary of why a rule fired, e.g. "kneeAngle > 100 (112.4, by 12.4)"
+   */
+  summarize(triggers = []) {
+    return triggers
+      .map(t => {
+        if (t.margin === undefined) return t.description;
+        return `${t.description} (${t.actual}, by ${t.margin})`;
+      })
+      .join('; ');
+  }
+
+  round(value) {
+    return typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+  }
+}
+
+const ruleEngineService = new RuleEngineService();
+export default ruleEngineService;
@@ -0,0 +1,119 @@
+import ruleEngineService from './ruleEngine';
+
+const landmarks = {
+  leftKnee: { x: 0.45, y: 0.7 },
+  rightKnee: { x: 0.55, y: 0.7 },
+  leftAnkle: { x: 0.4, y: 0.9 },
+  rightAnkle: { x: 0.6, y: 0.9 },
+  leftHip: { x: 0.44, y: 0.5 },
+  rightHip: { x: 0.56, y: 0.5 }
+};
+
+const kneeValgus = {
+  left: {
+    ratio: [
+      { distance: ['leftKnee', 'rightKnee'], axis: 'x' },
+      { distance: ['leftAnkle', 'rightAnkle'], axis: 'x' }
+    ]
+  },
+  op: '<',
+  right: 0.85
+};
+
+describe('ruleEngineService.evaluate', () => {
+  it('fires a comparison and explains it with the margin past the threshold', () => {
+    const { fired, triggers } = ruleEngineService.evaluate(
+      { left: { metric: 'kneeAngle' }, op: '>', right: 100 },
+      landmarks,
+      { kneeAngle: 112.4 }
+    );
+
+    expect(fired).toBe(true);
+    expect(triggers).toEqual([
+      expect.objectContaining({ description: 'kneeAngle > 100', actual: 112.4, threshold: 100, margin: 12.4 })
+    ]);
+    expect(ruleEngineService.summarize(triggers)).toBe('kneeAngle > 100 (112.4, by 12.4)');
+  });
+
+  it('resolves distance ratios between landmarks', () => {
+    expect(ruleEngineService.evaluate(kneeValgus, landmarks, {}).fired).toBe(true);
+
+    const wideKnees = { ...landmarks, leftKnee: { x: 0.4, y: 0.7 }, rightKnee: { x: 0.6, y: 0.7 } };
+    expect(ruleEngineService.evaluate(kneeValgus, wideKnees, {}).fired).toBe(false);
+  });
+
+  it('never fires when an operand cannot be resolved', () => {
+    const { rightKnee, ...missingKnee } = landmarks;
+
+    expect(ruleEngineService.evaluate(kneeValgus, missingKnee, {}).fired).toBe(false);
+    expect(ruleEngineService.evaluate({ left: { metric: 'hipAngle' }, op: '<', right: 90 }, landmarks, {}).fired).toBe(false);
+    expect(ruleEngineService.evaluate(
+      { not: { left: { metric: 'hipAngle' }, op: '<', right: 90 } },
+      landmarks,
+      {}
+    ).fired).toBe(true);
+  });
+
+  it('combines conditions with all, any and phase', () => {
+    const rule = {
+      all: [
+        { phase: ['bottom', 'ascent'] },
+        {
+          any: [
+            { left: { metric: 'kneeAngle' }, op: '>', right: 100 },
+            { is: { metric: 'backRounding.isRounded' } }
+          ]
+        }
+      ]
+    };
+    const metrics = { kneeAngle: 90, backRounding: { isRounded: true } };
+
+    expect(ruleEngineService.evaluate(rule, landmarks, metrics, { phase: 'bottom' }).fired).toBe(true);
+    expect(ruleEngineService.evaluate(rule, landmarks, metrics, { phase: 'top' }).fired).toBe(false);
+    expect(ruleEngineService.evaluate(rule, landmarks, metrics).fired).toBe(false);
+    expect(ruleEngineService.evaluate(
+      rule,
+      landmarks,
+      { kneeAngle: 90, backRounding: { isRounded: false } },
+      { phase: 'bottom' }
+    ).fired).toBe(false);
+  });
+
+  it('uses the midpoint of landmark lists and applies scale and offset', () => {
+    const rule = {
+      left: { landmark: ['leftHip', 'rightHip'], axis: 'x' },
+      op: '==',
+      right: { value: 0.25, scale: 2, offset: 0 }
+    };
+    expect(ruleEngineService.evaluate(rule, landmarks, {}).fired).toBe(true);
+  });
+
+  it('scales thresholds by the lifter\'s segment lengths', () => {
+    const rule = {
+      left: { distance: ['leftHip', 'leftKnee'], axis: 'y' },
+      op: '<',
+      right: { segment: 'femur', scale: 0.5 }
+    };
+
+    expect(ruleEngineService.evaluate(rule, landmarks, {}, { segments: { femur: 0.5 } }).fired).toBe(true);
+    expect(ruleEngineService.evaluate(rule, landmarks, {}, { segments: { femur: 0.3 } }).fired).toBe(false);
+    expect(ruleEngineService.evaluate(rule, landmarks, {}).fired).toBe(false);
+  });
+});
+
+describe('ruleEngineService.validateRule', () => {
+  it('accepts the built-in rule shapes', () => {
+    expect(ruleEngineService.validateRule(kneeValgus)).toEqual([]);
+    expect(ruleEngineService.validateRule({ all: [{ phase: 'bottom' }, { is: { metric: 'x' } }] })).toEqual([]);
+  });
+
+  it('reports malformed rules with their path', () => {
+    expect(ruleEngineService.validateRule({ left: { metric: 'kneeAngle' }, op: '=>', right: 90 }))
+      .toEqual(['rule.op: unknown operator "=>"']);
+    expect(ruleEngineService.validateRule({ all: [] })).toEqual(['rule.all: must be a non-empty array']);
+    expect(ruleEngineService.validateRule({ any: [{ left: { distance: ['leftKnee'] }, op: '<', right: 1 }] }))
+      .toEqual(['rule.any[0].left.distance: must list two landmark references']);
+    expect(ruleEngineService.validateRule({ left: { landmark: 'leftKnee', axis: 'w' }, op: '<', right: 1 }))
+      .toEqual(['rule.left.axis: must be x, y or z']);
+  });
+});
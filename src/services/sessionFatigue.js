@@ -0,0 +1,85 @@
+// Session Fatigue Service - How the lifter holds up from set to set within a session
+// Each set is summarised from its saved workout; bar speed and reps are only compared between sets
+// at the same load, since a heavier set is slower and shorter without any fatigue.
+
+import storageService from './storage';
+import { round1 } from '../utils/math';
+
+// Set-to-set changes beyond these are called out as fatigue
+const SCORE_DROP_NOTE = 10; // form score points, first set to last
+const VELOCITY_DROP_NOTE = 20; // % below the fastest set at the same load
+const REP_DROP_NOTE = 2; // reps below the first set at the same load
+
+/**
+ * Least-squares slope of values against their index (change per set); null for fewer than two
+ */
+const trendPerSet = (values) => {
+  const n = values.length;
+  if (n < 2) return null;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((sum, v) => sum + v, 0) / n;
+  const variance = values.reduce((sum, _, x) => sum + (x - meanX) ** 2, 0);
+  return round1(values.reduce((sum, v, x) => sum + (x - meanX) * (v - meanY), 0) / variance);
+};
+
+class SessionFatigueService {
+  /**
+   * Fatigue trends for a session, with each set's velocity and bar path read from its workout
+   * Returns { sets: [{ setNumber, workoutId, weight, reps, score, restSeconds, meanVelocity, velocityLoss,
+   * units, maxDrift }], scoreTrend, repTrend (per set), scoreDrop, velocityDrop (%), repDrop, fatigued, summary }
+   */
+  analyze(session) {
+    const sets = (session?.sets || []).map(set => {
+      const workout = storageService.getWorkout(set.workoutId) || {};
+      return {
+        setNumber: set.setNumber,
+        workoutId: set.workoutId,
+        weight: set.weight,
+        reps: set.reps,
+        score: set.score,
+        restSeconds: set.restSeconds ?? null,
+        meanVelocity: workout.velocity?.meanVelocity ?? null,
+        velocityLoss: workout.velocity?.velocityLoss ?? null,
+        units: workout.velocity?.units ?? null,
+        maxDrift: workout.barPath?.maxDrift ?? null
+      };
+    });
+
+    const last = sets[sets.length - 1];
+    const sameLoad = last ? sets.filter(set => set.weight === last.weight) : [];
+    const withVelocity = sameLoad.filter(set => Number.isFinite(set.meanVelocity) && set.units === last.units);
+    const fastest = withVelocity.length > 1 ? Math.max(...withVelocity.map(set => set.meanVelocity)) : null;
+
+    const result = {
+      sets,
+      scoreTrend: trendPerSet(sets.map(set => set.score)),
+      repTrend: trendPerSet(sameLoad.map(set => set.reps)),
+      scoreDrop: sets.length > 1 ? sets[0].score - last.score : null,
+      velocityDrop: fastest && Number.isFinite(last.meanVelocity)
+        ? round1(((fastest - last.meanVelocity) / fastest) * 100)
+        : null,
+      repDrop: sameLoad.length > 1 ? sameLoad[0].reps - last.reps : null
+    };
+    result.fatigued = result.scoreDrop >= SCORE_DROP_NOTE ||
+      result.velocityDrop >= VELOCITY_DROP_NOTE ||
+      result.repDrop >= REP_DROP_NOTE;
+    return { ...result, summary: this.summarize(result) };
+  }
+
+  summarize({ sets, scoreDrop, velocityDrop, repDrop, fatigued }) {
+    if (sets.length < 2) return 'Record another set to see how you hold up from set to set';
+
+    const last = sets[sets.length - 1];
+    if (!fatigued) return `Form and bar speed held up across ${sets.length} sets`;
+
+    const notes = [];
+    if (scoreDrop >= SCORE_DROP_NOTE) notes.push(`form score fell ${scoreDrop} points from set 1 to set ${last.setNumber}`);
+    if (velocityDrop >= VELOCITY_DROP_NOTE) notes.push(`set ${last.setNumber} was ${velocityDrop}% slower than your fastest set at this load`);
+    if (repDrop >= REP_DROP_NOTE) notes.push(`${repDrop} fewer reps than your first set at this load`);
+    const text = notes.join('; ');
+    return `${text.charAt(0).toUpperCase()}${text.slice(1)} - fatigue is building, consider ending the session or lightening the load`;
+  }
+}
+
+const sessionFatigueService = new SessionFatigueService();
+export default sessionFatigueService;
@@ -4,7 +4,13 @@
 const STORAGE_KEYS = {
   WORKOUTS: 'exercise_form_workouts',
   USER_PROFILE: 'exercise_form_user_profile',
-  EXERCISE_STATS: 'exercise_form_stats'
+  EXERCISE_STATS: 'exercise_form_stats',
+  CUSTOM_EXERCISES: 'exercise_form_custom_exercises',
+  REFERENCE_WORKOUTS: 'exercise_form_reference_workouts',
+  COACHING_SETTINGS: 'exercise_form_coaching_settings',
+  HANDS_FREE_SETTINGS: 'exercise_form_hands_free_settings',
+  SESSIONS: 'exercise_form_sessions',
+  PROGRAM: 'exercise_form_program'
 };
 
 const DB_NAME = 'ExerciseFormAdvisor';
@@ -336,9 +342,142 @@ class StorageService {
     return this.getAllWorkouts().find(w => w.id === workoutId);
   }
 
+  updateWorkout(workoutId, changes) {
+    const workouts = this.getAllWorkouts();
+    const index = workouts.findIndex(w => w.id === workoutId);
+    if (index === -1) return null;
+    workouts[index] = { ...workouts[index], ...changes };
+    localStorage.setItem(STORAGE_KEYS.WORKOUTS, JSON.stringify(workouts));
+    return workouts[index];
+  }
+
   deleteWorkout(workoutId) {
     const workouts = this.getAllWorkouts().filter(w => w.id !== workoutId);
     localStorage.setItem(STORAGE_KEYS.WORKOUTS, JSON.stringify(workouts));
+
+    // A deleted workout can't stay the reference for its exercise
+    Object.entries(this.getReferenceWorkouts()).forEach(([exerciseId, reference]) => {
+      if (reference.workoutId === workoutId) this.clearReferenceWorkout(exerciseId);
+    });
+
+    // ...or a set of its session
+    const sessions = this.getAllSessions();
+    if (sessions.some(session => session.sets.some(set => set.workoutId === workoutId))) {
+      localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions.map(session => ({
+        ...session,
+        sets: session.sets.filter(set => set.workoutId !== workoutId)
+      }))));
+    }
+  }
+
+  // Sessions: sets of one exercise recorded back to back, each set also saved as a workout (workout.sessionId)
+  saveSession(session) {
+    const sessions = this.getAllSessions();
+    const newSession = {
+      id: Date.now().toString(),
+      startedAt: new Date().toISOString(),
+      endedAt: null,
+      sets: [],
+      ...session
+    };
+    sessions.push(newSession);
+    localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+    return newSession;
+  }
+
+  getAllSessions() {
+    const data = localStorage.getItem(STORAGE_KEYS.SESSIONS);
+    return data ? JSON.parse(data) : [];
+  }
+
+  getSession(sessionId) {
+    return this.getAllSessions().find(s => s.id === sessionId);
+  }
+
+  updateSession(sessionId, changes) {
+    const sessions = this.getAllSessions();
+    const index = sessions.findIndex(s => s.id === sessionId);
+    if (index === -1) return null;
+    sessions[index] = { ...sessions[index], ...changes };
+    localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+    return sessions[index];
+  }
+
+  // Set entry: { workoutId, setNumber, weight, reps, score, completedAt, restSeconds (rest taken before it) }
+  addSessionSet(sessionId, set) {
+    const session = this.getSession(sessionId);
+    if (!session) return null;
+    return this.updateSession(sessionId, {
+      sets: [...session.sets, { setNumber: session.sets.length + 1, completedAt: new Date().toISOString(), ...set }]
+    });
+  }
+
+  deleteSession(sessionId) {
+    const sessions = this.getAllSessions().filter(s => s.id !== sessionId);
+    localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(sessions));
+  }
+
+  // Training program (one active plan with its log; see program.js)
+  getProgram() {
+    const data = localStorage.getItem(STORAGE_KEYS.PROGRAM);
+    return data ? JSON.parse(data) : null;
+  }
+
+  saveProgram(program) {
+    localStorage.setItem(STORAGE_KEYS.PROGRAM, JSON.stringify(program));
+    return program;
+  }
+
+  clearProgram() {
+    localStorage.removeItem(STORAGE_KEYS.PROGRAM);
+  }
+
+  // Reference workouts (one per exercise, with the baseline built from its frame data)
+  getReferenceWorkouts() {
+    const data = localStorage.getItem(STORAGE_KEYS.REFERENCE_WORKOUTS);
+    return data ? JSON.parse(data) : {};
+  }
+
+  getReferenceWorkout(exerciseId) {
+    return this.getReferenceWorkouts()[exerciseId] || null;
+  }
+
+  setReferenceWorkout(exerciseId, workoutId, baseline) {
+    const references = this.getReferenceWorkouts();
+    references[exerciseId] = { workoutId, baseline, setAt: new Date().toISOString() };
+    localStorage.setItem(STORAGE_KEYS.REFERENCE_WORKOUTS, JSON.stringify(references));
+    return references[exerciseId];
+  }
+
+  clearReferenceWorkout(exerciseId) {
+    const references = this.getReferenceWorkouts();
+    delete references[exerciseId];
+    localStorage.setItem(STORAGE_KEYS.REFERENCE_WORKOUTS, JSON.stringify(references));
+  }
+
+  // Audio coaching settings per exercise (defaults live in audioCoach.js)
+  getCoachingSettings(exerciseId) {
+    const data = localStorage.getItem(STORAGE_KEYS.COACHING_SETTINGS);
+    return (data ? JSON.parse(data) : {})[exerciseId] || null;
+  }
+
+  saveCoachingSettings(exerciseId, settings) {
+    const data = localStorage.getItem(STORAGE_KEYS.COACHING_SETTINGS);
+    const all = data ? JSON.parse(data) : {};
+    all[exerciseId] = settings;
+    localStorage.setItem(STORAGE_KEYS.COACHING_SETTINGS, JSON.stringify(all));
+    return settings;
+  }
+
+  // Hands-free recording settings (defaults live in handsFree.js)
+  getHandsFreeSettings() {
+    const data = localStorage.getItem(STORAGE_KEYS.HANDS_FREE_SETTINGS);
+    return data ? JSON.parse(data) : null;
+  }
+
+  saveHandsFreeSettings(settings) {
+    localStorage.setItem(STORAGE_KEYS.HANDS_FREE_SETTINGS, JSON.stringify(settings));
+    return settings;
   }
 
   // Exercise statistics
@@ -416,6 +555,34 @@ class StorageService {
     return profile;
   }
 
+  // Custom exercises (user-defined, rules only so they serialize)
+  getCustomExercises() {
+    const data = localStorage.getItem(STORAGE_KEYS.CUSTOM_EXERCISES);
+    return data ? JSON.parse(data) : [];
+  }
+
+  saveCustomExercise(exercise) {
+    const exercises = this.getCustomExercises();
+    const index = exercises.findIndex(e => e.id === exercise.id);
+    const saved = {
+      ...exercise,
+      custom: true,
+      updatedAt: new Date().toISOString()
+    };
+    if (index >= 0) {
+      exercises[index] = saved;
+    } else {
+      exercises.push({ createdAt: saved.updatedAt, ...saved });
+    }
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_EXERCISES, JSON.stringify(exercises));
+    return saved;
+  }
+
+  deleteCustomExercise(exerciseId) {
+    const exercises = this.getCustomExercises().filter(e => e.id !== exerciseId);
+    localStorage.setItem(STORAGE_KEYS.CUSTOM_EXERCISES, JSON.stringify(exercises));
+  }
+
   // Clear all data
   clearAllData() {
     Object.values(STORAGE_KEYS).forEach(key => {
@@ -429,6 +596,12 @@ class StorageService {
       workouts: this.getAllWorkouts(),
       stats: this.getAllExerciseStats(),
       profile: this.getUserProfile(),
+      customExercises: this.getCustomExercises(),
+      referenceWorkouts: this.getReferenceWorkouts(),
+      coachingSettings: JSON.parse(localStorage.getItem(STORAGE_KEYS.COACHING_SETTINGS) || '{}'),
+      handsFreeSettings: this.getHandsFreeSettings(),
+      sessions: this.getAllSessions(),
+      program: this.getProgram(),
       exportDate: new Date().toISOString()
     };
   }
@@ -444,6 +617,24 @@ class StorageService {
     if (data.profile) {
       localStorage.setItem(STORAGE_KEYS.USER_PROFILE, JSON.stringify(data.profile));
     }
+    if (data.customExercises) {
+      localStorage.setItem(STORAGE_KEYS.CUSTOM_EXERCISES, JSON.stringify(data.customExercises));
+    }
+    if (data.referenceWorkouts) {
+      localStorage.setItem(STORAGE_KEYS.REFERENCE_WORKOUTS, JSON.stringify(data.referenceWorkouts));
+    }
+    if (data.coachingSettings) {
+      localStorage.setItem(STORAGE_KEYS.COACHING_SETTINGS, JSON.stringify(data.coachingSettings));
+    }
+    if (data.handsFreeSettings) {
+      localStorage.setItem(STORAGE_KEYS.HANDS_FREE_SETTINGS, JSON.stringify(data.handsFreeSettings));
+    }
+    if (data.sessions) {
+      localStorage.setItem(STORAGE_KEYS.SESSIONS, JSON.stringify(data.sessions));
+    }
+    if (data.program) {
+      localStorage.setItem(STORAGE_KEYS.PROGRAM, JSON.stringify(data.program));
+    }
   }
 }
 
@@ -0,0 +1,176 @@
+// Strength Analytics Service - Estimated 1RM and load-velocity profiles from workout history
+// Rep-based maxes come from the weight and reps of each set; velocity-based maxes extrapolate the
+// lifter's load-velocity line to the exercise's minimum velocity threshold.
+
+import storageService from './storage';
+import velocityService from './velocity';
+import { round1, round3 } from '../utils/math';
+
+// Rep formulas lose accuracy past this many reps
+const MAX_FORMULA_REPS = 12;
+
+// Sets within this many days of the latest one describe current strength
+const RECENT_DAYS = 28;
+const PROFILE_DAYS = 90;
+
+// A load-velocity line needs this many distinct loads to be trusted
+const MIN_PROFILE_LOADS = 2;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Least-squares line through [{ x, y }]; null for fewer than two distinct x values
+ */
+const fitLine = (points) => {
+  const n = points.length;
+  if (n < 2) return null;
+  const meanX = points.reduce((sum, p) => sum + p.x, 0) / n;
+  const meanY = points.reduce((sum, p) => sum + p.y, 0) / n;
+  const variance = points.reduce((sum, p) => sum + (p.x - meanX) ** 2, 0);
+  if (variance === 0) return null;
+
+  const slope = points.reduce((sum, p) => sum + (p.x - meanX) * (p.y - meanY), 0) / variance;
+  const intercept = meanY - slope * meanX;
+  const total = points.reduce((sum, p) => sum + (p.y - meanY) ** 2, 0);
+  const residual = points.reduce((sum, p) => sum + (p.y - (intercept + slope * p.x)) ** 2, 0);
+  return { slope, intercept, r2: total > 0 ? 1 - residual / total : 1 };
+};
+
+class StrengthAnalyticsService {
+  /**
+   * Estimated 1RM from one set: { epley, brzycki, estimate } (their mean) or null when the set
+   * has no load or too many reps for the formulas
+   */
+  estimateFromReps(weight, reps) {
+    if (!(weight > 0) || !(reps > 0) || reps > MAX_FORMULA_REPS) return null;
+    if (reps === 1) return { epley: weight, brzycki: weight, estimate: weight };
+
+    const epley = weight * (1 + reps / 30);
+    const brzycki = (weight * 36) / (37 - reps);
+    return { epley: round1(epley), brzycki: round1(brzycki), estimate: round1((epley + brzycki) / 2) };
+  }
+
+  /**
+   * Strength profile for an exercise from its workout history
+   * Returns { exerciseId, sessions, repOneRepMax, loadVelocity, velocityOneRepMax, predictedMax,
+   * trend } or null when no set has a load
+   *   sessions: [{ workoutId, timestamp, weight, reps, estimatedMax, velocity, units }] oldest first
+   *   loadVelocity: { units, slope, intercept, r2, minimumVelocity, points } or null
+   *   trend: { perWeek, points: [{ timestamp, estimatedMax, trend }] } or null
+   */
+  buildProfile(exerciseId, workouts = storageService.getWorkoutsByExercise(exerciseId)) {
+    const sessions = workouts
+      .filter(w => w.weight > 0 && w.reps > 0)
+      .map(w => ({
+        workoutId: w.id,
+        timestamp: w.timestamp,
+        weight: w.weight,
+        reps: w.reps,
+        estimatedMax: this.estimateFromReps(w.weight, w.reps)?.estimate ?? null,
+        velocity: w.velocity?.fastestVelocity ?? null,
+        units: w.velocity?.units ?? null
+      }))
+      .sort((a, b) => new Date(a.timestamp) - new Date(b.timestamp));
+    if (sessions.length === 0) return null;
+
+    const latest = new Date(sessions[sessions.length - 1].timestamp).getTime();
+    const within = (days) => sessions.filter(s => latest - new Date(s.timestamp).getTime() <= days * DAY_MS);
+
+    const recentMaxes = within(RECENT_DAYS).map(s => s.estimatedMax).filter(Number.isFinite);
+    const repOneRepMax = recentMaxes.length ? Math.max(...recentMaxes) : null;
+
+    const loadVelocity = this.fitLoadVelocity(exerciseId, within(PROFILE_DAYS));
+    const velocityOneRepMax = this.velocityOneRepMax(loadVelocity, sessions);
+
+    const maxes = [repOneRepMax, velocityOneRepMax].filter(Number.isFinite);
+    return {
+      exerciseId,
+      sessions,
+      repOneRepMax,
+      loadVelocity,
+      velocityOneRepMax,
+      predictedMax: maxes.length ? round1(maxes.reduce((sum, v) => sum + v, 0) / maxes.length) : null,
+      trend: this.fitTrend(sessions)
+    };
+  }
+
+  /**
+   * Velocity of the fastest rep against load. Sets in m/s are preferred; body lengths/s only when
+   * no set has m/s (the two can't share a line).
+   */
+  fitLoadVelocity(exerciseId, sessions) {
+    const withVelocity = sessions.filter(s => Number.isFinite(s.velocity) && s.velocity > 0);
+    const units = withVelocity.some(s => s.units === 'm/s') ? 'm/s' : withVelocity[0]?.units;
+    const points = withVelocity.filter(s => s.units === units).map(s => ({ x: s.weight, y: s.velocity }));
+    if (new Set(points.map(p => p.x)).size < MIN_PROFILE_LOADS) return null;
+
+    const line = fitLine(points);
+    if (!line || line.slope >= 0) return null;
+
+    return {
+      units,
+      slope: line.slope,
+      intercept: line.intercept,
+      r2: round3(line.r2),
+      minimumVelocity: units === 'm/s' ? velocityService.getMinimumVelocity(exerciseId) : null,
+      points: points.map(p => ({ weight: p.x, velocity: p.y }))
+    };
+  }
+
+  /**
+   * Load at which the load-velocity line reaches the minimum velocity threshold (m/s only); null
+   * when it falls below the heaviest load already lifted, which means the line isn't reliable
+   */
+  velocityOneRepMax(loadVelocity, sessions) {
+    if (!loadVelocity?.minimumVelocity) return null;
+    const load = (loadVelocity.minimumVelocity - loadVelocity.intercept) / loadVelocity.slope;
+    const heaviest = Math.max(...sessions.map(s => s.weight));
+    return Number.isFinite(load) && load >= heaviest ? round1(load) : null;
+  }
+
+  /**
+   * Estimated max over time with a least-squares trend line; perWeek is the slope per 7 days
+   */
+  fitTrend(sessions) {
+    const points = sessions.filter(s => Number.isFinite(s.estimatedMax));
+    if (points.length === 0) return null;
+
+    const start = new Date(points[0].timestamp).getTime();
+    const days = (s) => (new Date(s.timestamp).getTime() - start) / DAY_MS;
+    const line = fitLine(points.map(s => ({ x: days(s), y: s.estimatedMax })));
+
+    return {
+      perWeek: line ? round1(line.slope * 7) : null,
+      points: points.map(s => ({
+        timestamp: s.timestamp,
+        estimatedMax: s.estimatedMax,
+        trend: line ? round1(line.intercept + line.slope * days(s)) : null
+      }))
+    };
+  }
+
+  /**
+   * Fill in `velocity` for older workouts of an exercise from their stored frame data
+   * Workouts that can't be measured get `velocity: null` so they're only tried once.
+   * Returns the number of workouts updated.
+   */
+  async deriveMissingVelocities(exerciseId) {
+    const pending = storageService.getWorkoutsByExercise(exerciseId)
+      .filter(w => !('velocity' in w) && w.repRanges?.length > 0);
+    const heightCm = storageService.getUserProfile().heightCm;
+
+    let updated = 0;
+    for (const workout of pending) {
+      const frameData = await storageService.getWorkoutFrameData(workout.id);
+      const velocity = frameData?.frames
+        ? velocityService.analyzeSet(exerciseId, frameData.frames, workout.repRanges, { heightCm })
+        : null;
+      storageService.updateWorkout(workout.id, { velocity });
+      if (velocity) updated++;
+    }
+    return updated;
+  }
+}
+
+const strengthAnalyticsService = new StrengthAnalyticsService();
+export default strengthAnalyticsService;
@@ -0,0 +1,220 @@
+// Temporal Validation Service - Judges form checks per rep and phase instead of per frame
+// Runs after rep counting: frames get a phase, are re-validated with it, and errors are attributed to reps
+
+import repCountingService from './repCounting';
+import viewFusionService from './viewFusion';
+
+/**
+ * Check options (on an exercise's validationCheck):
+ *   temporal: {
+ *     phase: 'bottom' | ['descent', 'ascent'],  only judge frames in these phases
+ *     minDurationMs: 300,                        must hold continuously at least this long
+ *     coverage: 1                                fraction of the judged frames that must fire (default: any)
+ *   }
+ * Checks without `temporal` flag a rep when they fire on a severity-dependent share of its frames.
+ */
+
+// Share of a rep's frames a plain (non-temporal) check must fire on - critical errors need less evidence
+const SEVERITY_FREQUENCY_THRESHOLDS = {
+  critical: 0.15,
+  high: 0.20,
+  medium: 0.25,
+  low: 0.30
+};
+
+const SEVERITY_ORDER = { critical: 4, high: 3, medium: 2, low: 1 };
+
+class TemporalValidationService {
+  /**
+   * Attach phase/rep labels to frames and re-run validation with the phase as context
+   * frames: analyzed frames ({ time, landmarks, worldLandmarks, errors, ...metrics }), repAnalysis from countReps
+   * options.dimension: '3d' judges 3D-capable checks on world-space angles
+   * Returns new frame objects with `phase`, `repIndex` and phase-aware `errors`
+   */
+  revalidateFrames(exercise, frames, repAnalysis, options = {}) {
+    const { phases, repIndices } = repCountingService.annotatePhases(frames, repAnalysis, exercise.id);
+
+    return frames.map((frame, i) => {
+      const phase = phases[i];
+      // Fused front/side frames judge each check on its own view
+      const errors = frame.landmarks
+        ? viewFusionService.validateFrame(exercise, frame, { phase, dimension: options.dimension })
+        : [];
+
+      return { ...frame, phase, repIndex: repIndices[i], errors };
+    });
+  }
+
+  /**
+   * Aggregate frame errors into session errors
+   * With reps: an error is reported when it flags at least one rep; `frequency` is the share of reps
+   * Without reps: falls back to the share of frames, using the same severity thresholds
+   */
+  aggregateErrors(exercise, frames, repRanges = []) {
+    if (frames.length === 0) return [];
+
+    const errors = repRanges.length > 0
+      ? this.aggregateByRep(exercise, frames, repRanges)
+      : this.aggregateByFrame(frames);
+
+    return errors.sort((a, b) => (SEVERITY_ORDER[b.severity] || 0) - (SEVERITY_ORDER[a.severity] || 0));
+  }
+
+  aggregateByRep(exercise, frames, repRanges) {
+    const frameInterval = this.estimateFrameInterval(frames);
+    const results = [];
+
+    (exercise.validationChecks || []).forEach(check => {
+      const repDetails = repRanges
+        .map((rep, repIndex) => {
+          const repFrames = [];
+          frames.forEach((frame, index) => {
+            if (frame.repIndex === repIndex) repFrames.push({ frame, index });
+          });
+          return this.evaluateRep(check, repFrames, repIndex, frameInterval);
+        })
+        .filter(Boolean);
+
+      if (repDetails.length === 0) return;
+
+      const firingFrames = frames.filter(f => f.errors?.some(e => e.id === check.id));
+      const sample = firingFrames[0]?.errors.find(e => e.id === check.id);
+
+      results.push({
+        id: check.id,
+        name: check.name,
+        severity: check.severity,
+        description: check.description,
+        correction: check.correction,
+        affectedJoints: check.affectedJoints || [],
+        count: firingFrames.length,
+        frames: firingFrames.map(f => f.time),
+        frequency: repDetails.length / repRanges.length,
+        reps: repDetails.map(d => d.repNumber),
+        phases: [...new Set(repDetails.map(d => d.phase))],
+        repDetails,
+        ...(sample?.explanation ? { explanation: sample.explanation } : {})
+      });
+    });
+
+    return results;
+  }
+
+  /**
+   * Invert aggregated errors into one list per rep: [{ id, name, severity, phase, startTime, endTime, durationMs }]
+   */
+  errorsByRep(errors, repCount) {
+    const byRep = Array.from({ length: repCount }, () => []);
+    errors.forEach(error => {
+      (error.repDetails || []).forEach(detail => {
+        if (!byRep[detail.repIndex]) return;
+        byRep[detail.repIndex].push({
+          id: error.id,
+          name: error.name,
+          severity: error.severity,
+          phase: detail.phase,
+          startTime: detail.startTime,
+          endTime: detail.endTime,
+          durationMs: detail.durationMs
+        });
+      });
+    });
+    return byRep;
+  }
+
+  /**
+   * Decide whether one check flags one rep; returns the attribution or null
+   */
+  evaluateRep(check, repFrames, repIndex, frameInterval) {
+    const temporal = check.temporal || null;
+    const phases = temporal?.phase ? [].concat(temporal.phase) : null;
+    const judged = phases ? repFrames.filter(({ frame }) => phases.includes(frame.phase)) : repFrames;
+    if (judged.length === 0) return null;
+
+    const fires = judged.map(({ frame }) => !!frame.errors?.some(e => e.id === check.id));
+    const firedCount = fires.filter(Boolean).length;
+    if (firedCount === 0) return null;
+
+    const coverage = firedCount / judged.length;
+    const requiredCoverage = temporal
+      ? (temporal.coverage ?? 0)
+      : (SEVERITY_FREQUENCY_THRESHOLDS[check.severity] ?? SEVERITY_FREQUENCY_THRESHOLDS.low);
+    if (coverage < requiredCoverage) return null;
+
+    // Longest run of consecutive firing frames
+    let best = null;
+    let runStart = null;
+    judged.forEach((entry, i) => {
+      const continues = fires[i] && runStart !== null && entry.index === judged[i - 1].index + 1;
+      if (fires[i] && !continues) runStart = i;
+      if (!fires[i]) {
+        runStart = null;
+        return;
+      }
+      const durationMs = (judged[i].frame.time - judged[runStart].frame.time + frameInterval) * 1000;
+      if (!best || durationMs > best.durationMs) {
+        best = { start: runStart, end: i, durationMs };
+      }
+    });
+
+    if (temporal?.minDurationMs && best.durationMs < temporal.minDurationMs) return null;
+
+    // Phase where the error showed most
+    const phaseCounts = {};
+    judged.forEach(({ frame }, i) => {
+      if (fires[i]) phaseCounts[frame.phase] = (phaseCounts[frame.phase] || 0) + 1;
+    });
+    const phase = Object.entries(phaseCounts).sort((a, b) => b[1] - a[1])[0][0];
+
+    return {
+      repIndex,
+      repNumber: repIndex + 1,
+      phase,
+      coverage: Math.round(coverage * 100) / 100,
+      durationMs: Math.round(best.durationMs),
+      startTime: judged[best.start].frame.time,
+      endTime: judged[best.end].frame.time
+    };
+  }
+
+  /**
+   * Session-wide frame frequency (the pre-rep-attribution behaviour), for when no reps were found
+   */
+  aggregateByFrame(frames) {
+    const errorCounts = {};
+    frames.forEach(frame => {
+      (frame?.errors || []).forEach(error => {
+        if (!errorCounts[error.id]) {
+          errorCounts[error.id] = { ...error, count: 0, frames: [] };
+        }
+        errorCounts[error.id].count++;
+        errorCounts[error.id].frames.push(frame.time);
+      });
+    });
+
+    return Object.values(errorCounts)
+      .map(err => ({
+        ...err,
+        frequency: err.count / frames.length,
+        thresholdFrequency: SEVERITY_FREQUENCY_THRESHOLDS[err.severity] ?? SEVERITY_FREQUENCY_THRESHOLDS.low
+      }))
+      .filter(err => err.frequency >= err.thresholdFrequency);
+  }
+
+  /**
+   * Median time between frames in seconds (a single firing frame still lasts one interval)
+   */
+  estimateFrameInterval(frames) {
+    const deltas = [];
+    for (let i = 1; i < frames.length; i++) {
+      const dt = frames[i].time - frames[i - 1].time;
+      if (dt > 0) deltas.push(dt);
+    }
+    if (deltas.length === 0) return 0;
+    deltas.sort((a, b) => a - b);
+    return deltas[Math.floor(deltas.length / 2)];
+  }
+}
+
+const temporalValidationService = new TemporalValidationService();
+export default temporalValidationService;
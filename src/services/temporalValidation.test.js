@@ -0,0 +1,69 @@
+import temporalValidationService from './temporalValidation';
+
+const exercise = {
+  id: 'test_lift',
+  validationChecks: [
+    { id: 'shallow', name: 'Shallow', severity: 'medium', temporal: { phase: 'bottom', coverage: 1 } },
+    { id: 'lean', name: 'Lean', severity: 'medium', temporal: { minDurationMs: 300 } },
+    { id: 'valgus', name: 'Valgus', severity: 'high' }
+  ]
+};
+
+const REP_PHASES = ['descent', 'descent', 'descent', 'bottom', 'bottom', 'ascent', 'ascent', 'ascent', 'top', 'top'];
+
+/**
+ * Two reps at 10fps; firing: { repIndex: { checkId: [frame offsets within the rep] } }
+ */
+const buildFrames = (firing) => {
+  const frames = [];
+  [0, 1].forEach(repIndex => {
+    REP_PHASES.forEach((phase, offset) => {
+      const errors = Object.entries(firing[repIndex] || {})
+        .filter(([, offsets]) => offsets.includes(offset))
+        .map(([id]) => ({ id, name: id, severity: exercise.validationChecks.find(c => c.id === id).severity }));
+      frames.push({ time: (repIndex * REP_PHASES.length + offset) / 10, phase, repIndex, errors });
+    });
+  });
+  return frames;
+};
+
+const repRanges = [{ startIndex: 0, endIndex: 9 }, { startIndex: 10, endIndex: 19 }];
+
+describe('temporalValidationService.aggregateErrors', () => {
+  it('only flags a phase-restricted check on reps where it covers the whole phase', () => {
+    const frames = buildFrames({ 0: { shallow: [3, 4] }, 1: { shallow: [4] } });
+    const [error] = temporalValidationService.aggregateErrors(exercise, frames, repRanges);
+
+    expect(error).toMatchObject({ id: 'shallow', reps: [1], phases: ['bottom'], frequency: 0.5, count: 3 });
+  });
+
+  it('requires a minimum continuous duration when the check asks for one', () => {
+    const frames = buildFrames({ 0: { lean: [1, 2] }, 1: { lean: [4, 5, 6, 7] } });
+    const [error] = temporalValidationService.aggregateErrors(exercise, frames, repRanges);
+
+    expect(error.reps).toEqual([2]);
+    expect(error.repDetails).toEqual([
+      expect.objectContaining({ repIndex: 1, durationMs: 400, startTime: 1.4, endTime: 1.7 })
+    ]);
+  });
+
+  it('flags plain checks on a severity-dependent share of the rep and sorts by severity', () => {
+    const frames = buildFrames({
+      0: { valgus: [0], shallow: [3, 4] },
+      1: { valgus: [2, 3, 4], shallow: [3, 4] }
+    });
+    const errors = temporalValidationService.aggregateErrors(exercise, frames, repRanges);
+
+    expect(errors.map(e => e.id)).toEqual(['valgus', 'shallow']);
+    expect(errors[0].reps).toEqual([2]);
+    expect(errors[1].reps).toEqual([1, 2]);
+  });
+
+  it('falls back to the share of frames when no reps were counted', () => {
+    const frames = buildFrames({ 0: { valgus: [0, 1, 2, 3, 4] }, 1: { lean: [0] } });
+    const errors = temporalValidationService.aggregateErrors(exercise, frames, []);
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ id: 'valgus', count: 5, frequency: 0.25 });
+  });
+});
@@ -0,0 +1,222 @@
+// Velocity Service - Velocity-based training metrics from the bar path
+// The bar is the tracked end cap when the lifter marked one, else a landmark riding with it (shoulders for
+// squats and pull-ups, wrists for pulls and presses); speeds are in m/s once the lifter's height is known,
+// else body lengths/s.
+
+import calibrationService from './calibration';
+import { median, round1, round2 } from '../utils/math';
+
+// Landmarks that move with the bar (named as in calibrationService.toNamed, averaged); custom exercises use the wrists
+const BAR_LANDMARKS = {
+  shoulders: ['leftShoulder', 'rightShoulder'],
+  wrists: ['leftWrist', 'rightWrist']
+};
+const BAR_SOURCES = {
+  squat: 'shoulders',
+  deadlift: 'wrists',
+  overhead_press: 'wrists',
+  bench_press: 'wrists',
+  pull_up: 'shoulders'
+};
+const DEFAULT_BAR_SOURCE = 'wrists';
+const MIN_VISIBILITY = 0.5;
+
+// Shoulder-to-ankle length as a share of standing height (Winter: shoulder 0.818 H, ankle 0.039 H)
+const SHOULDER_TO_ANKLE_HEIGHT = 0.779;
+
+// Mean concentric velocity of the last rep before failure (m/s), from VBT literature
+const MINIMUM_VELOCITY_THRESHOLD = {
+  squat: 0.3,
+  deadlift: 0.15,
+  overhead_press: 0.2,
+  bench_press: 0.17,
+  pull_up: 0.2
+};
+const DEFAULT_MINIMUM_VELOCITY = 0.25;
+
+// Without m/s, failure is taken as this much slower than the set's fastest rep
+const FAILURE_VELOCITY_LOSS = 0.6;
+
+// Concentrics shorter than this (share of body length) are tracking noise, not a rep
+const MIN_DISPLACEMENT = 0.05;
+
+const MAX_ESTIMATED_RIR = 10;
+
+class VelocityService {
+  /**
+   * Velocity metrics for a set
+   * frames: phase-annotated frames ({ time, landmarks, repIndex, barPosition? }); repRanges from countReps
+   * options.heightCm: the lifter's height (userProfile.heightCm) - converts speeds to m/s
+   * Returns { units, reps: [{ repNumber, meanVelocity, peakVelocity, displacement, concentricMs }],
+   * fastestVelocity, lastVelocity, meanVelocity, velocityLoss (%), estimatedRIR, minimumVelocity, summary }
+   * or null when no rep has a measurable concentric
+   */
+  analyzeSet(exerciseId, frames, repRanges, options = {}) {
+    const scale = this.getScale(frames, options.heightCm);
+    if (!scale) return null;
+
+    const reps = repRanges
+      .map((repRange, repIndex) => {
+        const repFrames = frames.filter(frame =>
+          frame.landmarks &&
+          (frame.repIndex === repIndex ||
+            (frame.repIndex === undefined && frame.time >= repRange.startTime && frame.time <= repRange.endTime))
+        );
+        const rep = this.measureConcentric(exerciseId, repFrames, scale.unitsPerLength, scale.bodyLength);
+        return rep ? { repNumber: repIndex + 1, ...rep } : null;
+      })
+      .filter(Boolean);
+    if (reps.length === 0) return null;
+
+    const velocities = reps.map(rep => rep.meanVelocity);
+    const fastestVelocity = Math.max(...velocities);
+    const lastVelocity = velocities[velocities.length - 1];
+    const minimumVelocity = scale.units === 'm/s'
+      ? this.getMinimumVelocity(exerciseId)
+      : round2(fastestVelocity * (1 - FAILURE_VELOCITY_LOSS));
+
+    const result = {
+      units: scale.units,
+      reps,
+      fastestVelocity,
+      lastVelocity,
+      meanVelocity: round2(velocities.reduce((sum, v) => sum + v, 0) / velocities.length),
+      velocityLoss: fastestVelocity > 0 ? round1(((fastestVelocity - lastVelocity) / fastestVelocity) * 100) : 0,
+      estimatedRIR: this.estimateRepsInReserve(velocities, minimumVelocity),
+      minimumVelocity
+    };
+    return { ...result, summary: this.summarize(result) };
+  }
+
+  /**
+   * Mean concentric velocity (m/s) of the last rep before failure for an exercise
+   */
+  getMinimumVelocity(exerciseId) {
+    return MINIMUM_VELOCITY_THRESHOLD[exerciseId] ?? DEFAULT_MINIMUM_VELOCITY;
+  }
+
+  /**
+   * Image units to output units: the set's median shoulder-to-ankle length stands for
+   * SHOULDER_TO_ANKLE_HEIGHT of the lifter's height, or for one body length without a height
+   * Lengths are in image heights (frame.aspectRatio), so the scale holds for sideways bar drift too
+   */
+  getScale(frames, heightCm) {
+    const bodyLength = median(
+      frames
+        .map(frame => frame.landmarks && calibrationService.getFrameSegments(
+          calibrationService.toImageUnits(calibrationService.toNamed(frame.landmarks), frame.aspectRatio)
+        )?.body)
+        .filter(length => Number.isFinite(length) && length > 0)
+    );
+    if (!bodyLength) return null;
+
+    return heightCm > 0
+      ? { units: 'm/s', bodyLength, unitsPerLength: ((heightCm / 100) * SHOULDER_TO_ANKLE_HEIGHT) / bodyLength }
+      : { units: 'body/s', bodyLength, unitsPerLength: 1 / bodyLength };
+  }
+
+  /**
+   * Bar position in one frame: the tracked end cap (frame.barPosition) when the set was tracked - null
+   * where tracking lost it - else the exercise's bar landmarks
+   */
+  getFrameBarPoint(exerciseId, frame) {
+    if (frame?.barPosition !== undefined) return frame.barPosition;
+    return this.getBarPoint(exerciseId, frame?.landmarks);
+  }
+
+  /**
+   * Bar position ({ x, y } in image coordinates, y down) from the exercise's bar landmarks, or null
+   */
+  getBarPoint(exerciseId, landmarks) {
+    return this.getNamedBarPoint(exerciseId, calibrationService.toNamed(landmarks));
+  }
+
+  /**
+   * getBarPoint for named landmarks (poseAnalysisService.getNamedLandmarks)
+   */
+  getNamedBarPoint(exerciseId, named) {
+    const points = BAR_LANDMARKS[this.getBarSource(exerciseId)]
+      .map(name => named?.[name])
+      .filter(p => p && Number.isFinite(p.x) && Number.isFinite(p.y) && (p.visibility ?? 1) >= MIN_VISIBILITY);
+    if (points.length === 0) return null;
+    return {
+      x: points.reduce((sum, p) => sum + p.x, 0) / points.length,
+      y: points.reduce((sum, p) => sum + p.y, 0) / points.length
+    };
+  }
+
+  /**
+   * Which landmarks stand in for the bar: 'shoulders' or 'wrists'
+   */
+  getBarSource(exerciseId) {
+    return BAR_SOURCES[exerciseId] || DEFAULT_BAR_SOURCE;
+  }
+
+  /**
+   * Concentric of one rep: from the bar's lowest point to its highest point after that
+   * Mean velocity is displacement over time; peak is the fastest central-difference speed
+   */
+  measureConcentric(exerciseId, frames, unitsPerLength, bodyLength) {
+    const path = frames
+      .map(frame => ({ time: frame.time, y: this.getFrameBarPoint(exerciseId, frame)?.y ?? null }))
+      .filter(point => point.y !== null);
+    if (path.length < 3) return null;
+
+    const lowest = path.reduce((best, point, i) => (point.y > path[best].y ? i : best), 0);
+    let highest = lowest;
+    for (let i = lowest + 1; i < path.length; i++) {
+      if (path[i].y < path[highest].y) highest = i;
+    }
+
+    const displacement = path[lowest].y - path[highest].y;
+    const duration = path[highest].time - path[lowest].time;
+    if (duration <= 0 || displacement < MIN_DISPLACEMENT * bodyLength) return null;
+
+    let peak = 0;
+    for (let i = Math.max(1, lowest); i <= Math.min(highest, path.length - 2); i++) {
+      const dt = path[i + 1].time - path[i - 1].time;
+      if (dt > 0) peak = Math.max(peak, (path[i - 1].y - path[i + 1].y) / dt);
+    }
+
+    const meanVelocity = displacement / duration;
+    return {
+      meanVelocity: round2(meanVelocity * unitsPerLength),
+      peakVelocity: round2(Math.max(peak, meanVelocity) * unitsPerLength),
+      displacement: round2(displacement * unitsPerLength),
+      concentricMs: Math.round(duration * 1000)
+    };
+  }
+
+  /**
+   * Reps left before the mean velocity reaches the failure threshold, extrapolating the set's
+   * rep-to-rep slowdown from its fastest rep; null when the set didn't slow down
+   */
+  estimateRepsInReserve(velocities, minimumVelocity) {
+    const last = velocities[velocities.length - 1];
+    if (last <= minimumVelocity) return 0;
+
+    const fastest = velocities.indexOf(Math.max(...velocities));
+    const points = velocities.slice(fastest);
+    if (points.length < 2) return null;
+
+    // Least-squares slope of velocity per rep
+    const n = points.length;
+    const meanX = (n - 1) / 2;
+    const meanY = points.reduce((sum, v) => sum + v, 0) / n;
+    const covariance = points.reduce((sum, v, x) => sum + (x - meanX) * (v - meanY), 0);
+    const variance = points.reduce((sum, _, x) => sum + (x - meanX) ** 2, 0);
+    const slope = covariance / variance;
+    if (slope >= 0) return null;
+
+    return Math.min(MAX_ESTIMATED_RIR, Math.floor((last - minimumVelocity) / -slope));
+  }
+
+  summarize({ units, fastestVelocity, velocityLoss, estimatedRIR }) {
+    const unit = units === 'm/s' ? 'm/s' : 'body lengths/s';
+    const reserve = estimatedRIR === null ? '' : ` - about ${estimatedRIR} rep${estimatedRIR !== 1 ? 's' : ''} in reserve`;
+    return `Fastest rep ${fastestVelocity} ${unit}, ${velocityLoss}% velocity loss by the last rep${reserve}`;
+  }
+}
+
+const velocityService = new VelocityService();
+export default velocityService;
@@ -0,0 +1,119 @@
+import velocityService from './velocity';
+import { DEFAULT_PROPORTIONS } from './calibration';
+
+const FPS = 20;
+const point = (x, y) => ({ x, y, z: 0, visibility: 1 });
+
+// Standing body with arms held out level, in image-height units: shoulder to ankle 0.4 with default proportions
+const length = (segment) => 0.4 * DEFAULT_PROPORTIONS[segment];
+const SHOULDER_Y = 0.5;
+const HIP_Y = SHOULDER_Y + length('torso');
+const KNEE_Y = HIP_Y + length('femur');
+const BODY = {
+  11: [0.24, SHOULDER_Y], 12: [0.32, SHOULDER_Y],
+  13: [0.24 - length('upperArm'), SHOULDER_Y], 14: [0.32 + length('upperArm'), SHOULDER_Y],
+  15: [0.24 - length('upperArm') - length('forearm'), SHOULDER_Y],
+  16: [0.32 + length('upperArm') + length('forearm'), SHOULDER_Y],
+  23: [0.25, HIP_Y], 24: [0.31, HIP_Y],
+  25: [0.25, KNEE_Y], 26: [0.31, KNEE_Y],
+  27: [0.25, KNEE_Y + length('shin')], 28: [0.31, KNEE_Y + length('shin')]
+};
+
+/**
+ * The body lowered by drop, as MediaPipe reports it for a frame of the given aspect ratio (width / height)
+ */
+const pose = (drop, aspectRatio = 1) => {
+  const landmarks = Array.from({ length: 33 }, () => point(0.2, 0.4));
+  Object.entries(BODY).forEach(([index, [x, y]]) => { landmarks[index] = point(x / aspectRatio, y + drop); });
+  return landmarks;
+};
+
+/**
+ * Reps that sink a quarter body length over a second and stand back up in concentricSeconds[rep]
+ */
+const buildSet = (concentricSeconds, aspectRatio = 1) => {
+  const frames = [];
+  const repRanges = [];
+  let time = 0;
+  concentricSeconds.forEach((concentric, repIndex) => {
+    const startTime = time;
+    const total = 1 + concentric;
+    for (let t = 0; t <= total + 1e-9; t += 1 / FPS) {
+      const drop = t <= 1 ? 0.1 * t : 0.1 * (1 - (t - 1) / concentric);
+      frames.push({ time: time + t, landmarks: pose(drop, aspectRatio), aspectRatio, repIndex });
+    }
+    time += total + 1 / FPS;
+    repRanges.push({ startTime, endTime: time - 1 / FPS });
+  });
+  return { frames, repRanges };
+};
+
+describe('velocityService.analyzeSet', () => {
+  const { frames, repRanges } = buildSet([0.5, 0.6, 0.75]);
+
+  it('reports concentric speed in body lengths per second without a height', () => {
+    const result = velocityService.analyzeSet('squat', frames, repRanges);
+
+    expect(result.units).toBe('body/s');
+    expect(result.reps.map(rep => rep.concentricMs)).toEqual([500, 600, 750]);
+    // A quarter body length in half a second
+    expect(result.fastestVelocity).toBeCloseTo(0.5, 1);
+    expect(result.reps[0].displacement).toBeCloseTo(0.25, 1);
+    expect(result.velocityLoss).toBeCloseTo(33, -1);
+    expect(result.summary).toMatch(/body lengths\/s/);
+  });
+
+  it('converts to m/s and estimates reps in reserve from the slowdown once the height is known', () => {
+    const result = velocityService.analyzeSet('squat', frames, repRanges, { heightCm: 180 });
+
+    expect(result.units).toBe('m/s');
+    // 1/3 body length/s, a body length being 0.779 of 1.8m
+    expect(result.reps[2].meanVelocity).toBeCloseTo(0.47, 1);
+    expect(result.minimumVelocity).toBe(0.3);
+    // Losing about 0.12 m/s a rep, the next rep is the last above the squat's 0.3 m/s
+    expect(result.estimatedRIR).toBe(1);
+  });
+
+  it('returns null when the bar never travels far enough', () => {
+    const still = frames.map(frame => ({ ...frame, landmarks: pose(0) }));
+
+    expect(velocityService.analyzeSet('squat', still, repRanges)).toBeNull();
+  });
+});
+
+describe('velocityService on non-square video', () => {
+  const sets = {
+    landscape: buildSet([0.5, 0.6], 16 / 9),
+    portrait: buildSet([0.5, 0.6], 9 / 16)
+  };
+
+  it('measures the same body length on landscape and portrait frames', () => {
+    const landscape = velocityService.getScale(sets.landscape.frames);
+    const portrait = velocityService.getScale(sets.portrait.frames);
+
+    expect(landscape.bodyLength).toBeCloseTo(0.4, 2);
+    expect(portrait.bodyLength).toBeCloseTo(landscape.bodyLength, 6);
+
+    // Read as widths, the outstretched arms would make the portrait lifter look bigger
+    const unscaled = sets.portrait.frames.map(frame => ({ ...frame, aspectRatio: undefined }));
+    expect(velocityService.getScale(unscaled).bodyLength).toBeGreaterThan(0.5);
+  });
+
+  it('measures the same concentric on landscape and portrait frames', () => {
+    const measure = ({ frames }) => {
+      const { unitsPerLength, bodyLength } = velocityService.getScale(frames, 180);
+      return velocityService.measureConcentric('squat', frames.filter(frame => frame.repIndex === 0), unitsPerLength, bodyLength);
+    };
+
+    expect(measure(sets.portrait)).toEqual(measure(sets.landscape));
+    expect(measure(sets.landscape).concentricMs).toBe(500);
+  });
+});
+
+describe('velocityService.estimateRepsInReserve', () => {
+  it('extrapolates the per-rep slowdown to the failure velocity', () => {
+    expect(velocityService.estimateRepsInReserve([1, 0.75, 0.5], 0)).toBe(2);
+    expect(velocityService.estimateRepsInReserve([0.5, 0.3], 0.3)).toBe(0);
+    expect(velocityService.estimateRepsInReserve([0.6, 0.6, 0.7], 0.3)).toBeNull();
+  });
+});
@@ -0,0 +1,283 @@
+// View Fusion Service - Combines a frontal and a side recording of the same set into one analysis
+// Recordings are aligned in time on the rep signal, then every validation check is judged on the view
+// that can actually see it (check.view: 'front' | 'side')
+
+import poseAnalysisService from './poseAnalysis';
+import repCountingService from './repCounting';
+import adaptiveAnalysisService from './adaptiveAnalysis';
+
+// Resampling step and search window for the time alignment (seconds)
+const ALIGNMENT_STEP = 0.05;
+const MAX_ALIGNMENT_OFFSET = 5;
+
+// Correlation below this means the rep signals don't match well enough to trust the offset
+const MIN_ALIGNMENT_CORRELATION = 0.5;
+
+// Side views keep motion in the image plane (2D holds); front views need world-space angles
+const VIEW_DIMENSIONS = { front: '3d', side: '2d' };
+
+// Correlation given up per full search window of offset, to break ties between repeating reps
+const LAG_PENALTY = 0.05;
+
+class ViewFusionService {
+  /**
+   * Guess whether a recording is a front or side view from its shoulder/hip widths
+   */
+  detectView(frames) {
+    const votes = { front: 0, side: 0 };
+    frames.forEach(frame => {
+      if (!frame.landmarks) return;
+      const { angle } = adaptiveAnalysisService.detectCameraAngle(frame.landmarks);
+      if (angle === 'side') votes.side++;
+      else if (angle !== 'unknown' && angle !== 'unclear') votes.front++;
+    });
+    return votes.side > votes.front ? 'side' : 'front';
+  }
+
+  /**
+   * Assign views to two recordings; when both look the same the first is taken as the front view
+   * Returns { primaryView, secondaryView }
+   */
+  assignViews(primaryFrames, secondaryFrames) {
+    const primaryView = this.detectView(primaryFrames);
+    const secondaryView = this.detectView(secondaryFrames);
+    if (primaryView !== secondaryView) {
+      return { primaryView, secondaryView };
+    }
+    return { primaryView: 'front', secondaryView: 'side' };
+  }
+
+  /**
+   * Find the time offset that lines up the secondary recording's rep signal with the primary's
+   * secondary time + offset = primary time
+   * Returns { offset, correlation, reliable }
+   */
+  alignRecordings(primaryFrames, secondaryFrames, exerciseId) {
+    const primary = this.resample(this.extractRepSignal(primaryFrames, exerciseId));
+    const secondary = this.resample(this.extractRepSignal(secondaryFrames, exerciseId));
+    if (!primary || !secondary) {
+      return { offset: 0, correlation: 0, reliable: false };
+    }
+
+    const maxLagSteps = Math.round(MAX_ALIGNMENT_OFFSET / ALIGNMENT_STEP);
+    let best = { lag: 0, correlation: -Infinity, score: -Infinity };
+
+    for (let lag = -maxLagSteps; lag <= maxLagSteps; lag++) {
+      // Secondary sample j lines up with primary sample j + shift
+      const shift = lag + Math.round((secondary.start - primary.start) / ALIGNMENT_STEP);
+      const correlation = this.correlate(primary.values, secondary.values, shift);
+      if (correlation === null) continue;
+      // Rep signals repeat every rep - prefer the smallest offset among near-equal matches
+      const score = correlation - LAG_PENALTY * Math.abs(lag) / maxLagSteps;
+      if (score > best.score) {
+        best = { lag, correlation, score };
+      }
+    }
+
+    if (best.correlation === -Infinity) {
+      return { offset: 0, correlation: 0, reliable: false };
+    }
+
+    const correlation = Math.round(best.correlation * 100) / 100;
+    return {
+      offset: Math.round(best.lag * ALIGNMENT_STEP * 1000) / 1000,
+      correlation,
+      reliable: correlation >= MIN_ALIGNMENT_CORRELATION
+    };
+  }
+
+  /**
+   * The rep-counting metric over time ([{ time, value }]), falling back like countReps does
+   */
+  extractRepSignal(frames, exerciseId) {
+    const config = repCountingService.getRepConfig(exerciseId);
+    if (!config) return [];
+
+    let data = repCountingService.extractMetric(frames, config.metric);
+    const valid = data.filter(d => d.value !== null && d.value !== 0);
+    if (valid.length < frames.length * 0.5 && config.fallbackMetric) {
+      data = repCountingService.extractMetric(frames, config.fallbackMetric);
+    }
+    return data.filter(d => d.value !== null && Number.isFinite(d.time));
+  }
+
+  /**
+   * Linearly resample a signal onto a fixed time grid
+   * Returns { start, values } or null when there is too little (or flat) signal
+   */
+  resample(signal) {
+    if (signal.length < 5) return null;
+
+    const start = signal[0].time;
+    const end = signal[signal.length - 1].time;
+    const values = [];
+    let j = 0;
+    for (let t = start; t <= end; t += ALIGNMENT_STEP) {
+      while (j < signal.length - 2 && signal[j + 1].time < t) j++;
+      const a = signal[j];
+      const b = signal[j + 1];
+      const span = b.time - a.time;
+      const u = span > 0 ? Math.max(0, Math.min(1, (t - a.time) / span)) : 0;
+      values.push(a.value + (b.value - a.value) * u);
+    }
+
+    if (Math.max(...values) === Math.min(...values)) return null;
+    return { start, values };
+  }
+
+  /**
+   * Pearson correlation of the overlapping part of two signals at a shift
+   * Needs at least half of the shorter signal to overlap
+   */
+  correlate(primary, secondary, shift) {
+    const pairs = [];
+    for (let j = 0; j < secondary.length; j++) {
+      const i = j + shift;
+      if (i >= 0 && i < primary.length) pairs.push([primary[i], secondary[j]]);
+    }
+    if (pairs.length < Math.min(primary.length, secondary.length) / 2) return null;
+
+    const meanA = pairs.reduce((sum, [a]) => sum + a, 0) / pairs.length;
+    const meanB = pairs.reduce((sum, [, b]) => sum + b, 0) / pairs.length;
+    let cov = 0;
+    let varA = 0;
+    let varB = 0;
+    pairs.forEach(([a, b]) => {
+      cov += (a - meanA) * (b - meanB);
+      varA += (a - meanA) ** 2;
+      varB += (b - meanB) ** 2;
+    });
+    if (varA === 0 || varB === 0) return null;
+    return cov / Math.sqrt(varA * varB);
+  }
+
+  /**
+   * Pair every primary frame with the nearest aligned secondary frame and judge each check on its view
+   * Fused frames keep the primary frame's landmarks/metrics at the top level (for rep counting and
+   * playback) and carry both source frames in `views`
+   */
+  fuseFrames(exercise, primaryFrames, secondaryFrames, { primaryView, secondaryView, offset }) {
+    const secondaryTimes = secondaryFrames.map(frame => frame.time + offset);
+    const tolerance = Math.max(
+      this.medianInterval(primaryFrames.map(f => f.time)),
+      this.medianInterval(secondaryTimes)
+    );
+
+    let j = 0;
+    return primaryFrames.map(frame => {
+      while (
+        j < secondaryTimes.length - 1 &&
+        Math.abs(secondaryTimes[j + 1] - frame.time) <= Math.abs(secondaryTimes[j] - frame.time)
+      ) {
+        j++;
+      }
+      const match = secondaryFrames.length > 0 && Math.abs(secondaryTimes[j] - frame.time) <= tolerance
+        ? secondaryFrames[j]
+        : null;
+
+      const views = { [primaryView]: frame };
+      if (match?.landmarks) views[secondaryView] = match;
+
+      const fused = { ...frame, primaryView, views };
+      return { ...fused, errors: this.validateFrame(exercise, fused) };
+    });
+  }
+
+  /**
+   * Validate one frame - fused frames judge each check on its view, plain frames as usual
+   * context: { phase, dimension } - fused views use the dimension their camera angle calls for
+   * Frames with a tracked bar end cap (barPosition) judge bar checks on it
+   */
+  validateFrame(exercise, frame, context = {}) {
+    if (!frame.views) {
+      return poseAnalysisService.validateForm(
+        exercise,
+        poseAnalysisService.getNamedLandmarks(frame.landmarks),
+        frame,
+        {
+          ...context,
+          barPosition: frame.barPosition,
+          aspectRatio: frame.aspectRatio,
+          ...poseAnalysisService.getDimensionContext(context.dimension, frame.worldLandmarks)
+        }
+      );
+    }
+
+    const errors = [];
+    Object.entries(frame.views).forEach(([view, viewFrame]) => {
+      const checks = (exercise.validationChecks || []).filter(
+        check => this.getJudgingView(check, frame) === view
+      );
+      if (checks.length === 0 || !viewFrame.landmarks) return;
+
+      poseAnalysisService
+        .validateForm(
+          { ...exercise, validationChecks: checks },
+          poseAnalysisService.getNamedLandmarks(viewFrame.landmarks),
+          viewFrame,
+          {
+            ...context,
+            barPosition: viewFrame.barPosition,
+            aspectRatio: viewFrame.aspectRatio,
+            ...poseAnalysisService.getDimensionContext(VIEW_DIMENSIONS[view], viewFrame.worldLandmarks)
+          }
+        )
+        .forEach(error => errors.push({ ...error, view }));
+    });
+    return errors;
+  }
+
+  /**
+   * The view a check is judged on: its preferred view when that recording has a pose, else the primary
+   */
+  getJudgingView(check, frame) {
+    if (check.view && frame.views[check.view]?.landmarks) return check.view;
+    return frame.primaryView;
+  }
+
+  /**
+   * Merge per-view adaptive reports: a check is covered when any view that may judge it can see it
+   */
+  fuseAdaptiveReports(exercise, reportsByView, alignment) {
+    const primary = Object.values(reportsByView)[0];
+    const available = [...new Set(Object.values(reportsByView).flatMap(r => r.checks.available || []))];
+    const unavailable = (primary.checks.unavailable || []).filter(check => !available.includes(check));
+    const confidence = Math.max(...Object.values(reportsByView).map(r => r.confidence));
+
+    return {
+      ...primary,
+      analysisMode: 'fused',
+      confidence,
+      completenessScore: confidence * 100,
+      description: `Fused ${Object.keys(reportsByView).join(' + ')} views`,
+      checks: { ...primary.checks, available, unavailable },
+      landmarks: {
+        ...primary.landmarks,
+        missing: (primary.landmarks.missing || []).filter(index =>
+          Object.values(reportsByView).every(r => !(r.landmarks.available || []).includes(index))
+        )
+      },
+      views: Object.fromEntries(
+        Object.entries(reportsByView).map(([view, report]) => [
+          view,
+          { confidence: report.confidence, cameraAngle: report.camera?.currentAngle, dimension: VIEW_DIMENSIONS[view] }
+        ])
+      ),
+      alignment
+    };
+  }
+
+  medianInterval(times) {
+    const deltas = [];
+    for (let i = 1; i < times.length; i++) {
+      const dt = times[i] - times[i - 1];
+      if (dt > 0) deltas.push(dt);
+    }
+    if (deltas.length === 0) return 0;
+    deltas.sort((a, b) => a - b);
+    return deltas[Math.floor(deltas.length / 2)];
+  }
+}
+
+const viewFusionService = new ViewFusionService();
+export default viewFusionService;
@@ -0,0 +1,53 @@
+// Dynamic Time Warping - Aligns two sequences that follow the same shape at different speeds
+
+/**
+ * Align sequence a with sequence b
+ * distance(a[i], b[j]) returns the cost of matching two samples; window limits how far the
+ * alignment may stray from the diagonal, as a share of the longer sequence (Sakoe-Chiba band)
+ * Returns { cost, path: [[i, j], ...] } with path from the first to the last pair, or null when
+ * either sequence is empty
+ */
+export const dynamicTimeWarp = (a, b, distance, { window = 1 } = {}) => {
+  const n = a.length;
+  const m = b.length;
+  if (n === 0 || m === 0) return null;
+
+  // The band has to be at least as wide as the length difference or the end can't be reached
+  const band = Math.max(Math.ceil(Math.max(n, m) * window), Math.abs(n - m));
+  const costs = Array.from({ length: n + 1 }, () => new Float64Array(m + 1).fill(Infinity));
+  costs[0][0] = 0;
+
+  for (let i = 1; i <= n; i++) {
+    // Band around the diagonal scaled to the two lengths
+    const center = Math.round((i * m) / n);
+    const from = Math.max(1, center - band);
+    const to = Math.min(m, center + band);
+    for (let j = from; j <= to; j++) {
+      const best = Math.min(costs[i - 1][j - 1], costs[i - 1][j], costs[i][j - 1]);
+      if (best === Infinity) continue;
+      costs[i][j] = distance(a[i - 1], b[j - 1]) + best;
+    }
+  }
+  if (costs[n][m] === Infinity) return null;
+
+  // Walk back from the end along the cheapest predecessors
+  const path = [];
+  let i = n;
+  let j = m;
+  while (i > 0 && j > 0) {
+    path.push([i - 1, j - 1]);
+    const diagonal = costs[i - 1][j - 1];
+    const up = costs[i - 1][j];
+    const left = costs[i][j - 1];
+    if (diagonal <= up && diagonal <= left) {
+      i--;
+      j--;
+    } else if (up <= left) {
+      i--;
+    } else {
+      j--;
+    }
+  }
+
+  return { cost: costs[n][m], path: path.reverse() };
+};
@@ -0,0 +1,59 @@
+import { dynamicTimeWarp } from './dtw';
+
+const distance = (a, b) => Math.abs(a - b);
+
+// Knee angle through one squat rep, and the same rep with a slow bottom
+const rep = [170, 150, 120, 90, 80, 90, 120, 150, 170];
+const slowBottom = [170, 150, 120, 90, 80, 80, 80, 80, 90, 120, 150, 170];
+
+describe('dynamicTimeWarp', () => {
+  it('aligns the same shape at different speeds at no cost', () => {
+    const { cost, path } = dynamicTimeWarp(rep, slowBottom, distance);
+
+    expect(cost).toBe(0);
+    expect(path[0]).toEqual([0, 0]);
+    expect(path[path.length - 1]).toEqual([rep.length - 1, slowBottom.length - 1]);
+    // The held bottom all maps onto the one bottom sample
+    expect(path.filter(([, j]) => slowBottom[j] === 80).every(([i]) => i === 4)).toBe(true);
+  });
+
+  it('returns a monotonic path that visits every sample', () => {
+    const { path } = dynamicTimeWarp(rep, slowBottom, distance);
+
+    path.slice(1).forEach(([i, j], k) => {
+      const [prevI, prevJ] = path[k];
+      expect(i - prevI).toBeGreaterThanOrEqual(0);
+      expect(j - prevJ).toBeGreaterThanOrEqual(0);
+      expect(i - prevI + j - prevJ).toBeGreaterThan(0);
+    });
+    expect(new Set(path.map(([i]) => i)).size).toBe(rep.length);
+    expect(new Set(path.map(([, j]) => j)).size).toBe(slowBottom.length);
+  });
+
+  it('charges the remaining difference once the timing is matched', () => {
+    const shallow = rep.map(angle => Math.max(angle, 100));
+
+    expect(dynamicTimeWarp(shallow, rep, distance).cost).toBe(10 + 20 + 10);
+  });
+
+  it('keeps the alignment inside the window', () => {
+    // Same length, bottom reached three samples later
+    const late = [170, 170, 170, 170, 150, 120, 90, 80, 120];
+    const free = dynamicTimeWarp(rep, late, distance);
+    const diagonal = dynamicTimeWarp(rep, late, distance, { window: 0 });
+
+    expect(free.cost).toBeLessThan(diagonal.cost);
+    expect(diagonal.path.every(([i, j]) => i === j)).toBe(true);
+  });
+
+  it('widens the window to the length difference so the end stays reachable', () => {
+    const { path } = dynamicTimeWarp(rep, slowBottom, distance, { window: 0 });
+
+    expect(path[path.length - 1]).toEqual([rep.length - 1, slowBottom.length - 1]);
+  });
+
+  it('returns null for an empty sequence', () => {
+    expect(dynamicTimeWarp([], rep, distance)).toBeNull();
+    expect(dynamicTimeWarp(rep, [], distance)).toBeNull();
+  });
+});
@@ -0,0 +1,30 @@
+// Geometry Utilities - Joint angles in image space (2D) or world space (3D)
+
+/**
+ * Angle ABC in degrees from x/y only - depends on where the camera is
+ */
+export const calculateAngle2D = (a, b, c) => {
+  const radians = Math.atan2(c.y - b.y, c.x - b.x) - Math.atan2(a.y - b.y, a.x - b.x);
+  let angle = Math.abs(radians * 180.0 / Math.PI);
+  if (angle > 180.0) angle = 360 - angle;
+  return angle;
+};
+
+/**
+ * Angle ABC in degrees from x/y/z - invariant to camera yaw when given world landmarks
+ */
+export const calculateAngle3D = (a, b, c) => {
+  const ba = { x: a.x - b.x, y: a.y - b.y, z: (a.z || 0) - (b.z || 0) };
+  const bc = { x: c.x - b.x, y: c.y - b.y, z: (c.z || 0) - (b.z || 0) };
+  const lengths = Math.hypot(ba.x, ba.y, ba.z) * Math.hypot(bc.x, bc.y, bc.z);
+  if (lengths === 0) return 0;
+
+  const cos = (ba.x * bc.x + ba.y * bc.y + ba.z * bc.z) / lengths;
+  return Math.acos(Math.max(-1, Math.min(1, cos))) * 180.0 / Math.PI;
+};
+
+/**
+ * dimension: '2d' (default) or '3d'
+ */
+export const calculateAngle = (a, b, c, dimension = '2d') =>
+  dimension === '3d' ? calculateAngle3D(a, b, c) : calculateAngle2D(a, b, c);
@@ -0,0 +1,21 @@
+// Math Utilities - Small numeric helpers shared by the analysis services
+
+/**
+ * Arithmetic mean; null for an empty list
+ */
+export const mean = (values) => (values.length ? values.reduce((sum, v) => sum + v, 0) / values.length : null);
+
+/**
+ * Median (average of the two middle values for even lengths); null for an empty list
+ */
+export const median = (values) => {
+  if (values.length === 0) return null;
+  const sorted = [...values].sort((a, b) => a - b);
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+// Round to 1, 2 or 3 decimal places for display and storage
+export const round1 = (value) => Math.round(value * 10) / 10;
+export const round2 = (value) => Math.round(value * 100) / 100;
+export const round3 = (value) => Math.round(value * 1000) / 1000;
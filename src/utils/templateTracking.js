@@ -0,0 +1,215 @@
+// Template Tracking - Follows a small image region (e.g. a barbell end cap) across video frames
+// Zero-mean normalized cross-correlation on downscaled grayscale frames, searched around the
+// position predicted from the previous frames' motion.
+
+// Frames are downscaled to at most this width before matching
+const TRACKING_WIDTH = 320;
+
+// Template half-size and search radius as a share of the tracking width
+const TEMPLATE_RADIUS = 0.03;
+const SEARCH_RADIUS = 0.08;
+
+// Matches scoring below this are treated as lost; above the update score the template adapts
+const MIN_MATCH_SCORE = 0.5;
+const TEMPLATE_UPDATE_SCORE = 0.8;
+const TEMPLATE_UPDATE_RATE = 0.2;
+
+// Tracking stops after this many lost frames in a row; shorter gaps are interpolated
+const MAX_LOST_FRAMES = 5;
+
+/**
+ * Downscaled grayscale copy of an ImageData ({ data, width, height })
+ */
+export const toGrayscale = (imageData, maxWidth = TRACKING_WIDTH) => {
+  const step = Math.max(1, Math.ceil(imageData.width / maxWidth));
+  const width = Math.floor(imageData.width / step);
+  const height = Math.floor(imageData.height / step);
+  const pixels = new Float32Array(width * height);
+  const { data } = imageData;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const i = ((y * step) * imageData.width + x * step) * 4;
+      pixels[y * width + x] = 0.299 * data[i] + 0.587 * data[i + 1] + 0.114 * data[i + 2];
+    }
+  }
+  return { pixels, width, height };
+};
+
+/**
+ * Square patch of (2 * radius + 1)^2 pixels centred on (cx, cy), or null when it leaves the image
+ */
+const readPatch = (image, cx, cy, radius) => {
+  if (cx - radius < 0 || cy - radius < 0 || cx + radius >= image.width || cy + radius >= image.height) return null;
+  const size = 2 * radius + 1;
+  const patch = new Float32Array(size * size);
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      patch[y * size + x] = image.pixels[(cy - radius + y) * image.width + (cx - radius + x)];
+    }
+  }
+  return patch;
+};
+
+/**
+ * Template pixels, the same with their mean removed, and that norm; null for a flat patch (nothing to match on)
+ */
+const prepareTemplate = (patch) => {
+  const mean = patch.reduce((sum, v) => sum + v, 0) / patch.length;
+  const values = patch.map(v => v - mean);
+  const norm = Math.sqrt(values.reduce((sum, v) => sum + v * v, 0));
+  return norm > 0 ? { patch, values, norm } : null;
+};
+
+/**
+ * Template nudged toward a fresh match, so slow changes in lighting and angle don't lose it
+ */
+const blendTemplate = (template, patch) =>
+  prepareTemplate(patch.map((v, k) => template.patch[k] * (1 - TEMPLATE_UPDATE_RATE) + v * TEMPLATE_UPDATE_RATE));
+
+/**
+ * Normalized cross-correlation (-1..1) of the template against the patch centred on (cx, cy)
+ */
+const correlate = (image, template, cx, cy, radius) => {
+  const size = 2 * radius + 1;
+  const n = size * size;
+  let sum = 0;
+  let sumSq = 0;
+  let cross = 0;
+  for (let y = 0; y < size; y++) {
+    const row = (cy - radius + y) * image.width + (cx - radius);
+    for (let x = 0; x < size; x++) {
+      const v = image.pixels[row + x];
+      sum += v;
+      sumSq += v * v;
+      cross += v * template.values[y * size + x];
+    }
+  }
+  // The template is zero-mean, so the patch mean drops out of the cross term
+  const variance = sumSq - (sum * sum) / n;
+  return variance > 0 ? cross / (Math.sqrt(variance) * template.norm) : -1;
+};
+
+/**
+ * Best match within `search` pixels of (px, py), refined to sub-pixel with a parabola through the
+ * neighbouring scores; null when the window doesn't fit in the image
+ */
+const findMatch = (image, template, px, py, radius, search) => {
+  const scores = new Map();
+  let best = null;
+  for (let cy = Math.max(radius, py - search); cy <= Math.min(image.height - radius - 1, py + search); cy++) {
+    for (let cx = Math.max(radius, px - search); cx <= Math.min(image.width - radius - 1, px + search); cx++) {
+      const score = correlate(image, template, cx, cy, radius);
+      scores.set(cy * image.width + cx, score);
+      if (!best || score > best.score) best = { x: cx, y: cy, score };
+    }
+  }
+  if (!best) return null;
+
+  const refine = (before, after) => {
+    const a = scores.get(before);
+    const b = scores.get(after);
+    if (a === undefined || b === undefined) return 0;
+    const curvature = a - 2 * best.score + b;
+    return curvature < 0 ? Math.max(-0.5, Math.min(0.5, (a - b) / (2 * curvature))) : 0;
+  };
+  const at = best.y * image.width + best.x;
+  return {
+    x: best.x + refine(at - 1, at + 1),
+    y: best.y + refine(at - image.width, at + image.width),
+    cx: best.x,
+    cy: best.y,
+    score: best.score
+  };
+};
+
+/**
+ * Track one direction from the seed frame (step 1 forwards, -1 backwards) into positions[]
+ */
+const trackDirection = (images, seedIndex, seedPosition, seedTemplate, radius, search, step, positions) => {
+  let template = seedTemplate;
+  let last = seedPosition;
+  let velocity = { x: 0, y: 0 };
+  let lost = 0;
+
+  for (let i = seedIndex + step; i >= 0 && i < images.length; i += step) {
+    const image = images[i];
+    // Search around where the region would be if it kept moving; wider after each miss
+    const px = Math.round(last.x + velocity.x * (lost + 1));
+    const py = Math.round(last.y + velocity.y * (lost + 1));
+    const match = image ? findMatch(image, template, px, py, radius, Math.round(search * (1 + lost * 0.5))) : null;
+
+    if (!match || match.score < MIN_MATCH_SCORE) {
+      if (++lost > MAX_LOST_FRAMES) break;
+      continue;
+    }
+
+    velocity = { x: (match.x - last.x) / (lost + 1), y: (match.y - last.y) / (lost + 1) };
+    last = match;
+    lost = 0;
+    positions[i] = { x: match.x, y: match.y, confidence: match.score };
+
+    if (match.score >= TEMPLATE_UPDATE_SCORE) {
+      const patch = readPatch(image, match.cx, match.cy, radius);
+      const updated = patch && blendTemplate(template, patch);
+      if (updated) template = updated;
+    }
+  }
+};
+
+/**
+ * Fill runs of up to MAX_LOST_FRAMES missing positions between two tracked ones (linear)
+ */
+const fillGaps = (positions) => {
+  let previous = -1;
+  positions.forEach((position, i) => {
+    if (!position) return;
+    const gap = i - previous - 1;
+    if (previous >= 0 && gap > 0 && gap <= MAX_LOST_FRAMES) {
+      const from = positions[previous];
+      for (let k = 1; k <= gap; k++) {
+        const u = k / (gap + 1);
+        positions[previous + k] = {
+          x: from.x + (position.x - from.x) * u,
+          y: from.y + (position.y - from.y) * u,
+          confidence: 0,
+          interpolated: true
+        };
+      }
+    }
+    previous = i;
+  });
+  return positions;
+};
+
+/**
+ * Track a region through a sequence of frames
+ * images: ImageData per frame (null entries are skipped); seed: { frameIndex, x, y } with x/y in
+ * normalized image coordinates (0-1) of the tapped point
+ * Returns one { x, y, confidence, interpolated? } per frame in normalized coordinates, or null where
+ * the region was lost; null overall when the seed has no texture to follow
+ */
+export const trackTemplate = (images, seed) => {
+  const frames = images.map(image => (image ? toGrayscale(image) : null));
+  const first = frames[seed.frameIndex];
+  if (!first) return null;
+
+  const radius = Math.max(3, Math.round(first.width * TEMPLATE_RADIUS));
+  const search = Math.max(4, Math.round(first.width * SEARCH_RADIUS));
+  const seedPosition = { x: Math.round(seed.x * first.width), y: Math.round(seed.y * first.height) };
+  const patch = readPatch(first, seedPosition.x, seedPosition.y, radius);
+  const template = patch && prepareTemplate(patch);
+  if (!template) return null;
+
+  const positions = new Array(frames.length).fill(null);
+  positions[seed.frameIndex] = { ...seedPosition, confidence: 1 };
+  trackDirection(frames, seed.frameIndex, seedPosition, template, radius, search, 1, positions);
+  trackDirection(frames, seed.frameIndex, seedPosition, template, radius, search, -1, positions);
+
+  return fillGaps(positions).map(position => position && {
+    ...position,
+    x: position.x / first.width,
+    y: position.y / first.height,
+    confidence: Math.round(position.confidence * 100) / 100
+  });
+};
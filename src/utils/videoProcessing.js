@@ -31,11 +31,17 @@ export const extractFramesFromVideo = async (videoUrl, frameInterval = 0.5) => {
 
           ctx.drawImage(video, 0, 0);
           const imageData = ctx.getImageData(0, 0, canvas.width, canvas.height);
+
+          // ImageBitmaps can be transferred to analysis workers without copying
+          const bitmap = typeof createImageBitmap === 'function'
+            ? await createImageBitmap(canvas).catch(() => null)
+            : null;
           
           // Use lower quality JPEG for faster encoding
           frames.push({
             time,
             imageData,
+            bitmap,
             dataUrl: canvas.toDataURL('image/jpeg', 0.7)
           });
         }
@@ -0,0 +1,9 @@
+// Spawns one frame-analysis worker. Kept in its own module so the pool can be tested without
+// bundler-only syntax (Jest cannot parse import.meta).
+
+const createFrameWorker = () => new Worker(
+  new URL('./frameAnalysisWorker.js', import.meta.url),
+  { type: 'module' }
+);
+
+export default createFrameWorker;
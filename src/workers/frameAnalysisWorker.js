@@ -1,100 +1,81 @@
 /**
- * Web Worker for parallel frame analysis
- * Analyzes multiple frames in parallel to speed up video processing
+ * Web Worker for off-main-thread pose inference
+ * Lives in a persistent pool (see workerPool.js) and analyzes one transferred frame per message,
+ * so the pool can report per-frame progress and balance load across workers.
  */
 /* eslint-disable no-restricted-globals */
 
 import poseAnalysisService from '../services/poseAnalysis';
+import calibrationService from '../services/calibration';
+import { registerCustomExercises } from '../config/exercises';
 
 /**
- * Analyze a batch of frames
- * Expects: { frames: [...], exerciseId }
- * Returns: { results: [...], errors: null } or { results: null, errors: message }
+ * Messages:
+ *   { type: 'init', backendId, backendOptions }   -> { type: 'ready' } | { type: 'init_error', error }
+ *   { type: 'exercises', exercises }             custom exercise definitions (no reply)
+ *   { type: 'calibration', calibration }         body proportions for segment thresholds (no reply)
+ *   { type: 'analyze', jobId, frameIndex, time, image, exerciseId }
+ *                                                  -> { type: 'frame', jobId, frameIndex, result }
+ * `image` is an ImageBitmap (transferred, closed after use) or ImageData.
  */
-// eslint-disable-next-line no-restricted-globals
-self.onmessage = async (event) => {
+const initialize = async ({ backendId, backendOptions }) => {
   try {
-    const { frames, exerciseId, frameIndices } = event.data;
-    const results = [];
-
-    // MediaPipe Pose relies on `window` and usually can't run inside a Web Worker in this app.
-    // If it can't initialize here, signal failure so the main thread can fall back.
-    try {
-      await poseAnalysisService.initialize();
-    } catch (e) {
-      self.postMessage({
-        success: false,
-        error: e?.message || 'Pose analysis unavailable in worker'
-      });
-      return;
-    }
-
-    for (let i = 0; i < frames.length; i++) {
-      const frame = frames[i];
-      const originalIndex = frameIndices[i];
-      try {
-
-        // Analyze pose from frame imageData
-        const poseResults = await poseAnalysisService.analyzeFrame(frame.imageData);
-
-        const poseLandmarks = poseResults?.poseLandmarks || null;
-        const analysis = poseLandmarks
-          ? (poseAnalysisService.analyzeExercise(exerciseId, poseLandmarks) || {})
-          : {};
-
-        const landmarksWithNames = poseLandmarks
-          ? {
-              leftShoulder: poseLandmarks[11],
-              rightShoulder: poseLandmarks[12],
-              leftHip: poseLandmarks[23],
-              rightHip: poseLandmarks[24],
-              leftKnee: poseLandmarks[25],
-              rightKnee: poseLandmarks[26],
-              leftAnkle: poseLandmarks[27],
-              rightAnkle: poseLandmarks[28],
-              leftElbow: poseLandmarks[13],
-              rightElbow: poseLandmarks[14],
-              leftWrist: poseLandmarks[15],
-              rightWrist: poseLandmarks[16]
-            }
-          : {};
+    poseAnalysisService.useBackend(backendId, backendOptions);
+    await poseAnalysisService.initialize();
+    self.postMessage({ type: 'ready' });
+  } catch (e) {
+    self.postMessage({
+      type: 'init_error',
+      error: e?.message || 'Pose analysis unavailable in worker'
+    });
+  }
+};
 
-        const errors = poseLandmarks
-          ? poseAnalysisService.validateForm(
-              exerciseId,
-              landmarksWithNames,
-              analysis
-            )
-          : [];
+const analyze = async ({ jobId, frameIndex, time, image, exerciseId }) => {
+  let result;
+  try {
+    const poseResults = await poseAnalysisService.analyzeFrame(image);
+    const poseLandmarks = poseResults?.poseLandmarks || null;
+    const { analysis, errors } = poseAnalysisService.analyzeLandmarks(exerciseId, poseLandmarks, {
+      aspectRatio: image.width / image.height
+    });
 
-        results.push({
-          originalIndex,
-          time: frame.time,
-          landmarks: poseLandmarks,
-          errors,
-          analysis,
-          dataUrl: frame.dataUrl,
-          success: true
-        });
-      } catch (err) {
-        console.warn(`Frame analysis error in worker:`, err);
-        results.push({
-          originalIndex,
-          time: frame?.time,
-          landmarks: null,
-          errors: [],
-          analysis: {},
-          dataUrl: frame?.dataUrl,
-          success: true
-        });
-      }
+    result = {
+      time,
+      landmarks: poseLandmarks,
+      worldLandmarks: poseResults?.poseWorldLandmarks || null,
+      errors,
+      analysis,
+      success: true
+    };
+  } catch (err) {
+    console.warn(`Frame analysis error in worker:`, err);
+    result = {
+      time,
+      landmarks: null,
+      worldLandmarks: null,
+      errors: [],
+      analysis: {},
+      success: true
+    };
+  } finally {
+    if (image && typeof image.close === 'function') {
+      image.close();
     }
+  }
+
+  self.postMessage({ type: 'frame', jobId, frameIndex, result });
+};
 
-    // Send results back to main thread
-    // eslint-disable-next-line no-restricted-globals
-    self.postMessage({ results, success: true });
-  } catch (error) {
-    // eslint-disable-next-line no-restricted-globals
-    self.postMessage({ success: false, error: error.message });
+self.onmessage = (event) => {
+  const message = event.data || {};
+  if (message.type === 'init') {
+    initialize(message);
+  } else if (message.type === 'exercises') {
+    registerCustomExercises(message.exercises);
+  } else if (message.type === 'calibration') {
+    calibrationService.setCalibration(message.calibration);
+  } else if (message.type === 'analyze') {
+    analyze(message);
   }
 };
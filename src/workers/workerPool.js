@@ -0,0 +1,239 @@
+/**
+ * Persistent pool of pose-inference workers
+ * Workers are created once, initialize their backend once, and are reused across analyses.
+ * Frames are queued and handed to whichever worker is idle; ImageBitmaps are transferred, not copied.
+ */
+
+import { getCustomExercises } from '../config/exercises';
+import calibrationService from '../services/calibration';
+import createFrameWorker from './createFrameWorker';
+
+const WORKER_BACKEND = 'mediapipe_tasks';
+const INIT_TIMEOUT_MS = 20000;
+
+class PoseWorkerPool {
+  constructor() {
+    this.workers = [];
+    this.readyPromise = null;
+    this.queue = [];
+    this.jobs = new Map();
+    this.nextJobId = 1;
+  }
+
+  /**
+   * Whether this browser can run inference in workers at all
+   */
+  isSupported() {
+    return (
+      typeof Worker !== 'undefined' &&
+      typeof OffscreenCanvas !== 'undefined' &&
+      typeof createImageBitmap !== 'undefined'
+    );
+  }
+
+  getPoolSize() {
+    const cores = (typeof navigator !== 'undefined' && navigator.hardwareConcurrency) || 2;
+    return Math.max(1, Math.min(4, cores - 1));
+  }
+
+  /**
+   * Spawn and initialize the workers (once). Resolves when at least one worker is ready,
+   * rejects if none could initialize so callers can fall back to the main thread.
+   */
+  async start() {
+    if (this.readyPromise) return this.readyPromise;
+
+    if (!this.isSupported()) {
+      return Promise.reject(new Error('Worker inference not supported in this browser'));
+    }
+
+    this.readyPromise = Promise.allSettled(
+      Array.from({ length: this.getPoolSize() }, () => this.spawnWorker())
+    ).then(results => {
+      this.workers = results.filter(r => r.status === 'fulfilled').map(r => r.value);
+      if (this.workers.length === 0) {
+        const reason = results.find(r => r.status === 'rejected')?.reason;
+        throw reason || new Error('No analysis workers could start');
+      }
+      console.log(`Worker pool ready with ${this.workers.length} workers`);
+      return this.workers.length;
+    }).catch(error => {
+      this.readyPromise = null;
+      throw error;
+    });
+
+    return this.readyPromise;
+  }
+
+  spawnWorker() {
+    return new Promise((resolve, reject) => {
+      const worker = createFrameWorker();
+      const entry = { worker, busy: false, currentJob: null };
+
+      const timeout = setTimeout(() => {
+        worker.terminate();
+        reject(new Error('Analysis worker timed out while loading the pose model'));
+      }, INIT_TIMEOUT_MS);
+
+      worker.onmessage = (event) => {
+        const message = event.data || {};
+        if (message.type === 'ready') {
+          clearTimeout(timeout);
+          worker.onmessage = (e) => this.handleMessage(entry, e.data);
+          worker.onerror = (e) => this.handleWorkerError(entry, e);
+          resolve(entry);
+        } else if (message.type === 'init_error') {
+          clearTimeout(timeout);
+          worker.terminate();
+          reject(new Error(message.error));
+        }
+      };
+
+      worker.onerror = (err) => {
+        clearTimeout(timeout);
+        worker.terminate();
+        reject(err instanceof Error ? err : new Error(err?.message || 'Worker failed to load'));
+      };
+
+      worker.postMessage({
+        type: 'init',
+        backendId: WORKER_BACKEND,
+        backendOptions: { useModuleLoader: true }
+      });
+    });
+  }
+
+  /**
+   * Analyze frames on the pool
+   * frames: [{ index, time, image }] where image is an ImageBitmap (transferred) or ImageData
+   * onFrame(result, completed, total) fires as each frame finishes
+   * Resolves with results ordered like `frames`
+   */
+  async analyzeFrames(frames, exerciseId, onFrame) {
+    await this.start();
+
+    // Workers have their own module scope; custom exercises and the body calibration are plain JSON
+    // so they can be copied over
+    const exercises = getCustomExercises();
+    const calibration = calibrationService.getCalibration();
+    this.workers.forEach(entry => {
+      entry.worker.postMessage({ type: 'exercises', exercises });
+      entry.worker.postMessage({ type: 'calibration', calibration });
+    });
+
+    return new Promise((resolve) => {
+      const results = new Array(frames.length);
+      let completed = 0;
+
+      if (frames.length === 0) {
+        resolve(results);
+        return;
+      }
+
+      frames.forEach((frame, position) => {
+        const jobId = this.nextJobId++;
+        this.jobs.set(jobId, {
+          frame,
+          onDone: (result) => {
+            results[position] = { ...result, originalIndex: frame.index };
+            completed++;
+            if (onFrame) onFrame(results[position], completed, frames.length);
+            if (completed === frames.length) resolve(results);
+          }
+        });
+        this.queue.push({ jobId, frame, exerciseId });
+      });
+
+      this.dispatch();
+    });
+  }
+
+  dispatch() {
+    for (const entry of this.workers) {
+      if (this.queue.length === 0) return;
+      if (entry.busy) continue;
+
+      const { jobId, frame, exerciseId } = this.queue.shift();
+      entry.busy = true;
+      entry.currentJob = jobId;
+
+      const transfer = typeof ImageBitmap !== 'undefined' && frame.image instanceof ImageBitmap
+        ? [frame.image]
+        : [];
+      entry.worker.postMessage({
+        type: 'analyze',
+        jobId,
+        frameIndex: frame.index,
+        time: frame.time,
+        image: frame.image,
+        exerciseId
+      }, transfer);
+    }
+  }
+
+  handleMessage(entry, message) {
+    if (message?.type !== 'frame') return;
+
+    entry.busy = false;
+    entry.currentJob = null;
+
+    const job = this.jobs.get(message.jobId);
+    this.jobs.delete(message.jobId);
+    if (job) job.onDone(message.result);
+
+    this.dispatch();
+  }
+
+  /**
+   * A crashed worker is removed from the pool; its in-flight frame completes without landmarks
+   */
+  handleWorkerError(entry, error) {
+    console.warn('Analysis worker crashed:', error);
+    entry.worker.terminate();
+    this.workers = this.workers.filter(w => w !== entry);
+
+    const job = this.jobs.get(entry.currentJob);
+    this.jobs.delete(entry.currentJob);
+    if (job) this.completeEmpty(job);
+
+    if (this.workers.length === 0) {
+      this.readyPromise = null;
+      // Nothing left to run the queue - finish remaining frames empty rather than hang
+      this.drainJobs();
+      return;
+    }
+
+    this.dispatch();
+  }
+
+  /**
+   * Settle every queued and in-flight frame without landmarks, so pending analyses resolve
+   */
+  drainJobs() {
+    this.queue = [];
+    const jobs = [...this.jobs.values()];
+    this.jobs.clear();
+    jobs.forEach(job => this.completeEmpty(job));
+  }
+
+  completeEmpty(job) {
+    job.onDone({
+      time: job.frame.time,
+      landmarks: null,
+      worldLandmarks: null,
+      errors: [],
+      analysis: {},
+      success: true
+    });
+  }
+
+  terminate() {
+    this.workers.forEach(entry => entry.worker.terminate());
+    this.workers = [];
+    this.readyPromise = null;
+    this.drainJobs();
+  }
+}
+
+const poseWorkerPool = new PoseWorkerPool();
+export default poseWorkerPool;
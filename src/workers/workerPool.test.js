@@ -0,0 +1,128 @@
+import createFrameWorker from './createFrameWorker';
+import poseWorkerPool from './workerPool';
+
+jest.mock('./createFrameWorker', () => jest.fn());
+
+class FakeWorker {
+  constructor() {
+    this.posted = [];
+    this.terminated = false;
+  }
+
+  postMessage(message) {
+    this.posted.push(message);
+  }
+
+  terminate() {
+    this.terminated = true;
+  }
+
+  emit(data) {
+    this.onmessage({ data });
+  }
+
+  crash(message = 'boom') {
+    this.onerror({ message });
+  }
+
+  analyzeJobs() {
+    return this.posted.filter(message => message.type === 'analyze').map(message => message.jobId);
+  }
+
+  reply(jobId) {
+    this.emit({ type: 'frame', jobId, result: { landmarks: [], errors: [], success: true } });
+  }
+}
+
+const frames = (count) => Array.from({ length: count }, (_, index) => ({ index, time: index / 10, image: {} }));
+
+// analyzeFrames awaits start() before queueing, so let pending promise callbacks run
+const flushPromises = () => new Promise(resolve => setTimeout(resolve, 0));
+
+let spawned;
+
+const startPool = async (size) => {
+  jest.spyOn(poseWorkerPool, 'getPoolSize').mockReturnValue(size);
+  const started = poseWorkerPool.start();
+  spawned.forEach(worker => worker.emit({ type: 'ready' }));
+  await started;
+};
+
+describe('poseWorkerPool', () => {
+  beforeEach(() => {
+    spawned = [];
+    global.Worker = FakeWorker;
+    global.OffscreenCanvas = class {};
+    global.createImageBitmap = jest.fn();
+    createFrameWorker.mockImplementation(() => {
+      const worker = new FakeWorker();
+      spawned.push(worker);
+      return worker;
+    });
+    jest.spyOn(console, 'log').mockImplementation(() => {});
+    jest.spyOn(console, 'warn').mockImplementation(() => {});
+  });
+
+  afterEach(() => {
+    poseWorkerPool.terminate();
+    jest.restoreAllMocks();
+    jest.useRealTimers();
+    delete global.Worker;
+    delete global.OffscreenCanvas;
+    delete global.createImageBitmap;
+  });
+
+  it('rejects and can be restarted when no worker loads the model in time', async () => {
+    jest.useFakeTimers();
+    jest.spyOn(poseWorkerPool, 'getPoolSize').mockReturnValue(2);
+
+    const started = poseWorkerPool.start();
+    jest.advanceTimersByTime(20000);
+
+    await expect(started).rejects.toThrow('timed out');
+    expect(spawned.every(worker => worker.terminated)).toBe(true);
+
+    const restarted = poseWorkerPool.start();
+    expect(spawned).toHaveLength(4);
+    spawned.slice(2).forEach(worker => worker.emit({ type: 'ready' }));
+    await expect(restarted).resolves.toBe(2);
+  });
+
+  it('finishes a crashed worker\'s frame empty and keeps going on the others', async () => {
+    await startPool(2);
+    const [first, second] = spawned;
+
+    const analysis = poseWorkerPool.analyzeFrames(frames(3), 'squat');
+    await flushPromises();
+    const [crashedJob] = first.analyzeJobs();
+
+    first.crash();
+    expect(first.terminated).toBe(true);
+
+    second.reply(second.analyzeJobs()[0]);
+    second.reply(second.analyzeJobs()[1]);
+    const results = await analysis;
+
+    expect(results).toHaveLength(3);
+    expect(results[0].landmarks).toBeNull();
+    expect(results.slice(1).every(result => Array.isArray(result.landmarks))).toBe(true);
+    expect(second.analyzeJobs()).not.toContain(crashedJob);
+  });
+
+  it('settles queued and in-flight frames when terminated', async () => {
+    await startPool(1);
+
+    const onFrame = jest.fn();
+    const analysis = poseWorkerPool.analyzeFrames(frames(3), 'squat', onFrame);
+    await flushPromises();
+    expect(spawned[0].analyzeJobs()).toHaveLength(1);
+
+    poseWorkerPool.terminate();
+    const results = await analysis;
+
+    expect(spawned[0].terminated).toBe(true);
+    expect(results.map(result => result.landmarks)).toEqual([null, null, null]);
+    expect(results.map(result => result.originalIndex)).toEqual([0, 1, 2]);
+    expect(onFrame).toHaveBeenCalledTimes(3);
+  });
+});